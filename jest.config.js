@@ -15,6 +15,7 @@ module.exports = {
     collectCoverageFrom: [
         'src/**/*.js',
         '!src/app.js',
+        '!src/server.js',
         '!src/**/*.test.js',
         '!src/**/__tests__/**'
     ],
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+const { loadConfig } = require('../src/core/config');
+const { createContainer, TOKENS } = require('../src/container');
+
+const USAGE = `Usage: npm run migrate -- <command> [options]
+
+Commands:
+  up                 Apply pending migrations (default)
+  down               Revert the most recently applied migration
+  status             List migrations and their state
+  create <name>      Create a new migration file
+
+Options:
+  --dry-run          Show what would run without changing anything
+  --to <id>          (up) Stop after this migration
+  --steps <n>        (down) Number of migrations to revert (default: 1)`;
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Command, positional arguments and flags
+ */
+function parseArguments(argv) {
+    const parsed = { command: 'up', args: [], dryRun: false };
+    const rest = [...argv];
+
+    if (rest.length > 0 && !rest[0].startsWith('--')) {
+        parsed.command = rest.shift();
+    }
+
+    while (rest.length > 0) {
+        const arg = rest.shift();
+
+        if (arg === '--dry-run') {
+            parsed.dryRun = true;
+        } else if (arg === '--to') {
+            parsed.to = rest.shift();
+        } else if (arg === '--steps') {
+            parsed.steps = parseInt(rest.shift(), 10);
+        } else if (arg === '--help' || arg === '-h') {
+            parsed.command = 'help';
+        } else {
+            parsed.args.push(arg);
+        }
+    }
+
+    return parsed;
+}
+
+async function main() {
+    const { command, args, dryRun, to, steps } = parseArguments(process.argv.slice(2));
+
+    const runner = createContainer(loadConfig()).resolve(TOKENS.migrationRunner);
+
+    switch (command) {
+        case 'up': {
+            const applied = await runner.up({ to, dryRun });
+            console.log(applied.length === 0
+                ? 'No pending migrations'
+                : `${dryRun ? 'Would apply' : 'Applied'}: ${applied.join(', ')}`);
+            break;
+        }
+        case 'down': {
+            const reverted = await runner.down({ steps: steps === undefined ? 1 : steps, dryRun });
+            console.log(reverted.length === 0
+                ? 'No applied migrations'
+                : `${dryRun ? 'Would revert' : 'Reverted'}: ${reverted.join(', ')}`);
+            break;
+        }
+        case 'status': {
+            const entries = await runner.status();
+            if (entries.length === 0) {
+                console.log('No migrations found');
+            }
+            entries.forEach(entry => {
+                const appliedAt = entry.appliedAt ? entry.appliedAt.toISOString() : '';
+                console.log(`${entry.state.padEnd(8)} ${entry.id} ${appliedAt}`.trimEnd());
+            });
+            break;
+        }
+        case 'create': {
+            console.log(`Created ${await runner.create(args[0])}`);
+            break;
+        }
+        case 'help':
+            console.log(USAGE);
+            break;
+        default:
+            console.error(`Unknown command: ${command}\n\n${USAGE}`);
+            process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -1,58 +1,118 @@
-require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
-
-// Core services
-const WinstonLogger = require('./core/services/WinstonLogger');
-const InMemoryUserRepository = require('./repositories/InMemoryUserRepository');
-const AuthenticationService = require('./services/AuthenticationService');
-const UserService = require('./services/UserService');
-
-// Routes
-const AuthRoutes = require('./routes/authRoutes');
-const UserRoutes = require('./routes/userRoutes');
+const { NotFoundError, RateLimitedError, normalizeError, sendErrorResponse } = require('./core/errors');
+const { loadConfig } = require('./core/config');
+const { createContainer, TOKENS } = require('./container');
 
 /**
  * @class Application
  * @description Main application class
  * Implements Factory pattern for dependency injection
  * Follows Single Responsibility Principle - orchestrates the application
+ * Building the Express app and listening are separate steps, so tests can use the app without a port.
  */
 class Application {
-    constructor() {
+    /**
+     * @param {Object} [config] - Validated configuration from loadConfig(); read from the environment if omitted
+     * @param {Object} [overrides] - Dependencies used instead of the configured ones, keyed by
+     *   container token (see core/container TOKENS); the common ones are:
+     * @param {IRepository} [overrides.userRepository] - User repository; config.persistence.userRepository
+     *   still decides whether migrations are checked and the repository is flushed on shutdown
+     * @param {ILogger} [overrides.logger] - Root logger
+     * @param {IMailer} [overrides.mailer] - Outbound mailer
+     * @param {Object} [overrides.clock] - Object whose now() returns Unix milliseconds, used for
+     *   token expiry, lockouts and TOTP codes
+     */
+    constructor(config = loadConfig(), overrides = {}) {
+        this.config = config;
+        this.overrides = overrides;
         this.app = express();
+        this.container = null;
         this.logger = null;
-        this.port = process.env.PORT || 3000;
-        this.host = process.env.HOST || 'localhost';
+        this.server = null;
+        this.isBuilt = false;
+        this.port = config.server.port;
+        this.host = config.server.host;
+    }
+
+    /**
+     * Build the Express app: dependencies, middleware, routes and error handling
+     * The app is marked ready once built, so an app from createApp passes its readiness probe
+     * as soon as its dependency checks do. Calling again returns the app already built.
+     * @returns {express.Application} Configured Express app
+     */
+    build() {
+        if (this.isBuilt) {
+            return this.app;
+        }
+
+        // Initialize dependencies
+        this.initializeDependencies();
+
+        // Configure middleware
+        this.configureMiddleware();
+
+        // Configure routes
+        this.configureRoutes();
+
+        // Configure error handling
+        this.configureErrorHandling();
+
+        // Every dependency has resolved; readiness now depends only on the health checks
+        this.healthChecks.markReady();
+
+        this.isBuilt = true;
+
+        return this.app;
     }
 
     /**
      * Factory Method: Initialize application dependencies
+     * Dependencies are registered with the container and created as they are resolved;
+     * the ones the application lifecycle needs are resolved here.
      */
     initializeDependencies() {
-        // Initialize logger (Singleton pattern)
-        this.logger = new WinstonLogger({
-            level: process.env.LOG_LEVEL || 'info',
-            logFilePath: process.env.LOG_FILE_PATH || 'logs/app.log'
-        });
+        this.container = createContainer(this.config, this.overrides);
 
-        // Initialize repositories
-        this.userRepository = new InMemoryUserRepository();
+        this.logger = this.container.resolve(TOKENS.logger);
 
-        // Initialize services with dependency injection
-        this.authenticationService = new AuthenticationService(this.logger, this.userRepository);
-        this.userService = new UserService(this.logger, this.userRepository);
+        this.healthChecks = this.container.resolve(TOKENS.healthChecks);
+        this.shutdownManager = this.container.resolve(TOKENS.shutdownManager);
 
         this.logger.info('Dependencies initialized successfully');
     }
 
+    /**
+     * Refuse to run against a persistent store whose schema is behind the code
+     * The in-memory store is rebuilt on every start, so it has no schema to migrate
+     * @returns {Promise<void>}
+     */
+    async checkMigrations() {
+        if (this.config.persistence.userRepository === 'memory') {
+            return;
+        }
+
+        await this.container.resolve(TOKENS.migrationRunner).assertUpToDate();
+
+        this.logger.info('Database migrations are up to date');
+    }
+
     /**
      * Configure Express middleware
      */
     configureMiddleware() {
+        // Request correlation: first, so everything logged for a request carries its ID
+        this.app.use(this.container.resolve(TOKENS.requestContextMiddleware).handle());
+
+        // Access logging: before compression so logged sizes are the bytes actually sent
+        this.app.use(this.container.resolve(TOKENS.accessLogMiddleware).handle());
+
+        // Request metrics for the Prometheus endpoint
+        this.app.use(this.container.resolve(TOKENS.metricsMiddleware).handle());
+
         // Security middleware
         this.app.use(helmet({
             contentSecurityPolicy: {
@@ -68,10 +128,11 @@ class Application {
 
         // CORS configuration
         this.app.use(cors({
-            origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
+            origin: this.config.cors.origin,
             credentials: true,
             methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-            allowedHeaders: ['Content-Type', 'Authorization']
+            allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', 'X-Request-Id', 'traceparent'],
+            exposedHeaders: ['ETag', 'X-Request-Id']
         }));
 
         // Compression middleware
@@ -83,31 +144,19 @@ class Application {
 
         // Global rate limiting
         const globalRateLimit = rateLimit({
-            windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-            max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
-            message: {
-                success: false,
-                error: {
-                    message: 'Too many requests from this IP',
-                    code: 'RATE_LIMIT_EXCEEDED'
-                }
-            },
+            windowMs: this.config.rateLimit.windowMs,
+            max: this.config.rateLimit.maxRequests,
+            handler: (req, res, next, options) => next(new RateLimitedError('Too many requests from this IP', {
+                retryAfter: Math.ceil(options.windowMs / 1000)
+            })),
+            // Orchestrator probes must never be rate limited
+            skip: (req) => ['/health', '/health/live', '/health/ready'].includes(req.path),
             standardHeaders: true,
             legacyHeaders: false,
         });
 
         this.app.use(globalRateLimit);
 
-        // Request logging middleware
-        this.app.use((req, res, next) => {
-            this.logger.info(`${req.method} ${req.path}`, {
-                ip: req.ip,
-                userAgent: req.get('User-Agent'),
-                timestamp: new Date().toISOString()
-            });
-            next();
-        });
-
         this.logger.info('Middleware configured successfully');
     }
 
@@ -115,16 +164,11 @@ class Application {
      * Configure application routes
      */
     configureRoutes() {
-        // Health check endpoint
-        this.app.get('/health', (req, res) => {
-            res.status(200).json({
-                success: true,
-                message: 'Application is healthy',
-                timestamp: new Date().toISOString(),
-                uptime: process.uptime(),
-                environment: process.env.NODE_ENV || 'development'
-            });
-        });
+        // Health checks: liveness, readiness and the admin health report
+        this.app.use('/health', this.container.resolve(TOKENS.healthRoutes).getRouter());
+
+        // Prometheus metrics
+        this.app.get('/metrics', this.container.resolve(TOKENS.metricsMiddleware).serve());
 
         // API versioning
         this.app.get('/api', (req, res) => {
@@ -136,28 +180,25 @@ class Application {
                 endpoints: {
                     auth: '/api/v1/auth',
                     users: '/api/v1/users',
-                    health: '/health'
+                    admin: '/api/v1/admin',
+                    health: {
+                        live: '/health/live',
+                        ready: '/health/ready',
+                        details: '/health/details'
+                    },
+                    metrics: '/metrics'
                 }
             });
         });
 
         // API v1 routes
-        const authRoutes = new AuthRoutes(this.authenticationService, this.logger);
-        const userRoutes = new UserRoutes(this.userService, this.logger);
-
-        this.app.use('/api/v1/auth', authRoutes.getRouter());
-        this.app.use('/api/v1/users', userRoutes.getRouter());
+        this.app.use('/api/v1/auth', this.container.resolve(TOKENS.authRoutes).getRouter());
+        this.app.use('/api/v1/users', this.container.resolve(TOKENS.userRoutes).getRouter());
+        this.app.use('/api/v1/admin', this.container.resolve(TOKENS.adminRoutes).getRouter());
 
         // 404 handler
-        this.app.use('*', (req, res) => {
-            res.status(404).json({
-                success: false,
-                error: {
-                    message: 'Endpoint not found',
-                    code: 'NOT_FOUND',
-                    path: req.originalUrl
-                }
-            });
+        this.app.use('*', (req, res, next) => {
+            next(new NotFoundError('Endpoint not found', { details: { path: req.originalUrl } }));
         });
 
         this.logger.info('Routes configured successfully');
@@ -167,29 +208,31 @@ class Application {
      * Configure error handling middleware
      */
     configureErrorHandling() {
-        // Global error handler
+        // Global error handler: status and error code come from the error's type (see core/errors)
         this.app.use((error, req, res, next) => {
-            this.logger.error('Unhandled error:', error);
+            const appError = normalizeError(error);
 
-            // Don't leak error details in production
-            const isDevelopment = process.env.NODE_ENV === 'development';
-
-            const errorResponse = {
-                success: false,
-                error: {
-                    message: isDevelopment ? error.message : 'Internal server error',
-                    code: 'INTERNAL_ERROR',
-                    timestamp: new Date().toISOString()
-                }
-            };
-
-            if (isDevelopment && error.stack) {
-                errorResponse.error.stack = error.stack;
+            if (appError.statusCode >= 500) {
+                this.logger.error('Unhandled error:', error);
+            } else {
+                this.logger.warn(`Request failed: ${appError.statusCode} - ${appError.message}`);
             }
 
-            res.status(500).json(errorResponse);
+            sendErrorResponse(req, res, error, this.config);
         });
 
+        this.logger.info('Error handling configured successfully');
+    }
+
+    /**
+     * Install the process-wide signal and error handlers
+     * Only the server entrypoint calls this; an app built by createApp leaves the process alone.
+     */
+    installProcessHandlers() {
+        // Handle graceful shutdown
+        process.on('SIGTERM', () => this.gracefulShutdown('SIGTERM'));
+        process.on('SIGINT', () => this.gracefulShutdown('SIGINT'));
+
         // Handle unhandled promise rejections
         process.on('unhandledRejection', (reason, promise) => {
             this.logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
@@ -200,68 +243,70 @@ class Application {
             this.logger.error('Uncaught Exception:', error);
             process.exit(1);
         });
-
-        this.logger.info('Error handling configured successfully');
     }
 
     /**
      * Start the application server
+     * A PORT of 0 listens on an ephemeral port; read it from `server.address()`.
+     * @returns {Promise<http.Server>} Listening server
      */
-    start() {
-        try {
-            // Initialize dependencies
-            this.initializeDependencies();
-
-            // Configure middleware
-            this.configureMiddleware();
+    async start() {
+        this.build();
+
+        // Check schema version before accepting traffic
+        await this.checkMigrations();
+
+        // Start server
+        this.server = await new Promise((resolve, reject) => {
+            const server = this.app.listen(this.port, this.host);
+            this.shutdownManager.trackServer(server);
+            server.once('listening', () => resolve(server));
+            server.once('error', reject);
+        });
 
-            // Configure routes
-            this.configureRoutes();
+        const { port } = this.server.address();
+        this.logger.info(`Server is running on http://${this.host}:${port}`);
+        this.logger.info(`Environment: ${this.config.env}`);
+        this.logger.info(`API Documentation: http://${this.host}:${port}/api`);
 
-            // Configure error handling
-            this.configureErrorHandling();
+        return this.server;
+    }
 
-            // Start server
-            this.app.listen(this.port, this.host, () => {
-                this.logger.info(`Server is running on http://${this.host}:${this.port}`);
-                this.logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-                this.logger.info(`API Documentation: http://${this.host}:${this.port}/api`);
-            });
+    /**
+     * Stop the application: fail readiness, drain the HTTP server, then run the shutdown hooks
+     * Calling again returns the shutdown already in progress.
+     * @returns {Promise<Object>} { clean, timedOut, failedHooks } from ShutdownManager
+     */
+    async stop() {
+        // Fail readiness first so load balancers stop sending new requests
+        this.healthChecks.markShuttingDown();
 
-        } catch (error) {
-            console.error('Failed to start application:', error);
-            process.exit(1);
-        }
+        return this.shutdownManager.shutdown();
     }
 
     /**
-     * Graceful shutdown
+     * Graceful shutdown on a signal; exits non-zero if connections had to be destroyed or a hook failed
+     * @param {string} signal - Signal received
      */
-    gracefulShutdown() {
-        this.logger.info('Received shutdown signal, starting graceful shutdown...');
+    async gracefulShutdown(signal) {
+        if (this.shutdownManager.isShuttingDown) {
+            this.logger.warn(`Received ${signal} while already shutting down`);
+            return;
+        }
 
-        // Close server
-        this.app.close(() => {
-            this.logger.info('HTTP server closed');
-            process.exit(0);
-        });
+        this.logger.info(`Received ${signal}, starting graceful shutdown...`);
 
-        // Force shutdown after 10 seconds
-        setTimeout(() => {
-            this.logger.error('Could not close connections in time, forcefully shutting down');
-            process.exit(1);
-        }, 10000);
+        const { clean } = await this.stop();
+        process.exit(clean ? 0 : 1);
     }
 }
 
-// Create and start application
-const app = new Application();
-
-// Handle graceful shutdown
-process.on('SIGTERM', () => app.gracefulShutdown());
-process.on('SIGINT', () => app.gracefulShutdown());
-
-// Start the application
-app.start();
+/**
+ * Factory: Create a configured Express app without binding a port
+ * @param {Object} [config] - Validated configuration from loadConfig(); read from the environment if omitted
+ * @param {Object} [overrides] - Injected dependencies keyed by container token (userRepository, logger, mailer, clock, ...)
+ * @returns {express.Application} Configured Express app
+ */
+const createApp = (config = loadConfig(), overrides = {}) => new Application(config, overrides).build();
 
-module.exports = app; 
\ No newline at end of file
+module.exports = { Application, createApp };
@@ -0,0 +1,357 @@
+const { TOKENS, rootContainer, instanceCachingFactory } = require('./core/container');
+
+// Core services
+const WinstonLogger = require('./core/services/WinstonLogger');
+const OutboxMailer = require('./core/services/OutboxMailer');
+const SmtpMailer = require('./core/services/SmtpMailer');
+const MailTemplateRenderer = require('./core/services/MailTemplateRenderer');
+const TotpProvider = require('./core/services/TotpProvider');
+const MigrationRunner = require('./core/services/MigrationRunner');
+const AuditLogger = require('./core/services/AuditLogger');
+const RequestContext = require('./core/services/RequestContext');
+const HealthCheckRegistry = require('./core/services/HealthCheckRegistry');
+const ShutdownManager = require('./core/services/ShutdownManager');
+const { MetricsRegistry, registerProcessMetrics } = require('./core/metrics');
+const { RoleRegistry } = require('./core/authorization');
+const { createPolicyEngine } = require('./policies');
+
+// Repositories
+const InMemoryUserRepository = require('./repositories/InMemoryUserRepository');
+const FileUserRepository = require('./repositories/FileUserRepository');
+const FileMigrationStore = require('./repositories/FileMigrationStore');
+const InMemoryRefreshTokenRepository = require('./repositories/InMemoryRefreshTokenRepository');
+const InMemoryTokenDenylist = require('./repositories/InMemoryTokenDenylist');
+const InMemoryOneTimeTokenRepository = require('./repositories/InMemoryOneTimeTokenRepository');
+
+// Services
+const AuthenticationService = require('./services/AuthenticationService');
+const RefreshTokenService = require('./services/RefreshTokenService');
+const OneTimeTokenService = require('./services/OneTimeTokenService');
+const NotificationService = require('./services/NotificationService');
+const MfaService = require('./services/MfaService');
+const AccountLockoutService = require('./services/AccountLockoutService');
+const UserService = require('./services/UserService');
+
+// Controllers
+const AuthController = require('./controllers/AuthController');
+const UserController = require('./controllers/UserController');
+const AdminController = require('./controllers/AdminController');
+const HealthController = require('./controllers/HealthController');
+
+// Middleware
+const RequestContextMiddleware = require('./middleware/RequestContextMiddleware');
+const AccessLogMiddleware = require('./middleware/AccessLogMiddleware');
+const MetricsMiddleware = require('./middleware/MetricsMiddleware');
+const AuthenticationMiddleware = require('./middleware/AuthenticationMiddleware');
+
+// Routes
+const AuthRoutes = require('./routes/authRoutes');
+const UserRoutes = require('./routes/userRoutes');
+const AdminRoutes = require('./routes/adminRoutes');
+const HealthRoutes = require('./routes/healthRoutes');
+
+/**
+ * Create the logger for a module, so its level can be set on its own (LOG_LEVELS)
+ * @param {DependencyContainer} container - Container to resolve the root logger from
+ * @param {string} module - Module name, logged as `module` on every entry
+ * @returns {ILogger} Child logger
+ */
+const moduleLogger = (container, module) => container.resolve(TOKENS.logger).child({ module });
+
+/**
+ * Factory Method: Create the user repository for the configured driver
+ * @param {Object} config - Validated configuration
+ * @returns {IRepository} User repository instance
+ */
+const createUserRepository = (config) => {
+    const drivers = {
+        memory: () => new InMemoryUserRepository(),
+        file: () => new FileUserRepository({ filePath: config.persistence.userDbPath })
+    };
+    const driver = config.persistence.userRepository;
+
+    if (!drivers[driver]) {
+        throw new Error(`Unknown user repository: ${driver}`);
+    }
+
+    return drivers[driver]();
+};
+
+/**
+ * Factory Method: Create the mailer for the configured driver
+ * @param {Object} config - Validated configuration
+ * @returns {IMailer} Mailer instance
+ */
+const createMailer = (config) => {
+    const { driver, from, outboxDir, smtp } = config.mail;
+    const drivers = {
+        outbox: () => new OutboxMailer({ outboxDir, from }),
+        smtp: () => new SmtpMailer({ ...smtp, from })
+    };
+
+    if (!drivers[driver]) {
+        throw new Error(`Unknown mail driver: ${driver}`);
+    }
+
+    return drivers[driver]();
+};
+
+/**
+ * Factory: Create the application's dependency container
+ * Every dependency is registered under a token from TOKENS and created on first resolve,
+ * once per container. Each call returns a new child of the tsyringe root container, so
+ * several apps (one per test) never share instances.
+ * @param {Object} config - Validated configuration from loadConfig()
+ * @param {Object} [overrides] - Instances to register instead of the configured ones,
+ *   keyed by token (e.g. `{ userRepository, mailer, logger, clock }`)
+ * @returns {DependencyContainer} Container
+ * @throws {Error} When an override does not name a registered token
+ */
+const createContainer = (config, overrides = {}) => {
+    const unknown = Object.keys(overrides).filter(key => !Object.values(TOKENS).includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown dependency override: ${unknown.join(', ')}`);
+    }
+
+    const container = rootContainer.createChildContainer();
+
+    /**
+     * Register an application-wide instance, unless an override replaces it
+     * @param {string} token - Registration token
+     * @param {Function} factory - Receives the resolving container, returns the instance
+     */
+    const singleton = (token, factory) => {
+        if (overrides[token] !== undefined) {
+            container.register(token, { useValue: overrides[token] });
+            return;
+        }
+
+        container.register(token, { useFactory: instanceCachingFactory(factory) });
+    };
+
+    // Configuration and infrastructure
+    singleton(TOKENS.config, () => config);
+    singleton(TOKENS.clock, () => Date);
+
+    // Roles and their permissions
+    singleton(TOKENS.roleRegistry, () => new RoleRegistry(config.authorization.roles));
+    singleton(TOKENS.policyEngine, c => createPolicyEngine(c.resolve(TOKENS.roleRegistry)));
+
+    // Per-request correlation data, read by the logger
+    // Request data travels through this AsyncLocalStorage store rather than a per-request
+    // container, so application-wide services and repositories can read it too.
+    singleton(TOKENS.requestContext, () => new RequestContext());
+
+    // Logger, one per container; each service gets a child logger named after it
+    singleton(TOKENS.logger, c => new WinstonLogger({
+        singleton: false,
+        level: config.logging.level,
+        levels: config.logging.levels,
+        redactPaths: config.logging.redactPaths,
+        logFilePath: config.logging.filePath,
+        production: config.isProduction,
+        requestContext: c.resolve(TOKENS.requestContext)
+    }));
+
+    // Metrics registry, one per container, passed to every service for operation metrics
+    singleton(TOKENS.metrics, () => {
+        const metrics = new MetricsRegistry({ singleton: false });
+        registerProcessMetrics(metrics);
+        return metrics;
+    });
+
+    // Repositories
+    singleton(TOKENS.userRepository, () => createUserRepository(config));
+    // Token stores have no file driver and do not follow USER_REPOSITORY
+    singleton(TOKENS.refreshTokenRepository, () => new InMemoryRefreshTokenRepository());
+    singleton(TOKENS.tokenDenylist, () => new InMemoryTokenDenylist());
+    singleton(TOKENS.oneTimeTokenRepository, () => new InMemoryOneTimeTokenRepository());
+
+    // Outbound mail
+    singleton(TOKENS.mailer, () => createMailer(config));
+    singleton(TOKENS.mailTemplateRenderer, () => new MailTemplateRenderer({ appName: config.app.name }));
+
+    // Services
+    singleton(TOKENS.notificationService, c => new NotificationService(
+        moduleLogger(c, 'NotificationService'),
+        c.resolve(TOKENS.mailer),
+        c.resolve(TOKENS.mailTemplateRenderer),
+        { baseUrl: config.app.baseUrl, metrics: c.resolve(TOKENS.metrics) }
+    ));
+    singleton(TOKENS.refreshTokenService, c => new RefreshTokenService(
+        moduleLogger(c, 'RefreshTokenService'),
+        c.resolve(TOKENS.refreshTokenRepository),
+        {
+            ttlDays: config.auth.refreshTokenTtlDays,
+            clock: c.resolve(TOKENS.clock),
+            metrics: c.resolve(TOKENS.metrics)
+        }
+    ));
+    singleton(TOKENS.oneTimeTokenService, c => new OneTimeTokenService(
+        moduleLogger(c, 'OneTimeTokenService'),
+        c.resolve(TOKENS.oneTimeTokenRepository),
+        {
+            passwordResetTtlMinutes: config.auth.passwordResetTokenTtlMinutes,
+            emailVerificationTtlHours: config.auth.emailVerificationTokenTtlHours,
+            clock: c.resolve(TOKENS.clock),
+            metrics: c.resolve(TOKENS.metrics)
+        }
+    ));
+    singleton(TOKENS.totpProvider, c => new TotpProvider({ clock: c.resolve(TOKENS.clock) }));
+    singleton(TOKENS.mfaService, c => new MfaService(
+        moduleLogger(c, 'MfaService'),
+        c.resolve(TOKENS.userRepository),
+        c.resolve(TOKENS.totpProvider),
+        { issuer: config.mfa.issuer, metrics: c.resolve(TOKENS.metrics) }
+    ));
+    singleton(TOKENS.auditLogger, c => new AuditLogger(moduleLogger(c, 'AuditLogger')));
+    singleton(TOKENS.accountLockoutService, c => new AccountLockoutService(
+        moduleLogger(c, 'AccountLockoutService'),
+        c.resolve(TOKENS.userRepository),
+        c.resolve(TOKENS.auditLogger),
+        {
+            maxAttempts: config.lockout.maxAttempts,
+            lockoutMinutes: config.lockout.durationMinutes,
+            delayAfterAttempts: config.lockout.delayAfterAttempts,
+            clock: c.resolve(TOKENS.clock),
+            policyEngine: c.resolve(TOKENS.policyEngine),
+            metrics: c.resolve(TOKENS.metrics)
+        }
+    ));
+    singleton(TOKENS.authenticationService, c => new AuthenticationService(
+        moduleLogger(c, 'AuthenticationService'),
+        c.resolve(TOKENS.userRepository),
+        {
+            refreshTokenService: c.resolve(TOKENS.refreshTokenService),
+            tokenDenylist: c.resolve(TOKENS.tokenDenylist),
+            oneTimeTokenService: c.resolve(TOKENS.oneTimeTokenService),
+            notificationService: c.resolve(TOKENS.notificationService),
+            mfaService: c.resolve(TOKENS.mfaService),
+            accountLockoutService: c.resolve(TOKENS.accountLockoutService)
+        },
+        {
+            jwtSecret: config.auth.jwtSecret,
+            jwtExpiresIn: config.auth.jwtExpiresIn,
+            mfaChallengeExpiresIn: config.mfa.challengeExpiresIn,
+            mfaRequiredRoles: config.mfa.requiredRoles,
+            bcryptRounds: config.auth.bcryptRounds,
+            metrics: c.resolve(TOKENS.metrics)
+        }
+    ));
+    singleton(TOKENS.userService, c => new UserService(
+        moduleLogger(c, 'UserService'),
+        c.resolve(TOKENS.userRepository),
+        c.resolve(TOKENS.policyEngine),
+        c.resolve(TOKENS.roleRegistry),
+        { metrics: c.resolve(TOKENS.metrics) }
+    ));
+
+    // Migrations, for the configured migrations directory and table
+    singleton(TOKENS.migrationRunner, c => new MigrationRunner(
+        moduleLogger(c, 'MigrationRunner'),
+        new FileMigrationStore({ filePath: config.persistence.migrationsTablePath }),
+        { directory: config.persistence.migrationsDir, context: { userDbPath: config.persistence.userDbPath } }
+    ));
+
+    // Dependency checks behind the readiness probe
+    // Mail delivery is not critical: a broken mail server should not take the API out of rotation.
+    singleton(TOKENS.healthChecks, (c) => {
+        const healthChecks = new HealthCheckRegistry(moduleLogger(c, 'HealthCheckRegistry'), {
+            defaultTimeoutMs: config.health.checkTimeoutMs
+        });
+        const userRepository = c.resolve(TOKENS.userRepository);
+        const mailer = c.resolve(TOKENS.mailer);
+
+        healthChecks.register('userRepository', () => userRepository.checkHealth());
+        healthChecks.register('mailer', () => mailer.checkHealth(), { timeoutMs: 5000, critical: false });
+
+        if (config.persistence.userRepository !== 'memory') {
+            const migrationRunner = c.resolve(TOKENS.migrationRunner);
+            healthChecks.register('migrations', () => migrationRunner.assertUpToDate());
+        }
+
+        return healthChecks;
+    });
+
+    // Resources released once the HTTP server has drained
+    // Pending repository writes are flushed before the mailer is closed.
+    singleton(TOKENS.shutdownManager, (c) => {
+        const shutdownManager = new ShutdownManager(moduleLogger(c, 'ShutdownManager'), {
+            timeoutMs: config.shutdown.timeoutMs,
+            drainDelayMs: config.shutdown.drainDelayMs
+        });
+        const tokenDenylist = c.resolve(TOKENS.tokenDenylist);
+        const userRepository = c.resolve(TOKENS.userRepository);
+        const mailer = c.resolve(TOKENS.mailer);
+
+        shutdownManager.register('tokenDenylist', () => tokenDenylist.stop());
+
+        if (config.persistence.userRepository === 'file') {
+            shutdownManager.register('userRepository', () => userRepository.flush());
+        }
+
+        shutdownManager.register('mailer', () => mailer.close());
+
+        return shutdownManager;
+    });
+
+    // Controllers
+    singleton(TOKENS.authController, c => new AuthController(
+        moduleLogger(c, 'AuthController'),
+        c.resolve(TOKENS.authenticationService),
+        c.resolve(TOKENS.mfaService),
+        { config }
+    ));
+    singleton(TOKENS.userController, c => new UserController(
+        moduleLogger(c, 'UserController'),
+        c.resolve(TOKENS.userService),
+        c.resolve(TOKENS.accountLockoutService),
+        c.resolve(TOKENS.roleRegistry),
+        { config }
+    ));
+    singleton(TOKENS.adminController, c => new AdminController(
+        moduleLogger(c, 'AdminController'),
+        c.resolve(TOKENS.logger),
+        c.resolve(TOKENS.auditLogger),
+        { config }
+    ));
+    singleton(TOKENS.healthController, c => new HealthController(
+        moduleLogger(c, 'HealthController'),
+        c.resolve(TOKENS.healthChecks),
+        { config }
+    ));
+
+    // Middleware
+    singleton(TOKENS.requestContextMiddleware, c => new RequestContextMiddleware(c.resolve(TOKENS.requestContext)));
+    singleton(TOKENS.accessLogMiddleware, c => new AccessLogMiddleware(
+        moduleLogger(c, 'AccessLog'),
+        config.logging.accessLog
+    ));
+    singleton(TOKENS.metricsMiddleware, c => new MetricsMiddleware(c.resolve(TOKENS.metrics), { token: config.metrics.token }));
+    singleton(TOKENS.authenticationMiddleware, c => new AuthenticationMiddleware(
+        c.resolve(TOKENS.authenticationService),
+        c.resolve(TOKENS.roleRegistry)
+    ));
+
+    // Routes
+    singleton(TOKENS.authRoutes, c => new AuthRoutes(
+        c.resolve(TOKENS.authController),
+        c.resolve(TOKENS.authenticationMiddleware)
+    ));
+    singleton(TOKENS.userRoutes, c => new UserRoutes(
+        c.resolve(TOKENS.userController),
+        c.resolve(TOKENS.authenticationMiddleware)
+    ));
+    singleton(TOKENS.adminRoutes, c => new AdminRoutes(
+        c.resolve(TOKENS.adminController),
+        c.resolve(TOKENS.authenticationMiddleware)
+    ));
+    singleton(TOKENS.healthRoutes, c => new HealthRoutes(
+        c.resolve(TOKENS.healthController),
+        c.resolve(TOKENS.authenticationMiddleware)
+    ));
+
+    return container;
+};
+
+module.exports = { createContainer, TOKENS };
@@ -0,0 +1,94 @@
+const BaseController = require('./BaseController');
+const Joi = require('joi');
+const { NotFoundError } = require('../core/errors');
+
+const MODULE_NAME = Joi.string().pattern(/^[\w.-]+$/).max(100);
+
+/**
+ * @class AdminController
+ * @description Operational endpoints for administrators
+ * Log level changes apply to the running process only; they are not persisted and reset to
+ * LOG_LEVEL / LOG_LEVELS on restart. Every change is recorded in the audit log.
+ */
+class AdminController extends BaseController {
+    constructor(logger, rootLogger, auditLogger, options = {}) {
+        super(logger, options);
+
+        if (!rootLogger) {
+            throw new Error('Root logger dependency is required');
+        }
+
+        if (!auditLogger) {
+            throw new Error('AuditLogger dependency is required');
+        }
+
+        // Dependency Injection: Inject the logger whose levels are managed and the audit logger
+        this._rootLogger = rootLogger;
+        this._auditLogger = auditLogger;
+    }
+
+    /**
+     * Get the default log level and per-module overrides
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    getLogLevels = this.asyncHandler(async (req, res) => {
+        this.sendSuccess(res, this._rootLogger.getLevels(), 200, 'Log levels retrieved successfully');
+    });
+
+    /**
+     * Set the default log level, or a module's level when a module is given
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    setLogLevel = this.asyncHandler(async (req, res) => {
+        // Validate request body
+        const schema = Joi.object({
+            level: Joi.string().required(),
+            module: MODULE_NAME.optional()
+        });
+
+        const { level, module } = this.validateRequest(req, schema);
+        const previousLevel = this._rootLogger.getLevel(module);
+
+        this._rootLogger.setLevel(level, module);
+
+        this._auditLogger.record('admin.log_level_changed', {
+            actorId: req.user.id,
+            module: module || null,
+            level,
+            previousLevel
+        });
+
+        this.sendSuccess(res, this._rootLogger.getLevels(), 200, 'Log level updated successfully');
+    });
+
+    /**
+     * Remove a module's level override
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    resetLogLevel = this.asyncHandler(async (req, res) => {
+        // Validate path parameters
+        const paramsSchema = Joi.object({
+            module: MODULE_NAME.required()
+        });
+
+        const { module } = this.validateParams(req, paramsSchema);
+        const previousLevel = this._rootLogger.getLevel(module);
+
+        if (!this._rootLogger.resetLevel(module)) {
+            throw new NotFoundError(`No log level override for module: ${module}`);
+        }
+
+        this._auditLogger.record('admin.log_level_reset', {
+            actorId: req.user.id,
+            module,
+            previousLevel
+        });
+
+        this.sendSuccess(res, this._rootLogger.getLevels(), 200, 'Log level override removed successfully');
+    });
+}
+
+module.exports = AdminController;
@@ -1,5 +1,6 @@
 const BaseController = require('./BaseController');
 const Joi = require('joi');
+const { UnauthorizedError } = require('../core/errors');
 
 /**
  * @class AuthController
@@ -8,15 +9,20 @@ const Joi = require('joi');
  * Follows Open/Closed Principle - open for extension, closed for modification
  */
 class AuthController extends BaseController {
-    constructor(logger, authenticationService) {
-        super(logger);
+    constructor(logger, authenticationService, mfaService, options = {}) {
+        super(logger, options);
 
         if (!authenticationService) {
             throw new Error('AuthenticationService dependency is required');
         }
 
-        // Dependency Injection: Inject authentication service
+        if (!mfaService) {
+            throw new Error('MfaService dependency is required');
+        }
+
+        // Dependency Injection: Inject authentication and MFA services
         this._authenticationService = authenticationService;
+        this._mfaService = mfaService;
     }
 
     /**
@@ -34,10 +40,44 @@ class AuthController extends BaseController {
         const { email, password } = this.validateRequest(req, loginSchema);
 
         // Authenticate user
-        const result = await this._authenticationService.authenticate(email, password);
+        const result = await this._authenticationService.authenticate(email, password, {
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
 
         if (!result.success) {
-            throw new Error(result.error.message);
+            throw result.error;
+        }
+
+        if (result.data.mfaRequired) {
+            return this.sendSuccess(res, result.data, 200, 'Two-factor authentication required');
+        }
+
+        this.sendSuccess(res, result.data, 200, 'Login successful');
+    });
+
+    /**
+     * Second login step for accounts with two-factor authentication
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    loginMfa = this.asyncHandler(async (req, res) => {
+        // Validate request body
+        const mfaLoginSchema = Joi.object({
+            mfaToken: Joi.string().required(),
+            code: Joi.string().max(32).required()
+        });
+
+        const { mfaToken, code } = this.validateRequest(req, mfaLoginSchema);
+
+        // Verify the challenge and code, then open the session
+        const result = await this._authenticationService.completeMfaLogin(mfaToken, code, {
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        if (!result.success) {
+            throw result.error;
         }
 
         this.sendSuccess(res, result.data, 200, 'Login successful');
@@ -54,8 +94,7 @@ class AuthController extends BaseController {
             email: Joi.string().email().required(),
             password: Joi.string().min(8).required(),
             firstName: Joi.string().min(2).max(50).required(),
-            lastName: Joi.string().min(2).max(50).required(),
-            role: Joi.string().valid('user', 'admin', 'moderator').default('user')
+            lastName: Joi.string().min(2).max(50).required()
         });
 
         const userData = this.validateRequest(req, registerSchema);
@@ -64,7 +103,7 @@ class AuthController extends BaseController {
         const result = await this._authenticationService.register(userData);
 
         if (!result.success) {
-            throw new Error(result.error.message);
+            throw result.error;
         }
 
         this.sendSuccess(res, result.data, 201, 'User registered successfully');
@@ -76,18 +115,18 @@ class AuthController extends BaseController {
      * @param {Object} res - Express response object
      */
     refreshToken = this.asyncHandler(async (req, res) => {
-        const authHeader = req.headers.authorization;
-        const token = authHeader && authHeader.split(' ')[1];
+        // Validate request body
+        const refreshSchema = Joi.object({
+            refreshToken: Joi.string().required()
+        });
 
-        if (!token) {
-            throw new Error('Refresh token is required');
-        }
+        const { refreshToken } = this.validateRequest(req, refreshSchema);
 
-        // Refresh token
-        const result = await this._authenticationService.refreshToken(token);
+        // Rotate refresh token
+        const result = await this._authenticationService.refreshToken(refreshToken);
 
         if (!result.success) {
-            throw new Error(result.error.message);
+            throw result.error;
         }
 
         this.sendSuccess(res, result.data, 200, 'Token refreshed successfully');
@@ -100,7 +139,7 @@ class AuthController extends BaseController {
      */
     getProfile = this.asyncHandler(async (req, res) => {
         if (!req.user) {
-            throw new Error('User not authenticated');
+            throw new UnauthorizedError('User not authenticated');
         }
 
         this.sendSuccess(res, req.user.toPublicJSON(), 200, 'Profile retrieved successfully');
@@ -113,7 +152,7 @@ class AuthController extends BaseController {
      */
     changePassword = this.asyncHandler(async (req, res) => {
         if (!req.user) {
-            throw new Error('User not authenticated');
+            throw new UnauthorizedError('User not authenticated');
         }
 
         // Validate request body
@@ -124,43 +163,149 @@ class AuthController extends BaseController {
 
         const { currentPassword, newPassword } = this.validateRequest(req, passwordSchema);
 
-        // Verify current password
-        const isValidPassword = await this._authenticationService.comparePassword(
+        // Verify current password and update it; other sessions end
+        const result = await this._authenticationService.changePassword(
+            req.user.id,
             currentPassword,
-            req.user.password
+            newPassword,
+            { mfa: req.tokenPayload.mfa }
         );
 
-        if (!isValidPassword) {
-            throw new Error('Current password is incorrect');
+        if (!result.success) {
+            throw result.error;
         }
 
-        // Hash new password
-        const hashedPassword = await this._authenticationService.hashPassword(newPassword);
+        this.sendSuccess(res, result.data, 200, 'Password changed successfully');
+    });
 
-        // Update user password
-        const updatedUser = await this._authenticationService._userRepository.update(
-            req.user.id,
-            { password: hashedPassword }
-        );
+    /**
+     * Logout endpoint
+     * Revokes the presented access token and, if supplied, the session's refresh token
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    logout = this.asyncHandler(async (req, res) => {
+        // Validate request body
+        const logoutSchema = Joi.object({
+            refreshToken: Joi.string().optional()
+        });
+
+        const { refreshToken } = this.validateRequest(req, logoutSchema);
 
-        if (!updatedUser) {
-            throw new Error('Failed to update password');
+        const result = await this._authenticationService.logout(req.tokenPayload, refreshToken);
+
+        if (!result.success) {
+            throw result.error;
         }
 
-        this.sendSuccess(res, null, 200, 'Password changed successfully');
+        this._logger.info(`User ${req.user?.id || 'unknown'} logged out`);
+
+        this.sendSuccess(res, null, 200, 'Logout successful');
     });
 
     /**
-     * Logout endpoint (client-side token removal)
+     * Logout from all devices endpoint
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      */
-    logout = this.asyncHandler(async (req, res) => {
-        // In a stateless JWT system, logout is handled client-side
-        // This endpoint can be used for logging purposes
-        this._logger.info(`User ${req.user?.id || 'unknown'} logged out`);
+    logoutAll = this.asyncHandler(async (req, res) => {
+        if (!req.user) {
+            throw new UnauthorizedError('User not authenticated');
+        }
 
-        this.sendSuccess(res, null, 200, 'Logout successful');
+        const result = await this._authenticationService.logoutAllDevices(req.user.id);
+
+        if (!result.success) {
+            throw result.error;
+        }
+
+        this.sendSuccess(res, result.data, 200, 'Logged out of all devices');
+    });
+
+    /**
+     * Start two-factor enrollment
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    setupMfa = this.asyncHandler(async (req, res) => {
+        if (!req.user) {
+            throw new UnauthorizedError('User not authenticated');
+        }
+
+        const result = await this._mfaService.beginEnrollment(req.user.id);
+
+        if (!result.success) {
+            throw result.error;
+        }
+
+        // The raw secret is exposed as a manual entry key for apps that cannot scan QR codes
+        this.sendSuccess(res, {
+            otpauthUri: result.data.otpauthUri,
+            manualEntryKey: result.data.secret
+        }, 200, 'Two-factor enrollment started');
+    });
+
+    /**
+     * Confirm two-factor enrollment with a code from the authenticator app
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    confirmMfa = this.asyncHandler(async (req, res) => {
+        if (!req.user) {
+            throw new UnauthorizedError('User not authenticated');
+        }
+
+        const { code } = this.validateRequest(req, this.getMfaCodeSchema());
+
+        const result = await this._mfaService.confirmEnrollment(req.user.id, code);
+
+        if (!result.success) {
+            throw result.error;
+        }
+
+        this.sendSuccess(res, result.data, 200, 'Two-factor authentication enabled');
+    });
+
+    /**
+     * Disable two-factor authentication
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    disableMfa = this.asyncHandler(async (req, res) => {
+        if (!req.user) {
+            throw new UnauthorizedError('User not authenticated');
+        }
+
+        const { code } = this.validateRequest(req, this.getMfaCodeSchema());
+
+        const result = await this._mfaService.disable(req.user.id, code);
+
+        if (!result.success) {
+            throw result.error;
+        }
+
+        this.sendSuccess(res, null, 200, 'Two-factor authentication disabled');
+    });
+
+    /**
+     * Replace the recovery codes
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    regenerateRecoveryCodes = this.asyncHandler(async (req, res) => {
+        if (!req.user) {
+            throw new UnauthorizedError('User not authenticated');
+        }
+
+        const { code } = this.validateRequest(req, this.getMfaCodeSchema());
+
+        const result = await this._mfaService.regenerateRecoveryCodes(req.user.id, code);
+
+        if (!result.success) {
+            throw result.error;
+        }
+
+        this.sendSuccess(res, result.data, 200, 'Recovery codes regenerated');
     });
 
     /**
@@ -176,18 +321,14 @@ class AuthController extends BaseController {
 
         const { token } = this.validateParams(req, paramsSchema);
 
-        // Verify token and get user
-        const decoded = await this._authenticationService.verifyToken(token);
-        const user = await this._authenticationService._userRepository.findById(decoded.userId);
+        // Consume verification token and mark email as verified
+        const result = await this._authenticationService.verifyEmail(token);
 
-        if (!user) {
-            throw new Error('Invalid verification token');
+        if (!result.success) {
+            throw result.error;
         }
 
-        // Mark email as verified
-        user.verifyEmail();
-
-        this.sendSuccess(res, user.toPublicJSON(), 200, 'Email verified successfully');
+        this.sendSuccess(res, result.data, 200, 'Email verified successfully');
     });
 
     /**
@@ -203,13 +344,16 @@ class AuthController extends BaseController {
 
         const { email } = this.validateRequest(req, emailSchema);
 
-        // Check if user exists
-        const user = await this._authenticationService._userRepository.findByEmail(email);
+        // Issue a reset token if the account exists
+        const result = await this._authenticationService.requestPasswordReset(email);
+
+        if (!result.success) {
+            throw result.error;
+        }
 
         // Always return success to prevent email enumeration
-        if (user) {
-            // In a real application, send password reset email here
-            this._logger.info(`Password reset requested for user: ${email}`);
+        if (result.data) {
+            this._logger.info('Password reset requested', { email });
         }
 
         this.sendSuccess(res, null, 200, 'If the email exists, a password reset link has been sent');
@@ -229,29 +373,40 @@ class AuthController extends BaseController {
 
         const { token, newPassword } = this.validateRequest(req, resetSchema);
 
-        // Verify token and get user
-        const decoded = await this._authenticationService.verifyToken(token);
-        const user = await this._authenticationService._userRepository.findById(decoded.userId);
+        // Consume reset token and update password
+        const result = await this._authenticationService.resetPassword(token, newPassword);
 
-        if (!user) {
-            throw new Error('Invalid reset token');
+        if (!result.success) {
+            throw result.error;
         }
 
-        // Hash new password
-        const hashedPassword = await this._authenticationService.hashPassword(newPassword);
+        this.sendSuccess(res, null, 200, 'Password reset successfully');
+    });
 
-        // Update user password
-        const updatedUser = await this._authenticationService._userRepository.update(
-            user.id,
-            { password: hashedPassword }
-        );
+    /**
+     * Schema for endpoints that take a single TOTP or recovery code
+     * @returns {Joi.ObjectSchema} Validation schema
+     */
+    getMfaCodeSchema() {
+        return Joi.object({
+            code: Joi.string().max(32).required()
+        });
+    }
 
-        if (!updatedUser) {
-            throw new Error('Failed to reset password');
+    /**
+     * Sanitize output data
+     * Authentication responses intentionally carry the issued access token
+     * @param {*} data - Data to sanitize
+     * @returns {*} Sanitized data
+     */
+    sanitizeOutput(data) {
+        if (data && typeof data === 'object' && data.token) {
+            const { token, ...rest } = data;
+            return { ...super.sanitizeOutput(rest), token };
         }
 
-        this.sendSuccess(res, null, 200, 'Password reset successfully');
-    });
+        return super.sanitizeOutput(data);
+    }
 }
 
 module.exports = AuthController; 
\ No newline at end of file
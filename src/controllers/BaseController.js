@@ -1,3 +1,5 @@
+const { ValidationError, normalizeError, sendErrorResponse } = require('../core/errors');
+
 /**
  * @abstract BaseController
  * @description Abstract base class for all controllers
@@ -5,13 +7,14 @@
  * Follows Open/Closed Principle - open for extension, closed for modification
  */
 class BaseController {
-    constructor(logger) {
+    constructor(logger, options = {}) {
         if (!logger) {
             throw new Error('Logger dependency is required');
         }
 
-        // Dependency Injection: Inject logger dependency
+        // Dependency Injection: Inject logger and configuration (for the environment)
         this._logger = logger;
+        this._config = options.config || {};
     }
 
     /**
@@ -35,25 +38,16 @@ class BaseController {
 
     /**
      * Template Method: Standard error response
+     * The status code and error code come from the error's type, and the body format
+     * (problem+json or the success/error envelope) from the request's Accept header
      * @param {Object} res - Express response object
-     * @param {Error|string} error - Error object or message
-     * @param {number} [statusCode=500] - HTTP status code
-     * @param {string} [code] - Error code
+     * @param {Error} error - Error to report
      */
-    sendError(res, error, statusCode = 500, code = 'INTERNAL_ERROR') {
-        const errorMessage = error instanceof Error ? error.message : error;
-
-        const response = {
-            success: false,
-            error: {
-                message: errorMessage,
-                code,
-                timestamp: new Date().toISOString()
-            }
-        };
+    sendError(res, error) {
+        const appError = normalizeError(error);
 
-        this._logger.error(`Error response sent: ${statusCode} - ${errorMessage}`, error);
-        return res.status(statusCode).json(response);
+        this._logger.error(`Error response sent: ${appError.statusCode} - ${appError.message}`, error);
+        return sendErrorResponse(res.req, res, error, this._config);
     }
 
     /**
@@ -67,29 +61,7 @@ class BaseController {
                 await asyncFn(req, res, next);
             } catch (error) {
                 this._logger.error('Controller error:', error);
-
-                // Determine appropriate status code
-                let statusCode = 500;
-                let code = 'INTERNAL_ERROR';
-
-                if (error.message.includes('not found')) {
-                    statusCode = 404;
-                    code = 'NOT_FOUND';
-                } else if (error.message.includes('already exists')) {
-                    statusCode = 409;
-                    code = 'CONFLICT';
-                } else if (error.message.includes('Invalid') || error.message.includes('validation')) {
-                    statusCode = 400;
-                    code = 'VALIDATION_ERROR';
-                } else if (error.message.includes('Unauthorized') || error.message.includes('token')) {
-                    statusCode = 401;
-                    code = 'UNAUTHORIZED';
-                } else if (error.message.includes('Forbidden') || error.message.includes('permission')) {
-                    statusCode = 403;
-                    code = 'FORBIDDEN';
-                }
-
-                this.sendError(res, error, statusCode, code);
+                this.sendError(res, error);
             }
         };
     }
@@ -104,12 +76,12 @@ class BaseController {
         const { error, value } = schema.validate(req.body, { abortEarly: false });
 
         if (error) {
-            const validationErrors = error.details.map(detail => ({
-                field: detail.path.join('.'),
-                message: detail.message
-            }));
+            const validationErrors = ValidationError.detailsFromJoi(error);
 
-            throw new Error(`Validation failed: ${validationErrors.map(e => e.message).join(', ')}`);
+            throw new ValidationError(
+                `Validation failed: ${validationErrors.map(e => e.message).join(', ')}`,
+                validationErrors
+            );
         }
 
         return value;
@@ -125,12 +97,12 @@ class BaseController {
         const { error, value } = schema.validate(req.query, { abortEarly: false });
 
         if (error) {
-            const validationErrors = error.details.map(detail => ({
-                field: detail.path.join('.'),
-                message: detail.message
-            }));
+            const validationErrors = ValidationError.detailsFromJoi(error);
 
-            throw new Error(`Query validation failed: ${validationErrors.map(e => e.message).join(', ')}`);
+            throw new ValidationError(
+                `Query validation failed: ${validationErrors.map(e => e.message).join(', ')}`,
+                validationErrors
+            );
         }
 
         return value;
@@ -146,12 +118,12 @@ class BaseController {
         const { error, value } = schema.validate(req.params, { abortEarly: false });
 
         if (error) {
-            const validationErrors = error.details.map(detail => ({
-                field: detail.path.join('.'),
-                message: detail.message
-            }));
+            const validationErrors = ValidationError.detailsFromJoi(error);
 
-            throw new Error(`Parameter validation failed: ${validationErrors.map(e => e.message).join(', ')}`);
+            throw new ValidationError(
+                `Parameter validation failed: ${validationErrors.map(e => e.message).join(', ')}`,
+                validationErrors
+            );
         }
 
         return value;
@@ -217,6 +189,36 @@ class BaseController {
         return filters;
     }
 
+    /**
+     * Set a strong ETag derived from an entity version
+     * @param {Object} res - Express response object
+     * @param {number} version - Entity version
+     */
+    setEntityTag(res, version) {
+        if (version !== undefined) {
+            res.set('ETag', `"${version}"`);
+        }
+    }
+
+    /**
+     * Extract the entity versions an If-Match header allows
+     * Weak and malformed tags never match (If-Match uses strong comparison), so a header
+     * containing only those yields an empty list and the update is rejected.
+     * @param {Object} req - Express request object
+     * @returns {number[]|undefined} Acceptable versions, or undefined when any version is acceptable
+     */
+    extractExpectedVersion(req) {
+        const header = req.get('If-Match');
+        if (header === undefined || header.trim() === '*') {
+            return undefined;
+        }
+
+        return header.split(',')
+            .map(tag => tag.trim().match(/^"(\d+)"$/))
+            .filter(Boolean)
+            .map(match => Number(match[1]));
+    }
+
     /**
      * Get controller logger
      * @returns {ILogger} Logger instance
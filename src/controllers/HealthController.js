@@ -0,0 +1,75 @@
+const BaseController = require('./BaseController');
+
+/**
+ * @class HealthController
+ * @description Liveness and readiness probes
+ * Liveness only says the process is up and serving HTTP, so a restart is not triggered by a
+ * failing dependency. Readiness runs the dependency checks and answers 503 while starting,
+ * shutting down or when a critical check fails. Probe responses carry no check details;
+ * those are only in the admin view.
+ */
+class HealthController extends BaseController {
+    constructor(logger, healthCheckRegistry, options = {}) {
+        super(logger, options);
+
+        if (!healthCheckRegistry) {
+            throw new Error('HealthCheckRegistry dependency is required');
+        }
+
+        // Dependency Injection: Inject health check registry
+        this._healthChecks = healthCheckRegistry;
+    }
+
+    /**
+     * Liveness probe
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    live = this.asyncHandler(async (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        res.status(200).json({
+            success: true,
+            status: 'pass',
+            message: 'Application is alive',
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime()
+        });
+    });
+
+    /**
+     * Readiness probe
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    ready = this.asyncHandler(async (req, res) => {
+        const { status, state } = await this._healthChecks.checkReadiness();
+        const isReady = status !== 'fail';
+
+        res.set('Cache-Control', 'no-store');
+        res.status(isReady ? 200 : 503).json({
+            success: isReady,
+            status,
+            state,
+            message: isReady ? 'Application is ready' : 'Application is not ready',
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    /**
+     * Full health report with every check's result (admin only)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    details = this.asyncHandler(async (req, res) => {
+        const report = await this._healthChecks.run();
+
+        res.set('Cache-Control', 'no-store');
+        this.sendSuccess(res, {
+            ...report,
+            uptime: process.uptime(),
+            environment: this._config.env
+        }, 200, 'Health report retrieved successfully');
+    });
+}
+
+module.exports = HealthController;
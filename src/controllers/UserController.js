@@ -1,5 +1,6 @@
 const BaseController = require('./BaseController');
 const Joi = require('joi');
+const { UnauthorizedError } = require('../core/errors');
 
 /**
  * @class UserController
@@ -8,15 +9,25 @@ const Joi = require('joi');
  * Follows Open/Closed Principle - open for extension, closed for modification
  */
 class UserController extends BaseController {
-    constructor(logger, userService) {
-        super(logger);
+    constructor(logger, userService, accountLockoutService, roleRegistry, options = {}) {
+        super(logger, options);
 
         if (!userService) {
             throw new Error('UserService dependency is required');
         }
 
-        // Dependency Injection: Inject user service
+        if (!accountLockoutService) {
+            throw new Error('AccountLockoutService dependency is required');
+        }
+
+        if (!roleRegistry) {
+            throw new Error('RoleRegistry dependency is required');
+        }
+
+        // Dependency Injection: Inject user and account lockout services and the roles to validate against
         this._userService = userService;
+        this._accountLockoutService = accountLockoutService;
+        this._roleRegistry = roleRegistry;
     }
 
     /**
@@ -31,7 +42,7 @@ class UserController extends BaseController {
             limit: Joi.number().integer().min(1).max(100).optional(),
             sort: Joi.string().optional(),
             search: Joi.string().min(2).optional(),
-            role: Joi.string().valid('user', 'admin', 'moderator').optional(),
+            role: Joi.string().valid(...this._roleRegistry.roles).optional(),
             isActive: Joi.boolean().optional(),
             isEmailVerified: Joi.boolean().optional()
         });
@@ -43,10 +54,10 @@ class UserController extends BaseController {
         const filters = this.extractFilters(req);
 
         // Get users
-        const result = await this._userService.getUsers(filters, pagination);
+        const result = await this._userService.getUsers(filters, { ...pagination, actor: req.user });
 
         if (!result.success) {
-            throw new Error(result.error.message);
+            throw result.error;
         }
 
         this.sendSuccess(res, result.data, 200, 'Users retrieved successfully');
@@ -66,12 +77,13 @@ class UserController extends BaseController {
         const { id } = this.validateParams(req, paramsSchema);
 
         // Get user
-        const result = await this._userService.getUserById(id);
+        const result = await this._userService.getUserById(id, { actor: req.user });
 
         if (!result.success) {
-            throw new Error(result.error.message);
+            throw result.error;
         }
 
+        this.setEntityTag(res, result.data.version);
         this.sendSuccess(res, result.data, 200, 'User retrieved successfully');
     });
 
@@ -87,16 +99,16 @@ class UserController extends BaseController {
             password: Joi.string().min(8).required(),
             firstName: Joi.string().min(2).max(50).required(),
             lastName: Joi.string().min(2).max(50).required(),
-            role: Joi.string().valid('user', 'admin', 'moderator').default('user')
+            role: Joi.string().valid(...this._roleRegistry.roles).default('user')
         });
 
         const userData = this.validateRequest(req, userSchema);
 
         // Create user
-        const result = await this._userService.createUser(userData);
+        const result = await this._userService.createUser(userData, { actor: req.user });
 
         if (!result.success) {
-            throw new Error(result.error.message);
+            throw result.error;
         }
 
         this.sendSuccess(res, result.data, 201, 'User created successfully');
@@ -120,19 +132,23 @@ class UserController extends BaseController {
             email: Joi.string().email().optional(),
             firstName: Joi.string().min(2).max(50).optional(),
             lastName: Joi.string().min(2).max(50).optional(),
-            role: Joi.string().valid('user', 'admin', 'moderator').optional(),
+            role: Joi.string().valid(...this._roleRegistry.roles).optional(),
             isEmailVerified: Joi.boolean().optional()
         });
 
         const updates = this.validateRequest(req, updateSchema);
 
-        // Update user
-        const result = await this._userService.updateUser(id, updates);
+        // Update user, honoring If-Match for optimistic concurrency
+        const result = await this._userService.updateUser(id, updates, {
+            actor: req.user,
+            expectedVersion: this.extractExpectedVersion(req)
+        });
 
         if (!result.success) {
-            throw new Error(result.error.message);
+            throw result.error;
         }
 
+        this.setEntityTag(res, result.data.version);
         this.sendSuccess(res, result.data, 200, 'User updated successfully');
     });
 
@@ -150,10 +166,10 @@ class UserController extends BaseController {
         const { id } = this.validateParams(req, paramsSchema);
 
         // Delete user
-        const result = await this._userService.deleteUser(id);
+        const result = await this._userService.deleteUser(id, { actor: req.user });
 
         if (!result.success) {
-            throw new Error(result.error.message);
+            throw result.error;
         }
 
         this.sendSuccess(res, null, 200, 'User deleted successfully');
@@ -173,10 +189,10 @@ class UserController extends BaseController {
         const { id } = this.validateParams(req, paramsSchema);
 
         // Soft delete user
-        const result = await this._userService.softDeleteUser(id);
+        const result = await this._userService.softDeleteUser(id, { actor: req.user });
 
         if (!result.success) {
-            throw new Error(result.error.message);
+            throw result.error;
         }
 
         this.sendSuccess(res, result.data, 200, 'User deactivated successfully');
@@ -196,15 +212,38 @@ class UserController extends BaseController {
         const { id } = this.validateParams(req, paramsSchema);
 
         // Restore user
-        const result = await this._userService.restoreUser(id);
+        const result = await this._userService.restoreUser(id, { actor: req.user });
 
         if (!result.success) {
-            throw new Error(result.error.message);
+            throw result.error;
         }
 
         this.sendSuccess(res, result.data, 200, 'User restored successfully');
     });
 
+    /**
+     * Unlock an account locked after repeated failed sign-ins
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    unlockUser = this.asyncHandler(async (req, res) => {
+        // Validate path parameters
+        const paramsSchema = Joi.object({
+            id: Joi.string().uuid().required()
+        });
+
+        const { id } = this.validateParams(req, paramsSchema);
+
+        // Clear failed sign-in tracking
+        const result = await this._accountLockoutService.unlock(id, req.user);
+
+        if (!result.success) {
+            throw result.error;
+        }
+
+        this.sendSuccess(res, result.data, 200, 'User unlocked successfully');
+    });
+
     /**
      * Verify user email
      * @param {Object} req - Express request object
@@ -219,10 +258,10 @@ class UserController extends BaseController {
         const { id } = this.validateParams(req, paramsSchema);
 
         // Verify user email
-        const result = await this._userService.verifyUserEmail(id);
+        const result = await this._userService.verifyUserEmail(id, { actor: req.user });
 
         if (!result.success) {
-            throw new Error(result.error.message);
+            throw result.error;
         }
 
         this.sendSuccess(res, result.data, 200, 'User email verified successfully');
@@ -238,7 +277,7 @@ class UserController extends BaseController {
         const result = await this._userService.getUserStatistics();
 
         if (!result.success) {
-            throw new Error(result.error.message);
+            throw result.error;
         }
 
         this.sendSuccess(res, result.data, 200, 'User statistics retrieved successfully');
@@ -264,10 +303,10 @@ class UserController extends BaseController {
         const pagination = this.extractPagination(req);
 
         // Search users
-        const result = await this._userService.searchUsers(searchTerm, pagination);
+        const result = await this._userService.searchUsers(searchTerm, { ...pagination, actor: req.user });
 
         if (!result.success) {
-            throw new Error(result.error.message);
+            throw result.error;
         }
 
         this.sendSuccess(res, result.data, 200, 'Search completed successfully');
@@ -280,9 +319,10 @@ class UserController extends BaseController {
      */
     getCurrentUser = this.asyncHandler(async (req, res) => {
         if (!req.user) {
-            throw new Error('User not authenticated');
+            throw new UnauthorizedError('User not authenticated');
         }
 
+        this.setEntityTag(res, req.user.version);
         this.sendSuccess(res, req.user.toPublicJSON(), 200, 'Current user profile retrieved successfully');
     });
 
@@ -293,7 +333,7 @@ class UserController extends BaseController {
      */
     updateCurrentUser = this.asyncHandler(async (req, res) => {
         if (!req.user) {
-            throw new Error('User not authenticated');
+            throw new UnauthorizedError('User not authenticated');
         }
 
         // Validate request body
@@ -304,13 +344,17 @@ class UserController extends BaseController {
 
         const updates = this.validateRequest(req, updateSchema);
 
-        // Update current user
-        const result = await this._userService.updateUser(req.user.id, updates);
+        // Update current user, honoring If-Match for optimistic concurrency
+        const result = await this._userService.updateUser(req.user.id, updates, {
+            actor: req.user,
+            expectedVersion: this.extractExpectedVersion(req)
+        });
 
         if (!result.success) {
-            throw new Error(result.error.message);
+            throw result.error;
         }
 
+        this.setEntityTag(res, result.data.version);
         this.sendSuccess(res, result.data, 200, 'Profile updated successfully');
     });
 }
@@ -12,6 +12,7 @@ class BaseEntity {
         this._createdAt = data.createdAt || new Date();
         this._updatedAt = data.updatedAt || new Date();
         this._isActive = data.isActive !== undefined ? data.isActive : true;
+        this._version = data.version || 1;
 
         // Template Method: Call abstract method during construction
         this.initialize(data);
@@ -43,6 +44,7 @@ class BaseEntity {
             createdAt: this._createdAt,
             updatedAt: this._updatedAt,
             isActive: this._isActive,
+            version: this._version,
             ...this.toPublicJSON()
         };
     }
@@ -62,6 +64,15 @@ class BaseEntity {
         this._updatedAt = new Date();
     }
 
+    /**
+     * Advance the optimistic concurrency version
+     * Called by repositories once per persisted change, not by setters, so an update that
+     * sets several fields still moves the version by one.
+     */
+    advanceVersion() {
+        this._version++;
+    }
+
     /**
      * Soft delete the entity
      */
@@ -95,6 +106,14 @@ class BaseEntity {
         return this._isActive;
     }
 
+    /**
+     * Optimistic concurrency version, incremented once per persisted change
+     * @returns {number} Current version
+     */
+    get version() {
+        return this._version;
+    }
+
     set isActive(value) {
         this._isActive = Boolean(value);
         this.touch();
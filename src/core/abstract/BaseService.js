@@ -1,16 +1,31 @@
+const { ValidationError, normalizeError } = require('../errors');
+const { MetricsRegistry } = require('../metrics');
+
 /**
  * @abstract BaseService
  * @description Abstract base class for all services
  * Implements Template Method pattern and Single Responsibility Principle
+ * Every executeOperation call is counted and timed per service and operation name.
  */
 class BaseService {
-    constructor(logger) {
+    constructor(logger, metrics = new MetricsRegistry()) {
         if (!logger) {
             throw new Error('Logger dependency is required');
         }
 
-        // Dependency Injection: Inject logger dependency
+        // Dependency Injection: Inject logger and metrics registry (the shared registry by default)
         this._logger = logger;
+        this._metrics = metrics;
+        this._operations = metrics.counter({
+            name: 'service_operations_total',
+            help: 'Service operations, by service, operation and outcome (success or failure).',
+            labelNames: ['service', 'operation', 'outcome']
+        });
+        this._operationDuration = metrics.histogram({
+            name: 'service_operation_duration_seconds',
+            help: 'Service operation duration in seconds, by service, operation and outcome.',
+            labelNames: ['service', 'operation', 'outcome']
+        });
 
         // Template Method: Initialize service
         this.initialize();
@@ -31,34 +46,46 @@ class BaseService {
      * @returns {Promise<Object>} Operation result
      */
     async executeOperation(operation, operationName) {
+        const labels = { service: this.constructor.name, operation: operationName };
+        const endTimer = this._operationDuration.startTimer(labels);
+
         try {
             this._logger.debug(`Starting operation: ${operationName}`);
             const result = await operation();
             this._logger.info(`Operation completed successfully: ${operationName}`);
+            this.recordOperation(labels, 'success', endTimer);
             return { success: true, data: result };
         } catch (error) {
             this._logger.error(`Operation failed: ${operationName}`, error);
+            this.recordOperation(labels, 'failure', endTimer);
             return { success: false, error: this.handleError(error) };
         }
     }
 
+    /**
+     * Count a finished operation and record its duration
+     * @param {Object} labels - Service and operation labels
+     * @param {string} outcome - success or failure
+     * @param {Function} endTimer - Timer started with the operation
+     */
+    recordOperation(labels, outcome, endTimer) {
+        this._operations.inc({ ...labels, outcome });
+        endTimer({ outcome });
+    }
+
     /**
      * Template Method: Handle and sanitize errors
+     * Typed errors are passed on unchanged so callers can map them to a response; anything
+     * else is reported as a generic internal error.
      * @param {Error} error - The error to handle
-     * @returns {Object} Sanitized error object
+     * @returns {AppError} Client-safe typed error
      */
     handleError(error) {
-        // Security: Don't leak internal error details
-        const sanitizedError = {
-            message: error.message || 'An unexpected error occurred',
-            code: error.code || 'INTERNAL_ERROR',
-            timestamp: new Date().toISOString()
-        };
-
         // Log full error details internally
         this._logger.error('Full error details:', error);
 
-        return sanitizedError;
+        // Security: Don't leak internal error details
+        return normalizeError(error);
     }
 
     /**
@@ -74,10 +101,7 @@ class BaseService {
             if (error) {
                 return {
                     isValid: false,
-                    errors: error.details.map(detail => ({
-                        field: detail.path.join('.'),
-                        message: detail.message
-                    }))
+                    errors: ValidationError.detailsFromJoi(error)
                 };
             }
 
@@ -86,7 +110,7 @@ class BaseService {
             this._logger.error('Validation error:', validationError);
             return {
                 isValid: false,
-                errors: [{ field: 'unknown', message: 'Validation failed' }]
+                errors: [{ path: '', message: 'Validation failed', type: 'any.unknown' }]
             };
         }
     }
@@ -0,0 +1,83 @@
+const { ForbiddenError } = require('../errors');
+const { deny } = require('./decisions');
+
+/**
+ * @class PolicyEngine
+ * @description Evaluates attribute-based policies declared per action
+ * Policies are registered per resource type as a map of action (a permission name such as
+ * `users:read`) to a pure function of `{ actor, resource, changes, context }` returning a
+ * decision. Actions without a policy, and evaluations without an actor, are denied.
+ */
+class PolicyEngine {
+    /**
+     * @param {Object<string, Object<string, Function>>} [policies] - Policies per resource type
+     */
+    constructor(policies = {}) {
+        this._policies = new Map();
+
+        Object.entries(policies).forEach(([resourceType, actions]) => this.register(resourceType, actions));
+    }
+
+    /**
+     * Register the policies of a resource type, replacing those declared for the same actions
+     * @param {string} resourceType - Resource type, the part of the action name before the colon
+     * @param {Object<string, Function>} actions - Policy per action
+     * @returns {PolicyEngine} This engine, for chaining
+     */
+    register(resourceType, actions) {
+        this._policies.set(resourceType, { ...this._policies.get(resourceType), ...actions });
+        return this;
+    }
+
+    /**
+     * Evaluate the policy of an action
+     * @param {string} action - Action name (see PERMISSIONS)
+     * @param {Object} subject - What the policy decides on
+     * @param {Object} subject.actor - User performing the action
+     * @param {Object} [subject.resource] - Resource acted on
+     * @param {Object} [subject.changes] - Changes requested to the resource
+     * @param {Object} [subject.context] - Facts the policy needs beyond the resource
+     * @returns {Object} Decision
+     */
+    evaluate(action, { actor, resource = null, changes = {}, context = {} } = {}) {
+        const [resourceType] = action.split(':');
+        const policy = (this._policies.get(resourceType) || {})[action];
+
+        if (!policy) {
+            return deny(`No policy defined for ${action}`);
+        }
+
+        if (!actor) {
+            return deny('An actor is required', 'AUTHENTICATION_REQUIRED');
+        }
+
+        return policy({ actor, resource, changes, context });
+    }
+
+    /**
+     * Enforce the policy of an action
+     * @param {string} action - Action name (see PERMISSIONS)
+     * @param {Object} subject - What the policy decides on (see evaluate)
+     * @throws {ForbiddenError} When the policy denies the action
+     */
+    authorize(action, subject) {
+        const decision = this.evaluate(action, subject);
+
+        if (!decision.allowed) {
+            throw new ForbiddenError(decision.reason, { code: decision.code, details: decision.details });
+        }
+    }
+
+    /**
+     * Keep the resources an action is allowed on
+     * @param {string} action - Action name (see PERMISSIONS)
+     * @param {Object} actor - User performing the action
+     * @param {Object[]} resources - Candidate resources
+     * @returns {Object[]} Allowed resources, in their original order
+     */
+    filter(action, actor, resources) {
+        return resources.filter(resource => this.evaluate(action, { actor, resource }).allowed);
+    }
+}
+
+module.exports = PolicyEngine;
@@ -0,0 +1,89 @@
+const { PERMISSIONS, GRANTS, DEFAULT_ROLES } = require('./permissions');
+
+/**
+ * @class RoleRegistry
+ * @description Maps roles to the permissions they grant
+ * Custom definitions are merged over DEFAULT_ROLES, so they can both redefine a built-in role
+ * and add new ones. The container creates one from the configured roles and injects it
+ * wherever roles are checked, so apps with different roles can share a process.
+ */
+class RoleRegistry {
+    /**
+     * @param {Object<string, string[]>} [roles] - Grants per role, merged over DEFAULT_ROLES
+     * @throws {Error} When a role lists a grant that is not a known permission or wildcard
+     */
+    constructor(roles = {}) {
+        this._roles = new Map();
+
+        Object.entries({ ...DEFAULT_ROLES, ...roles }).forEach(([role, grants]) => {
+            const unknown = grants.find(grant => !GRANTS.includes(grant));
+            if (unknown !== undefined) {
+                throw new Error(`Unknown permission for role ${role}: ${unknown}`);
+            }
+
+            this._roles.set(role, Object.freeze([...grants]));
+        });
+    }
+
+    /**
+     * Names of every defined role
+     * @returns {string[]} Role names
+     */
+    get roles() {
+        return Array.from(this._roles.keys());
+    }
+
+    /**
+     * Check whether a role is defined
+     * @param {string} role - Role name
+     * @returns {boolean} Whether the role exists
+     */
+    has(role) {
+        return this._roles.has(role);
+    }
+
+    /**
+     * Get the grants of a role
+     * @param {string} role - Role name
+     * @returns {string[]} Grants; empty for an unknown role
+     */
+    permissionsFor(role) {
+        return this._roles.get(role) || [];
+    }
+
+    /**
+     * Check whether a role grants a permission, directly or through a wildcard
+     * @param {string} role - Role name
+     * @param {string} permission - Permission name (see PERMISSIONS)
+     * @returns {boolean} Whether the permission is granted
+     */
+    can(role, permission) {
+        const [resource] = permission.split(':');
+
+        return this.permissionsFor(role).some(grant => grant === '*'
+            || grant === permission
+            || grant === `${resource}:*`);
+    }
+
+    /**
+     * Check whether a role grants every permission
+     * @param {string} role - Role name
+     * @returns {boolean} Whether the role is unrestricted
+     */
+    grantsAll(role) {
+        return this.permissionsFor(role).includes('*');
+    }
+
+    /**
+     * Check whether a role grants every permission another role grants
+     * @param {string} role - Role name
+     * @param {string} other - Role compared against
+     * @returns {boolean} Whether `other` grants nothing beyond `role`
+     */
+    covers(role, other) {
+        return this.grantsAll(role) || (!this.grantsAll(other) && Object.values(PERMISSIONS)
+            .every(permission => !this.can(other, permission) || this.can(role, permission)));
+    }
+}
+
+module.exports = RoleRegistry;
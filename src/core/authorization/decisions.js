@@ -0,0 +1,31 @@
+/**
+ * @description Policy decisions
+ * A policy returns allow() or deny(); a denial carries the message and error code reported
+ * to the client when the decision is enforced.
+ */
+
+/**
+ * Grant an action
+ * @returns {Object} Allowing decision
+ */
+const allow = () => ({ allowed: true });
+
+/**
+ * Refuse an action
+ * @param {string} reason - Message reported to the client
+ * @param {string} [code] - Error code reported to the client
+ * @param {Object} [details] - Details reported to the client
+ * @returns {Object} Denying decision
+ */
+const deny = (reason, code = 'FORBIDDEN', details) => (details === undefined
+    ? { allowed: false, reason, code }
+    : { allowed: false, reason, code, details });
+
+/**
+ * Combine decisions, keeping the first denial
+ * @param {...Object} decisions - Decisions in order of precedence
+ * @returns {Object} First denying decision, or an allowing one
+ */
+const all = (...decisions) => decisions.find(decision => !decision.allowed) || allow();
+
+module.exports = { allow, deny, all };
@@ -0,0 +1,15 @@
+const { PERMISSIONS, GRANTS, DEFAULT_ROLES } = require('./permissions');
+const { allow, deny, all } = require('./decisions');
+const RoleRegistry = require('./RoleRegistry');
+const PolicyEngine = require('./PolicyEngine');
+
+module.exports = {
+    PERMISSIONS,
+    GRANTS,
+    DEFAULT_ROLES,
+    RoleRegistry,
+    PolicyEngine,
+    allow,
+    deny,
+    all
+};
@@ -0,0 +1,39 @@
+/**
+ * @description Named permissions checked by requirePermission() and RoleRegistry#can()
+ * Names are `resource:action`. A role may be granted a permission by name, every action on a
+ * resource with `resource:*`, or everything with `*`.
+ */
+const PERMISSIONS = Object.freeze({
+    USERS_LIST: 'users:list',
+    USERS_STATISTICS: 'users:statistics',
+    USERS_SEARCH: 'users:search',
+    USERS_READ: 'users:read',
+    USERS_CREATE: 'users:create',
+    USERS_UPDATE: 'users:update',
+    USERS_DELETE: 'users:delete',
+    USERS_DEACTIVATE: 'users:deactivate',
+    USERS_RESTORE: 'users:restore',
+    USERS_UNLOCK: 'users:unlock',
+    USERS_VERIFY_EMAIL: 'users:verify-email',
+    LOG_LEVELS_MANAGE: 'log-levels:manage',
+    HEALTH_DETAILS: 'health:details'
+});
+
+// Every grant a role may list: permission names, `resource:*` and `*`
+const GRANTS = Object.freeze([
+    '*',
+    ...new Set(Object.values(PERMISSIONS).map(permission => `${permission.split(':')[0]}:*`)),
+    ...Object.values(PERMISSIONS)
+]);
+
+/**
+ * @description Built-in roles and their grants
+ * ROLE_PERMISSIONS can redefine these and add custom roles.
+ */
+const DEFAULT_ROLES = Object.freeze({
+    user: [],
+    moderator: [PERMISSIONS.USERS_SEARCH, PERMISSIONS.USERS_READ],
+    admin: ['*']
+});
+
+module.exports = { PERMISSIONS, GRANTS, DEFAULT_ROLES };
@@ -0,0 +1,24 @@
+/**
+ * @class ConfigError
+ * @description Raised at boot when the environment does not satisfy the configuration schema
+ * Carries every problem found, not just the first, so they can all be fixed in one go.
+ * The message is the printable report.
+ */
+class ConfigError extends Error {
+    /**
+     * @param {Object[]} problems - Problems found
+     * @param {string} problems[].key - Environment variable name
+     * @param {string} problems[].message - What is wrong with it
+     */
+    constructor(problems) {
+        const count = problems.length === 1 ? '1 problem' : `${problems.length} problems`;
+        const lines = problems.map(({ message }) => `  - ${message}`);
+
+        super([`Invalid configuration (${count}):`, ...lines].join('\n'));
+
+        this.name = this.constructor.name;
+        this.problems = problems;
+    }
+}
+
+module.exports = ConfigError;
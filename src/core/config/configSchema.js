@@ -0,0 +1,141 @@
+const Joi = require('joi');
+const winston = require('winston');
+const { GRANTS } = require('../authorization');
+
+const LOG_LEVELS = Object.keys(winston.config.npm.levels);
+
+// Value shipped in env.example; never acceptable as a production secret
+const EXAMPLE_JWT_SECRET = 'your-super-secret-jwt-key-change-in-production';
+
+// jsonwebtoken/ms durations such as 90s, 5m, 24h or 30d
+const duration = () => Joi.string().pattern(/^\d+\s*(ms|s|m|h|d|w|y)?$/, 'duration (e.g. 5m, 24h)');
+
+/**
+ * Comma-separated list whose entries must each match a schema; validates to an array
+ * @param {Joi.Schema} entrySchema - Schema for one entry
+ * @returns {Joi.Schema} List schema
+ */
+const commaList = entrySchema => Joi.string().custom((value, helpers) => {
+    const entries = value.split(',').map(entry => entry.trim()).filter(Boolean);
+    const invalid = entries.find(entry => entrySchema.validate(entry).error);
+
+    if (invalid !== undefined) {
+        return helpers.message(`{{#label}} contains an invalid entry: ${invalid}`);
+    }
+
+    return entries;
+});
+
+/**
+ * JSON document that must match a schema; validates to the parsed value
+ * @param {Joi.Schema} documentSchema - Schema for the parsed document
+ * @returns {Joi.Schema} JSON schema
+ */
+const json = documentSchema => Joi.string().custom((value, helpers) => {
+    let document;
+    try {
+        document = JSON.parse(value);
+    } catch (error) {
+        return helpers.message('{{#label}} must be valid JSON');
+    }
+
+    const { value: parsed, error } = documentSchema.validate(document);
+    if (error) {
+        return helpers.message(`{{#label}} is invalid: ${error.message}`);
+    }
+
+    return parsed;
+});
+
+const ROLE_NAME = /^[a-z][a-z0-9_-]*$/;
+
+const productionOnly = (then, otherwise) => ({ is: 'production', then, otherwise });
+
+/**
+ * @description Schema for every environment variable the application reads
+ * Keys are environment variable names; values are converted to their types (numbers,
+ * booleans, lists). Rules that only apply in production use `when('NODE_ENV', ...)`.
+ */
+const configSchema = Joi.object({
+    // Server
+    NODE_ENV: Joi.string().valid('development', 'production', 'test').default('development'),
+    PORT: Joi.number().port().default(3000),
+    HOST: Joi.string().hostname().default('localhost'),
+
+    // Security
+    JWT_SECRET: Joi.string().min(32).required()
+        .when('NODE_ENV', productionOnly(Joi.invalid(EXAMPLE_JWT_SECRET).messages({
+            'any.invalid': '{{#label}} must be changed from the example value in production'
+        }))),
+    JWT_EXPIRES_IN: duration().default('24h'),
+    REFRESH_TOKEN_TTL_DAYS: Joi.number().integer().min(1).max(365).default(30),
+    PASSWORD_RESET_TOKEN_TTL_MINUTES: Joi.number().integer().min(1).max(24 * 60).default(15),
+    EMAIL_VERIFICATION_TOKEN_TTL_HOURS: Joi.number().integer().min(1).max(30 * 24).default(24),
+    BCRYPT_ROUNDS: Joi.number().integer().min(4).max(15).default(12)
+        .when('NODE_ENV', productionOnly(Joi.number().min(10))),
+
+    // Two-factor authentication
+    MFA_ISSUER: Joi.string(),
+    MFA_CHALLENGE_EXPIRES_IN: duration().default('5m'),
+    MFA_REQUIRED_ROLES: commaList(Joi.string().pattern(ROLE_NAME)).default([]),
+
+    // Authorization: {"role": ["permission", ...]} merged over the built-in roles
+    ROLE_PERMISSIONS: json(Joi.object().pattern(
+        Joi.string().pattern(ROLE_NAME),
+        Joi.array().items(Joi.string().valid(...GRANTS)).unique().required()
+    )).default({}),
+
+    // Account lockout
+    LOCKOUT_MAX_ATTEMPTS: Joi.number().integer().min(1).default(10),
+    LOCKOUT_DURATION_MINUTES: Joi.number().integer().min(1).default(15),
+    LOCKOUT_DELAY_AFTER_ATTEMPTS: Joi.number().integer().min(0).default(3),
+
+    // Persistence: users only; refresh tokens, the access token denylist and
+    // reset/verification tokens stay in memory and are lost on restart
+    USER_REPOSITORY: Joi.string().valid('memory', 'file').default('memory'),
+    USER_DB_PATH: Joi.string().default('data/users.json'),
+    MIGRATIONS_DIR: Joi.string().default('migrations'),
+    MIGRATIONS_TABLE_PATH: Joi.string().default('data/migrations.json'),
+
+    // Application
+    APP_NAME: Joi.string().default('OOP Express Backend'),
+    APP_BASE_URL: Joi.string().uri({ scheme: ['http', 'https'] })
+        .when('NODE_ENV', productionOnly(Joi.required(), Joi.optional().default('http://localhost:3000'))),
+
+    // Mail
+    MAIL_DRIVER: Joi.string().valid('outbox', 'smtp').default('outbox'),
+    MAIL_FROM: Joi.string().email({ tlds: false, minDomainSegments: 1 }).default('no-reply@localhost'),
+    MAIL_OUTBOX_DIR: Joi.string().default('mail-outbox'),
+    SMTP_HOST: Joi.string().hostname().default('localhost'),
+    SMTP_PORT: Joi.number().port().default(587),
+    SMTP_SECURE: Joi.boolean().default(false),
+    SMTP_USER: Joi.string(),
+    SMTP_PASSWORD: Joi.string(),
+
+    // Rate limiting
+    RATE_LIMIT_WINDOW_MS: Joi.number().integer().min(1000).default(15 * 60 * 1000),
+    RATE_LIMIT_MAX_REQUESTS: Joi.number().integer().min(1).default(100),
+
+    // Logging
+    LOG_LEVEL: Joi.string().valid(...LOG_LEVELS).default('info'),
+    LOG_LEVELS: commaList(Joi.string().pattern(new RegExp(`^[\\w.-]+=(${LOG_LEVELS.join('|')})$`))).default([]),
+    LOG_FILE_PATH: Joi.string().default('logs/app.log'),
+    LOG_REDACT_PATHS: commaList(Joi.string()).default([]),
+    ACCESS_LOG_FORMAT: Joi.string().valid('json', 'common', 'combined').default('json'),
+    ACCESS_LOG_SAMPLE_RATE: Joi.number().min(0).max(1).default(1),
+    ACCESS_LOG_EXCLUDE_PATHS: commaList(Joi.string().pattern(/^\//)).default(['/health', '/metrics']),
+
+    // Health checks and shutdown
+    HEALTH_CHECK_TIMEOUT_MS: Joi.number().integer().min(1).default(2000),
+    SHUTDOWN_TIMEOUT_MS: Joi.number().integer().min(0).default(10000),
+    SHUTDOWN_DRAIN_DELAY_MS: Joi.number().integer().min(0).default(0),
+
+    // Metrics
+    METRICS_TOKEN: Joi.string().min(16),
+
+    // CORS
+    CORS_ORIGIN: Joi.string()
+        .when('NODE_ENV', productionOnly(Joi.required(), Joi.optional().default('http://localhost:3000')))
+});
+
+module.exports = { configSchema, EXAMPLE_JWT_SECRET };
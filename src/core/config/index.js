@@ -0,0 +1,9 @@
+const ConfigError = require('./ConfigError');
+const loadConfig = require('./loadConfig');
+const { configSchema } = require('./configSchema');
+
+module.exports = {
+    ConfigError,
+    configSchema,
+    loadConfig
+};
@@ -0,0 +1,169 @@
+const dotenv = require('dotenv');
+const { configSchema } = require('./configSchema');
+const ConfigError = require('./ConfigError');
+const { DEFAULT_ROLES } = require('../authorization');
+
+const VARIABLES = Object.keys(configSchema.describe().keys);
+
+/**
+ * Freeze an object and everything it references
+ * @param {Object} value - Object to freeze
+ * @returns {Object} The same object, frozen
+ */
+const deepFreeze = (value) => {
+    Object.values(value).forEach((child) => {
+        if (child && typeof child === 'object' && !Object.isFrozen(child)) {
+            deepFreeze(child);
+        }
+    });
+
+    return Object.freeze(value);
+};
+
+/**
+ * Read the environment variables the schema knows about
+ * Empty values (`PORT=` in .env) count as unset, so they fall back to the defaults.
+ * @param {Object} env - Environment variables
+ * @returns {Object} Variables to validate
+ */
+const pickVariables = env => Object.fromEntries(VARIABLES
+    .filter(key => env[key] !== undefined && env[key] !== '')
+    .map(key => [key, env[key]]));
+
+/**
+ * Check rules that span several variables, once each of them is valid on its own
+ * @param {Object} vars - Converted variables
+ * @param {Object[]} problems - Problems already found by the schema
+ * @returns {Object[]} Further problems
+ */
+const crossCheck = (vars, problems) => {
+    if (problems.some(problem => ['MFA_REQUIRED_ROLES', 'ROLE_PERMISSIONS'].includes(problem.key))) {
+        return [];
+    }
+
+    const roles = [...Object.keys(DEFAULT_ROLES), ...Object.keys(vars.ROLE_PERMISSIONS)];
+
+    return vars.MFA_REQUIRED_ROLES
+        .filter(role => !roles.includes(role))
+        .map(role => ({ key: 'MFA_REQUIRED_ROLES', message: `MFA_REQUIRED_ROLES contains an unknown role: ${role}` }));
+};
+
+/**
+ * Shape validated variables into the typed configuration object
+ * @param {Object} vars - Validated, converted variables
+ * @returns {Object} Configuration
+ */
+const buildConfig = vars => ({
+    env: vars.NODE_ENV,
+    isProduction: vars.NODE_ENV === 'production',
+    server: {
+        port: vars.PORT,
+        host: vars.HOST
+    },
+    app: {
+        name: vars.APP_NAME,
+        baseUrl: vars.APP_BASE_URL
+    },
+    auth: {
+        jwtSecret: vars.JWT_SECRET,
+        jwtExpiresIn: vars.JWT_EXPIRES_IN,
+        refreshTokenTtlDays: vars.REFRESH_TOKEN_TTL_DAYS,
+        passwordResetTokenTtlMinutes: vars.PASSWORD_RESET_TOKEN_TTL_MINUTES,
+        emailVerificationTokenTtlHours: vars.EMAIL_VERIFICATION_TOKEN_TTL_HOURS,
+        bcryptRounds: vars.BCRYPT_ROUNDS
+    },
+    authorization: {
+        roles: vars.ROLE_PERMISSIONS
+    },
+    mfa: {
+        issuer: vars.MFA_ISSUER || vars.APP_NAME,
+        challengeExpiresIn: vars.MFA_CHALLENGE_EXPIRES_IN,
+        requiredRoles: vars.MFA_REQUIRED_ROLES
+    },
+    lockout: {
+        maxAttempts: vars.LOCKOUT_MAX_ATTEMPTS,
+        durationMinutes: vars.LOCKOUT_DURATION_MINUTES,
+        delayAfterAttempts: vars.LOCKOUT_DELAY_AFTER_ATTEMPTS
+    },
+    persistence: {
+        userRepository: vars.USER_REPOSITORY,
+        userDbPath: vars.USER_DB_PATH,
+        migrationsDir: vars.MIGRATIONS_DIR,
+        migrationsTablePath: vars.MIGRATIONS_TABLE_PATH
+    },
+    mail: {
+        driver: vars.MAIL_DRIVER,
+        from: vars.MAIL_FROM,
+        outboxDir: vars.MAIL_OUTBOX_DIR,
+        smtp: {
+            host: vars.SMTP_HOST,
+            port: vars.SMTP_PORT,
+            secure: vars.SMTP_SECURE,
+            user: vars.SMTP_USER || null,
+            password: vars.SMTP_PASSWORD || null
+        }
+    },
+    rateLimit: {
+        windowMs: vars.RATE_LIMIT_WINDOW_MS,
+        maxRequests: vars.RATE_LIMIT_MAX_REQUESTS
+    },
+    logging: {
+        level: vars.LOG_LEVEL,
+        levels: Object.fromEntries(vars.LOG_LEVELS.map(entry => entry.split('=').map(part => part.trim()))),
+        filePath: vars.LOG_FILE_PATH,
+        redactPaths: vars.LOG_REDACT_PATHS,
+        accessLog: {
+            format: vars.ACCESS_LOG_FORMAT,
+            sampleRate: vars.ACCESS_LOG_SAMPLE_RATE,
+            excludePaths: vars.ACCESS_LOG_EXCLUDE_PATHS
+        }
+    },
+    health: {
+        checkTimeoutMs: vars.HEALTH_CHECK_TIMEOUT_MS
+    },
+    shutdown: {
+        timeoutMs: vars.SHUTDOWN_TIMEOUT_MS,
+        drainDelayMs: vars.SHUTDOWN_DRAIN_DELAY_MS
+    },
+    metrics: {
+        token: vars.METRICS_TOKEN || null
+    },
+    cors: {
+        origin: vars.CORS_ORIGIN
+    }
+});
+
+/**
+ * Load, validate and freeze the application configuration
+ * Without an argument, `.env` is loaded into process.env first. Every problem is collected
+ * before failing, so one run reports everything that needs fixing.
+ * @param {Object} [env] - Environment variables to read instead of process.env
+ * @returns {Object} Frozen configuration
+ * @throws {ConfigError} When any variable is missing or invalid
+ */
+function loadConfig(env) {
+    if (env === undefined) {
+        dotenv.config();
+        env = process.env;
+    }
+
+    const { value, error } = configSchema.validate(pickVariables(env), {
+        abortEarly: false,
+        convert: true,
+        errors: { wrap: { label: false } }
+    });
+
+    const problems = error ? error.details.map(detail => ({
+        key: detail.path.join('.'),
+        message: detail.message
+    })) : [];
+    problems.push(...crossCheck(value, problems));
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+
+    return deepFreeze(buildConfig(value));
+}
+
+module.exports = loadConfig;
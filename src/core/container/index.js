@@ -0,0 +1,10 @@
+// tsyringe needs the Reflect metadata API before it is loaded
+require('reflect-metadata');
+const { container: rootContainer, instanceCachingFactory } = require('tsyringe');
+const TOKENS = require('./tokens');
+
+module.exports = {
+    TOKENS,
+    rootContainer,
+    instanceCachingFactory
+};
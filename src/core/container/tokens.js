@@ -0,0 +1,57 @@
+/**
+ * @description Registration tokens for the dependency injection container
+ * Each token's value is its own key, so `createApp(config, { mailer })` can override any
+ * registered dependency by name.
+ */
+const TOKENS = Object.freeze({
+    // Configuration and infrastructure
+    config: 'config',
+    clock: 'clock',
+    roleRegistry: 'roleRegistry',
+    policyEngine: 'policyEngine',
+    requestContext: 'requestContext',
+    logger: 'logger',
+    metrics: 'metrics',
+    mailer: 'mailer',
+    mailTemplateRenderer: 'mailTemplateRenderer',
+    totpProvider: 'totpProvider',
+    auditLogger: 'auditLogger',
+    healthChecks: 'healthChecks',
+    shutdownManager: 'shutdownManager',
+    migrationRunner: 'migrationRunner',
+
+    // Repositories
+    userRepository: 'userRepository',
+    refreshTokenRepository: 'refreshTokenRepository',
+    tokenDenylist: 'tokenDenylist',
+    oneTimeTokenRepository: 'oneTimeTokenRepository',
+
+    // Services
+    notificationService: 'notificationService',
+    refreshTokenService: 'refreshTokenService',
+    oneTimeTokenService: 'oneTimeTokenService',
+    mfaService: 'mfaService',
+    accountLockoutService: 'accountLockoutService',
+    authenticationService: 'authenticationService',
+    userService: 'userService',
+
+    // Controllers
+    authController: 'authController',
+    userController: 'userController',
+    adminController: 'adminController',
+    healthController: 'healthController',
+
+    // Middleware
+    requestContextMiddleware: 'requestContextMiddleware',
+    accessLogMiddleware: 'accessLogMiddleware',
+    metricsMiddleware: 'metricsMiddleware',
+    authenticationMiddleware: 'authenticationMiddleware',
+
+    // Routes
+    authRoutes: 'authRoutes',
+    userRoutes: 'userRoutes',
+    adminRoutes: 'adminRoutes',
+    healthRoutes: 'healthRoutes'
+});
+
+module.exports = TOKENS;
@@ -0,0 +1,79 @@
+const { STATUS_CODES } = require('http');
+
+/**
+ * @class AppError
+ * @description Base class for errors that are safe to report to clients
+ * Each subclass fixes the HTTP status and a stable, machine-readable error code, so the
+ * status of a failure is decided by its type rather than by the wording of its message.
+ * Anything that is not an AppError is treated as an internal error (see normalizeError).
+ */
+class AppError extends Error {
+    /**
+     * @param {string} message - Client-facing message
+     * @param {Object} [options] - Error options
+     * @param {number} [options.statusCode=500] - HTTP status code
+     * @param {string} [options.code='INTERNAL_ERROR'] - Stable error code
+     * @param {*} [options.details] - Additional client-facing details
+     * @param {Error} [options.cause] - Underlying error, logged but never sent to clients
+     */
+    constructor(message, options = {}) {
+        super(message);
+
+        const { statusCode = 500, code = 'INTERNAL_ERROR', details, cause } = options;
+
+        this.name = this.constructor.name;
+        this.statusCode = statusCode;
+        this.code = code;
+
+        if (details !== undefined) {
+            this.details = details;
+        }
+
+        if (cause !== undefined) {
+            this.cause = cause;
+        }
+    }
+
+    /**
+     * Convert the error to its client-facing representation
+     * @returns {Object} Message, code and details
+     */
+    toJSON() {
+        const json = { message: this.message, code: this.code };
+
+        if (this.details !== undefined) {
+            json.details = this.details;
+        }
+
+        return json;
+    }
+
+    /**
+     * Convert the error to an RFC 7807 problem
+     * The problem type is derived from the stable error code, so it identifies the kind of
+     * failure independently of the message wording.
+     * @param {string} [instance] - URI of the request that failed
+     * @returns {Object} Problem details
+     */
+    toProblem(instance) {
+        const problem = {
+            type: `/problems/${this.code.toLowerCase().replace(/_/g, '-')}`,
+            title: STATUS_CODES[this.statusCode] || 'Error',
+            status: this.statusCode,
+            detail: this.message,
+            code: this.code
+        };
+
+        if (instance !== undefined) {
+            problem.instance = instance;
+        }
+
+        if (this.details !== undefined) {
+            problem.details = this.details;
+        }
+
+        return problem;
+    }
+}
+
+module.exports = AppError;
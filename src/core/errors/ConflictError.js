@@ -0,0 +1,17 @@
+const AppError = require('./AppError');
+
+/**
+ * @class ConflictError
+ * @description The request conflicts with the current state of the resource (409)
+ */
+class ConflictError extends AppError {
+    /**
+     * @param {string} [message] - Client-facing message
+     * @param {Object} [options] - Error options (see AppError)
+     */
+    constructor(message = 'Resource conflict', options = {}) {
+        super(message, { code: 'CONFLICT', ...options, statusCode: 409 });
+    }
+}
+
+module.exports = ConflictError;
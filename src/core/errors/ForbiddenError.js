@@ -0,0 +1,17 @@
+const AppError = require('./AppError');
+
+/**
+ * @class ForbiddenError
+ * @description The caller is authenticated but not allowed to do this (403)
+ */
+class ForbiddenError extends AppError {
+    /**
+     * @param {string} [message] - Client-facing message
+     * @param {Object} [options] - Error options (see AppError)
+     */
+    constructor(message = 'Forbidden', options = {}) {
+        super(message, { code: 'FORBIDDEN', ...options, statusCode: 403 });
+    }
+}
+
+module.exports = ForbiddenError;
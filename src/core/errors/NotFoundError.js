@@ -0,0 +1,17 @@
+const AppError = require('./AppError');
+
+/**
+ * @class NotFoundError
+ * @description The requested resource does not exist (404)
+ */
+class NotFoundError extends AppError {
+    /**
+     * @param {string} [message] - Client-facing message
+     * @param {Object} [options] - Error options (see AppError)
+     */
+    constructor(message = 'Resource not found', options = {}) {
+        super(message, { code: 'NOT_FOUND', ...options, statusCode: 404 });
+    }
+}
+
+module.exports = NotFoundError;
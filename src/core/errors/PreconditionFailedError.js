@@ -0,0 +1,17 @@
+const AppError = require('./AppError');
+
+/**
+ * @class PreconditionFailedError
+ * @description A request precondition such as If-Match did not hold (412)
+ */
+class PreconditionFailedError extends AppError {
+    /**
+     * @param {string} [message] - Client-facing message
+     * @param {Object} [options] - Error options (see AppError)
+     */
+    constructor(message = 'Precondition failed', options = {}) {
+        super(message, { code: 'PRECONDITION_FAILED', ...options, statusCode: 412 });
+    }
+}
+
+module.exports = PreconditionFailedError;
@@ -0,0 +1,50 @@
+const AppError = require('./AppError');
+
+/**
+ * @class RateLimitedError
+ * @description Too many requests (429)
+ */
+class RateLimitedError extends AppError {
+    /**
+     * @param {string} [message] - Client-facing message
+     * @param {Object} [options] - Error options (see AppError)
+     * @param {number} [options.retryAfter] - Seconds until the client may retry
+     */
+    constructor(message = 'Too many requests', options = {}) {
+        const { retryAfter, ...rest } = options;
+
+        super(message, { code: 'RATE_LIMIT_EXCEEDED', ...rest, statusCode: 429 });
+        this.retryAfter = retryAfter;
+    }
+
+    /**
+     * Convert the error to its client-facing representation
+     * @returns {Object} Message, code, details and retryAfter
+     */
+    toJSON() {
+        const json = super.toJSON();
+
+        if (this.retryAfter !== undefined) {
+            json.retryAfter = this.retryAfter;
+        }
+
+        return json;
+    }
+
+    /**
+     * Convert the error to an RFC 7807 problem
+     * @param {string} [instance] - URI of the request that failed
+     * @returns {Object} Problem details
+     */
+    toProblem(instance) {
+        const problem = super.toProblem(instance);
+
+        if (this.retryAfter !== undefined) {
+            problem.retryAfter = this.retryAfter;
+        }
+
+        return problem;
+    }
+}
+
+module.exports = RateLimitedError;
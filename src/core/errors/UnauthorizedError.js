@@ -0,0 +1,17 @@
+const AppError = require('./AppError');
+
+/**
+ * @class UnauthorizedError
+ * @description The request lacks valid authentication (401)
+ */
+class UnauthorizedError extends AppError {
+    /**
+     * @param {string} [message] - Client-facing message
+     * @param {Object} [options] - Error options (see AppError)
+     */
+    constructor(message = 'Authentication required', options = {}) {
+        super(message, { code: 'UNAUTHORIZED', ...options, statusCode: 401 });
+    }
+}
+
+module.exports = UnauthorizedError;
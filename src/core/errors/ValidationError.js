@@ -0,0 +1,53 @@
+const AppError = require('./AppError');
+
+/**
+ * @class ValidationError
+ * @description Request data failed validation (400)
+ * `details` lists one entry per problem as `{ path, message, type }`, where `path` is the
+ * dotted path of the offending field and `type` the Joi error type (e.g. `string.email`).
+ */
+class ValidationError extends AppError {
+    /**
+     * @param {string} [message] - Client-facing message
+     * @param {Object[]} [details] - Field errors as `{ path, message, type }`
+     * @param {Object} [options] - Error options (see AppError)
+     */
+    constructor(message = 'Invalid input data', details = [], options = {}) {
+        super(message, { code: 'VALIDATION_ERROR', ...options, details, statusCode: 400 });
+    }
+
+    /**
+     * Convert the error to an RFC 7807 problem, listing field errors under `errors`
+     * @param {string} [instance] - URI of the request that failed
+     * @returns {Object} Problem details
+     */
+    toProblem(instance) {
+        const { details, ...problem } = super.toProblem(instance);
+        return { ...problem, errors: details };
+    }
+
+    /**
+     * Convert Joi validation details to field errors
+     * @param {Object} joiError - Error returned by `schema.validate()`
+     * @returns {Object[]} Field errors
+     */
+    static detailsFromJoi(joiError) {
+        return joiError.details.map(detail => ({
+            path: detail.path.join('.'),
+            message: detail.message,
+            type: detail.type
+        }));
+    }
+
+    /**
+     * Create an error for a single field that was well-formed but not acceptable
+     * @param {string} path - Field path
+     * @param {string} message - Client-facing message
+     * @returns {ValidationError} Validation error
+     */
+    static forField(path, message) {
+        return new ValidationError(message, [{ path, message, type: 'any.invalid' }]);
+    }
+}
+
+module.exports = ValidationError;
@@ -0,0 +1,19 @@
+const PreconditionFailedError = require('./PreconditionFailedError');
+
+/**
+ * @class VersionConflictError
+ * @description Raised when a compare-and-set update finds that the entity changed since it was read
+ */
+class VersionConflictError extends PreconditionFailedError {
+    /**
+     * @param {number|number[]} expectedVersion - Version(s) the caller based its update on
+     * @param {number} actualVersion - Version currently stored
+     */
+    constructor(expectedVersion, actualVersion) {
+        super('Version conflict: the resource was modified by another request', { code: 'VERSION_CONFLICT' });
+        this.expectedVersion = expectedVersion;
+        this.actualVersion = actualVersion;
+    }
+}
+
+module.exports = VersionConflictError;
@@ -0,0 +1,25 @@
+const AppError = require('./AppError');
+const ValidationError = require('./ValidationError');
+const UnauthorizedError = require('./UnauthorizedError');
+const ForbiddenError = require('./ForbiddenError');
+const NotFoundError = require('./NotFoundError');
+const ConflictError = require('./ConflictError');
+const PreconditionFailedError = require('./PreconditionFailedError');
+const VersionConflictError = require('./VersionConflictError');
+const RateLimitedError = require('./RateLimitedError');
+const normalizeError = require('./normalizeError');
+const sendErrorResponse = require('./sendErrorResponse');
+
+module.exports = {
+    AppError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    PreconditionFailedError,
+    VersionConflictError,
+    RateLimitedError,
+    normalizeError,
+    sendErrorResponse
+};
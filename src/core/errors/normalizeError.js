@@ -0,0 +1,23 @@
+const AppError = require('./AppError');
+
+/**
+ * Map any thrown value to an AppError
+ * This is the single place that decides how failures reach clients: AppErrors pass through,
+ * client errors raised by Express itself (malformed JSON, oversized bodies) keep their status,
+ * and everything else becomes a generic internal error whose message is not exposed.
+ * @param {*} error - Thrown value
+ * @returns {AppError} Client-safe error
+ */
+function normalizeError(error) {
+    if (error instanceof AppError) {
+        return error;
+    }
+
+    if (error && error.expose && error.status >= 400 && error.status < 500) {
+        return new AppError(error.message, { statusCode: error.status, code: 'BAD_REQUEST', cause: error });
+    }
+
+    return new AppError('An unexpected error occurred', { cause: error });
+}
+
+module.exports = normalizeError;
@@ -0,0 +1,63 @@
+const normalizeError = require('./normalizeError');
+
+const PROBLEM_JSON = 'application/problem+json';
+
+/**
+ * Send an error response in the format the client negotiated
+ * Clients that prefer `application/problem+json` in their Accept header receive an RFC 7807
+ * problem document; all others receive the `{ success: false, error }` envelope. Both include
+ * the request's correlation ID when one was assigned. When `config.env` is development,
+ * internal errors also carry the original message and stack trace.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {*} error - Thrown value
+ * @param {Object} [config] - Validated configuration; only `env` is read
+ * @returns {Object} Express response
+ */
+function sendErrorResponse(req, res, error, config = {}) {
+    const appError = normalizeError(error);
+    const debug = config.env === 'development' && appError.statusCode >= 500 && error && error.stack
+        ? { message: error.message, stack: error.stack }
+        : null;
+
+    if (appError.retryAfter !== undefined) {
+        res.set('Retry-After', String(appError.retryAfter));
+    }
+
+    res.status(appError.statusCode);
+
+    if (req.accepts(['application/json', PROBLEM_JSON]) === PROBLEM_JSON) {
+        const problem = appError.toProblem(req.originalUrl);
+        if (req.id) {
+            problem.requestId = req.id;
+        }
+
+        if (debug) {
+            problem.detail = debug.message;
+            problem.stack = debug.stack;
+        }
+
+        return res.type(PROBLEM_JSON).json(problem);
+    }
+
+    const response = {
+        success: false,
+        error: {
+            ...appError.toJSON(),
+            timestamp: new Date().toISOString()
+        }
+    };
+
+    if (req.id) {
+        response.error.requestId = req.id;
+    }
+
+    if (debug) {
+        response.error.message = debug.message;
+        response.error.stack = debug.stack;
+    }
+
+    return res.json(response);
+}
+
+module.exports = sendErrorResponse;
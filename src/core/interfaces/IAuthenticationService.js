@@ -32,6 +32,15 @@ class IAuthenticationService {
         throw new Error('Method verifyToken() must be implemented');
     }
 
+    /**
+     * Exchange a refresh token for a new access token and rotated refresh token
+     * @param {string} refreshToken - Opaque refresh token
+     * @returns {Promise<Object>} New authentication result
+     */
+    async refreshToken(refreshToken) {
+        throw new Error('Method refreshToken() must be implemented');
+    }
+
     /**
      * Hash password using bcrypt
      * @param {string} password - Plain text password
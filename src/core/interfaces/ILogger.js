@@ -40,6 +40,15 @@ class ILogger {
     debug(message, meta = {}) {
         throw new Error('Method debug() must be implemented');
     }
+
+    /**
+     * Create a logger that adds bindings to every entry
+     * @param {Object} bindings - Metadata for every entry, e.g. { module: 'UserService' }
+     * @returns {ILogger} Child logger
+     */
+    child(bindings = {}) {
+        throw new Error('Method child() must be implemented');
+    }
 }
 
 module.exports = ILogger; 
\ No newline at end of file
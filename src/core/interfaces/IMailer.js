@@ -0,0 +1,37 @@
+/**
+ * @interface IMailer
+ * @description Interface defining the outbound mail contract
+ * Follows Dependency Inversion Principle - services send mail without knowing the transport
+ */
+class IMailer {
+    /**
+     * Send an email message
+     * @param {Object} message - Message to send
+     * @param {string} message.to - Recipient address
+     * @param {string} message.subject - Subject line
+     * @param {string} message.text - Plain text body
+     * @param {string} [message.html] - HTML body
+     * @returns {Promise<Object>} Delivery result with the message ID
+     */
+    async send(message) {
+        throw new Error('Method send() must be implemented');
+    }
+
+    /**
+     * Release any resources held by the transport
+     * @returns {Promise<void>}
+     */
+    async close() {
+        throw new Error('Method close() must be implemented');
+    }
+
+    /**
+     * Check that messages can be delivered (used by readiness checks)
+     * @returns {Promise<Object|undefined>} Optional details; throws if the transport is unavailable
+     */
+    async checkHealth() {
+        throw new Error('Method checkHealth() must be implemented');
+    }
+}
+
+module.exports = IMailer;
@@ -0,0 +1,46 @@
+/**
+ * @interface IMigrationStore
+ * @description Interface defining the migrations table contract
+ * Records which schema migrations have been applied to a persistent store, in order,
+ * together with the checksum of the migration file at the time it ran
+ */
+class IMigrationStore {
+    /**
+     * Create the migrations table if it does not exist yet
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        throw new Error('Method initialize() must be implemented');
+    }
+
+    /**
+     * List applied migrations in the order they were applied
+     * @returns {Promise<Object[]>} Records with id, checksum and appliedAt
+     */
+    async listApplied() {
+        throw new Error('Method listApplied() must be implemented');
+    }
+
+    /**
+     * Record a migration as applied
+     * @param {Object} record - Migration record
+     * @param {string} record.id - Migration ID
+     * @param {string} record.checksum - Checksum of the migration file
+     * @param {Date} record.appliedAt - When the migration was applied
+     * @returns {Promise<void>}
+     */
+    async recordApplied(record) {
+        throw new Error('Method recordApplied() must be implemented');
+    }
+
+    /**
+     * Remove the record of a reverted migration
+     * @param {string} id - Migration ID
+     * @returns {Promise<boolean>} Whether a record was removed
+     */
+    async removeApplied(id) {
+        throw new Error('Method removeApplied() must be implemented');
+    }
+}
+
+module.exports = IMigrationStore;
@@ -0,0 +1,54 @@
+/**
+ * @interface IOneTimeTokenRepository
+ * @description Interface defining the one-time token store contract
+ * Follows Interface Segregation Principle - token stores only expose what single-use tokens need
+ */
+class IOneTimeTokenRepository {
+    /**
+     * Store a newly issued token
+     * @param {OneTimeToken} token - The token entity
+     * @returns {Promise<OneTimeToken>} The stored token
+     */
+    async create(token) {
+        throw new Error('Method create() must be implemented');
+    }
+
+    /**
+     * Find a token by the hash of its raw value
+     * @param {string} tokenHash - SHA-256 hash of the raw token
+     * @returns {Promise<OneTimeToken|null>} The found token or null
+     */
+    async findByHash(tokenHash) {
+        throw new Error('Method findByHash() must be implemented');
+    }
+
+    /**
+     * Persist changes made to a token (consumption)
+     * @param {OneTimeToken} token - The token entity
+     * @returns {Promise<OneTimeToken>} The saved token
+     */
+    async save(token) {
+        throw new Error('Method save() must be implemented');
+    }
+
+    /**
+     * Consume every outstanding token of a user for one purpose
+     * @param {string} userId - The user ID
+     * @param {string} purpose - The token purpose
+     * @returns {Promise<number>} Number of tokens invalidated
+     */
+    async invalidateForUser(userId, purpose) {
+        throw new Error('Method invalidateForUser() must be implemented');
+    }
+
+    /**
+     * Remove tokens that expired before the given time
+     * @param {Date} [now] - Reference time
+     * @returns {Promise<number>} Number of tokens removed
+     */
+    async deleteExpired(now = new Date()) {
+        throw new Error('Method deleteExpired() must be implemented');
+    }
+}
+
+module.exports = IOneTimeTokenRepository;
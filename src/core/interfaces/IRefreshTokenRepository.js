@@ -0,0 +1,73 @@
+/**
+ * @interface IRefreshTokenRepository
+ * @description Interface defining the refresh token store contract
+ * Follows Interface Segregation Principle - token stores only expose what rotation needs
+ */
+class IRefreshTokenRepository {
+    /**
+     * Store a newly issued refresh token
+     * @param {RefreshToken} token - The refresh token entity
+     * @returns {Promise<RefreshToken>} The stored token
+     */
+    async create(token) {
+        throw new Error('Method create() must be implemented');
+    }
+
+    /**
+     * Find a refresh token by the hash of its raw value
+     * @param {string} tokenHash - SHA-256 hash of the raw token
+     * @returns {Promise<RefreshToken|null>} The found token or null
+     */
+    async findByHash(tokenHash) {
+        throw new Error('Method findByHash() must be implemented');
+    }
+
+    /**
+     * Persist changes made to a refresh token (revocation, rotation)
+     * @param {RefreshToken} token - The refresh token entity
+     * @returns {Promise<RefreshToken>} The saved token
+     */
+    async save(token) {
+        throw new Error('Method save() must be implemented');
+    }
+
+    /**
+     * Atomically revoke a token in favour of its successor, unless it is already revoked
+     * This is the compare-and-set that lets only one of several concurrent refreshes win.
+     * @param {string} tokenHash - Hash of the token being rotated
+     * @param {string} replacedByHash - Hash of the successor token
+     * @returns {Promise<RefreshToken|null>} The consumed token, or null if it was missing or already revoked
+     */
+    async consume(tokenHash, replacedByHash) {
+        throw new Error('Method consume() must be implemented');
+    }
+
+    /**
+     * Revoke every token belonging to a family
+     * @param {string} familyId - The token family ID
+     * @returns {Promise<number>} Number of tokens revoked
+     */
+    async revokeFamily(familyId) {
+        throw new Error('Method revokeFamily() must be implemented');
+    }
+
+    /**
+     * Revoke every token issued to a user
+     * @param {string} userId - The user ID
+     * @returns {Promise<number>} Number of tokens revoked
+     */
+    async revokeAllForUser(userId) {
+        throw new Error('Method revokeAllForUser() must be implemented');
+    }
+
+    /**
+     * Remove tokens that expired before the given time
+     * @param {Date} [now] - Reference time
+     * @returns {Promise<number>} Number of tokens removed
+     */
+    async deleteExpired(now = new Date()) {
+        throw new Error('Method deleteExpired() must be implemented');
+    }
+}
+
+module.exports = IRefreshTokenRepository;
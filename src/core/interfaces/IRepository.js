@@ -37,9 +37,12 @@ class IRepository {
      * Update an existing entity
      * @param {string|number} id - The entity ID
      * @param {Partial<T>} updates - The updates to apply
+     * @param {Object} [options] - Update options
+     * @param {number|number[]} [options.expectedVersion] - Only update if the stored version matches
+     *   (one of) these; otherwise a VersionConflictError is thrown and nothing is changed
      * @returns {Promise<T|null>} The updated entity or null
      */
-    async update(id, updates) {
+    async update(id, updates, options = {}) {
         throw new Error('Method update() must be implemented');
     }
 
@@ -60,6 +63,14 @@ class IRepository {
     async exists(id) {
         throw new Error('Method exists() must be implemented');
     }
+
+    /**
+     * Check that the store can serve requests (used by readiness checks)
+     * @returns {Promise<Object|undefined>} Optional details; throws if the store is unavailable
+     */
+    async checkHealth() {
+        throw new Error('Method checkHealth() must be implemented');
+    }
 }
 
 module.exports = IRepository; 
\ No newline at end of file
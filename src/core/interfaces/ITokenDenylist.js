@@ -0,0 +1,36 @@
+/**
+ * @interface ITokenDenylist
+ * @description Interface defining the revoked access token store contract
+ * Entries are keyed by the token's `jti` claim and only need to live until the token expires
+ */
+class ITokenDenylist {
+    /**
+     * Deny a token until it expires
+     * @param {string} jti - Token ID
+     * @param {Date} expiresAt - When the token would expire anyway
+     * @returns {Promise<void>}
+     */
+    async add(jti, expiresAt) {
+        throw new Error('Method add() must be implemented');
+    }
+
+    /**
+     * Check whether a token has been denied
+     * @param {string} jti - Token ID
+     * @returns {Promise<boolean>} Denied status
+     */
+    async has(jti) {
+        throw new Error('Method has() must be implemented');
+    }
+
+    /**
+     * Remove entries whose tokens have expired
+     * @param {Date} [now] - Reference time
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async prune(now = new Date()) {
+        throw new Error('Method prune() must be implemented');
+    }
+}
+
+module.exports = ITokenDenylist;
@@ -0,0 +1,36 @@
+const Metric = require('./Metric');
+
+/**
+ * @class Counter
+ * @description Metric that only goes up, e.g. the number of requests served
+ */
+class Counter extends Metric {
+    constructor(definition) {
+        super('counter', definition);
+    }
+
+    /**
+     * Increase the counter
+     * @param {Object} [labels] - Label values
+     * @param {number} [value=1] - Amount to add
+     */
+    inc(labels = {}, value = 1) {
+        if (!(value >= 0)) {
+            throw new Error(`Counter ${this.name} can only be increased`);
+        }
+
+        this.entry(labels, () => 0).value += value;
+    }
+
+    /**
+     * Get the current value
+     * @param {Object} [labels] - Label values
+     * @returns {number} Value, 0 if never increased
+     */
+    get(labels = {}) {
+        const entry = this._values.get(this.key(labels));
+        return entry ? entry.value : 0;
+    }
+}
+
+module.exports = Counter;
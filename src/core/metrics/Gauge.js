@@ -0,0 +1,50 @@
+const Metric = require('./Metric');
+
+/**
+ * @class Gauge
+ * @description Metric that can go up and down, e.g. memory in use or requests in flight
+ */
+class Gauge extends Metric {
+    constructor(definition) {
+        super('gauge', definition);
+    }
+
+    /**
+     * Set the gauge
+     * @param {Object} labels - Label values
+     * @param {number} value - New value
+     */
+    set(labels, value) {
+        this.entry(labels, () => 0).value = value;
+    }
+
+    /**
+     * Increase the gauge
+     * @param {Object} [labels] - Label values
+     * @param {number} [value=1] - Amount to add
+     */
+    inc(labels = {}, value = 1) {
+        this.entry(labels, () => 0).value += value;
+    }
+
+    /**
+     * Decrease the gauge
+     * @param {Object} [labels] - Label values
+     * @param {number} [value=1] - Amount to subtract
+     */
+    dec(labels = {}, value = 1) {
+        this.inc(labels, -value);
+    }
+
+    /**
+     * Get the current value
+     * @param {Object} [labels] - Label values
+     * @returns {number} Value, 0 if never set
+     */
+    get(labels = {}) {
+        const entry = this._values.get(this.key(labels));
+        return entry ? entry.value : 0;
+    }
+}
+
+module.exports = Gauge;
@@ -0,0 +1,96 @@
+const Metric = require('./Metric');
+
+// Request latency buckets in seconds, from 5 ms to 10 s
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * @class Histogram
+ * @description Metric that counts observations into buckets, e.g. request durations
+ * Exposed as cumulative `_bucket` counts plus `_sum` and `_count`, so quantiles can be
+ * computed by Prometheus with histogram_quantile().
+ */
+class Histogram extends Metric {
+    /**
+     * @param {Object} definition - Metric definition (see Metric)
+     * @param {number[]} [definition.buckets] - Upper bounds of the buckets
+     */
+    constructor(definition) {
+        super('histogram', definition);
+
+        if (this.labelNames.includes('le')) {
+            throw new Error(`Histogram ${this.name} cannot use the reserved label "le"`);
+        }
+
+        const { buckets = DEFAULT_BUCKETS } = definition;
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    /**
+     * Record an observation
+     * @param {Object} labels - Label values
+     * @param {number} value - Observed value
+     */
+    observe(labels, value) {
+        const entry = this.entry(labels, () => ({
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                entry.value.counts[index]++;
+            }
+        });
+        entry.value.sum += value;
+        entry.value.count++;
+    }
+
+    /**
+     * Start timing an operation
+     * @param {Object} [labels] - Label values known at the start
+     * @returns {Function} Call with any further labels to record the elapsed seconds; returns them
+     */
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+
+        return (endLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe({ ...labels, ...endLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    /**
+     * Get the recorded observations
+     * @param {Object} [labels] - Label values
+     * @returns {Object} Cumulative bucket counts by upper bound, sum and count
+     */
+    get(labels = {}) {
+        const entry = this._values.get(this.key(labels));
+        const value = entry ? entry.value : { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+
+        return {
+            buckets: Object.fromEntries(this.buckets.map((bound, index) => [bound, value.counts[index]])),
+            sum: value.sum,
+            count: value.count
+        };
+    }
+
+    /**
+     * Render bucket, sum and count lines for every label set
+     * @returns {string[]} Sample lines
+     */
+    samples() {
+        return Array.from(this._values.values()).flatMap(({ labels, value }) => [
+            ...this.buckets.map((bound, index) => (
+                this.sample(`${this.name}_bucket`, { ...labels, le: String(bound) }, value.counts[index])
+            )),
+            this.sample(`${this.name}_bucket`, { ...labels, le: '+Inf' }, value.count),
+            this.sample(`${this.name}_sum`, labels, value.sum),
+            this.sample(`${this.name}_count`, labels, value.count)
+        ]);
+    }
+}
+
+module.exports = Histogram;
@@ -0,0 +1,163 @@
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/**
+ * @abstract Metric
+ * @description Base class for metrics exposed in the Prometheus text format
+ * A metric holds one value per combination of label values. An optional `collect` callback
+ * runs before each scrape, for values read from the environment rather than recorded as
+ * events (memory, CPU, ...).
+ */
+class Metric {
+    /**
+     * @param {string} type - Prometheus metric type
+     * @param {Object} definition - Metric definition
+     * @param {string} definition.name - Metric name
+     * @param {string} definition.help - Description shown in HELP
+     * @param {string[]} [definition.labelNames] - Allowed label names
+     * @param {Function} [definition.collect] - Called with the metric before each scrape
+     */
+    constructor(type, definition) {
+        const { name, help, labelNames = [], collect = null } = definition;
+
+        if (!NAME_PATTERN.test(name || '')) {
+            throw new Error(`Invalid metric name: ${name}`);
+        }
+
+        if (!help) {
+            throw new Error(`Metric ${name} needs a help text`);
+        }
+
+        labelNames.forEach(labelName => {
+            if (!LABEL_PATTERN.test(labelName) || labelName.startsWith('__')) {
+                throw new Error(`Invalid label name for metric ${name}: ${labelName}`);
+            }
+        });
+
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this._collect = collect;
+        this._values = new Map();
+    }
+
+    /**
+     * Remove all recorded values
+     */
+    reset() {
+        this._values.clear();
+    }
+
+    /**
+     * Refresh collected values before a scrape
+     * @returns {Promise<void>}
+     */
+    async collect() {
+        if (this._collect) {
+            await this._collect(this);
+        }
+    }
+
+    /**
+     * Get the stored entry for a set of labels, creating it on first use
+     * @param {Object} labels - Label values
+     * @param {Function} create - Returns the initial value
+     * @returns {Object} Entry with labels and value
+     */
+    entry(labels, create) {
+        const key = this.key(labels);
+
+        if (!this._values.has(key)) {
+            this._values.set(key, { labels: this.pickLabels(labels), value: create() });
+        }
+
+        return this._values.get(key);
+    }
+
+    /**
+     * Build the storage key for a set of labels, rejecting unknown label names
+     * @param {Object} labels - Label values
+     * @returns {string} Key
+     */
+    key(labels) {
+        Object.keys(labels).forEach(labelName => {
+            if (!this.labelNames.includes(labelName)) {
+                throw new Error(`Unknown label "${labelName}" for metric ${this.name}`);
+            }
+        });
+
+        return JSON.stringify(this.labelNames.map(labelName => (
+            labels[labelName] === undefined ? null : String(labels[labelName])
+        )));
+    }
+
+    /**
+     * Keep the defined labels in declaration order, as strings
+     * @param {Object} labels - Label values
+     * @returns {Object} Labels
+     */
+    pickLabels(labels) {
+        return this.labelNames.reduce((picked, labelName) => {
+            if (labels[labelName] !== undefined) {
+                picked[labelName] = String(labels[labelName]);
+            }
+            return picked;
+        }, {});
+    }
+
+    /**
+     * Render the metric in the Prometheus text exposition format
+     * @returns {string} HELP and TYPE lines followed by one line per sample
+     */
+    serialize() {
+        return [
+            `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+            `# TYPE ${this.name} ${this.type}`,
+            ...this.samples()
+        ].join('\n');
+    }
+
+    /**
+     * Render the sample lines of the metric
+     * @returns {string[]} Sample lines
+     */
+    samples() {
+        return Array.from(this._values.values())
+            .map(({ labels, value }) => this.sample(this.name, labels, value));
+    }
+
+    /**
+     * Render one sample line
+     * @param {string} name - Sample name
+     * @param {Object} labels - Label values
+     * @param {number} value - Sample value
+     * @returns {string} Sample line
+     */
+    sample(name, labels, value) {
+        const pairs = Object.entries(labels).map(([labelName, labelValue]) => (
+            `${labelName}="${labelValue.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+        ));
+
+        return `${name}${pairs.length ? `{${pairs.join(',')}}` : ''} ${this.formatValue(value)}`;
+    }
+
+    /**
+     * Format a sample value
+     * @param {number} value - Value
+     * @returns {string} Value as Prometheus expects it
+     */
+    formatValue(value) {
+        if (value === Infinity) {
+            return '+Inf';
+        }
+
+        if (value === -Infinity) {
+            return '-Inf';
+        }
+
+        return String(value);
+    }
+}
+
+module.exports = Metric;
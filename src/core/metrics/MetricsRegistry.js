@@ -0,0 +1,112 @@
+const Counter = require('./Counter');
+const Gauge = require('./Gauge');
+const Histogram = require('./Histogram');
+
+/**
+ * @class MetricsRegistry
+ * @description Holds the application's metrics and renders them for Prometheus
+ * Metrics are looked up by name, so a component can declare the metrics it uses in its
+ * constructor and every instance shares the same series.
+ */
+class MetricsRegistry {
+    constructor(options = {}) {
+        const { singleton = true } = options;
+
+        // Singleton pattern: One shared registry (tests may opt out with singleton: false)
+        if (singleton && MetricsRegistry.instance) {
+            return MetricsRegistry.instance;
+        }
+
+        this._metrics = new Map();
+
+        if (singleton) {
+            MetricsRegistry.instance = this;
+        }
+    }
+
+    /**
+     * Content type of the text exposition format
+     * @returns {string} Content type
+     */
+    get contentType() {
+        return 'text/plain; version=0.0.4; charset=utf-8';
+    }
+
+    /**
+     * Get or create a counter
+     * @param {Object} definition - Metric definition (see Metric)
+     * @returns {Counter} Counter
+     */
+    counter(definition) {
+        return this.register(Counter, definition);
+    }
+
+    /**
+     * Get or create a gauge
+     * @param {Object} definition - Metric definition (see Metric)
+     * @returns {Gauge} Gauge
+     */
+    gauge(definition) {
+        return this.register(Gauge, definition);
+    }
+
+    /**
+     * Get or create a histogram
+     * @param {Object} definition - Metric definition (see Histogram)
+     * @returns {Histogram} Histogram
+     */
+    histogram(definition) {
+        return this.register(Histogram, definition);
+    }
+
+    /**
+     * Get a registered metric
+     * @param {string} name - Metric name
+     * @returns {Metric|null} Metric, or null if none has that name
+     */
+    getMetric(name) {
+        return this._metrics.get(name) || null;
+    }
+
+    /**
+     * Render every metric in the Prometheus text exposition format
+     * @returns {Promise<string>} Exposition text
+     */
+    async metrics() {
+        const metrics = Array.from(this._metrics.values());
+        await Promise.all(metrics.map(metric => metric.collect()));
+
+        return `${metrics.map(metric => metric.serialize()).join('\n')}\n`;
+    }
+
+    /**
+     * Clear every recorded value, keeping the metric definitions (for testing)
+     */
+    reset() {
+        this._metrics.forEach(metric => metric.reset());
+    }
+
+    /**
+     * Register a metric, or return the existing one with the same name
+     * @param {Function} MetricClass - Counter, Gauge or Histogram
+     * @param {Object} definition - Metric definition
+     * @returns {Metric} Metric
+     */
+    register(MetricClass, definition) {
+        const existing = this._metrics.get(definition.name);
+
+        if (existing) {
+            const sameLabels = existing.labelNames.join() === (definition.labelNames || []).join();
+            if (!(existing instanceof MetricClass) || !sameLabels) {
+                throw new Error(`Metric ${definition.name} is already registered with a different type or labels`);
+            }
+            return existing;
+        }
+
+        const metric = new MetricClass(definition);
+        this._metrics.set(metric.name, metric);
+        return metric;
+    }
+}
+
+module.exports = MetricsRegistry;
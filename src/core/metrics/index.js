@@ -0,0 +1,15 @@
+const Metric = require('./Metric');
+const Counter = require('./Counter');
+const Gauge = require('./Gauge');
+const Histogram = require('./Histogram');
+const MetricsRegistry = require('./MetricsRegistry');
+const registerProcessMetrics = require('./registerProcessMetrics');
+
+module.exports = {
+    Metric,
+    Counter,
+    Gauge,
+    Histogram,
+    MetricsRegistry,
+    registerProcessMetrics
+};
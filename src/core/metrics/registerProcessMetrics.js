@@ -0,0 +1,82 @@
+/**
+ * Register Node.js process metrics, read from the process at every scrape
+ * Names follow the conventions of the Prometheus client libraries so existing dashboards work.
+ * @param {MetricsRegistry} registry - Registry to add the metrics to
+ */
+function registerProcessMetrics(registry) {
+    const cpu = () => process.cpuUsage();
+    const setCounter = (metric, value) => {
+        metric.reset();
+        metric.inc({}, value);
+    };
+
+    registry.counter({
+        name: 'process_cpu_user_seconds_total',
+        help: 'Total user CPU time spent in seconds.',
+        collect: metric => setCounter(metric, cpu().user / 1e6)
+    });
+
+    registry.counter({
+        name: 'process_cpu_system_seconds_total',
+        help: 'Total system CPU time spent in seconds.',
+        collect: metric => setCounter(metric, cpu().system / 1e6)
+    });
+
+    registry.counter({
+        name: 'process_cpu_seconds_total',
+        help: 'Total user and system CPU time spent in seconds.',
+        collect: metric => {
+            const { user, system } = cpu();
+            setCounter(metric, (user + system) / 1e6);
+        }
+    });
+
+    registry.gauge({
+        name: 'process_resident_memory_bytes',
+        help: 'Resident memory size in bytes.',
+        collect: metric => metric.set({}, process.memoryUsage().rss)
+    });
+
+    registry.gauge({
+        name: 'process_start_time_seconds',
+        help: 'Start time of the process since unix epoch in seconds.',
+        collect: metric => metric.set({}, Math.round(Date.now() / 1000 - process.uptime()))
+    });
+
+    registry.gauge({
+        name: 'nodejs_heap_size_total_bytes',
+        help: 'Process heap size from Node.js in bytes.',
+        collect: metric => metric.set({}, process.memoryUsage().heapTotal)
+    });
+
+    registry.gauge({
+        name: 'nodejs_heap_size_used_bytes',
+        help: 'Process heap size used from Node.js in bytes.',
+        collect: metric => metric.set({}, process.memoryUsage().heapUsed)
+    });
+
+    registry.gauge({
+        name: 'nodejs_external_memory_bytes',
+        help: 'Node.js external memory size in bytes.',
+        collect: metric => metric.set({}, process.memoryUsage().external)
+    });
+
+    registry.gauge({
+        name: 'nodejs_active_resources',
+        help: 'Number of active resources keeping the event loop alive, by type.',
+        labelNames: ['type'],
+        collect: metric => {
+            metric.reset();
+            process.getActiveResourcesInfo().forEach(type => metric.inc({ type }));
+        }
+    });
+
+    const [major, minor, patch] = process.versions.node.split('.').map(Number);
+    registry.gauge({
+        name: 'nodejs_version_info',
+        help: 'Node.js version info.',
+        labelNames: ['version', 'major', 'minor', 'patch']
+    }).set({ version: process.version, major, minor, patch }, 1);
+}
+
+module.exports = registerProcessMetrics;
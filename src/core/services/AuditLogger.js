@@ -0,0 +1,31 @@
+/**
+ * @class AuditLogger
+ * @description Records security-relevant events through the application logger
+ * Every entry carries `audit: true` and a dotted event name (e.g. `auth.account_locked`)
+ * so audit records can be filtered out of the regular log stream.
+ */
+class AuditLogger {
+    constructor(logger) {
+        if (!logger) {
+            throw new Error('Logger dependency is required');
+        }
+
+        // Dependency Injection: Inject logger
+        this._logger = logger;
+    }
+
+    /**
+     * Record an audit event
+     * @param {string} event - Dotted event name
+     * @param {Object} [details] - Event details (user ID, actor, request context)
+     */
+    record(event, details = {}) {
+        this._logger.info(`Audit: ${event}`, {
+            audit: true,
+            event,
+            ...details
+        });
+    }
+}
+
+module.exports = AuditLogger;
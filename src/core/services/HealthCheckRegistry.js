@@ -0,0 +1,171 @@
+const STATES = ['starting', 'ready', 'shutting_down'];
+
+/**
+ * @class HealthCheckRegistry
+ * @description Runs the dependency checks behind the readiness endpoint
+ * Dependencies register an async check function with a timeout. A check passes when it
+ * resolves (its result is reported as details) and fails when it throws or times out.
+ * A failing critical check fails the whole report; a failing non-critical check only
+ * downgrades it to `warn`. Independently of the checks, the application is not ready while
+ * it is starting up or shutting down.
+ */
+class HealthCheckRegistry {
+    constructor(logger, options = {}) {
+        if (!logger) {
+            throw new Error('Logger dependency is required');
+        }
+
+        // Dependency Injection: Inject logger dependency
+        this._logger = logger;
+
+        const { defaultTimeoutMs = 2000 } = options;
+
+        this._defaultTimeoutMs = defaultTimeoutMs;
+        this._checks = new Map();
+        this._state = 'starting';
+    }
+
+    /**
+     * Register a dependency check
+     * @param {string} name - Check name, unique within the registry
+     * @param {Function} check - Async function; resolves with optional details or throws
+     * @param {Object} [options] - Check options
+     * @param {number} [options.timeoutMs] - Time after which the check fails
+     * @param {boolean} [options.critical=true] - Whether a failure makes the application unready
+     */
+    register(name, check, options = {}) {
+        if (this._checks.has(name)) {
+            throw new Error(`Health check already registered: ${name}`);
+        }
+
+        if (typeof check !== 'function') {
+            throw new Error(`Health check ${name} must be a function`);
+        }
+
+        const { timeoutMs = this._defaultTimeoutMs, critical = true } = options;
+        this._checks.set(name, { name, check, timeoutMs, critical });
+    }
+
+    /**
+     * Current lifecycle state
+     * @returns {string} starting, ready or shutting_down
+     */
+    get state() {
+        return this._state;
+    }
+
+    /**
+     * Change the lifecycle state
+     * @param {string} state - starting, ready or shutting_down
+     */
+    setState(state) {
+        if (!STATES.includes(state)) {
+            throw new Error(`Unknown application state: ${state}`);
+        }
+
+        if (state !== this._state) {
+            this._logger.info(`Application state changed: ${this._state} -> ${state}`);
+            this._state = state;
+        }
+    }
+
+    /**
+     * Mark the application as ready to receive traffic
+     */
+    markReady() {
+        this.setState('ready');
+    }
+
+    /**
+     * Mark the application as shutting down, so readiness fails while requests drain
+     */
+    markShuttingDown() {
+        this.setState('shutting_down');
+    }
+
+    /**
+     * Run every check
+     * @returns {Promise<Object>} Overall status (pass, warn or fail), state and per-check results
+     */
+    async run() {
+        const results = await Promise.all(Array.from(this._checks.values()).map(entry => this.runCheck(entry)));
+        const checks = Object.fromEntries(results.map(result => [result.name, result.outcome]));
+
+        const failed = Object.values(checks).filter(outcome => outcome.status === 'fail');
+        let status = 'pass';
+        if (failed.some(outcome => outcome.critical)) {
+            status = 'fail';
+        } else if (failed.length > 0) {
+            status = 'warn';
+        }
+
+        return { status, state: this._state, checks };
+    }
+
+    /**
+     * Decide whether the application should receive traffic
+     * Checks are skipped while starting or shutting down, when the answer is always no.
+     * @returns {Promise<Object>} Report as from run(); status is fail unless the state is ready
+     */
+    async checkReadiness() {
+        if (this._state !== 'ready') {
+            return { status: 'fail', state: this._state, checks: {} };
+        }
+
+        return this.run();
+    }
+
+    /**
+     * Run a single check with its timeout
+     * @param {Object} entry - Registered check
+     * @returns {Promise<Object>} Check name and outcome
+     */
+    async runCheck(entry) {
+        const { name, check, timeoutMs, critical } = entry;
+        const start = process.hrtime.bigint();
+        let timer;
+
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+        });
+
+        try {
+            const details = await Promise.race([Promise.resolve().then(check), timeout]);
+
+            return {
+                name,
+                outcome: {
+                    status: 'pass',
+                    critical,
+                    durationMs: this.elapsedMs(start),
+                    ...(details !== undefined ? { details } : {})
+                }
+            };
+        } catch (error) {
+            this._logger.warn(`Health check failed: ${name}`, { error: error.message, critical });
+
+            return {
+                name,
+                outcome: {
+                    status: 'fail',
+                    critical,
+                    durationMs: this.elapsedMs(start),
+                    error: error.message
+                }
+            };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Milliseconds since a start time
+     * @param {bigint} start - Start time from process.hrtime.bigint()
+     * @returns {number} Elapsed milliseconds, rounded to microseconds
+     */
+    elapsedMs(start) {
+        return Math.round(Number(process.hrtime.bigint() - start) / 1e3) / 1e3;
+    }
+}
+
+module.exports = HealthCheckRegistry;
@@ -0,0 +1,219 @@
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are never logged, matched at any depth and case-insensitively
+const DEFAULT_PATHS = [
+    'password',
+    'currentPassword',
+    'newPassword',
+    'confirmPassword',
+    'passwordHash',
+    'authorization',
+    'cookie',
+    'set-cookie',
+    'token',
+    'accessToken',
+    'refreshToken',
+    'mfaToken',
+    'idToken',
+    'secret',
+    'mfaSecret',
+    'clientSecret',
+    'apiKey',
+    'recoveryCodes'
+];
+
+// Field names whose values are logged with the local part of the address masked
+const DEFAULT_EMAIL_PATHS = ['email'];
+
+const EMAIL_PATTERN = /\b([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})\b/g;
+
+// Routes whose last path segment is a token (route templates such as `:token` are kept)
+const TOKEN_PATH_SEGMENTS = ['verify-email', 'reset-password'];
+
+// Values recognised by shape wherever they appear in messages, metadata or error details
+const DEFAULT_PATTERNS = [
+    { name: 'bearer', pattern: /\b(Bearer|Basic)\s+[\w\-.~+/]+=*/gi, replacement: `$1 ${REDACTED}` },
+    {
+        name: 'urlToken',
+        pattern: new RegExp(`(/(?:${TOKEN_PATH_SEGMENTS.join('|')})/)(?!:)[^/?#\\s"']+`, 'gi'),
+        replacement: `$1${REDACTED}`
+    },
+    {
+        // Query values and key/value pairs such as token=..., refreshToken: ... or "mfaToken":"..."
+        name: 'tokenValue',
+        pattern: /\b([\w-]*token["']?\s*[:=]\s*["']?)[^"'&#\s,;}]+/gi,
+        replacement: `$1${REDACTED}`
+    },
+    { name: 'jwt', pattern: /\beyJ[\w-]*\.[\w-]*\.[\w-]*/g, replacement: REDACTED },
+    { name: 'bcrypt', pattern: /\$2[abxy]?\$\d{2}\$[./A-Za-z0-9]{53}/g, replacement: REDACTED },
+    { name: 'email', pattern: EMAIL_PATTERN, replacement: '$1***@$2' }
+];
+
+const MAX_DEPTH = 10;
+
+/**
+ * @class LogRedactor
+ * @description Removes credentials and personal data from log entries before they are written
+ * Values of sensitive fields (`paths`) are replaced outright and email fields are partially
+ * masked. Strings anywhere in an entry - the message, nested metadata, error messages and
+ * stacks - are additionally scanned for tokens, password hashes and email addresses
+ * (`patterns`). Opaque tokens cannot be told apart by shape, so they are caught where they
+ * appear: in token-bearing URL segments (`/verify-email/...`) and as `token=` style values.
+ * A path without dots matches that field name at any depth; a dotted path such as
+ * `headers.x-api-key` matches only from the top of the metadata.
+ */
+class LogRedactor {
+    constructor(options = {}) {
+        const {
+            paths = [],
+            emailPaths = DEFAULT_EMAIL_PATHS,
+            patterns = DEFAULT_PATTERNS
+        } = options;
+
+        const allPaths = [...DEFAULT_PATHS, ...paths].map(value => value.toLowerCase());
+
+        this._keys = new Set(allPaths.filter(value => !value.includes('.')));
+        this._paths = new Set(allPaths.filter(value => value.includes('.')));
+        this._emailKeys = new Set(emailPaths.map(value => value.toLowerCase()));
+        this._patterns = patterns;
+    }
+
+    /**
+     * Redact a log message or metadata value without modifying it
+     * @param {*} value - Value to redact
+     * @returns {*} Redacted copy
+     */
+    redact(value) {
+        return this.redactValue(value, '', 0, new WeakSet());
+    }
+
+    /**
+     * Redact sensitive substrings of a string
+     * @param {string} text - Text to scan
+     * @returns {string} Text with every pattern match replaced
+     */
+    redactString(text) {
+        return this._patterns.reduce(
+            (result, { pattern, replacement }) => result.replace(pattern, replacement),
+            text
+        );
+    }
+
+    /**
+     * Mask an email address, keeping its first character and domain (j***@example.com)
+     * @param {*} value - Field value
+     * @returns {string} Masked address, or the redaction marker if it is not an address
+     */
+    maskEmail(value) {
+        if (typeof value !== 'string' || !value.includes('@')) {
+            return REDACTED;
+        }
+
+        const at = value.lastIndexOf('@');
+        return `${value.charAt(0)}***@${value.slice(at + 1)}`;
+    }
+
+    /**
+     * Recursively redact a value
+     * @param {*} value - Value to redact
+     * @param {string} path - Dotted, lower-cased path of the value
+     * @param {number} depth - Nesting depth
+     * @param {WeakSet} seen - Ancestors of the value, to cut cycles
+     * @returns {*} Redacted copy
+     */
+    redactValue(value, path, depth, seen) {
+        if (typeof value === 'string') {
+            return this.redactString(value);
+        }
+
+        if (value === null || typeof value !== 'object' || value instanceof Date) {
+            return value;
+        }
+
+        if (seen.has(value)) {
+            return '[Circular]';
+        }
+
+        if (depth >= MAX_DEPTH) {
+            return '[Truncated]';
+        }
+
+        if (Buffer.isBuffer(value)) {
+            return '[Buffer]';
+        }
+
+        // Only ancestors count as cycles; the same object may appear twice side by side
+        seen.add(value);
+        const redacted = this.redactChildren(value, path, depth, seen);
+        seen.delete(value);
+
+        return redacted;
+    }
+
+    /**
+     * Redact the contents of an object, array or error
+     * @param {Object} value - Value to redact
+     * @param {string} path - Dotted, lower-cased path of the value
+     * @param {number} depth - Nesting depth
+     * @param {WeakSet} seen - Ancestors of the value
+     * @returns {*} Redacted copy
+     */
+    redactChildren(value, path, depth, seen) {
+        if (value instanceof Error) {
+            return this.redactObject(this.describeError(value), path, depth, seen);
+        }
+
+        if (typeof value.toJSON === 'function') {
+            return this.redactValue(value.toJSON(), path, depth, seen);
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(item => this.redactValue(item, path, depth + 1, seen));
+        }
+
+        return this.redactObject(value, path, depth, seen);
+    }
+
+    /**
+     * Redact the fields of a plain object
+     * @param {Object} object - Object to redact
+     * @param {string} path - Dotted, lower-cased path of the object
+     * @param {number} depth - Nesting depth
+     * @param {WeakSet} seen - Ancestors of the object
+     * @returns {Object} Redacted copy
+     */
+    redactObject(object, path, depth, seen) {
+        return Object.keys(object).reduce((result, key) => {
+            const name = key.toLowerCase();
+            const fieldPath = path ? `${path}.${name}` : name;
+
+            if (this._keys.has(name) || this._paths.has(fieldPath)) {
+                result[key] = REDACTED;
+            } else if (this._emailKeys.has(name)) {
+                result[key] = object[key] === null || object[key] === undefined
+                    ? object[key]
+                    : this.maskEmail(object[key]);
+            } else {
+                result[key] = this.redactValue(object[key], fieldPath, depth + 1, seen);
+            }
+
+            return result;
+        }, {});
+    }
+
+    /**
+     * Turn an error into a plain object, keeping its own fields (code, details, ...)
+     * @param {Error} error - Error to describe
+     * @returns {Object} Error fields
+     */
+    describeError(error) {
+        return {
+            ...error,
+            name: error.name,
+            message: error.message,
+            stack: error.stack
+        };
+    }
+}
+
+module.exports = LogRedactor;
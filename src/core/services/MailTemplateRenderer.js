@@ -0,0 +1,160 @@
+/**
+ * Default message templates
+ * Each template receives HTML-escaped data for `html` and raw data for `subject`/`text`
+ */
+const DEFAULT_TEMPLATES = {
+    emailVerification: {
+        subject: data => `Verify your email for ${data.appName}`,
+        text: data => [
+            `Hi ${data.firstName},`,
+            '',
+            'Please confirm your email address by opening the link below:',
+            data.url,
+            '',
+            `This link expires at ${data.expiresAt}.`
+        ].join('\n'),
+        html: data => `
+            <p>Hi ${data.firstName},</p>
+            <p>Please confirm your email address by opening the link below:</p>
+            <p><a href="${data.url}">Verify email</a></p>
+            <p>This link expires at ${data.expiresAt}.</p>`
+    },
+    passwordReset: {
+        subject: data => `Reset your ${data.appName} password`,
+        text: data => [
+            `Hi ${data.firstName},`,
+            '',
+            'We received a request to reset your password. Open the link below to choose a new one:',
+            data.url,
+            '',
+            `This link expires at ${data.expiresAt}. If you didn't ask for a reset, you can ignore this email.`
+        ].join('\n'),
+        html: data => `
+            <p>Hi ${data.firstName},</p>
+            <p>We received a request to reset your password. Open the link below to choose a new one:</p>
+            <p><a href="${data.url}">Reset password</a></p>
+            <p>This link expires at ${data.expiresAt}. If you didn't ask for a reset, you can ignore this email.</p>`
+    },
+    passwordChanged: {
+        subject: data => `Your ${data.appName} password was changed`,
+        text: data => [
+            `Hi ${data.firstName},`,
+            '',
+            `Your password was changed at ${data.changedAt}.`,
+            'If this wasn\'t you, reset your password immediately and contact support.'
+        ].join('\n'),
+        html: data => `
+            <p>Hi ${data.firstName},</p>
+            <p>Your password was changed at ${data.changedAt}.</p>
+            <p>If this wasn't you, reset your password immediately and contact support.</p>`
+    },
+    newLogin: {
+        subject: data => `New sign-in to your ${data.appName} account`,
+        text: data => [
+            `Hi ${data.firstName},`,
+            '',
+            `Your account was signed in to at ${data.loginAt}.`,
+            `IP address: ${data.ip}`,
+            `Device: ${data.userAgent}`,
+            '',
+            'If this wasn\'t you, change your password and log out of all devices.'
+        ].join('\n'),
+        html: data => `
+            <p>Hi ${data.firstName},</p>
+            <p>Your account was signed in to at ${data.loginAt}.</p>
+            <ul>
+                <li>IP address: ${data.ip}</li>
+                <li>Device: ${data.userAgent}</li>
+            </ul>
+            <p>If this wasn't you, change your password and log out of all devices.</p>`
+    }
+};
+
+/**
+ * @class MailTemplateRenderer
+ * @description Renders named email templates into plain text and HTML bodies
+ * Implements Template Method pattern - templates only supply subject/text/html builders
+ */
+class MailTemplateRenderer {
+    constructor(options = {}) {
+        const {
+            appName = 'OOP Express Backend',
+            templates = {}
+        } = options;
+
+        this._appName = appName;
+
+        // Open/Closed Principle: custom templates extend or override the defaults
+        this._templates = { ...DEFAULT_TEMPLATES, ...templates };
+    }
+
+    /**
+     * Render a template
+     * @param {string} name - Template name
+     * @param {Object} [data] - Template data
+     * @returns {Object} Rendered subject, text and html
+     */
+    render(name, data = {}) {
+        const template = this._templates[name];
+        if (!template) {
+            throw new Error(`Unknown mail template: ${name}`);
+        }
+
+        // Dates are rendered as ISO strings in both bodies
+        const context = Object.fromEntries(
+            Object.entries({ appName: this._appName, ...data })
+                .map(([key, value]) => [key, value instanceof Date ? value.toISOString() : value])
+        );
+        const escaped = Object.fromEntries(
+            Object.entries(context).map(([key, value]) => [key, this.escapeHtml(value)])
+        );
+
+        return {
+            subject: template.subject(context),
+            text: template.text(context),
+            html: this.wrapHtml(template.html(escaped), escaped)
+        };
+    }
+
+    /**
+     * Wrap an HTML fragment in the shared layout
+     * @param {string} body - HTML fragment
+     * @param {Object} data - Escaped template data
+     * @returns {string} Full HTML document
+     */
+    wrapHtml(body, data) {
+        return [
+            '<!DOCTYPE html>',
+            '<html>',
+            '<body style="font-family: sans-serif; line-height: 1.5;">',
+            body.trim(),
+            `<p style="color: #888;">${data.appName}</p>`,
+            '</body>',
+            '</html>'
+        ].join('\n');
+    }
+
+    /**
+     * Escape a value for safe inclusion in HTML
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped string
+     */
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * List the available template names
+     * @returns {string[]} Template names
+     */
+    getTemplateNames() {
+        return Object.keys(this._templates);
+    }
+}
+
+module.exports = MailTemplateRenderer;
@@ -0,0 +1,289 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATION_FILE_PATTERN = /^(\d+)[_-]([\w-]+)\.js$/;
+
+/**
+ * @class MigrationRunner
+ * @description Applies and reverts ordered schema migrations for persistent stores
+ * Migrations are files named `<number>_<name>.js` in the migrations directory, ordered by
+ * their numeric prefix, each exporting `up(context)` and `down(context)`. The SHA-256 of
+ * every applied file is kept in the migrations table; editing a migration after it ran
+ * is reported as a checksum mismatch and blocks further runs.
+ */
+class MigrationRunner {
+    constructor(logger, migrationStore, options = {}) {
+        if (!logger) {
+            throw new Error('Logger dependency is required');
+        }
+
+        if (!migrationStore) {
+            throw new Error('MigrationStore dependency is required');
+        }
+
+        // Dependency Injection: Inject logger and migrations table
+        this._logger = logger;
+        this._migrationStore = migrationStore;
+
+        const {
+            directory = 'migrations',
+            context = {}
+        } = options;
+
+        this._directory = path.resolve(directory);
+        this._context = context;
+    }
+
+    /**
+     * Load migration files in order
+     * @returns {Promise<Object[]>} Migrations with id, name, checksum, up and down
+     */
+    async loadMigrations() {
+        if (!fs.existsSync(this._directory)) {
+            return [];
+        }
+
+        const files = (await fs.promises.readdir(this._directory))
+            .filter(file => MIGRATION_FILE_PATTERN.test(file));
+
+        const migrations = await Promise.all(files.map(file => this.loadMigration(file)));
+        migrations.sort((a, b) => a.order - b.order);
+
+        migrations.forEach((migration, index) => {
+            if (index > 0 && migration.order === migrations[index - 1].order) {
+                throw new Error(`Duplicate migration number: ${migration.id} and ${migrations[index - 1].id}`);
+            }
+        });
+
+        return migrations;
+    }
+
+    /**
+     * Load a single migration file
+     * @param {string} file - File name
+     * @returns {Promise<Object>} Migration
+     */
+    async loadMigration(file) {
+        const [, number, name] = file.match(MIGRATION_FILE_PATTERN);
+        const filePath = path.join(this._directory, file);
+        const source = await fs.promises.readFile(filePath, 'utf8');
+        const definition = require(filePath);
+
+        if (typeof definition.up !== 'function' || typeof definition.down !== 'function') {
+            throw new Error(`Migration ${file} must export up() and down() functions`);
+        }
+
+        return {
+            id: path.basename(file, '.js'),
+            name,
+            order: Number(number),
+            checksum: this.checksum(source),
+            up: definition.up,
+            down: definition.down
+        };
+    }
+
+    /**
+     * Report the state of every known migration
+     * @returns {Promise<Object[]>} Entries with id, state (applied, pending, modified or missing) and appliedAt
+     */
+    async status() {
+        const migrations = await this.loadMigrations();
+        const applied = await this._migrationStore.listApplied();
+        const appliedById = new Map(applied.map(record => [record.id, record]));
+        const fileIds = new Set(migrations.map(migration => migration.id));
+
+        const entries = migrations.map(migration => {
+            const record = appliedById.get(migration.id);
+
+            if (!record) {
+                return { id: migration.id, state: 'pending', appliedAt: null };
+            }
+
+            return {
+                id: migration.id,
+                state: record.checksum === migration.checksum ? 'applied' : 'modified',
+                appliedAt: record.appliedAt
+            };
+        });
+
+        // Applied migrations whose files have been removed
+        applied
+            .filter(record => !fileIds.has(record.id))
+            .forEach(record => entries.push({ id: record.id, state: 'missing', appliedAt: record.appliedAt }));
+
+        return entries;
+    }
+
+    /**
+     * Apply pending migrations in order
+     * @param {Object} [options] - Run options
+     * @param {string} [options.to] - Last migration ID to apply
+     * @param {boolean} [options.dryRun] - Only report what would run
+     * @returns {Promise<string[]>} IDs of the migrations applied (or that would be)
+     */
+    async up(options = {}) {
+        const { to, dryRun = false } = options;
+
+        if (!dryRun) {
+            await this._migrationStore.initialize();
+        }
+        await this.verify();
+
+        const migrations = await this.loadMigrations();
+        const appliedIds = new Set((await this._migrationStore.listApplied()).map(record => record.id));
+        let pending = migrations.filter(migration => !appliedIds.has(migration.id));
+
+        if (to) {
+            const target = pending.findIndex(migration => migration.id === to);
+            if (target === -1) {
+                throw new Error(`Pending migration not found: ${to}`);
+            }
+            pending = pending.slice(0, target + 1);
+        }
+
+        for (const migration of pending) {
+            if (dryRun) {
+                this._logger.info(`[dry run] Would apply migration ${migration.id}`);
+                continue;
+            }
+
+            this._logger.info(`Applying migration ${migration.id}`);
+            await this.execute(migration, 'up');
+            await this._migrationStore.recordApplied({
+                id: migration.id,
+                checksum: migration.checksum,
+                appliedAt: new Date()
+            });
+        }
+
+        return pending.map(migration => migration.id);
+    }
+
+    /**
+     * Revert the most recently applied migrations
+     * @param {Object} [options] - Run options
+     * @param {number} [options.steps=1] - Number of migrations to revert
+     * @param {boolean} [options.dryRun] - Only report what would run
+     * @returns {Promise<string[]>} IDs of the migrations reverted (or that would be)
+     */
+    async down(options = {}) {
+        const { steps = 1, dryRun = false } = options;
+
+        if (!Number.isInteger(steps) || steps < 1) {
+            throw new Error('Steps must be a positive integer');
+        }
+
+        if (!dryRun) {
+            await this._migrationStore.initialize();
+        }
+        await this.verify();
+
+        const migrations = await this.loadMigrations();
+        const migrationsById = new Map(migrations.map(migration => [migration.id, migration]));
+        const applied = await this._migrationStore.listApplied();
+        const toRevert = applied.slice(-steps).reverse().map(record => migrationsById.get(record.id));
+
+        for (const migration of toRevert) {
+            if (dryRun) {
+                this._logger.info(`[dry run] Would revert migration ${migration.id}`);
+                continue;
+            }
+
+            this._logger.info(`Reverting migration ${migration.id}`);
+            await this.execute(migration, 'down');
+            await this._migrationStore.removeApplied(migration.id);
+        }
+
+        return toRevert.map(migration => migration.id);
+    }
+
+    /**
+     * Fail if any applied migration was edited or deleted after it ran
+     * @returns {Promise<void>}
+     */
+    async verify() {
+        const problems = (await this.status())
+            .filter(entry => entry.state === 'modified' || entry.state === 'missing');
+
+        if (problems.length > 0) {
+            const details = problems.map(entry => `${entry.id} (${entry.state})`).join(', ');
+            throw new Error(`Applied migrations do not match their files: ${details}`);
+        }
+    }
+
+    /**
+     * Fail unless every migration has been applied (used at startup)
+     * @returns {Promise<void>}
+     */
+    async assertUpToDate() {
+        await this.verify();
+
+        const pending = (await this.status()).filter(entry => entry.state === 'pending');
+        if (pending.length > 0) {
+            throw new Error(
+                `${pending.length} pending migration(s): ${pending.map(entry => entry.id).join(', ')}. ` +
+                'Run `npm run migrate` before starting the application'
+            );
+        }
+    }
+
+    /**
+     * Run one direction of a migration
+     * @param {Object} migration - Migration
+     * @param {string} direction - 'up' or 'down'
+     * @returns {Promise<void>}
+     */
+    async execute(migration, direction) {
+        try {
+            await migration[direction]({ logger: this._logger, ...this._context });
+        } catch (error) {
+            throw new Error(`Migration ${migration.id} failed (${direction}): ${error.message}`);
+        }
+    }
+
+    /**
+     * Checksum migration source, ignoring line ending differences between checkouts
+     * @param {string} source - File contents
+     * @returns {string} Hex-encoded SHA-256 hash
+     */
+    checksum(source) {
+        return crypto.createHash('sha256').update(source.replace(/\r\n/g, '\n')).digest('hex');
+    }
+
+    /**
+     * Create a new, empty migration file
+     * @param {string} name - Migration name (letters, digits, dashes and underscores)
+     * @param {Date} [now] - Used for the timestamp prefix
+     * @returns {Promise<string>} Path of the created file
+     */
+    async create(name, now = new Date()) {
+        if (!/^[\w-]+$/.test(name || '')) {
+            throw new Error('Migration name may only contain letters, digits, dashes and underscores');
+        }
+
+        const timestamp = now.toISOString().replace(/\D/g, '').slice(0, 14);
+        const filePath = path.join(this._directory, `${timestamp}_${name}.js`);
+
+        await fs.promises.mkdir(this._directory, { recursive: true });
+        await fs.promises.writeFile(filePath, [
+            '/**',
+            ` * Migration: ${name}`,
+            ' * @param {Object} context - Logger and store settings supplied by the migration runner',
+            ' */',
+            'module.exports = {',
+            '    async up(context) {',
+            '    },',
+            '',
+            '    async down(context) {',
+            '    }',
+            '};',
+            ''
+        ].join('\n'), { flag: 'wx' });
+
+        return filePath;
+    }
+}
+
+module.exports = MigrationRunner;
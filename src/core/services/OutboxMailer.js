@@ -0,0 +1,159 @@
+const IMailer = require('../interfaces/IMailer');
+const nodemailer = require('nodemailer');
+const fs = require('fs/promises');
+const { constants: fsConstants } = require('fs');
+const path = require('path');
+
+/**
+ * @class OutboxMailer
+ * @description File-based mailer that writes every message to an outbox directory as an .eml file
+ * Implements IMailer interface - used in development and tests, never touches the network
+ */
+class OutboxMailer extends IMailer {
+    constructor(options = {}) {
+        super();
+
+        const {
+            outboxDir = 'mail-outbox',
+            from = 'no-reply@localhost'
+        } = options;
+
+        this._outboxDir = outboxDir;
+        this._from = from;
+
+        // Stream transport renders the full RFC 822 message without sending it
+        this._transport = nodemailer.createTransport({
+            streamTransport: true,
+            buffer: true
+        });
+    }
+
+    /**
+     * Write an email message to the outbox
+     * @param {Object} message - Message to send
+     * @returns {Promise<Object>} Message ID and file path
+     */
+    async send(message) {
+        const info = await this._transport.sendMail({ from: this._from, ...message });
+
+        await fs.mkdir(this._outboxDir, { recursive: true });
+
+        const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+        const filePath = path.join(this._outboxDir, fileName);
+        await fs.writeFile(filePath, info.message);
+
+        return { messageId: info.messageId, path: filePath };
+    }
+
+    /**
+     * Check that the outbox directory can be written
+     * @returns {Promise<void>}
+     */
+    async checkHealth() {
+        await fs.mkdir(this._outboxDir, { recursive: true });
+        await fs.access(this._outboxDir, fsConstants.W_OK);
+    }
+
+    /**
+     * Read every message currently in the outbox, oldest first
+     * @returns {Promise<Object[]>} Messages with file path, recipient, subject, decoded bodies and raw source
+     */
+    async list() {
+        let files;
+        try {
+            files = await fs.readdir(this._outboxDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const messages = [];
+        for (const file of files.filter(name => name.endsWith('.eml')).sort()) {
+            const filePath = path.join(this._outboxDir, file);
+            const raw = await fs.readFile(filePath, 'utf8');
+
+            messages.push({
+                path: filePath,
+                to: this.readHeader(raw, 'To'),
+                subject: this.readHeader(raw, 'Subject'),
+                text: this.readBody(raw, 'text/plain'),
+                html: this.readBody(raw, 'text/html'),
+                raw
+            });
+        }
+
+        return messages;
+    }
+
+    /**
+     * Remove every message from the outbox
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await fs.rm(this._outboxDir, { recursive: true, force: true });
+    }
+
+    /**
+     * Close the underlying stream transport
+     * @returns {Promise<void>}
+     */
+    async close() {
+        this._transport.close();
+    }
+
+    /**
+     * Extract a top-level header value from a raw message
+     * @param {string} raw - Raw message source
+     * @param {string} name - Header name
+     * @returns {string|null} Header value
+     */
+    readHeader(raw, name) {
+        const [headers] = raw.replace(/\r\n/g, '\n').split('\n\n');
+        const match = headers.match(new RegExp(`^${name}: (.*)$`, 'm'));
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Extract and decode the body part with the given content type
+     * @param {string} raw - Raw message source
+     * @param {string} contentType - MIME type of the part
+     * @returns {string|null} Decoded body
+     */
+    readBody(raw, contentType) {
+        const source = raw.replace(/\r\n/g, '\n');
+        const boundary = (source.match(/boundary="([^"]+)"/) || [])[1];
+        const parts = boundary ? source.split(`--${boundary}`).slice(1, -1) : [source];
+
+        for (const part of parts) {
+            const content = part.replace(/^\n/, '');
+            const separator = content.indexOf('\n\n');
+            const headers = content.slice(0, separator);
+
+            if (!new RegExp(`^Content-Type: ${contentType}`, 'mi').test(headers)) {
+                continue;
+            }
+
+            const body = content.slice(separator + 2).replace(/\n$/, '');
+            const encoding = (headers.match(/^Content-Transfer-Encoding: (.*)$/mi) || [])[1];
+
+            if (encoding === 'base64') {
+                return Buffer.from(body, 'base64').toString('utf8');
+            }
+
+            if (encoding === 'quoted-printable') {
+                const bytes = body
+                    .replace(/=\n/g, '')
+                    .replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+                return Buffer.from(bytes, 'latin1').toString('utf8');
+            }
+
+            return body;
+        }
+
+        return null;
+    }
+}
+
+module.exports = OutboxMailer;
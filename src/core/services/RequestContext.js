@@ -0,0 +1,33 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * @class RequestContext
+ * @description Per-request context carried across async calls
+ * Wraps AsyncLocalStorage so that code running on behalf of a request (services, repositories,
+ * the logger) can read its correlation data without it being passed through every call.
+ */
+class RequestContext {
+    constructor() {
+        this._storage = new AsyncLocalStorage();
+    }
+
+    /**
+     * Run a callback, and everything it starts asynchronously, within a context
+     * @param {Object} context - Context values (requestId, traceId, ...)
+     * @param {Function} callback - Callback to run
+     * @returns {*} The callback's return value
+     */
+    run(context, callback) {
+        return this._storage.run(context, callback);
+    }
+
+    /**
+     * Get the context of the current request
+     * @returns {Object|undefined} Context, or undefined outside a request
+     */
+    get() {
+        return this._storage.getStore();
+    }
+}
+
+module.exports = RequestContext;
@@ -0,0 +1,222 @@
+/**
+ * @class ShutdownManager
+ * @description Stops the application without dropping requests
+ * Shutdown runs in phases: wait for load balancers to notice the failing readiness probe
+ * (drain delay), stop accepting connections, let in-flight requests finish while idle
+ * keep-alive connections are closed, then run the registered hooks (flush repositories,
+ * close the mailer, stop timers) one at a time in registration order.
+ * Connections still open when the timeout expires are destroyed; a hook that fails or
+ * times out is logged and the remaining hooks still run.
+ */
+class ShutdownManager {
+    constructor(logger, options = {}) {
+        if (!logger) {
+            throw new Error('Logger dependency is required');
+        }
+
+        // Dependency Injection: Inject logger dependency
+        this._logger = logger;
+
+        const {
+            timeoutMs = 10000,
+            drainDelayMs = 0,
+            hookTimeoutMs = 5000
+        } = options;
+
+        this._timeoutMs = timeoutMs;
+        this._drainDelayMs = drainDelayMs;
+        this._hookTimeoutMs = hookTimeoutMs;
+
+        this._hooks = [];
+        this._server = null;
+        // Encapsulation: socket -> number of requests in flight on it
+        this._connections = new Map();
+        this._responses = new Set();
+        this._draining = false;
+        this._shutdown = null;
+    }
+
+    /**
+     * Register a hook to run once the HTTP server has closed
+     * @param {string} name - Hook name, used in logs
+     * @param {Function} hook - Async function releasing a resource
+     * @param {Object} [options] - Hook options
+     * @param {number} [options.timeoutMs] - Time after which the hook is abandoned
+     */
+    register(name, hook, options = {}) {
+        if (this._hooks.some(entry => entry.name === name)) {
+            throw new Error(`Shutdown hook already registered: ${name}`);
+        }
+
+        if (typeof hook !== 'function') {
+            throw new Error(`Shutdown hook ${name} must be a function`);
+        }
+
+        const { timeoutMs = this._hookTimeoutMs } = options;
+        this._hooks.push({ name, hook, timeoutMs });
+    }
+
+    /**
+     * Track the connections and requests of an HTTP server so they can be drained
+     * Must be called before the server accepts connections.
+     * @param {http.Server} server - Server returned by listen()
+     */
+    trackServer(server) {
+        this._server = server;
+
+        server.on('connection', (socket) => {
+            this._connections.set(socket, 0);
+            socket.once('close', () => this._connections.delete(socket));
+        });
+
+        // Prepended so the header is set before the application handles the request
+        server.prependListener('request', (req, res) => {
+            const socket = req.socket;
+            this._connections.set(socket, (this._connections.get(socket) || 0) + 1);
+            this._responses.add(res);
+
+            if (this._draining) {
+                res.setHeader('Connection', 'close');
+            }
+
+            res.once('close', () => {
+                this._responses.delete(res);
+
+                if (!this._connections.has(socket)) {
+                    return;
+                }
+
+                const active = this._connections.get(socket) - 1;
+                this._connections.set(socket, active);
+
+                // Headers went out before draining started, so the client expects keep-alive
+                if (this._draining && active === 0) {
+                    socket.end();
+                }
+            });
+        });
+    }
+
+    /**
+     * Whether shutdown has started
+     * @returns {boolean} Shutting down status
+     */
+    get isShuttingDown() {
+        return this._shutdown !== null;
+    }
+
+    /**
+     * Shut down; calling again returns the shutdown already in progress
+     * @returns {Promise<Object>} { clean, timedOut, failedHooks }; clean is false if connections
+     *   had to be destroyed or a hook failed
+     */
+    shutdown() {
+        if (!this._shutdown) {
+            this._shutdown = this.runShutdown();
+        }
+
+        return this._shutdown;
+    }
+
+    /**
+     * Run every shutdown phase
+     * @returns {Promise<Object>} Shutdown result
+     */
+    async runShutdown() {
+        // From now on responses ask clients to reconnect, so they move to other instances
+        this._draining = true;
+
+        if (this._drainDelayMs > 0) {
+            this._logger.info(`Waiting ${this._drainDelayMs}ms for load balancers to stop routing traffic`);
+            await new Promise(resolve => setTimeout(resolve, this._drainDelayMs));
+        }
+
+        const timedOut = await this.closeServer();
+        const failedHooks = await this.runHooks();
+
+        const clean = !timedOut && failedHooks.length === 0;
+        this._logger.info('Shutdown complete', { clean, timedOut, failedHooks });
+
+        return { clean, timedOut, failedHooks };
+    }
+
+    /**
+     * Stop accepting connections and wait for in-flight requests, up to the timeout
+     * @returns {Promise<boolean>} Whether connections had to be destroyed
+     */
+    async closeServer() {
+        if (!this._server || !this._server.listening) {
+            return false;
+        }
+
+        const closed = new Promise(resolve => this._server.close(() => resolve()));
+
+        for (const res of this._responses) {
+            if (!res.headersSent) {
+                res.setHeader('Connection', 'close');
+            }
+        }
+
+        for (const [socket, active] of this._connections) {
+            if (active === 0) {
+                socket.end();
+            }
+        }
+
+        this._logger.info('HTTP server closing', { openConnections: this._connections.size, inFlightRequests: this._responses.size });
+
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve(true), this._timeoutMs);
+        });
+
+        const timedOut = await Promise.race([closed.then(() => false), timeout]);
+        clearTimeout(timer);
+
+        if (timedOut) {
+            this._logger.error(`Connections still open after ${this._timeoutMs}ms, destroying them`, {
+                openConnections: this._connections.size,
+                inFlightRequests: this._responses.size
+            });
+
+            for (const socket of this._connections.keys()) {
+                socket.destroy();
+            }
+
+            await closed;
+        }
+
+        this._logger.info('HTTP server closed');
+
+        return timedOut;
+    }
+
+    /**
+     * Run the registered hooks one at a time, in registration order
+     * @returns {Promise<string[]>} Names of the hooks that failed or timed out
+     */
+    async runHooks() {
+        const failed = [];
+
+        for (const { name, hook, timeoutMs } of this._hooks) {
+            let timer;
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+            });
+
+            try {
+                await Promise.race([Promise.resolve().then(hook), timeout]);
+                this._logger.debug(`Shutdown hook completed: ${name}`);
+            } catch (error) {
+                failed.push(name);
+                this._logger.error(`Shutdown hook failed: ${name}`, error);
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+
+        return failed;
+    }
+}
+
+module.exports = ShutdownManager;
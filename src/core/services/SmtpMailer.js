@@ -0,0 +1,62 @@
+const IMailer = require('../interfaces/IMailer');
+const nodemailer = require('nodemailer');
+
+/**
+ * @class SmtpMailer
+ * @description SMTP mailer backed by a pooled nodemailer transport
+ * Implements Adapter pattern to adapt nodemailer to the IMailer interface
+ */
+class SmtpMailer extends IMailer {
+    constructor(options = {}) {
+        super();
+
+        const {
+            host = 'localhost',
+            port = 587,
+            secure = false,
+            user = null,
+            password = null,
+            from = 'no-reply@localhost',
+            createTransport = nodemailer.createTransport
+        } = options;
+
+        this._from = from;
+
+        // Factory Method: transport creation can be swapped in tests
+        this._transport = createTransport({
+            host,
+            port,
+            secure,
+            pool: true,
+            auth: user ? { user, pass: password } : undefined
+        });
+    }
+
+    /**
+     * Send an email message over SMTP
+     * @param {Object} message - Message to send
+     * @returns {Promise<Object>} Message ID
+     */
+    async send(message) {
+        const info = await this._transport.sendMail({ from: this._from, ...message });
+        return { messageId: info.messageId };
+    }
+
+    /**
+     * Check that the SMTP server accepts a connection and the configured credentials
+     * @returns {Promise<void>}
+     */
+    async checkHealth() {
+        await this._transport.verify();
+    }
+
+    /**
+     * Close pooled SMTP connections
+     * @returns {Promise<void>}
+     */
+    async close() {
+        this._transport.close();
+    }
+}
+
+module.exports = SmtpMailer;
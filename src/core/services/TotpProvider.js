@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * @class TotpProvider
+ * @description RFC 6238 time-based one-time password generator and verifier
+ * Secrets are exchanged as unpadded base32, the format authenticator apps expect
+ */
+class TotpProvider {
+    constructor(options = {}) {
+        const {
+            digits = 6,
+            period = 30,
+            algorithm = 'sha1',
+            window = 1,
+            clock = Date
+        } = options;
+
+        this._digits = digits;
+        this._period = period;
+        this._algorithm = algorithm;
+        this._window = window;
+        // Anything with a now() returning Unix milliseconds, so tests can control time
+        this._clock = clock;
+    }
+
+    /**
+     * Generate a new random secret
+     * @param {number} [bytes=20] - Secret length in bytes
+     * @returns {string} Base32-encoded secret
+     */
+    generateSecret(bytes = 20) {
+        return this.base32Encode(crypto.randomBytes(bytes));
+    }
+
+    /**
+     * Build an otpauth:// URI for QR code enrollment
+     * @param {Object} params - URI parameters
+     * @param {string} params.secret - Base32 secret
+     * @param {string} params.accountName - Account label, usually the email
+     * @param {string} params.issuer - Service name shown in the authenticator app
+     * @returns {string} otpauth URI
+     */
+    buildUri({ secret, accountName, issuer }) {
+        const label = encodeURIComponent(`${issuer}:${accountName}`);
+        const query = new URLSearchParams({
+            secret,
+            issuer,
+            algorithm: this._algorithm.toUpperCase(),
+            digits: String(this._digits),
+            period: String(this._period)
+        });
+
+        return `otpauth://totp/${label}?${query.toString()}`;
+    }
+
+    /**
+     * Get the time step for a point in time
+     * @param {number} [now] - Unix time in milliseconds
+     * @returns {number} Time step counter
+     */
+    getStep(now = this._clock.now()) {
+        return Math.floor(now / 1000 / this._period);
+    }
+
+    /**
+     * Generate the code for a time step
+     * @param {string} secret - Base32 secret
+     * @param {number} [step] - Time step counter
+     * @returns {string} Zero-padded code
+     */
+    generate(secret, step = this.getStep()) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+
+        const hmac = crypto.createHmac(this._algorithm, this.base32Decode(secret)).update(counter).digest();
+
+        // Dynamic truncation (RFC 4226 section 5.3)
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = ((hmac[offset] & 0x7f) << 24) |
+            (hmac[offset + 1] << 16) |
+            (hmac[offset + 2] << 8) |
+            hmac[offset + 3];
+
+        return String(binary % (10 ** this._digits)).padStart(this._digits, '0');
+    }
+
+    /**
+     * Verify a code within the allowed clock drift window
+     * @param {string} code - Code entered by the user
+     * @param {string} secret - Base32 secret
+     * @param {Object} [options] - Verification options
+     * @param {number} [options.now] - Unix time in milliseconds
+     * @param {number} [options.afterStep] - Reject steps at or before this one (replay protection)
+     * @returns {number|null} The matched time step, or null
+     */
+    verify(code, secret, options = {}) {
+        const { now = this._clock.now(), afterStep = -1 } = options;
+
+        if (typeof code !== 'string' || !new RegExp(`^\\d{${this._digits}}$`).test(code)) {
+            return null;
+        }
+
+        const currentStep = this.getStep(now);
+        for (let step = currentStep - this._window; step <= currentStep + this._window; step++) {
+            if (step <= afterStep) {
+                continue;
+            }
+
+            const expected = this.generate(secret, step);
+            if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+                return step;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Encode bytes as unpadded base32 (RFC 4648)
+     * @param {Buffer} buffer - Bytes to encode
+     * @returns {string} Base32 string
+     */
+    base32Encode(buffer) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        for (const byte of buffer) {
+            value = (value << 8) | byte;
+            bits += 8;
+
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+
+        return output;
+    }
+
+    /**
+     * Decode a base32 string, ignoring case, spaces and padding
+     * @param {string} input - Base32 string
+     * @returns {Buffer} Decoded bytes
+     */
+    base32Decode(input) {
+        const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+        const bytes = [];
+        let bits = 0;
+        let value = 0;
+
+        for (const char of cleaned) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error('Invalid base32 secret');
+            }
+
+            value = (value << 5) | index;
+            bits += 5;
+
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 0xff);
+                bits -= 8;
+            }
+        }
+
+        return Buffer.from(bytes);
+    }
+}
+
+module.exports = TotpProvider;
@@ -1,21 +1,96 @@
 const winston = require('winston');
 const path = require('path');
+const LogRedactor = require('./LogRedactor');
+const { ValidationError } = require('../errors');
+
+const LEVELS = winston.config.npm.levels;
 
 /**
  * @class WinstonLogger
  * @description Winston-based logger implementation
  * Implements Adapter pattern to adapt Winston to ILogger interface
  * Follows Single Responsibility Principle - only handles logging
+ * When given a RequestContext, every entry written while handling a request is stamped with
+ * that request's requestId, traceId and userId.
+ * Every entry passes through a LogRedactor before it reaches any transport, so passwords,
+ * tokens, password hashes and email addresses are never written in clear text.
+ * `child({ module })` returns a logger that shares the transports and adds its bindings to
+ * every entry. Each module can log at its own level (`LOG_LEVELS=AuthenticationService=debug`),
+ * and levels can be changed at runtime with setLevel() and resetLevel().
  */
 class WinstonLogger {
     constructor(options = {}) {
-        // Singleton pattern: Ensure only one logger instance
-        if (WinstonLogger.instance) {
+        // Child loggers share their parent's transports, redaction and level settings
+        if (options.parent) {
+            const { parent, bindings = {} } = options;
+
+            this._logger = parent._logger;
+            this._requestContext = parent._requestContext;
+            this._redactor = parent._redactor;
+            this._levels = parent._levels;
+            this._bindings = { ...parent._bindings, ...bindings };
+            return;
+        }
+
+        const { singleton = true } = options;
+
+        // Singleton pattern: Ensure only one shared logger instance (tests may opt out with singleton: false)
+        if (singleton && WinstonLogger.instance) {
             return WinstonLogger.instance;
         }
 
+        this._bindings = {};
+        this._levels = {
+            defaultLevel: this.validateLevel(options.level || 'info'),
+            modules: this.parseModuleLevels(options.levels || '')
+        };
+        this._requestContext = options.requestContext || null;
+        this._redactor = options.redactor || new LogRedactor({
+            paths: options.redactPaths || []
+        });
         this._logger = this.createWinstonLogger(options);
-        WinstonLogger.instance = this;
+        this.syncWinstonLevel();
+
+        if (singleton) {
+            WinstonLogger.instance = this;
+        }
+    }
+
+    /**
+     * Parse per-module level overrides
+     * @param {string|Object} levels - `Module=level` pairs separated by commas, or an object
+     * @returns {Map<string, string>} Level by module name
+     */
+    parseModuleLevels(levels) {
+        const entries = typeof levels === 'string'
+            ? levels.split(',')
+                .map(pair => pair.trim())
+                .filter(Boolean)
+                .map(pair => pair.split('=').map(part => part.trim()))
+            : Object.entries(levels);
+
+        return new Map(entries.map(([module, level]) => {
+            if (!module || !level) {
+                throw new Error(`Invalid log level override: ${module || ''}=${level || ''}`);
+            }
+            return [module, this.validateLevel(level)];
+        }));
+    }
+
+    /**
+     * Ensure a level name is one Winston knows
+     * @param {string} level - Level name
+     * @returns {string} The level
+     */
+    validateLevel(level) {
+        if (!Object.prototype.hasOwnProperty.call(LEVELS, level)) {
+            throw ValidationError.forField(
+                'level',
+                `Unknown log level: ${level} (expected one of ${Object.keys(LEVELS).join(', ')})`
+            );
+        }
+
+        return level;
     }
 
     /**
@@ -25,19 +100,19 @@ class WinstonLogger {
      */
     createWinstonLogger(options) {
         const {
-            level = process.env.LOG_LEVEL || 'info',
-            logFilePath = process.env.LOG_FILE_PATH || 'logs/app.log'
+            logFilePath = 'logs/app.log',
+            production = false
         } = options;
 
         // Strategy Pattern: Different log formats for different environments
-        const logFormat = process.env.NODE_ENV === 'production'
+        const logFormat = production
             ? winston.format.combine(
                 winston.format.timestamp(),
                 winston.format.errors({ stack: true }),
                 winston.format.json()
             )
             : winston.format.combine(
-                winston.format.colorize(),
+                winston.format.colorize({ colors: winston.config.npm.colors }),
                 winston.format.timestamp(),
                 winston.format.printf(({ timestamp, level, message, ...meta }) => {
                     return `${timestamp} [${level}]: ${message} ${Object.keys(meta).length ? JSON.stringify(meta, null, 2) : ''}`;
@@ -52,7 +127,7 @@ class WinstonLogger {
         ];
 
         // Add file transport in production
-        if (process.env.NODE_ENV === 'production') {
+        if (production) {
             transports.push(
                 new winston.transports.File({
                     filename: logFilePath,
@@ -64,20 +139,43 @@ class WinstonLogger {
         }
 
         return winston.createLogger({
-            level,
-            format: logFormat,
+            level: this._levels.defaultLevel,
+            // Redaction runs at the logger level, ahead of every transport's own format
+            format: winston.format.combine(this.createRedactionFormat(), logFormat),
             transports,
             exitOnError: false
         });
     }
 
+    /**
+     * Create a Winston format that redacts the message and every metadata field
+     * The fields are redacted together so top-level names such as `refreshToken` are matched too.
+     * @returns {winston.Format} Redaction format
+     */
+    createRedactionFormat() {
+        return winston.format(info => {
+            const keys = Object.keys(info).filter(key => key !== 'level');
+            const redacted = this._redactor.redact(Object.fromEntries(keys.map(key => [key, info[key]])));
+
+            keys.forEach(key => {
+                info[key] = redacted[key];
+            });
+
+            return info;
+        })();
+    }
+
     /**
      * Log info level message
      * @param {string} message - The message to log
      * @param {Object} [meta] - Additional metadata
      */
     info(message, meta = {}) {
-        this._logger.info(message, meta);
+        if (!this.isLevelEnabled('info')) {
+            return;
+        }
+
+        this._logger.info(message, this.withContext(meta));
     }
 
     /**
@@ -87,6 +185,10 @@ class WinstonLogger {
      * @param {Object} [meta] - Additional metadata
      */
     error(message, error = null, meta = {}) {
+        if (!this.isLevelEnabled('error')) {
+            return;
+        }
+
         const logData = { ...meta };
 
         if (error) {
@@ -98,7 +200,7 @@ class WinstonLogger {
             };
         }
 
-        this._logger.error(message, logData);
+        this._logger.error(message, this.withContext(logData));
     }
 
     /**
@@ -107,7 +209,11 @@ class WinstonLogger {
      * @param {Object} [meta] - Additional metadata
      */
     warn(message, meta = {}) {
-        this._logger.warn(message, meta);
+        if (!this.isLevelEnabled('warn')) {
+            return;
+        }
+
+        this._logger.warn(message, this.withContext(meta));
     }
 
     /**
@@ -116,7 +222,112 @@ class WinstonLogger {
      * @param {Object} [meta] - Additional metadata
      */
     debug(message, meta = {}) {
-        this._logger.debug(message, meta);
+        if (!this.isLevelEnabled('debug')) {
+            return;
+        }
+
+        this._logger.debug(message, this.withContext(meta));
+    }
+
+    /**
+     * Add the current request's correlation fields to log metadata
+     * @param {Object} meta - Metadata passed by the caller
+     * @returns {Object} Metadata with requestId, traceId and userId when inside a request
+     */
+    withContext(meta) {
+        const context = this._requestContext && this._requestContext.get();
+        if (!context) {
+            return { ...this._bindings, ...meta };
+        }
+
+        const correlation = { requestId: context.requestId };
+
+        if (context.traceId) {
+            correlation.traceId = context.traceId;
+        }
+
+        const { userId } = context;
+        if (userId) {
+            correlation.userId = userId;
+        }
+
+        return { ...correlation, ...this._bindings, ...meta };
+    }
+
+    /**
+     * Create a logger that adds bindings to every entry and logs at its module's level
+     * @param {Object} bindings - Metadata for every entry, e.g. { module: 'AuthenticationService' }
+     * @returns {WinstonLogger} Child logger sharing this logger's transports and levels
+     */
+    child(bindings = {}) {
+        return new WinstonLogger({ parent: this, bindings });
+    }
+
+    /**
+     * Check whether entries of a level are written by this logger
+     * @param {string} level - Level name
+     * @returns {boolean} Whether the level is enabled for this logger's module
+     */
+    isLevelEnabled(level) {
+        return LEVELS[level] <= LEVELS[this.getLevel(this._bindings.module)];
+    }
+
+    /**
+     * Get the effective level of a module
+     * @param {string} [module] - Module name; the default level when omitted
+     * @returns {string} Level name
+     */
+    getLevel(module) {
+        return (module && this._levels.modules.get(module)) || this._levels.defaultLevel;
+    }
+
+    /**
+     * Describe the current level settings
+     * @returns {Object} Default level, per-module overrides and the available levels
+     */
+    getLevels() {
+        return {
+            defaultLevel: this._levels.defaultLevel,
+            modules: Object.fromEntries(this._levels.modules),
+            availableLevels: Object.keys(LEVELS)
+        };
+    }
+
+    /**
+     * Change the default level or a module's level at runtime
+     * Changes apply to every logger sharing these settings, including existing children.
+     * @param {string} level - Level name
+     * @param {string} [module] - Module to override; the default level when omitted
+     */
+    setLevel(level, module) {
+        this.validateLevel(level);
+
+        if (module) {
+            this._levels.modules.set(module, level);
+        } else {
+            this._levels.defaultLevel = level;
+        }
+
+        this.syncWinstonLevel();
+    }
+
+    /**
+     * Remove a module's override so it logs at the default level again
+     * @param {string} module - Module name
+     * @returns {boolean} Whether an override was removed
+     */
+    resetLevel(module) {
+        const removed = this._levels.modules.delete(module);
+        this.syncWinstonLevel();
+        return removed;
+    }
+
+    /**
+     * Let Winston pass the most verbose configured level; each logger filters for its module
+     */
+    syncWinstonLevel() {
+        const levels = [this._levels.defaultLevel, ...this._levels.modules.values()];
+        this._logger.level = levels.reduce((verbose, level) => (LEVELS[level] > LEVELS[verbose] ? level : verbose));
     }
 
     /**
@@ -0,0 +1,115 @@
+const BaseEntity = require('../core/abstract/BaseEntity');
+const Joi = require('joi');
+
+const PURPOSES = Object.freeze({
+    PASSWORD_RESET: 'password-reset',
+    EMAIL_VERIFICATION: 'email-verification'
+});
+
+/**
+ * @class OneTimeToken
+ * @description Single-use, purpose-scoped token entity class
+ * Stores only the hash of the raw token; a token is usable once, for one purpose, until it expires
+ */
+class OneTimeToken extends BaseEntity {
+    constructor(data = {}) {
+        super(data);
+    }
+
+    /**
+     * Initialize one-time token properties
+     * @param {Object} data - Token data
+     */
+    initialize(data) {
+        this._tokenHash = data.tokenHash || '';
+        this._userId = data.userId || '';
+        this._purpose = data.purpose || '';
+        this._expiresAt = data.expiresAt ? new Date(data.expiresAt) : null;
+        this._consumedAt = data.consumedAt ? new Date(data.consumedAt) : null;
+    }
+
+    /**
+     * Validate token data
+     * @returns {boolean} Validation result
+     */
+    validate() {
+        const schema = Joi.object({
+            tokenHash: Joi.string().hex().length(64).required(),
+            userId: Joi.string().required(),
+            purpose: Joi.string().valid(...Object.values(PURPOSES)).required(),
+            expiresAt: Joi.date().required()
+        });
+
+        const { error } = schema.validate({
+            tokenHash: this._tokenHash,
+            userId: this._userId,
+            purpose: this._purpose,
+            expiresAt: this._expiresAt
+        });
+
+        return !error;
+    }
+
+    /**
+     * Convert token to public JSON (without the token hash)
+     * @returns {Object} Public token representation
+     */
+    toPublicJSON() {
+        return {
+            userId: this._userId,
+            purpose: this._purpose,
+            expiresAt: this._expiresAt,
+            consumedAt: this._consumedAt
+        };
+    }
+
+    /**
+     * Check if the token is past its expiry
+     * @param {Date} [now] - Reference time
+     * @returns {boolean} Expiry status
+     */
+    isExpired(now = new Date()) {
+        return !this._expiresAt || this._expiresAt.getTime() <= now.getTime();
+    }
+
+    /**
+     * Check if the token has already been used
+     * @returns {boolean} Consumption status
+     */
+    isConsumed() {
+        return this._consumedAt !== null;
+    }
+
+    /**
+     * Mark the token as used
+     */
+    consume() {
+        this._consumedAt = new Date();
+        this.touch();
+    }
+
+    // Getters for encapsulation
+    get tokenHash() {
+        return this._tokenHash;
+    }
+
+    get userId() {
+        return this._userId;
+    }
+
+    get purpose() {
+        return this._purpose;
+    }
+
+    get expiresAt() {
+        return this._expiresAt;
+    }
+
+    get consumedAt() {
+        return this._consumedAt;
+    }
+}
+
+OneTimeToken.PURPOSES = PURPOSES;
+
+module.exports = OneTimeToken;
@@ -0,0 +1,126 @@
+const BaseEntity = require('../core/abstract/BaseEntity');
+const Joi = require('joi');
+
+/**
+ * @class RefreshToken
+ * @description Refresh token entity class
+ * Stores only the hash of an opaque refresh token together with its rotation state
+ * Tokens issued from the same login share a family so that reuse can revoke the whole chain
+ */
+class RefreshToken extends BaseEntity {
+    constructor(data = {}) {
+        super(data);
+    }
+
+    /**
+     * Initialize refresh token properties
+     * @param {Object} data - Refresh token data
+     */
+    initialize(data) {
+        this._tokenHash = data.tokenHash || '';
+        this._userId = data.userId || '';
+        this._familyId = data.familyId || '';
+        this._expiresAt = data.expiresAt ? new Date(data.expiresAt) : null;
+        this._revokedAt = data.revokedAt ? new Date(data.revokedAt) : null;
+        this._replacedByHash = data.replacedByHash || null;
+        this._mfaVerified = data.mfaVerified || false;
+    }
+
+    /**
+     * Validate refresh token data
+     * @returns {boolean} Validation result
+     */
+    validate() {
+        const schema = Joi.object({
+            tokenHash: Joi.string().hex().length(64).required(),
+            userId: Joi.string().required(),
+            familyId: Joi.string().required(),
+            expiresAt: Joi.date().required()
+        });
+
+        const { error } = schema.validate({
+            tokenHash: this._tokenHash,
+            userId: this._userId,
+            familyId: this._familyId,
+            expiresAt: this._expiresAt
+        });
+
+        return !error;
+    }
+
+    /**
+     * Convert refresh token to public JSON (without the token hash)
+     * @returns {Object} Public refresh token representation
+     */
+    toPublicJSON() {
+        return {
+            userId: this._userId,
+            familyId: this._familyId,
+            expiresAt: this._expiresAt,
+            revokedAt: this._revokedAt,
+            mfaVerified: this._mfaVerified
+        };
+    }
+
+    /**
+     * Check if the token is past its expiry
+     * @param {Date} [now] - Reference time
+     * @returns {boolean} Expiry status
+     */
+    isExpired(now = new Date()) {
+        return !this._expiresAt || this._expiresAt.getTime() <= now.getTime();
+    }
+
+    /**
+     * Check if the token has been revoked or rotated
+     * @returns {boolean} Revocation status
+     */
+    isRevoked() {
+        return this._revokedAt !== null;
+    }
+
+    /**
+     * Revoke the token, optionally recording the token that replaced it
+     * @param {string} [replacedByHash] - Hash of the successor token
+     */
+    revoke(replacedByHash = null) {
+        if (!this._revokedAt) {
+            this._revokedAt = new Date();
+        }
+        if (replacedByHash) {
+            this._replacedByHash = replacedByHash;
+        }
+        this.touch();
+    }
+
+    // Getters for encapsulation
+    get tokenHash() {
+        return this._tokenHash;
+    }
+
+    get userId() {
+        return this._userId;
+    }
+
+    get familyId() {
+        return this._familyId;
+    }
+
+    get expiresAt() {
+        return this._expiresAt;
+    }
+
+    get revokedAt() {
+        return this._revokedAt;
+    }
+
+    get replacedByHash() {
+        return this._replacedByHash;
+    }
+
+    get mfaVerified() {
+        return this._mfaVerified;
+    }
+}
+
+module.exports = RefreshToken;
@@ -1,6 +1,15 @@
 const BaseEntity = require('../core/abstract/BaseEntity');
 const Joi = require('joi');
 
+// Login and lockout state: updated on every sign-in attempt, so it must not invalidate ETags
+const BOOKKEEPING_FIELDS = Object.freeze([
+    'lastLoginAt',
+    'failedLoginAttempts',
+    'lastFailedLoginAt',
+    'lockedUntil',
+    'mfaLastUsedStep'
+]);
+
 /**
  * @class User
  * @description User entity class
@@ -25,19 +34,33 @@ class User extends BaseEntity {
         this._role = data.role || 'user';
         this._isEmailVerified = data.isEmailVerified || false;
         this._lastLoginAt = data.lastLoginAt || null;
+        this._tokenVersion = data.tokenVersion || 0;
+
+        // Two-factor authentication state (never part of the public representation)
+        this._mfaEnabled = data.mfaEnabled || false;
+        this._mfaSecret = data.mfaSecret || null;
+        this._mfaPendingSecret = data.mfaPendingSecret || null;
+        this._mfaRecoveryCodes = data.mfaRecoveryCodes || [];
+        this._mfaLastUsedStep = data.mfaLastUsedStep !== undefined ? data.mfaLastUsedStep : -1;
+
+        // Brute-force protection state
+        this._failedLoginAttempts = data.failedLoginAttempts || 0;
+        this._lastFailedLoginAt = data.lastFailedLoginAt ? new Date(data.lastFailedLoginAt) : null;
+        this._lockedUntil = data.lockedUntil ? new Date(data.lockedUntil) : null;
     }
 
     /**
      * Validate user data
+     * @param {string[]} [roles] - Known role names (RoleRegistry#roles); any role name passes when omitted
      * @returns {boolean} Validation result
      */
-    validate() {
+    validate(roles) {
         const schema = Joi.object({
             email: Joi.string().email().required(),
             password: Joi.string().min(8).required(),
             firstName: Joi.string().min(2).max(50).required(),
             lastName: Joi.string().min(2).max(50).required(),
-            role: Joi.string().valid('user', 'admin', 'moderator').default('user'),
+            role: (roles ? Joi.string().valid(...roles) : Joi.string()).default('user'),
             isEmailVerified: Joi.boolean().default(false)
         });
 
@@ -64,11 +87,45 @@ class User extends BaseEntity {
             lastName: this._lastName,
             role: this._role,
             isEmailVerified: this._isEmailVerified,
+            mfaEnabled: this._mfaEnabled,
+            lockedUntil: this.isLocked() ? this._lockedUntil : null,
             lastLoginAt: this._lastLoginAt,
+            version: this._version,
             fullName: this.getFullName()
         };
     }
 
+    /**
+     * Convert user to a storage record
+     * Unlike toJSON() this includes credentials and security state, so it must never be sent to clients
+     * @returns {Object} Complete user state
+     */
+    toRecord() {
+        return {
+            id: this._id,
+            createdAt: this._createdAt,
+            updatedAt: this._updatedAt,
+            isActive: this._isActive,
+            version: this._version,
+            email: this._email,
+            password: this._password,
+            firstName: this._firstName,
+            lastName: this._lastName,
+            role: this._role,
+            isEmailVerified: this._isEmailVerified,
+            lastLoginAt: this._lastLoginAt,
+            tokenVersion: this._tokenVersion,
+            mfaEnabled: this._mfaEnabled,
+            mfaSecret: this._mfaSecret,
+            mfaPendingSecret: this._mfaPendingSecret,
+            mfaRecoveryCodes: [...this._mfaRecoveryCodes],
+            mfaLastUsedStep: this._mfaLastUsedStep,
+            failedLoginAttempts: this._failedLoginAttempts,
+            lastFailedLoginAt: this._lastFailedLoginAt,
+            lockedUntil: this._lockedUntil
+        };
+    }
+
     /**
      * Get user's full name
      * @returns {string} Full name
@@ -143,25 +200,111 @@ class User extends BaseEntity {
         return this._isEmailVerified;
     }
 
+    set isEmailVerified(value) {
+        this._isEmailVerified = Boolean(value);
+        this.touch();
+    }
+
     get lastLoginAt() {
         return this._lastLoginAt;
     }
 
-    /**
-     * Check if user has admin role
-     * @returns {boolean} Admin status
-     */
-    isAdmin() {
-        return this._role === 'admin';
+    set lastLoginAt(value) {
+        this._lastLoginAt = value ? new Date(value) : null;
+        this.touch();
+    }
+
+    get tokenVersion() {
+        return this._tokenVersion;
+    }
+
+    set tokenVersion(value) {
+        this._tokenVersion = value;
+        this.touch();
+    }
+
+    get mfaEnabled() {
+        return this._mfaEnabled;
+    }
+
+    set mfaEnabled(value) {
+        this._mfaEnabled = Boolean(value);
+        this.touch();
+    }
+
+    get mfaSecret() {
+        return this._mfaSecret;
+    }
+
+    set mfaSecret(value) {
+        this._mfaSecret = value;
+        this.touch();
+    }
+
+    get mfaPendingSecret() {
+        return this._mfaPendingSecret;
+    }
+
+    set mfaPendingSecret(value) {
+        this._mfaPendingSecret = value;
+        this.touch();
+    }
+
+    get mfaRecoveryCodes() {
+        return [...this._mfaRecoveryCodes];
+    }
+
+    set mfaRecoveryCodes(value) {
+        this._mfaRecoveryCodes = [...value];
+        this.touch();
+    }
+
+    get mfaLastUsedStep() {
+        return this._mfaLastUsedStep;
+    }
+
+    set mfaLastUsedStep(value) {
+        this._mfaLastUsedStep = value;
+        this.touch();
+    }
+
+    get failedLoginAttempts() {
+        return this._failedLoginAttempts;
+    }
+
+    set failedLoginAttempts(value) {
+        this._failedLoginAttempts = value;
+        this.touch();
+    }
+
+    get lastFailedLoginAt() {
+        return this._lastFailedLoginAt;
+    }
+
+    set lastFailedLoginAt(value) {
+        this._lastFailedLoginAt = value ? new Date(value) : null;
+        this.touch();
+    }
+
+    get lockedUntil() {
+        return this._lockedUntil;
+    }
+
+    set lockedUntil(value) {
+        this._lockedUntil = value ? new Date(value) : null;
+        this.touch();
     }
 
     /**
-     * Check if user has moderator role
-     * @returns {boolean} Moderator status
+     * Check if the account is temporarily locked
+     * @param {Date} [now] - Reference time
+     * @returns {boolean} Lock status
      */
-    isModerator() {
-        return this._role === 'moderator' || this._role === 'admin';
+    isLocked(now = new Date()) {
+        return this._lockedUntil !== null && this._lockedUntil.getTime() > now.getTime();
     }
 }
 
-module.exports = User; 
\ No newline at end of file
+User.BOOKKEEPING_FIELDS = BOOKKEEPING_FIELDS;
+
+module.exports = User;
\ No newline at end of file
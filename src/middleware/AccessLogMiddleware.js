@@ -0,0 +1,222 @@
+const trackRoute = require('./trackRoute');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const FORMATS = ['json', 'common', 'combined'];
+
+/**
+ * @class AccessLogMiddleware
+ * @description Writes one access log entry per request once the response has been sent
+ * Entries carry the method, route template, status, response bytes, duration, user ID and
+ * request ID. Path parameters may carry tokens (e.g. /auth/verify-email/:token), so the path is
+ * logged as the matched route template; only requests that matched no route log their URL
+ * path. Entries are written as structured JSON metadata (`json`) or as Apache common /
+ * combined log lines for log shippers that parse those formats. Successful responses can be
+ * sampled; error responses (status 400 and above) are always logged.
+ */
+class AccessLogMiddleware {
+    constructor(logger, options = {}) {
+        if (!logger) {
+            throw new Error('Logger dependency is required');
+        }
+
+        // Dependency Injection: Inject logger dependency
+        this._logger = logger;
+
+        const {
+            format = 'json',
+            sampleRate = 1,
+            excludePaths = ['/health', '/metrics'],
+            random = Math.random
+        } = options;
+
+        if (!FORMATS.includes(format)) {
+            throw new Error(`Unknown access log format: ${format}`);
+        }
+
+        if (!(sampleRate >= 0 && sampleRate <= 1)) {
+            throw new Error('Access log sample rate must be between 0 and 1');
+        }
+
+        this._format = format;
+        this._sampleRate = sampleRate;
+        this._excludePaths = excludePaths;
+        this._random = random;
+    }
+
+    /**
+     * Middleware that logs the request when its response finishes
+     * Register it before compression so the logged size is what went over the wire.
+     * @returns {Function} Express middleware function
+     */
+    handle() {
+        return (req, res, next) => {
+            if (this.isExcluded(req.path)) {
+                return next();
+            }
+
+            const startedAt = new Date();
+            const start = process.hrtime.bigint();
+            const getRoute = trackRoute(req);
+            const getBytes = this.countBytes(res);
+
+            res.once('finish', () => {
+                const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+                if (res.statusCode < 400 && !this.isSampled()) {
+                    return;
+                }
+
+                this.write(req, res, {
+                    startedAt,
+                    route: getRoute(),
+                    bytes: getBytes(),
+                    durationMs: Math.round(durationMs * 1000) / 1000
+                });
+            });
+
+            next();
+        };
+    }
+
+    /**
+     * Write an access log entry
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Object} measurements - startedAt, route, bytes and durationMs
+     */
+    write(req, res, measurements) {
+        const entry = {
+            method: req.method,
+            route: measurements.route,
+            path: measurements.route || this.stripQuery(req.originalUrl),
+            status: res.statusCode,
+            bytes: measurements.bytes,
+            durationMs: measurements.durationMs,
+            userId: req.user ? req.user.id : null,
+            requestId: req.id || null
+        };
+
+        if (this._format === 'json') {
+            this._logger.info(`${entry.method} ${entry.path} ${entry.status} ${entry.durationMs}ms`, {
+                accessLog: true,
+                ...entry,
+                ip: req.ip,
+                userAgent: req.get('User-Agent') || null
+            });
+            return;
+        }
+
+        this._logger.info(this.formatLine(req, entry, measurements.startedAt), {
+            accessLog: true,
+            requestId: entry.requestId
+        });
+    }
+
+    /**
+     * Format an entry as an Apache common or combined log line
+     * @param {Object} req - Express request object
+     * @param {Object} entry - Access log entry
+     * @param {Date} startedAt - Time the request was received
+     * @returns {string} Log line
+     */
+    formatLine(req, entry, startedAt) {
+        const line = [
+            req.ip || '-',
+            '-',
+            entry.userId || '-',
+            `[${this.formatTimestamp(startedAt)}]`,
+            `"${entry.method} ${entry.path} HTTP/${req.httpVersion}"`,
+            entry.status,
+            entry.bytes || '-'
+        ].join(' ');
+
+        if (this._format === 'common') {
+            return line;
+        }
+
+        return `${line} "${this.quote(req.get('Referer'))}" "${this.quote(req.get('User-Agent'))}"`;
+    }
+
+    /**
+     * Format a time as in Apache logs, e.g. 10/Oct/2000:13:55:36 +0000
+     * @param {Date} date - Time to format
+     * @returns {string} Formatted time (UTC)
+     */
+    formatTimestamp(date) {
+        const pad = value => String(value).padStart(2, '0');
+
+        return `${pad(date.getUTCDate())}/${MONTHS[date.getUTCMonth()]}/${date.getUTCFullYear()}:` +
+            `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+    }
+
+    /**
+     * Prepare a header value for a quoted log field
+     * @param {string} [value] - Header value
+     * @returns {string} Escaped value, or '-' when absent
+     */
+    quote(value) {
+        return value ? value.replace(/["\\]/g, '\\$&') : '-';
+    }
+
+    /**
+     * Remove the query string, which may carry tokens
+     * @param {string} url - Request URL
+     * @returns {string} URL path
+     */
+    stripQuery(url) {
+        return url.split('?')[0];
+    }
+
+    /**
+     * Check whether a path is excluded from access logging
+     * @param {string} requestPath - Request path
+     * @returns {boolean} Whether the path matches an exclusion or lies below one
+     */
+    isExcluded(requestPath) {
+        return this._excludePaths.some(excluded =>
+            requestPath === excluded || requestPath.startsWith(`${excluded.replace(/\/$/, '')}/`)
+        );
+    }
+
+    /**
+     * Decide whether to log a successful request
+     * @returns {boolean} Sampling decision
+     */
+    isSampled() {
+        return this._sampleRate >= 1 || this._random() < this._sampleRate;
+    }
+
+    /**
+     * Count the body bytes written to a response
+     * @param {Object} res - Express response object
+     * @returns {Function} Returns the number of bytes written so far
+     */
+    countBytes(res) {
+        const { write, end } = res;
+        let bytes = 0;
+
+        const count = (chunk, encoding) => {
+            if (!chunk || typeof chunk === 'function') {
+                return;
+            }
+            bytes += Buffer.isBuffer(chunk)
+                ? chunk.length
+                : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : undefined);
+        };
+
+        res.write = function (chunk, encoding, ...rest) {
+            count(chunk, encoding);
+            return write.call(this, chunk, encoding, ...rest);
+        };
+
+        res.end = function (chunk, encoding, ...rest) {
+            count(chunk, encoding);
+            return end.call(this, chunk, encoding, ...rest);
+        };
+
+        return () => bytes;
+    }
+}
+
+module.exports = AccessLogMiddleware;
@@ -1,17 +1,30 @@
+const { UnauthorizedError, ForbiddenError, RateLimitedError } = require('../core/errors');
+
 /**
  * @class AuthenticationMiddleware
  * @description Authentication middleware for Express
  * Implements Middleware pattern and Single Responsibility Principle
  * Follows Open/Closed Principle - open for extension, closed for modification
+ * Failures are passed to next() as typed errors and rendered by the application's error handler.
  */
 class AuthenticationMiddleware {
-    constructor(authenticationService) {
+    constructor(authenticationService, roleRegistry, options = {}) {
         if (!authenticationService) {
             throw new Error('AuthenticationService dependency is required');
         }
 
-        // Dependency Injection: Inject authentication service
+        if (!roleRegistry) {
+            throw new Error('RoleRegistry dependency is required');
+        }
+
+        // Dependency Injection: Inject authentication service and the roles permissions are checked against
         this._authenticationService = authenticationService;
+        this._roleRegistry = roleRegistry;
+
+        // Roles that may only act with a session that passed two-factor verification
+        const { mfaRequiredRoles = authenticationService.mfaRequiredRoles || [] } = options;
+
+        this._mfaRequiredRoles = mfaRequiredRoles;
     }
 
     /**
@@ -25,41 +38,19 @@ class AuthenticationMiddleware {
                 const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
                 if (!token) {
-                    return res.status(401).json({
-                        success: false,
-                        error: {
-                            message: 'Access token is required',
-                            code: 'MISSING_TOKEN'
-                        }
-                    });
+                    return next(new UnauthorizedError('Access token is required', { code: 'MISSING_TOKEN' }));
                 }
 
-                // Verify token and get user
-                const decoded = await this._authenticationService.verifyToken(token);
-                const user = await this._authenticationService._userRepository.findById(decoded.userId);
-
-                if (!user || !user.isActive) {
-                    return res.status(401).json({
-                        success: false,
-                        error: {
-                            message: 'Invalid or expired token',
-                            code: 'INVALID_TOKEN'
-                        }
-                    });
-                }
+                // Verify token, reject revoked tokens and get user
+                const { user, decoded } = await this._authenticationService.resolveAccessToken(token);
 
                 // Attach user to request object
                 req.user = user;
                 req.token = token;
+                req.tokenPayload = decoded;
                 next();
             } catch (error) {
-                return res.status(401).json({
-                    success: false,
-                    error: {
-                        message: 'Invalid or expired token',
-                        code: 'INVALID_TOKEN'
-                    }
-                });
+                return next(new UnauthorizedError('Invalid or expired token', { code: 'INVALID_TOKEN' }));
             }
         };
     }
@@ -72,25 +63,18 @@ class AuthenticationMiddleware {
     requireRoles(...roles) {
         return (req, res, next) => {
             if (!req.user) {
-                return res.status(401).json({
-                    success: false,
-                    error: {
-                        message: 'Authentication required',
-                        code: 'AUTHENTICATION_REQUIRED'
-                    }
-                });
+                return next(new UnauthorizedError('Authentication required', { code: 'AUTHENTICATION_REQUIRED' }));
             }
 
             if (!roles.includes(req.user.role)) {
-                return res.status(403).json({
-                    success: false,
-                    error: {
-                        message: 'Insufficient permissions',
-                        code: 'INSUFFICIENT_PERMISSIONS',
-                        requiredRoles: roles,
-                        userRole: req.user.role
-                    }
-                });
+                return next(new ForbiddenError('Insufficient permissions', {
+                    code: 'INSUFFICIENT_PERMISSIONS',
+                    details: { requiredRoles: roles, userRole: req.user.role }
+                }));
+            }
+
+            if (this._mfaRequiredRoles.includes(req.user.role) && !this.isMfaSession(req)) {
+                return next(this.mfaRequiredError());
             }
 
             next();
@@ -98,45 +82,43 @@ class AuthenticationMiddleware {
     }
 
     /**
-     * Middleware to require admin role
+     * Middleware to require permissions granted by the user's role (see RoleRegistry)
+     * @param {...string} permissions - Required permissions; all must be granted
      * @returns {Function} Express middleware function
      */
-    requireAdmin() {
-        return this.requireRoles('admin');
-    }
+    requirePermission(...permissions) {
+        return (req, res, next) => {
+            if (!req.user) {
+                return next(new UnauthorizedError('Authentication required', { code: 'AUTHENTICATION_REQUIRED' }));
+            }
 
-    /**
-     * Middleware to require moderator or admin role
-     * @returns {Function} Express middleware function
-     */
-    requireModerator() {
-        return this.requireRoles('moderator', 'admin');
+            if (!permissions.every(permission => this._roleRegistry.can(req.user.role, permission))) {
+                return next(new ForbiddenError('Insufficient permissions', {
+                    code: 'INSUFFICIENT_PERMISSIONS',
+                    details: { requiredPermissions: permissions, userRole: req.user.role }
+                }));
+            }
+
+            if (this._mfaRequiredRoles.includes(req.user.role) && !this.isMfaSession(req)) {
+                return next(this.mfaRequiredError());
+            }
+
+            next();
+        };
     }
 
     /**
-     * Middleware to require email verification
+     * Middleware to require a session that passed two-factor verification
      * @returns {Function} Express middleware function
      */
-    requireEmailVerification() {
+    requireMfa() {
         return (req, res, next) => {
             if (!req.user) {
-                return res.status(401).json({
-                    success: false,
-                    error: {
-                        message: 'Authentication required',
-                        code: 'AUTHENTICATION_REQUIRED'
-                    }
-                });
+                return next(new UnauthorizedError('Authentication required', { code: 'AUTHENTICATION_REQUIRED' }));
             }
 
-            if (!req.user.isEmailVerified) {
-                return res.status(403).json({
-                    success: false,
-                    error: {
-                        message: 'Email verification required',
-                        code: 'EMAIL_VERIFICATION_REQUIRED'
-                    }
-                });
+            if (!this.isMfaSession(req)) {
+                return next(this.mfaRequiredError());
             }
 
             next();
@@ -144,49 +126,37 @@ class AuthenticationMiddleware {
     }
 
     /**
-     * Middleware to check if user owns the resource or is admin
-     * @param {Function} resourceOwnerCheck - Function to check resource ownership
+     * Check whether the request's access token passed two-factor verification
+     * @param {Object} req - Express request object
+     * @returns {boolean} MFA status
+     */
+    isMfaSession(req) {
+        return Boolean(req.tokenPayload && req.tokenPayload.mfa === true);
+    }
+
+    /**
+     * Build the two-factor requirement error
+     * @returns {ForbiddenError} MFA_REQUIRED error
+     */
+    mfaRequiredError() {
+        return new ForbiddenError('Two-factor authentication required', { code: 'MFA_REQUIRED' });
+    }
+
+    /**
+     * Middleware to require email verification
      * @returns {Function} Express middleware function
      */
-    requireOwnershipOrAdmin(resourceOwnerCheck) {
-        return async (req, res, next) => {
+    requireEmailVerification() {
+        return (req, res, next) => {
             if (!req.user) {
-                return res.status(401).json({
-                    success: false,
-                    error: {
-                        message: 'Authentication required',
-                        code: 'AUTHENTICATION_REQUIRED'
-                    }
-                });
+                return next(new UnauthorizedError('Authentication required', { code: 'AUTHENTICATION_REQUIRED' }));
             }
 
-            // Admin can access any resource
-            if (req.user.isAdmin()) {
-                return next();
+            if (!req.user.isEmailVerified) {
+                return next(new ForbiddenError('Email verification required', { code: 'EMAIL_VERIFICATION_REQUIRED' }));
             }
 
-            // Check if user owns the resource
-            try {
-                const isOwner = await resourceOwnerCheck(req.user.id, req.params);
-                if (!isOwner) {
-                    return res.status(403).json({
-                        success: false,
-                        error: {
-                            message: 'Access denied to this resource',
-                            code: 'RESOURCE_ACCESS_DENIED'
-                        }
-                    });
-                }
-                next();
-            } catch (error) {
-                return res.status(500).json({
-                    success: false,
-                    error: {
-                        message: 'Error checking resource ownership',
-                        code: 'OWNERSHIP_CHECK_ERROR'
-                    }
-                });
-            }
+            next();
         };
     }
 
@@ -201,13 +171,11 @@ class AuthenticationMiddleware {
                 const token = authHeader && authHeader.split(' ')[1];
 
                 if (token) {
-                    const decoded = await this._authenticationService.verifyToken(token);
-                    const user = await this._authenticationService._userRepository.findById(decoded.userId);
+                    const { user, decoded } = await this._authenticationService.resolveAccessToken(token);
 
-                    if (user && user.isActive) {
-                        req.user = user;
-                        req.token = token;
-                    }
+                    req.user = user;
+                    req.token = token;
+                    req.tokenPayload = decoded;
                 }
                 next();
             } catch (error) {
@@ -241,14 +209,9 @@ class AuthenticationMiddleware {
             const currentAttempts = attempts.get(key);
 
             if (currentAttempts.length >= max) {
-                return res.status(429).json({
-                    success: false,
-                    error: {
-                        message: 'Too many authentication attempts',
-                        code: 'RATE_LIMIT_EXCEEDED',
-                        retryAfter: Math.ceil(windowMs / 1000)
-                    }
-                });
+                return next(new RateLimitedError('Too many authentication attempts', {
+                    retryAfter: Math.ceil(windowMs / 1000)
+                }));
             }
 
             currentAttempts.push(now);
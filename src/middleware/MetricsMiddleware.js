@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const trackRoute = require('./trackRoute');
+const { UnauthorizedError } = require('../core/errors');
+
+/**
+ * @class MetricsMiddleware
+ * @description Records HTTP request metrics and serves the Prometheus scrape endpoint
+ * Requests are labelled by method, route template and status; requests that match no route
+ * share the route label `unmatched`, so unknown URLs cannot create new series. When a
+ * token is configured (METRICS_TOKEN), scrapes must send it as a bearer token.
+ */
+class MetricsMiddleware {
+    constructor(metricsRegistry, options = {}) {
+        if (!metricsRegistry) {
+            throw new Error('MetricsRegistry dependency is required');
+        }
+
+        // Dependency Injection: Inject metrics registry
+        this._metrics = metricsRegistry;
+
+        const { token = null } = options;
+        this._token = token;
+
+        this._requests = metricsRegistry.counter({
+            name: 'http_requests_total',
+            help: 'HTTP requests served, by method, route template and status.',
+            labelNames: ['method', 'route', 'status']
+        });
+        this._duration = metricsRegistry.histogram({
+            name: 'http_request_duration_seconds',
+            help: 'HTTP request latency in seconds, by method, route template and status.',
+            labelNames: ['method', 'route', 'status']
+        });
+        this._inFlight = metricsRegistry.gauge({
+            name: 'http_requests_in_flight',
+            help: 'HTTP requests currently being served.'
+        });
+    }
+
+    /**
+     * Middleware that records every request once its response finishes
+     * @returns {Function} Express middleware function
+     */
+    handle() {
+        return (req, res, next) => {
+            const getRoute = trackRoute(req);
+            const endTimer = this._duration.startTimer({ method: req.method });
+            let done = false;
+
+            this._inFlight.inc();
+
+            const finish = () => {
+                if (done) {
+                    return;
+                }
+                done = true;
+                this._inFlight.dec();
+
+                // Connections closed before a response was sent are not counted as served
+                if (!res.writableFinished) {
+                    return;
+                }
+
+                const labels = {
+                    method: req.method,
+                    route: getRoute() || 'unmatched',
+                    status: res.statusCode
+                };
+                this._requests.inc(labels);
+                endTimer(labels);
+            };
+
+            res.once('finish', finish);
+            res.once('close', finish);
+
+            next();
+        };
+    }
+
+    /**
+     * Handler for the scrape endpoint
+     * @returns {Function} Express route handler
+     */
+    serve() {
+        return async (req, res, next) => {
+            try {
+                if (this._token && !this.isAuthorized(req.get('Authorization'))) {
+                    throw new UnauthorizedError('A valid metrics token is required', { code: 'INVALID_TOKEN' });
+                }
+
+                res.set('Content-Type', this._metrics.contentType);
+                res.send(await this._metrics.metrics());
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+
+    /**
+     * Compare an Authorization header with the configured token in constant time
+     * @param {string} [header] - Authorization header
+     * @returns {boolean} Whether the header carries the token
+     */
+    isAuthorized(header) {
+        const expected = Buffer.from(`Bearer ${this._token}`);
+        const actual = Buffer.from(header || '');
+
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+}
+
+module.exports = MetricsMiddleware;
@@ -0,0 +1,98 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Incoming IDs end up in logs and headers, so only plain token characters are accepted
+const REQUEST_ID_PATTERN = /^[\w.:@+=/-]{1,128}$/;
+
+// version-traceid-parentid-flags (W3C Trace Context); later versions may append fields
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+
+/**
+ * @class RequestContextMiddleware
+ * @description Assigns every request a correlation ID and opens its RequestContext
+ * The ID is taken from `X-Request-Id` when the caller sent a well-formed one and generated
+ * otherwise; it is echoed in the `X-Request-Id` response header. A W3C `traceparent` header
+ * is parsed so log entries can be joined with the caller's distributed trace.
+ */
+class RequestContextMiddleware {
+    constructor(requestContext) {
+        if (!requestContext) {
+            throw new Error('RequestContext dependency is required');
+        }
+
+        // Dependency Injection: Inject the request context store
+        this._requestContext = requestContext;
+    }
+
+    /**
+     * Middleware that establishes the request context
+     * Must be registered before any middleware that logs.
+     * @returns {Function} Express middleware function
+     */
+    handle() {
+        return (req, res, next) => {
+            const requestId = this.resolveRequestId(req.get('X-Request-Id'));
+            const trace = this.parseTraceparent(req.get('traceparent'));
+
+            req.id = requestId;
+            req.traceContext = trace;
+            res.set('X-Request-Id', requestId);
+
+            const context = {
+                requestId,
+                traceId: trace ? trace.traceId : undefined,
+                parentSpanId: trace ? trace.parentId : undefined,
+                // Read lazily: authentication runs later in the middleware chain
+                get userId() {
+                    return req.user ? req.user.id : undefined;
+                }
+            };
+
+            this._requestContext.run(context, next);
+        };
+    }
+
+    /**
+     * Use the caller's request ID if it is well-formed, otherwise generate one
+     * @param {string} [header] - X-Request-Id header value
+     * @returns {string} Request ID
+     */
+    resolveRequestId(header) {
+        if (header && REQUEST_ID_PATTERN.test(header)) {
+            return header;
+        }
+
+        return uuidv4();
+    }
+
+    /**
+     * Parse a W3C traceparent header
+     * @param {string} [header] - traceparent header value
+     * @returns {Object|null} `{ version, traceId, parentId, sampled }`, or null if absent or invalid
+     */
+    parseTraceparent(header) {
+        const match = header && header.trim().match(TRACEPARENT_PATTERN);
+        if (!match) {
+            return null;
+        }
+
+        const [, version, traceId, parentId, flags, extra] = match;
+
+        // Version ff is forbidden, version 00 has exactly four fields, and all-zero IDs are invalid
+        if (version === 'ff' || (version === '00' && extra !== undefined)) {
+            return null;
+        }
+
+        if (/^0+$/.test(traceId) || /^0+$/.test(parentId)) {
+            return null;
+        }
+
+        return {
+            version,
+            traceId,
+            parentId,
+            sampled: (parseInt(flags, 16) & 1) === 1
+        };
+    }
+}
+
+module.exports = RequestContextMiddleware;
@@ -0,0 +1,35 @@
+const ROUTE_TEMPLATE = Symbol('routeTemplate');
+
+/**
+ * Track the route template a request matches (e.g. /api/v1/users/:id)
+ * Express clears req.baseUrl when a route passes an error to next(), so by the time the
+ * response finishes the mount path is lost. The template is captured instead at the moment
+ * Express assigns req.route. Safe to call from several middleware for the same request.
+ * @param {Object} req - Express request object
+ * @returns {Function} Returns the route template, or null if no route matched
+ */
+function trackRoute(req) {
+    if (!req[ROUTE_TEMPLATE]) {
+        let route = req.route;
+        let template = null;
+
+        Object.defineProperty(req, 'route', {
+            configurable: true,
+            enumerable: true,
+            get: () => route,
+            set: value => {
+                route = value;
+                if (value && typeof value.path === 'string') {
+                    // A router's '/' route is reported as its mount path (/api/v1/users, not /api/v1/users/)
+                    template = value.path === '/' && req.baseUrl ? req.baseUrl : `${req.baseUrl}${value.path}`;
+                }
+            }
+        });
+
+        req[ROUTE_TEMPLATE] = () => template;
+    }
+
+    return req[ROUTE_TEMPLATE];
+}
+
+module.exports = trackRoute;
@@ -0,0 +1,11 @@
+const { PolicyEngine, RoleRegistry } = require('../core/authorization');
+const createUserPolicy = require('./userPolicy');
+
+/**
+ * Create a policy engine with the application's policies registered
+ * @param {RoleRegistry} [roleRegistry] - Roles the policies check; the built-in roles if omitted
+ * @returns {PolicyEngine} Policy engine
+ */
+const createPolicyEngine = (roleRegistry = new RoleRegistry()) => new PolicyEngine({ users: createUserPolicy(roleRegistry) });
+
+module.exports = { createUserPolicy, createPolicyEngine };
@@ -0,0 +1,162 @@
+const { PERMISSIONS, allow, deny, all } = require('../core/authorization');
+
+/**
+ * @description Fields each kind of writer may set on a user
+ * Everything else (password hash, active flag, lockout and MFA state, ...) only changes
+ * through the operation that owns it.
+ */
+const USER_FIELDS = Object.freeze({
+    // A user editing their own profile without users:update
+    profile: Object.freeze(['firstName', 'lastName']),
+    // A user with users:create
+    creation: Object.freeze(['email', 'password', 'firstName', 'lastName', 'role']),
+    // A user with users:update
+    management: Object.freeze(['email', 'firstName', 'lastName', 'role', 'isEmailVerified'])
+});
+
+/**
+ * Get the fields an actor may change on a user
+ * Only administrators may change their own role.
+ * @param {RoleRegistry} registry - Roles and their permissions
+ * @param {User} actor - User performing the update
+ * @param {User} resource - User being updated
+ * @returns {string[]} Writable fields
+ */
+const writableFields = (registry, actor, resource) => {
+    if (!registry.can(actor.role, PERMISSIONS.USERS_UPDATE)) {
+        return USER_FIELDS.profile;
+    }
+
+    if (actor.id === resource.id && !registry.grantsAll(actor.role)) {
+        return USER_FIELDS.management.filter(field => field !== 'role');
+    }
+
+    return USER_FIELDS.management;
+};
+
+/**
+ * Reject changes to fields outside an allowlist, naming every offending field
+ * @param {Object} changes - Requested changes
+ * @param {string[]} fields - Writable fields
+ * @returns {Object} Decision
+ */
+const writesOnly = (changes, fields) => {
+    const forbidden = Object.keys(changes).filter(field => !fields.includes(field));
+
+    return forbidden.length > 0
+        ? deny(`Not allowed to change: ${forbidden.join(', ')}`, 'FORBIDDEN_FIELDS', { fields: forbidden })
+        : allow();
+};
+
+/**
+ * Require the actor's role to grant a permission
+ * @param {RoleRegistry} registry - Roles and their permissions
+ * @param {User} actor - User performing the action
+ * @param {string} permission - Permission name
+ * @returns {Object} Decision
+ */
+const permitted = (registry, actor, permission) => (registry.can(actor.role, permission)
+    ? allow()
+    : deny('Insufficient permissions', 'INSUFFICIENT_PERMISSIONS'));
+
+/**
+ * Only administrators may act on administrators
+ * @param {RoleRegistry} registry - Roles and their permissions
+ * @param {User} actor - User performing the action
+ * @param {User} resource - User acted on
+ * @returns {Object} Decision
+ */
+const protectsAdmins = (registry, actor, resource) => (registry.grantsAll(resource.role) && !registry.grantsAll(actor.role)
+    ? deny('Only administrators can manage administrators', 'ADMIN_PROTECTED')
+    : allow());
+
+/**
+ * Only administrators may hand out a role that grants everything, and nobody may hand out
+ * a role granting permissions they do not have themselves
+ * @param {RoleRegistry} registry - Roles and their permissions
+ * @param {User} actor - User performing the action
+ * @param {string} [role] - Role being assigned
+ * @returns {Object} Decision
+ */
+const assignsRole = (registry, actor, role) => {
+    if (role === undefined) {
+        return allow();
+    }
+
+    if (registry.grantsAll(role) && !registry.grantsAll(actor.role)) {
+        return deny('Only administrators can assign administrator roles', 'ADMIN_PROTECTED');
+    }
+
+    return registry.covers(actor.role, role)
+        ? allow()
+        : deny('Cannot assign a role with permissions you do not have', 'ROLE_NOT_ASSIGNABLE');
+};
+
+/**
+ * The last active administrator may not be demoted
+ * @param {RoleRegistry} registry - Roles and their permissions
+ * @param {User} resource - User being updated
+ * @param {Object} changes - Requested changes
+ * @param {Object} context - Evaluation context
+ * @param {number} [context.adminCount] - Active administrators, counted when a role change is requested
+ * @returns {Object} Decision
+ */
+const keepsLastAdmin = (registry, resource, changes, context) => (registry.grantsAll(resource.role)
+    && changes.role !== undefined
+    && !registry.grantsAll(changes.role)
+    && context.adminCount <= 1
+    ? deny('Cannot demote the last administrator', 'LAST_ADMIN')
+    : allow());
+
+/**
+ * Create the policies for actions on users, keyed by permission
+ * Each is a pure function of `{ actor, resource, changes, context }` where actor and resource
+ * are User entities. Users may always read and update themselves; everything else needs the
+ * matching permission, and only administrators may act on other administrators. Creations and
+ * updates may only set the fields the actor is allowed to write.
+ * @param {RoleRegistry} registry - Roles and their permissions
+ * @returns {Object<string, Function>} Policies by action
+ */
+const createUserPolicy = (registry) => {
+    /**
+     * Build the policy of an action that needs its permission and leaves administrators to administrators
+     * @param {string} permission - Permission name
+     * @returns {Function} Policy
+     */
+    const manage = permission => ({ actor, resource }) => all(
+        permitted(registry, actor, permission),
+        protectsAdmins(registry, actor, resource)
+    );
+
+    return Object.freeze({
+        [PERMISSIONS.USERS_LIST]: manage(PERMISSIONS.USERS_LIST),
+        [PERMISSIONS.USERS_SEARCH]: manage(PERMISSIONS.USERS_SEARCH),
+        [PERMISSIONS.USERS_READ]: subject => (subject.actor.id === subject.resource.id
+            ? allow()
+            : manage(PERMISSIONS.USERS_READ)(subject)),
+        [PERMISSIONS.USERS_CREATE]: ({ actor, resource, changes }) => all(
+            permitted(registry, actor, PERMISSIONS.USERS_CREATE),
+            writesOnly(changes, USER_FIELDS.creation),
+            assignsRole(registry, actor, resource.role)
+        ),
+        [PERMISSIONS.USERS_UPDATE]: subject => all(
+            subject.actor.id === subject.resource.id ? allow() : manage(PERMISSIONS.USERS_UPDATE)(subject),
+            writesOnly(subject.changes, writableFields(registry, subject.actor, subject.resource)),
+            assignsRole(registry, subject.actor, subject.changes.role),
+            keepsLastAdmin(registry, subject.resource, subject.changes, subject.context)
+        ),
+        [PERMISSIONS.USERS_DELETE]: ({ actor, resource }) => all(
+            permitted(registry, actor, PERMISSIONS.USERS_DELETE),
+            registry.grantsAll(resource.role) ? deny('Cannot delete admin users') : allow()
+        ),
+        [PERMISSIONS.USERS_DEACTIVATE]: ({ actor, resource }) => all(
+            permitted(registry, actor, PERMISSIONS.USERS_DEACTIVATE),
+            registry.grantsAll(resource.role) ? deny('Cannot deactivate admin users') : allow()
+        ),
+        [PERMISSIONS.USERS_RESTORE]: manage(PERMISSIONS.USERS_RESTORE),
+        [PERMISSIONS.USERS_UNLOCK]: manage(PERMISSIONS.USERS_UNLOCK),
+        [PERMISSIONS.USERS_VERIFY_EMAIL]: manage(PERMISSIONS.USERS_VERIFY_EMAIL)
+    });
+};
+
+module.exports = createUserPolicy;
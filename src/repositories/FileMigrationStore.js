@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const IMigrationStore = require('../core/interfaces/IMigrationStore');
+
+/**
+ * @class FileMigrationStore
+ * @description Migrations table kept in a JSON file next to the file-backed stores
+ * Implements IMigrationStore interface
+ * Every change rewrites the file atomically (write to a temp file, then rename)
+ */
+class FileMigrationStore extends IMigrationStore {
+    constructor(options = {}) {
+        super();
+
+        const { filePath = 'data/migrations.json' } = options;
+
+        this._filePath = path.resolve(filePath);
+    }
+
+    /**
+     * Create the migrations file if it does not exist yet
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        if (fs.existsSync(this._filePath)) {
+            return;
+        }
+
+        await fs.promises.mkdir(path.dirname(this._filePath), { recursive: true });
+        await this.write([]);
+    }
+
+    /**
+     * List applied migrations in the order they were applied
+     * @returns {Promise<Object[]>} Records with id, checksum and appliedAt
+     */
+    async listApplied() {
+        if (!fs.existsSync(this._filePath)) {
+            return [];
+        }
+
+        const table = JSON.parse(await fs.promises.readFile(this._filePath, 'utf8'));
+        return table.migrations.map(record => ({
+            ...record,
+            appliedAt: new Date(record.appliedAt)
+        }));
+    }
+
+    /**
+     * Record a migration as applied
+     * @param {Object} record - Migration record
+     * @returns {Promise<void>}
+     */
+    async recordApplied(record) {
+        const applied = await this.listApplied();
+
+        if (applied.some(existing => existing.id === record.id)) {
+            throw new Error(`Migration ${record.id} is already recorded as applied`);
+        }
+
+        await this.write([...applied, {
+            id: record.id,
+            checksum: record.checksum,
+            appliedAt: record.appliedAt
+        }]);
+    }
+
+    /**
+     * Remove the record of a reverted migration
+     * @param {string} id - Migration ID
+     * @returns {Promise<boolean>} Whether a record was removed
+     */
+    async removeApplied(id) {
+        const applied = await this.listApplied();
+        const remaining = applied.filter(record => record.id !== id);
+
+        if (remaining.length === applied.length) {
+            return false;
+        }
+
+        await this.write(remaining);
+        return true;
+    }
+
+    /**
+     * Atomically replace the migrations file
+     * @param {Object[]} migrations - Applied migration records
+     * @returns {Promise<void>}
+     */
+    async write(migrations) {
+        const tempPath = `${this._filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify({ migrations }, null, 2), 'utf8');
+        await fs.promises.rename(tempPath, this._filePath);
+    }
+}
+
+module.exports = FileMigrationStore;
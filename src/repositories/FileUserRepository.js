@@ -0,0 +1,288 @@
+const fs = require('fs');
+const path = require('path');
+const InMemoryUserRepository = require('./InMemoryUserRepository');
+const User = require('../entities/User');
+
+const SNAPSHOT_FORMAT_VERSION = 1;
+
+// The store holds password hashes and MFA secrets, so files are readable by the owner only
+const FILE_OPTIONS = { encoding: 'utf8', mode: 0o600 };
+
+/**
+ * @class FileUserRepository
+ * @description Durable user repository backed by local files
+ * Keeps the in-memory indexes and query semantics of InMemoryUserRepository and persists
+ * every change. State is stored as a JSON snapshot (`<filePath>`) plus an append-only
+ * operation log (`<filePath>.log`, one JSON entry per line). On startup the snapshot is
+ * loaded and the log replayed; once the log grows past `compactAfter` entries a new
+ * snapshot is written atomically and the log is truncated.
+ * A new store starts empty; the demo accounts are only written when `seedSampleData` is set.
+ * A change whose log entry cannot be written is undone in memory before the error is
+ * rethrown, so memory never holds what a restart would lose.
+ */
+class FileUserRepository extends InMemoryUserRepository {
+    constructor(options = {}) {
+        super({ seedSampleData: false });
+
+        const {
+            filePath = 'data/users.json',
+            compactAfter = 500,
+            seedSampleData = false
+        } = options;
+
+        this._filePath = path.resolve(filePath);
+        this._logPath = `${this._filePath}.log`;
+        this._compactAfter = compactAfter;
+        this._logEntries = 0;
+
+        // Writes are serialized so log order always matches the order of operations
+        this._writeQueue = Promise.resolve();
+
+        const isNew = !fs.existsSync(this._filePath) && !fs.existsSync(this._logPath);
+        fs.mkdirSync(path.dirname(this._filePath), { recursive: true });
+
+        if (isNew) {
+            if (seedSampleData) {
+                this.initializeSampleData();
+            }
+            this.writeSnapshot();
+        } else {
+            this.load();
+        }
+    }
+
+    /**
+     * Create a new user and persist it
+     * @param {User} user - User to create
+     * @returns {Promise<User>} Created user
+     */
+    async create(user) {
+        const created = await super.create(user);
+        await this.persist({ op: 'put', record: created.toRecord() }, { op: 'delete', id: created.id });
+        return created;
+    }
+
+    /**
+     * Update an existing user and persist the result
+     * @param {string} id - User ID
+     * @param {Object} updates - Updates to apply
+     * @param {Object} [options] - Update options (see InMemoryUserRepository#update)
+     * @returns {Promise<User|null>} Updated user or null
+     */
+    async update(id, updates, options = {}) {
+        const current = this._users.get(id);
+        const previous = current ? current.toRecord() : null;
+
+        const updated = await super.update(id, updates, options);
+        if (updated) {
+            await this.persist({ op: 'put', record: updated.toRecord() }, { op: 'put', record: previous });
+        }
+        return updated;
+    }
+
+    /**
+     * Delete a user and persist the removal
+     * @param {string} id - User ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async delete(id) {
+        const current = this._users.get(id);
+        const previous = current ? current.toRecord() : null;
+
+        const deleted = await super.delete(id);
+        if (deleted) {
+            await this.persist({ op: 'delete', id }, { op: 'put', record: previous });
+        }
+        return deleted;
+    }
+
+    /**
+     * Check that the store can serve requests and that its files are still writable
+     * @returns {Promise<Object>} Number of stored users and pending log entries
+     */
+    async checkHealth() {
+        await fs.promises.access(path.dirname(this._filePath), fs.constants.W_OK);
+        await fs.promises.access(this._logPath, fs.constants.W_OK);
+
+        return { ...(await super.checkHealth()), logEntries: this._logEntries };
+    }
+
+    /**
+     * Clear all data (for testing)
+     */
+    clear() {
+        super.clear();
+        this.writeSnapshot();
+    }
+
+    /**
+     * Wait for pending writes to reach the disk
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        await this._writeQueue;
+    }
+
+    /**
+     * Load the snapshot and replay the operation log
+     */
+    load() {
+        if (fs.existsSync(this._filePath)) {
+            const snapshot = JSON.parse(fs.readFileSync(this._filePath, 'utf8'));
+
+            if (snapshot.version !== SNAPSHOT_FORMAT_VERSION) {
+                throw new Error(`Unsupported user snapshot version: ${snapshot.version}`);
+            }
+
+            snapshot.users.forEach(record => this.applyEntry({ op: 'put', record }));
+        }
+
+        if (!fs.existsSync(this._logPath)) {
+            return;
+        }
+
+        const lines = fs.readFileSync(this._logPath, 'utf8').split('\n');
+        let tornTail = false;
+
+        lines.forEach((line, index) => {
+            if (!line.trim()) {
+                return;
+            }
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // An unterminated final line means the process died mid-append; that operation never completed
+                if (index === lines.length - 1) {
+                    tornTail = true;
+                    return;
+                }
+                throw new Error(`Corrupt user log entry at line ${index + 1}`);
+            }
+
+            this.applyEntry(entry);
+            this._logEntries++;
+        });
+
+        // Compact so later appends do not land on the torn line
+        if (tornTail) {
+            this.writeSnapshot();
+        }
+    }
+
+    /**
+     * Apply a log entry to the in-memory state
+     * @param {Object} entry - Log entry
+     */
+    applyEntry(entry) {
+        if (entry.op === 'delete') {
+            const user = this._users.get(entry.id);
+            if (user) {
+                this._users.delete(user.id);
+                this._emailIndex.delete(user.email.toLowerCase());
+            }
+            return;
+        }
+
+        if (entry.op !== 'put') {
+            throw new Error(`Unknown user log operation: ${entry.op}`);
+        }
+
+        const user = this.deserialize(entry.record);
+        const previous = this._users.get(user.id);
+        if (previous) {
+            this._emailIndex.delete(previous.email.toLowerCase());
+        }
+
+        this._users.set(user.id, user);
+        this._emailIndex.set(user.email.toLowerCase(), user.id);
+    }
+
+    /**
+     * Rebuild a user entity from a stored record
+     * @param {Object} record - Stored user record
+     * @returns {User} User entity
+     */
+    deserialize(record) {
+        return new User({
+            ...record,
+            createdAt: new Date(record.createdAt),
+            updatedAt: new Date(record.updatedAt),
+            lastLoginAt: record.lastLoginAt ? new Date(record.lastLoginAt) : null
+        });
+    }
+
+    /**
+     * Append an entry to the operation log, undoing the in-memory change if the write fails
+     * @param {Object} entry - Log entry for the change already applied in memory
+     * @param {Object} undo - Entry that restores the previous in-memory state
+     * @returns {Promise<void>}
+     */
+    async persist(entry, undo) {
+        try {
+            await this.append(entry);
+        } catch (error) {
+            this.applyEntry(undo);
+            throw error;
+        }
+    }
+
+    /**
+     * Append an entry to the operation log, compacting when it grows too long
+     * @param {Object} entry - Log entry
+     * @returns {Promise<void>}
+     */
+    async append(entry) {
+        const line = `${JSON.stringify(entry)}\n`;
+
+        const write = this._writeQueue.then(async () => {
+            await fs.promises.appendFile(this._logPath, line, FILE_OPTIONS);
+            this._logEntries++;
+
+            if (this._logEntries >= this._compactAfter) {
+                await this.compact();
+            }
+        });
+
+        // A failed write is reported to its caller but must not block the writes queued after it
+        this._writeQueue = write.catch(() => {});
+        await write;
+    }
+
+    /**
+     * Write a fresh snapshot and truncate the operation log
+     * @returns {Promise<void>}
+     */
+    async compact() {
+        const tempPath = `${this._filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, this.serializeSnapshot(), FILE_OPTIONS);
+        await fs.promises.rename(tempPath, this._filePath);
+        await fs.promises.writeFile(this._logPath, '', FILE_OPTIONS);
+        this._logEntries = 0;
+    }
+
+    /**
+     * Synchronously write a snapshot and truncate the log (startup and clear only)
+     */
+    writeSnapshot() {
+        const tempPath = `${this._filePath}.tmp`;
+        fs.writeFileSync(tempPath, this.serializeSnapshot(), FILE_OPTIONS);
+        fs.renameSync(tempPath, this._filePath);
+        fs.writeFileSync(this._logPath, '', FILE_OPTIONS);
+        this._logEntries = 0;
+    }
+
+    /**
+     * Serialize all users as a snapshot document
+     * @returns {string} Snapshot JSON
+     */
+    serializeSnapshot() {
+        return JSON.stringify({
+            version: SNAPSHOT_FORMAT_VERSION,
+            users: Array.from(this._users.values()).map(user => user.toRecord())
+        });
+    }
+}
+
+module.exports = FileUserRepository;
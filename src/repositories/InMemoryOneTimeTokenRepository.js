@@ -0,0 +1,100 @@
+const IOneTimeTokenRepository = require('../core/interfaces/IOneTimeTokenRepository');
+const OneTimeToken = require('../entities/OneTimeToken');
+
+/**
+ * @class InMemoryOneTimeTokenRepository
+ * @description In-memory implementation of the one-time token store
+ * Implements Repository pattern and IOneTimeTokenRepository interface
+ * Follows Single Responsibility Principle - only handles one-time token persistence
+ */
+class InMemoryOneTimeTokenRepository extends IOneTimeTokenRepository {
+    constructor() {
+        super();
+
+        // Encapsulation: Private storage keyed by token hash
+        this._tokens = new Map();
+    }
+
+    /**
+     * Store a newly issued token
+     * @param {OneTimeToken} token - Token to store
+     * @returns {Promise<OneTimeToken>} Stored token
+     */
+    async create(token) {
+        if (!(token instanceof OneTimeToken)) {
+            throw new Error('Invalid one-time token object');
+        }
+
+        if (!token.validate()) {
+            throw new Error('Invalid one-time token data');
+        }
+
+        this._tokens.set(token.tokenHash, token);
+        return token;
+    }
+
+    /**
+     * Find a token by hash
+     * @param {string} tokenHash - Token hash
+     * @returns {Promise<OneTimeToken|null>} Token or null
+     */
+    async findByHash(tokenHash) {
+        return this._tokens.get(tokenHash) || null;
+    }
+
+    /**
+     * Persist changes made to a token
+     * @param {OneTimeToken} token - Token to save
+     * @returns {Promise<OneTimeToken>} Saved token
+     */
+    async save(token) {
+        this._tokens.set(token.tokenHash, token);
+        return token;
+    }
+
+    /**
+     * Consume every outstanding token of a user for one purpose
+     * @param {string} userId - User ID
+     * @param {string} purpose - Token purpose
+     * @returns {Promise<number>} Number of tokens invalidated
+     */
+    async invalidateForUser(userId, purpose) {
+        let invalidated = 0;
+
+        for (const token of this._tokens.values()) {
+            if (token.userId === userId && token.purpose === purpose && !token.isConsumed()) {
+                token.consume();
+                invalidated++;
+            }
+        }
+
+        return invalidated;
+    }
+
+    /**
+     * Remove tokens that expired before the given time
+     * @param {Date} [now] - Reference time
+     * @returns {Promise<number>} Number of tokens removed
+     */
+    async deleteExpired(now = new Date()) {
+        let removed = 0;
+
+        for (const [hash, token] of this._tokens) {
+            if (token.isExpired(now)) {
+                this._tokens.delete(hash);
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Clear all data (for testing)
+     */
+    clear() {
+        this._tokens.clear();
+    }
+}
+
+module.exports = InMemoryOneTimeTokenRepository;
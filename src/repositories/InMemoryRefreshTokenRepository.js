@@ -0,0 +1,137 @@
+const IRefreshTokenRepository = require('../core/interfaces/IRefreshTokenRepository');
+const RefreshToken = require('../entities/RefreshToken');
+
+/**
+ * @class InMemoryRefreshTokenRepository
+ * @description In-memory implementation of the refresh token store
+ * Implements Repository pattern and IRefreshTokenRepository interface
+ * Follows Single Responsibility Principle - only handles refresh token persistence
+ */
+class InMemoryRefreshTokenRepository extends IRefreshTokenRepository {
+    constructor() {
+        super();
+
+        // Encapsulation: Private storage keyed by token hash
+        this._tokens = new Map();
+    }
+
+    /**
+     * Store a newly issued refresh token
+     * @param {RefreshToken} token - Refresh token to store
+     * @returns {Promise<RefreshToken>} Stored token
+     */
+    async create(token) {
+        if (!(token instanceof RefreshToken)) {
+            throw new Error('Invalid refresh token object');
+        }
+
+        if (!token.validate()) {
+            throw new Error('Invalid refresh token data');
+        }
+
+        if (this._tokens.has(token.tokenHash)) {
+            throw new Error('Refresh token already exists');
+        }
+
+        this._tokens.set(token.tokenHash, token);
+        return token;
+    }
+
+    /**
+     * Find a refresh token by hash
+     * @param {string} tokenHash - Token hash
+     * @returns {Promise<RefreshToken|null>} Token or null
+     */
+    async findByHash(tokenHash) {
+        return this._tokens.get(tokenHash) || null;
+    }
+
+    /**
+     * Persist changes made to a refresh token
+     * @param {RefreshToken} token - Refresh token to save
+     * @returns {Promise<RefreshToken>} Saved token
+     */
+    async save(token) {
+        this._tokens.set(token.tokenHash, token);
+        return token;
+    }
+
+    /**
+     * Atomically revoke a token in favour of its successor, unless it is already revoked
+     * @param {string} tokenHash - Hash of the token being rotated
+     * @param {string} replacedByHash - Hash of the successor token
+     * @returns {Promise<RefreshToken|null>} The consumed token, or null if it was missing or already revoked
+     */
+    async consume(tokenHash, replacedByHash) {
+        const token = this._tokens.get(tokenHash);
+        if (!token || token.isRevoked()) {
+            return null;
+        }
+
+        token.revoke(replacedByHash);
+        return token;
+    }
+
+    /**
+     * Revoke every token belonging to a family
+     * @param {string} familyId - Token family ID
+     * @returns {Promise<number>} Number of tokens revoked
+     */
+    async revokeFamily(familyId) {
+        return this.revokeWhere(token => token.familyId === familyId);
+    }
+
+    /**
+     * Revoke every token issued to a user
+     * @param {string} userId - User ID
+     * @returns {Promise<number>} Number of tokens revoked
+     */
+    async revokeAllForUser(userId) {
+        return this.revokeWhere(token => token.userId === userId);
+    }
+
+    /**
+     * Remove tokens that expired before the given time
+     * @param {Date} [now] - Reference time
+     * @returns {Promise<number>} Number of tokens removed
+     */
+    async deleteExpired(now = new Date()) {
+        let removed = 0;
+
+        for (const [hash, token] of this._tokens) {
+            if (token.isExpired(now)) {
+                this._tokens.delete(hash);
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Revoke all active tokens matching a predicate
+     * @param {Function} predicate - Token matcher
+     * @returns {number} Number of tokens revoked
+     */
+    revokeWhere(predicate) {
+        let revoked = 0;
+
+        for (const token of this._tokens.values()) {
+            if (predicate(token) && !token.isRevoked()) {
+                token.revoke();
+                revoked++;
+            }
+        }
+
+        return revoked;
+    }
+
+    /**
+     * Clear all data (for testing)
+     */
+    clear() {
+        this._tokens.clear();
+    }
+}
+
+module.exports = InMemoryRefreshTokenRepository;
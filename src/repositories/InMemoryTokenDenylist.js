@@ -0,0 +1,106 @@
+const ITokenDenylist = require('../core/interfaces/ITokenDenylist');
+
+/**
+ * @class InMemoryTokenDenylist
+ * @description In-memory implementation of the access token denylist
+ * Implements ITokenDenylist interface
+ * Expired entries are ignored on lookup and swept periodically so the map cannot grow unbounded
+ */
+class InMemoryTokenDenylist extends ITokenDenylist {
+    constructor(options = {}) {
+        super();
+
+        const { pruneIntervalMs = 60 * 1000 } = options;
+
+        // Encapsulation: jti -> expiry timestamp (ms)
+        this._entries = new Map();
+
+        this._pruneTimer = null;
+        if (pruneIntervalMs > 0) {
+            this._pruneTimer = setInterval(() => this.prune(), pruneIntervalMs);
+            // Don't keep the process alive just for pruning
+            this._pruneTimer.unref();
+        }
+    }
+
+    /**
+     * Deny a token until it expires
+     * @param {string} jti - Token ID
+     * @param {Date} expiresAt - Token expiry
+     * @returns {Promise<void>}
+     */
+    async add(jti, expiresAt) {
+        if (!jti) {
+            throw new Error('Token ID is required');
+        }
+
+        const expiry = expiresAt instanceof Date ? expiresAt.getTime() : Number(expiresAt);
+        if (expiry > Date.now()) {
+            this._entries.set(jti, expiry);
+        }
+    }
+
+    /**
+     * Check whether a token has been denied
+     * @param {string} jti - Token ID
+     * @returns {Promise<boolean>} Denied status
+     */
+    async has(jti) {
+        const expiry = this._entries.get(jti);
+        if (expiry === undefined) {
+            return false;
+        }
+
+        if (expiry <= Date.now()) {
+            this._entries.delete(jti);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Remove entries whose tokens have expired
+     * @param {Date} [now] - Reference time
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async prune(now = new Date()) {
+        let removed = 0;
+
+        for (const [jti, expiry] of this._entries) {
+            if (expiry <= now.getTime()) {
+                this._entries.delete(jti);
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Stop the background pruning timer
+     */
+    stop() {
+        if (this._pruneTimer) {
+            clearInterval(this._pruneTimer);
+            this._pruneTimer = null;
+        }
+    }
+
+    /**
+     * Number of denied tokens currently tracked
+     * @returns {number} Entry count
+     */
+    get size() {
+        return this._entries.size;
+    }
+
+    /**
+     * Clear all data (for testing)
+     */
+    clear() {
+        this._entries.clear();
+    }
+}
+
+module.exports = InMemoryTokenDenylist;
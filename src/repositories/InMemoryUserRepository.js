@@ -1,5 +1,6 @@
 const IRepository = require('../core/interfaces/IRepository');
 const User = require('../entities/User');
+const { ValidationError, ConflictError, VersionConflictError } = require('../core/errors');
 
 /**
  * @class InMemoryUserRepository
@@ -8,15 +9,19 @@ const User = require('../entities/User');
  * Follows Single Responsibility Principle - only handles user data persistence
  */
 class InMemoryUserRepository extends IRepository {
-    constructor() {
+    constructor(options = {}) {
         super();
 
+        const { seedSampleData = true } = options;
+
         // Encapsulation: Private storage
         this._users = new Map();
         this._emailIndex = new Map(); // For fast email lookups
 
         // Initialize with some sample data
-        this.initializeSampleData();
+        if (seedSampleData) {
+            this.initializeSampleData();
+        }
     }
 
     /**
@@ -130,17 +135,17 @@ class InMemoryUserRepository extends IRepository {
      */
     async create(user) {
         if (!(user instanceof User)) {
-            throw new Error('Invalid user object');
+            throw new ValidationError('Invalid user object');
         }
 
         if (!user.validate()) {
-            throw new Error('Invalid user data');
+            throw new ValidationError('Invalid user data');
         }
 
         // Check if email already exists
         const existingUser = await this.findByEmail(user.email);
         if (existingUser) {
-            throw new Error('User with this email already exists');
+            throw new ConflictError('User with this email already exists');
         }
 
         // Store user
@@ -154,28 +159,52 @@ class InMemoryUserRepository extends IRepository {
      * Update an existing user
      * @param {string} id - User ID
      * @param {Object} updates - Updates to apply
+     * @param {Object} [options] - Update options
+     * @param {number|number[]} [options.expectedVersion] - Compare-and-set against the stored version
      * @returns {Promise<User|null>} Updated user or null
      */
-    async update(id, updates) {
+    async update(id, updates, options = {}) {
         const user = await this.findById(id);
         if (!user) {
             return null;
         }
 
-        // Update user properties
-        Object.keys(updates).forEach(key => {
-            if (user[key] !== undefined && key !== 'id') {
-                user[key] = updates[key];
+        const previousEmail = user.email;
+
+        // Keep emails unique across users
+        if (updates.email && updates.email.toLowerCase() !== previousEmail.toLowerCase()) {
+            const existingUser = await this.findByEmail(updates.email);
+            if (existingUser) {
+                throw new ConflictError('User with this email already exists');
             }
+        }
+
+        // Compare-and-set: checked and applied without yielding, so no other update can interleave
+        const { expectedVersion } = options;
+        if (expectedVersion !== undefined && ![].concat(expectedVersion).includes(user.version)) {
+            throw new VersionConflictError(expectedVersion, user.version);
+        }
+
+        // Update user properties
+        const changedFields = Object.keys(updates)
+            .filter(key => user[key] !== undefined && key !== 'id' && key !== 'version');
+        changedFields.forEach(key => {
+            user[key] = updates[key];
         });
 
         // Update email index if email changed
-        if (updates.email && updates.email !== user.email) {
-            this._emailIndex.delete(user.email.toLowerCase());
-            this._emailIndex.set(updates.email.toLowerCase(), user.id);
+        if (user.email !== previousEmail) {
+            this._emailIndex.delete(previousEmail.toLowerCase());
+            this._emailIndex.set(user.email.toLowerCase(), user.id);
         }
 
         user.touch();
+
+        // One version per update; login and lockout bookkeeping leaves the version alone
+        if (changedFields.some(key => !User.BOOKKEEPING_FIELDS.includes(key))) {
+            user.advanceVersion();
+        }
+
         return user;
     }
 
@@ -214,6 +243,14 @@ class InMemoryUserRepository extends IRepository {
         return users.length;
     }
 
+    /**
+     * Check that the store can serve requests
+     * @returns {Promise<Object>} Number of stored users
+     */
+    async checkHealth() {
+        return { users: this._users.size };
+    }
+
     /**
      * Clear all data (for testing)
      */
@@ -0,0 +1,40 @@
+const express = require('express');
+const { PERMISSIONS } = require('../core/authorization');
+
+/**
+ * @description Administration routes
+ * Implements Router pattern and organizes operational endpoints (log-levels:manage permission required)
+ */
+class AdminRoutes {
+    constructor(adminController, authMiddleware) {
+        this.router = express.Router();
+        this.adminController = adminController;
+        this.authMiddleware = authMiddleware;
+
+        this.initializeRoutes();
+    }
+
+    /**
+     * Initialize administration routes
+     */
+    initializeRoutes() {
+        this.router.use(
+            this.authMiddleware.authenticateToken(),
+            this.authMiddleware.requirePermission(PERMISSIONS.LOG_LEVELS_MANAGE)
+        );
+
+        this.router.get('/log-levels', this.adminController.getLogLevels);
+        this.router.put('/log-levels', this.adminController.setLogLevel);
+        this.router.delete('/log-levels/:module', this.adminController.resetLogLevel);
+    }
+
+    /**
+     * Get router instance
+     * @returns {express.Router} Express router
+     */
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = AdminRoutes;
@@ -1,16 +1,14 @@
 const express = require('express');
-const AuthController = require('../controllers/AuthController');
-const AuthenticationMiddleware = require('../middleware/AuthenticationMiddleware');
 
 /**
  * @description Authentication routes
  * Implements Router pattern and organizes authentication endpoints
  */
 class AuthRoutes {
-    constructor(authenticationService, logger) {
+    constructor(authController, authMiddleware) {
         this.router = express.Router();
-        this.authController = new AuthController(logger, authenticationService);
-        this.authMiddleware = new AuthenticationMiddleware(authenticationService);
+        this.authController = authController;
+        this.authMiddleware = authMiddleware;
 
         this.initializeRoutes();
     }
@@ -25,6 +23,11 @@ class AuthRoutes {
             this.authController.login
         );
 
+        this.router.post('/login/mfa',
+            this.authMiddleware.authRateLimit({ windowMs: 15 * 60 * 1000, max: 5 }),
+            this.authController.loginMfa
+        );
+
         this.router.post('/register',
             this.authMiddleware.authRateLimit({ windowMs: 60 * 60 * 1000, max: 3 }),
             this.authController.register
@@ -44,12 +47,13 @@ class AuthRoutes {
             this.authController.verifyEmail
         );
 
-        // Protected routes (authentication required)
         this.router.post('/refresh-token',
-            this.authMiddleware.authenticateToken(),
+            this.authMiddleware.authRateLimit({ windowMs: 15 * 60 * 1000, max: 30 }),
             this.authController.refreshToken
         );
 
+        // Protected routes (authentication required)
+
         this.router.get('/profile',
             this.authMiddleware.authenticateToken(),
             this.authController.getProfile
@@ -64,6 +68,35 @@ class AuthRoutes {
             this.authMiddleware.authenticateToken(),
             this.authController.logout
         );
+
+        this.router.post('/logout-all',
+            this.authMiddleware.authenticateToken(),
+            this.authController.logoutAll
+        );
+
+        // Two-factor authentication management
+        this.router.post('/mfa/setup',
+            this.authMiddleware.authenticateToken(),
+            this.authController.setupMfa
+        );
+
+        this.router.post('/mfa/confirm',
+            this.authMiddleware.authenticateToken(),
+            this.authMiddleware.authRateLimit({ windowMs: 15 * 60 * 1000, max: 10 }),
+            this.authController.confirmMfa
+        );
+
+        this.router.post('/mfa/disable',
+            this.authMiddleware.authenticateToken(),
+            this.authMiddleware.authRateLimit({ windowMs: 15 * 60 * 1000, max: 10 }),
+            this.authController.disableMfa
+        );
+
+        this.router.post('/mfa/recovery-codes',
+            this.authMiddleware.authenticateToken(),
+            this.authMiddleware.authRateLimit({ windowMs: 15 * 60 * 1000, max: 10 }),
+            this.authController.regenerateRecoveryCodes
+        );
     }
 
     /**
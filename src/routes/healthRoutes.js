@@ -0,0 +1,44 @@
+const express = require('express');
+const { PERMISSIONS } = require('../core/authorization');
+
+/**
+ * @description Health check routes
+ * Implements Router pattern and organizes the probe endpoints (public) and the detailed
+ * health report (health:details permission required)
+ */
+class HealthRoutes {
+    constructor(healthController, authMiddleware) {
+        this.router = express.Router();
+        this.healthController = healthController;
+        this.authMiddleware = authMiddleware;
+
+        this.initializeRoutes();
+    }
+
+    /**
+     * Initialize health check routes
+     */
+    initializeRoutes() {
+        // Probes (no authentication required); /health is kept as an alias of readiness
+        this.router.get('/', this.healthController.ready);
+        this.router.get('/live', this.healthController.live);
+        this.router.get('/ready', this.healthController.ready);
+
+        // Detailed report (health:details permission required)
+        this.router.get('/details',
+            this.authMiddleware.authenticateToken(),
+            this.authMiddleware.requirePermission(PERMISSIONS.HEALTH_DETAILS),
+            this.healthController.details
+        );
+    }
+
+    /**
+     * Get router instance
+     * @returns {express.Router} Express router
+     */
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = HealthRoutes;
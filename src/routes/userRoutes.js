@@ -1,16 +1,15 @@
 const express = require('express');
-const UserController = require('../controllers/UserController');
-const AuthenticationMiddleware = require('../middleware/AuthenticationMiddleware');
+const { PERMISSIONS } = require('../core/authorization');
 
 /**
  * @description User management routes
  * Implements Router pattern and organizes user management endpoints
  */
 class UserRoutes {
-    constructor(userService, logger) {
+    constructor(userController, authMiddleware) {
         this.router = express.Router();
-        this.userController = new UserController(logger, userService);
-        this.authMiddleware = new AuthenticationMiddleware(userService._userRepository);
+        this.userController = userController;
+        this.authMiddleware = authMiddleware;
 
         this.initializeRoutes();
     }
@@ -30,64 +29,70 @@ class UserRoutes {
             this.userController.updateCurrentUser
         );
 
-        // Admin routes (admin role required)
+        // Management routes (each requires a permission, see RoleRegistry)
         this.router.get('/',
             this.authMiddleware.authenticateToken(),
-            this.authMiddleware.requireAdmin(),
+            this.authMiddleware.requirePermission(PERMISSIONS.USERS_LIST),
             this.userController.getUsers
         );
 
         this.router.get('/statistics',
             this.authMiddleware.authenticateToken(),
-            this.authMiddleware.requireAdmin(),
+            this.authMiddleware.requirePermission(PERMISSIONS.USERS_STATISTICS),
             this.userController.getUserStatistics
         );
 
         this.router.get('/search',
             this.authMiddleware.authenticateToken(),
-            this.authMiddleware.requireModerator(),
+            this.authMiddleware.requirePermission(PERMISSIONS.USERS_SEARCH),
             this.userController.searchUsers
         );
 
         this.router.post('/',
             this.authMiddleware.authenticateToken(),
-            this.authMiddleware.requireAdmin(),
+            this.authMiddleware.requirePermission(PERMISSIONS.USERS_CREATE),
             this.userController.createUser
         );
 
         this.router.get('/:id',
             this.authMiddleware.authenticateToken(),
-            this.authMiddleware.requireModerator(),
+            this.authMiddleware.requirePermission(PERMISSIONS.USERS_READ),
             this.userController.getUserById
         );
 
         this.router.put('/:id',
             this.authMiddleware.authenticateToken(),
-            this.authMiddleware.requireAdmin(),
+            this.authMiddleware.requirePermission(PERMISSIONS.USERS_UPDATE),
             this.userController.updateUser
         );
 
         this.router.delete('/:id',
             this.authMiddleware.authenticateToken(),
-            this.authMiddleware.requireAdmin(),
+            this.authMiddleware.requirePermission(PERMISSIONS.USERS_DELETE),
             this.userController.deleteUser
         );
 
         this.router.patch('/:id/deactivate',
             this.authMiddleware.authenticateToken(),
-            this.authMiddleware.requireAdmin(),
+            this.authMiddleware.requirePermission(PERMISSIONS.USERS_DEACTIVATE),
             this.userController.softDeleteUser
         );
 
         this.router.patch('/:id/restore',
             this.authMiddleware.authenticateToken(),
-            this.authMiddleware.requireAdmin(),
+            this.authMiddleware.requirePermission(PERMISSIONS.USERS_RESTORE),
             this.userController.restoreUser
         );
 
+        this.router.patch('/:id/unlock',
+            this.authMiddleware.authenticateToken(),
+            this.authMiddleware.requirePermission(PERMISSIONS.USERS_UNLOCK),
+            this.userController.unlockUser
+        );
+
         this.router.patch('/:id/verify-email',
             this.authMiddleware.authenticateToken(),
-            this.authMiddleware.requireAdmin(),
+            this.authMiddleware.requirePermission(PERMISSIONS.USERS_VERIFY_EMAIL),
             this.userController.verifyUserEmail
         );
     }
@@ -0,0 +1,25 @@
+const { Application } = require('./app');
+const { loadConfig, ConfigError } = require('./core/config');
+
+// Validate the whole configuration before anything else starts
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    if (!(error instanceof ConfigError)) {
+        throw error;
+    }
+
+    console.error(error.message);
+    process.exit(1);
+}
+
+// Create and start application
+const application = new Application(config);
+
+application.installProcessHandlers();
+
+application.start().catch((error) => {
+    console.error('Failed to start application:', error);
+    process.exit(1);
+});
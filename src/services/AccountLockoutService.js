@@ -0,0 +1,236 @@
+const BaseService = require('../core/abstract/BaseService');
+const { NotFoundError } = require('../core/errors');
+const { PERMISSIONS } = require('../core/authorization');
+const { createPolicyEngine } = require('../policies');
+
+/**
+ * @class AccountLockoutService
+ * @description Per-account brute-force protection
+ * Failed sign-ins are counted on the user. After a few failures every further attempt
+ * must wait an exponentially growing delay; after `maxAttempts` failures the account is
+ * locked for `lockoutMinutes`. Callers are expected to report blocked attempts with the
+ * same error as a wrong password so lockout state cannot be used for enumeration, and to
+ * check and record each attempt inside `runAttempt` so parallel attempts are counted.
+ */
+class AccountLockoutService extends BaseService {
+    constructor(logger, userRepository, auditLogger, options = {}) {
+        super(logger, options.metrics);
+
+        if (!userRepository) {
+            throw new Error('UserRepository dependency is required');
+        }
+
+        if (!auditLogger) {
+            throw new Error('AuditLogger dependency is required');
+        }
+
+        // Dependency Injection: Inject user repository and audit logger
+        this._userRepository = userRepository;
+        this._auditLogger = auditLogger;
+
+        const {
+            maxAttempts = 10,
+            lockoutMinutes = 15,
+            delayAfterAttempts = 3,
+            baseDelayMs = 1000,
+            maxDelayMs = 60 * 1000,
+            clock = Date,
+            policyEngine = createPolicyEngine()
+        } = options;
+
+        this._maxAttempts = maxAttempts;
+        this._lockoutMs = lockoutMinutes * 60 * 1000;
+        this._delayAfterAttempts = delayAfterAttempts;
+        this._baseDelayMs = baseDelayMs;
+        this._maxDelayMs = maxDelayMs;
+        this._clock = clock;
+        this._policyEngine = policyEngine;
+
+        // Tail of the queue of in-flight sign-in attempts per user ID
+        this._attempts = new Map();
+
+        this._lockouts = this._metrics.counter({
+            name: 'auth_account_lockouts_total',
+            help: 'Accounts locked after too many failed sign-in attempts.'
+        });
+    }
+
+    /**
+     * Get the time before which sign-in attempts are refused
+     * @param {User} user - User attempting to sign in
+     * @param {Date} [now] - Reference time
+     * @returns {Date|null} Retry time, or null if an attempt is allowed now
+     */
+    getRetryAt(user, now = new Date(this._clock.now())) {
+        if (user.isLocked(now)) {
+            return user.lockedUntil;
+        }
+
+        const delayMs = this.getDelayMs(user.failedLoginAttempts);
+        if (delayMs > 0 && user.lastFailedLoginAt) {
+            const retryAt = new Date(user.lastFailedLoginAt.getTime() + delayMs);
+            if (retryAt.getTime() > now.getTime()) {
+                return retryAt;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Run a sign-in attempt once earlier attempts on the same account have finished
+     * Checking the delay and recording the outcome are separated by an async password or
+     * code check; run side by side, a burst of guesses would all pass the check before the
+     * first failure is recorded. The attempt should re-read the user for the same reason.
+     * @param {string} userId - Account being signed in to
+     * @param {Function} attempt - Async function that checks the delay, verifies and records
+     * @returns {Promise<*>} Result of the attempt
+     */
+    async runAttempt(userId, attempt) {
+        const previous = this._attempts.get(userId) || Promise.resolve();
+        const current = previous.then(attempt);
+
+        // A rejected attempt is reported to its caller but must not block the ones queued after it
+        const tail = current.catch(() => {});
+        this._attempts.set(userId, tail);
+
+        try {
+            return await current;
+        } finally {
+            if (this._attempts.get(userId) === tail) {
+                this._attempts.delete(userId);
+            }
+        }
+    }
+
+    /**
+     * Check whether sign-in attempts are currently refused
+     * @param {User} user - User attempting to sign in
+     * @returns {boolean} Blocked status
+     */
+    isBlocked(user) {
+        return this.getRetryAt(user) !== null;
+    }
+
+    /**
+     * Get the delay enforced after a number of consecutive failures
+     * @param {number} failedAttempts - Consecutive failed attempts
+     * @returns {number} Delay in milliseconds
+     */
+    getDelayMs(failedAttempts) {
+        if (failedAttempts < this._delayAfterAttempts) {
+            return 0;
+        }
+
+        const exponent = failedAttempts - this._delayAfterAttempts;
+        return Math.min(this._baseDelayMs * 2 ** exponent, this._maxDelayMs);
+    }
+
+    /**
+     * Record a failed sign-in and lock the account once the limit is reached
+     * @param {User} user - User whose credentials were rejected
+     * @param {Object} [context] - Request details
+     * @returns {Promise<void>}
+     */
+    async recordFailure(user, context = {}) {
+        const now = new Date(this._clock.now());
+        const failedLoginAttempts = user.failedLoginAttempts + 1;
+        const updates = { failedLoginAttempts, lastFailedLoginAt: now };
+
+        if (failedLoginAttempts >= this._maxAttempts) {
+            updates.lockedUntil = new Date(now.getTime() + this._lockoutMs);
+        }
+
+        await this._userRepository.update(user.id, updates);
+
+        this._auditLogger.record('auth.login_failed', {
+            userId: user.id,
+            failedLoginAttempts,
+            ...this.pickContext(context)
+        });
+
+        if (updates.lockedUntil) {
+            this._lockouts.inc();
+            this._auditLogger.record('auth.account_locked', {
+                userId: user.id,
+                lockedUntil: updates.lockedUntil.toISOString(),
+                ...this.pickContext(context)
+            });
+        }
+    }
+
+    /**
+     * Record an attempt that was refused because of a delay or lock
+     * Blocked attempts do not count as failures, so a lock is not extended by them
+     * @param {User} user - User attempting to sign in
+     * @param {Object} [context] - Request details
+     */
+    recordBlockedAttempt(user, context = {}) {
+        this._auditLogger.record('auth.login_blocked', {
+            userId: user.id,
+            retryAt: this.getRetryAt(user)?.toISOString() || null,
+            ...this.pickContext(context)
+        });
+    }
+
+    /**
+     * Clear failure tracking after a successful sign-in or password reset
+     * @param {User} user - User to reset
+     * @returns {Promise<void>}
+     */
+    async reset(user) {
+        if (user.failedLoginAttempts === 0 && !user.lockedUntil) {
+            return;
+        }
+
+        await this._userRepository.update(user.id, {
+            failedLoginAttempts: 0,
+            lastFailedLoginAt: null,
+            lockedUntil: null
+        });
+    }
+
+    /**
+     * Unlock an account on behalf of an administrator
+     * @param {string} userId - User to unlock
+     * @param {User} actor - User performing the unlock, authorized against the users:unlock policy
+     * @returns {Promise<Object>} Unlocked user data
+     */
+    async unlock(userId, actor) {
+        return this.executeOperation(async () => {
+            const user = await this._userRepository.findById(userId);
+            if (!user) {
+                throw new NotFoundError('User not found');
+            }
+
+            this._policyEngine.authorize(PERMISSIONS.USERS_UNLOCK, { actor, resource: user });
+
+            await this._userRepository.update(user.id, {
+                failedLoginAttempts: 0,
+                lastFailedLoginAt: null,
+                lockedUntil: null
+            });
+
+            this._auditLogger.record('auth.account_unlocked', {
+                userId: user.id,
+                actorId: actor.id
+            });
+
+            return this.sanitizeOutput(user.toPublicJSON());
+        }, 'unlockAccount');
+    }
+
+    /**
+     * Pick the request details worth keeping in audit records
+     * @param {Object} context - Request details
+     * @returns {Object} IP address and user agent
+     */
+    pickContext(context) {
+        return {
+            ip: context.ip || null,
+            userAgent: context.userAgent || null
+        };
+    }
+}
+
+module.exports = AccountLockoutService;
@@ -3,6 +3,10 @@ const BaseService = require('../core/abstract/BaseService');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../entities/User');
+const OneTimeToken = require('../entities/OneTimeToken');
+const { ValidationError, UnauthorizedError, NotFoundError, ConflictError } = require('../core/errors');
 
 /**
  * @class AuthenticationService
@@ -11,15 +15,81 @@ const Joi = require('joi');
  * Follows Single Responsibility Principle - only handles authentication
  */
 class AuthenticationService extends BaseService {
-    constructor(logger, userRepository) {
-        super(logger);
+    constructor(logger, userRepository, dependencies = {}, options = {}) {
+        super(logger, options.metrics);
 
         if (!userRepository) {
             throw new Error('UserRepository dependency is required');
         }
 
-        // Dependency Injection: Inject user repository
+        const {
+            refreshTokenService,
+            tokenDenylist,
+            oneTimeTokenService,
+            notificationService,
+            mfaService,
+            accountLockoutService
+        } = dependencies;
+
+        if (!refreshTokenService) {
+            throw new Error('RefreshTokenService dependency is required');
+        }
+
+        if (!tokenDenylist) {
+            throw new Error('TokenDenylist dependency is required');
+        }
+
+        if (!oneTimeTokenService) {
+            throw new Error('OneTimeTokenService dependency is required');
+        }
+
+        if (!notificationService) {
+            throw new Error('NotificationService dependency is required');
+        }
+
+        if (!mfaService) {
+            throw new Error('MfaService dependency is required');
+        }
+
+        if (!accountLockoutService) {
+            throw new Error('AccountLockoutService dependency is required');
+        }
+
+        const {
+            jwtSecret,
+            jwtExpiresIn = '24h',
+            mfaChallengeExpiresIn = '5m',
+            mfaRequiredRoles = [],
+            bcryptRounds = 12
+        } = options;
+
+        if (!jwtSecret) {
+            throw new Error('JWT secret is required');
+        }
+
+        // Dependency Injection: Inject user repository and token services
         this._userRepository = userRepository;
+        this._refreshTokenService = refreshTokenService;
+        this._tokenDenylist = tokenDenylist;
+        this._oneTimeTokenService = oneTimeTokenService;
+        this._notificationService = notificationService;
+        this._mfaService = mfaService;
+        this._accountLockoutService = accountLockoutService;
+
+        this._jwtSecret = jwtSecret;
+        this._jwtExpiresIn = jwtExpiresIn;
+        this._mfaChallengeExpiresIn = mfaChallengeExpiresIn;
+        this._mfaRequiredRoles = mfaRequiredRoles;
+        this._bcryptRounds = bcryptRounds;
+
+        // Hash compared against when there is no real one, so every rejection costs the same
+        this._dummyPasswordHash = null;
+
+        this._loginAttempts = this._metrics.counter({
+            name: 'auth_login_attempts_total',
+            help: 'Sign-in attempts, by step (password or mfa) and outcome (success, mfa_required, failure or blocked).',
+            labelNames: ['step', 'outcome']
+        });
 
         // Strategy Pattern: Different authentication strategies
         this._strategies = {
@@ -28,13 +98,22 @@ class AuthenticationService extends BaseService {
         };
     }
 
+    /**
+     * Roles that may only act with a session that passed two-factor verification
+     * @returns {string[]} Role names
+     */
+    get mfaRequiredRoles() {
+        return this._mfaRequiredRoles;
+    }
+
     /**
      * Authenticate user with credentials
      * @param {string} email - User email
      * @param {string} password - User password
+     * @param {Object} [context] - Request details used for the new sign-in notification
      * @returns {Promise<Object>} Authentication result
      */
-    async authenticate(email, password) {
+    async authenticate(email, password, context = {}) {
         return this.executeOperation(async () => {
             // Input validation
             const validation = this.validateInput(
@@ -46,11 +125,11 @@ class AuthenticationService extends BaseService {
             );
 
             if (!validation.isValid) {
-                throw new Error('Invalid input data');
+                throw new ValidationError('Invalid input data', validation.errors);
             }
 
             // Strategy Pattern: Use local authentication strategy
-            return await this._strategies.local(email, password);
+            return await this._strategies.local(email, password, context);
         }, 'authenticate');
     }
 
@@ -58,31 +137,195 @@ class AuthenticationService extends BaseService {
      * Local authentication strategy
      * @param {string} email - User email
      * @param {string} password - User password
+     * @param {Object} [context] - Request details used for the new sign-in notification
      * @returns {Promise<Object>} Authentication result
      */
-    async localStrategy(email, password) {
+    async localStrategy(email, password, context = {}) {
+        // Every rejection below uses the same message so account state cannot be enumerated
+
         // Find user by email
-        const user = await this._userRepository.findByEmail(email);
+        const account = await this._userRepository.findByEmail(email);
+        if (!account || !account.isActive) {
+            await this.compareWithDummyHash(password);
+            this.recordLoginAttempt('password', 'failure');
+            throw new UnauthorizedError('Invalid credentials');
+        }
+
+        const user = await this._accountLockoutService.runAttempt(account.id, () =>
+            this.verifyPasswordAttempt(account.id, password, context)
+        );
+
+        // Two-step login: hand out a challenge instead of a session
+        if (user.mfaEnabled) {
+            const challenge = await this.createMfaChallenge(user);
+            this.recordLoginAttempt('password', 'mfa_required');
+            return challenge;
+        }
+
+        // Update last login
+        await this._userRepository.update(user.id, { lastLoginAt: new Date() });
+
+        await this._notificationService.sendNewLogin(user, context);
+
+        const session = await this.createSession(user);
+        this.recordLoginAttempt('password', 'success');
+        return session;
+    }
+
+    /**
+     * Check a password attempt against the account's lockout state and record the outcome
+     * Runs inside AccountLockoutService.runAttempt, so the user is read again here
+     * @param {string} userId - User ID
+     * @param {string} password - User password
+     * @param {Object} [context] - Request details for the audit log
+     * @returns {Promise<User>} The user, once the password is accepted
+     */
+    async verifyPasswordAttempt(userId, password, context = {}) {
+        const user = await this._userRepository.findById(userId);
         if (!user || !user.isActive) {
-            throw new Error('Invalid credentials');
+            await this.compareWithDummyHash(password);
+            this.recordLoginAttempt('password', 'failure');
+            throw new UnauthorizedError('Invalid credentials');
+        }
+
+        // Refuse attempts during a progressive delay or lockout without checking the password
+        if (this._accountLockoutService.isBlocked(user)) {
+            await this.compareWithDummyHash(password);
+            this._accountLockoutService.recordBlockedAttempt(user, context);
+            this.recordLoginAttempt('password', 'blocked');
+            throw new UnauthorizedError('Invalid credentials');
         }
 
         // Verify password
         const isValidPassword = await this.comparePassword(password, user.password);
         if (!isValidPassword) {
-            throw new Error('Invalid credentials');
+            await this._accountLockoutService.recordFailure(user, context);
+            this.recordLoginAttempt('password', 'failure');
+            throw new UnauthorizedError('Invalid credentials');
         }
 
-        // Update last login
-        user.updateLastLogin();
+        await this._accountLockoutService.reset(user);
 
-        // Generate token
-        const token = await this.generateToken(user);
+        return user;
+    }
+
+    /**
+     * Count a sign-in attempt
+     * @param {string} step - password or mfa
+     * @param {string} outcome - success, mfa_required, failure or blocked (refused during a delay or lockout)
+     */
+    recordLoginAttempt(step, outcome) {
+        this._loginAttempts.inc({ step, outcome });
+    }
+
+    /**
+     * Complete a two-step login with a TOTP or recovery code
+     * @param {string} mfaToken - Challenge token returned by the password step
+     * @param {string} code - TOTP or recovery code
+     * @param {Object} [context] - Request details used for the new sign-in notification
+     * @returns {Promise<Object>} Authentication result
+     */
+    async completeMfaLogin(mfaToken, code, context = {}) {
+        return this.executeOperation(async () => {
+            const decoded = await this.verifyMfaChallenge(mfaToken);
+
+            const user = await this._userRepository.findById(decoded.userId);
+            if (!user || !user.isActive || !user.mfaEnabled) {
+                throw new UnauthorizedError('Invalid or expired MFA challenge');
+            }
+
+            // Wrong second-factor codes count towards the same lockout as wrong passwords
+            await this._accountLockoutService.runAttempt(user.id, async () => {
+                const current = await this._userRepository.findById(user.id);
+                if (!current) {
+                    throw new UnauthorizedError('Invalid or expired MFA challenge');
+                }
+
+                if (this._accountLockoutService.isBlocked(current)) {
+                    this._accountLockoutService.recordBlockedAttempt(current, context);
+                    this.recordLoginAttempt('mfa', 'blocked');
+                    throw ValidationError.forField('code', 'Invalid verification code');
+                }
+
+                try {
+                    await this._mfaService.verifyCode(current, code);
+                } catch (error) {
+                    await this._accountLockoutService.recordFailure(current, context);
+                    this.recordLoginAttempt('mfa', 'failure');
+                    throw error;
+                }
+            });
+
+            // Challenges are single-use
+            await this._tokenDenylist.add(decoded.jti, new Date(decoded.exp * 1000));
+
+            await this._userRepository.update(user.id, { lastLoginAt: new Date() });
+            await this._notificationService.sendNewLogin(user, context);
+
+            const session = await this.createSession(user, { mfa: true });
+            this.recordLoginAttempt('mfa', 'success');
+            return session;
+        }, 'completeMfaLogin');
+    }
+
+    /**
+     * Create a short-lived MFA challenge for a user who passed the password step
+     * @param {Object} user - User object
+     * @returns {Promise<Object>} Challenge result
+     */
+    async createMfaChallenge(user) {
+        const expiresIn = this._mfaChallengeExpiresIn;
+        const mfaToken = jwt.sign({ userId: user.id, typ: 'mfa-challenge' }, this._jwtSecret, {
+            expiresIn,
+            algorithm: 'HS256',
+            jwtid: uuidv4()
+        });
+
+        return {
+            mfaRequired: true,
+            mfaToken,
+            expiresIn
+        };
+    }
+
+    /**
+     * Verify an MFA challenge token
+     * @param {string} mfaToken - Challenge token
+     * @returns {Promise<Object>} Decoded challenge payload
+     */
+    async verifyMfaChallenge(mfaToken) {
+        let decoded;
+        try {
+            decoded = await this.verifyToken(mfaToken);
+        } catch (error) {
+            throw new UnauthorizedError('Invalid or expired MFA challenge');
+        }
+
+        if (decoded.typ !== 'mfa-challenge' || !decoded.jti || await this._tokenDenylist.has(decoded.jti)) {
+            throw new UnauthorizedError('Invalid or expired MFA challenge');
+        }
+
+        return decoded;
+    }
+
+    /**
+     * Issue an access token and a fresh refresh token family for a user
+     * @param {Object} user - User object
+     * @param {Object} [claims] - Session claims
+     * @param {boolean} [claims.mfa] - Whether the session passed two-factor verification
+     * @returns {Promise<Object>} Session tokens and public user data
+     */
+    async createSession(user, claims = {}) {
+        const mfa = Boolean(claims.mfa);
+        const token = await this.generateToken(user, { mfa });
+        const refreshToken = await this._refreshTokenService.issue(user.id, { mfaVerified: mfa });
 
         return {
             user: this.sanitizeOutput(user.toPublicJSON()),
             token,
-            expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+            expiresIn: this._jwtExpiresIn,
+            refreshToken: refreshToken.token,
+            refreshTokenExpiresAt: refreshToken.expiresAt
         };
     }
 
@@ -93,44 +336,68 @@ class AuthenticationService extends BaseService {
      */
     async jwtStrategy(token) {
         try {
-            const decoded = await this.verifyToken(token);
-            const user = await this._userRepository.findById(decoded.userId);
-
-            if (!user || !user.isActive) {
-                throw new Error('Invalid token');
-            }
+            const { user } = await this.resolveAccessToken(token);
 
             return {
                 user: this.sanitizeOutput(user.toPublicJSON()),
                 token: token
             };
         } catch (error) {
-            throw new Error('Invalid token');
+            throw new UnauthorizedError('Invalid token');
+        }
+    }
+
+    /**
+     * Verify an access token and load its user, rejecting revoked tokens
+     * @param {string} token - JWT access token
+     * @returns {Promise<Object>} The user entity and decoded payload
+     */
+    async resolveAccessToken(token) {
+        const decoded = await this.verifyToken(token);
+
+        // Only access tokens authenticate requests (not MFA challenges)
+        if (decoded.typ !== 'access') {
+            throw new UnauthorizedError('Invalid token');
+        }
+
+        if (!decoded.jti || await this._tokenDenylist.has(decoded.jti)) {
+            throw new UnauthorizedError('Token has been revoked');
         }
+
+        const user = await this._userRepository.findById(decoded.userId);
+        if (!user || !user.isActive) {
+            throw new UnauthorizedError('Invalid token');
+        }
+
+        // Tokens issued before the last "log out of all devices" carry an older version
+        if ((decoded.tokenVersion || 0) !== user.tokenVersion) {
+            throw new UnauthorizedError('Token has been revoked');
+        }
+
+        return { user, decoded };
     }
 
     /**
      * Generate JWT token for user
      * @param {Object} user - User object
+     * @param {Object} [claims] - Session claims
+     * @param {boolean} [claims.mfa] - Whether the session passed two-factor verification
      * @returns {Promise<string>} JWT token
      */
-    async generateToken(user) {
+    async generateToken(user, claims = {}) {
         const payload = {
             userId: user.id,
             email: user.email,
             role: user.role,
-            iat: Math.floor(Date.now() / 1000),
-            exp: Math.floor(Date.now() / 1000) + (60 * 60 * 24) // 24 hours
+            tokenVersion: user.tokenVersion,
+            typ: 'access',
+            mfa: Boolean(claims.mfa)
         };
 
-        const secret = process.env.JWT_SECRET;
-        if (!secret) {
-            throw new Error('JWT_SECRET environment variable is required');
-        }
-
-        return jwt.sign(payload, secret, {
-            expiresIn: process.env.JWT_EXPIRES_IN || '24h',
-            algorithm: 'HS256'
+        return jwt.sign(payload, this._jwtSecret, {
+            expiresIn: this._jwtExpiresIn,
+            algorithm: 'HS256',
+            jwtid: uuidv4()
         });
     }
 
@@ -140,12 +407,7 @@ class AuthenticationService extends BaseService {
      * @returns {Promise<Object>} Decoded token payload
      */
     async verifyToken(token) {
-        const secret = process.env.JWT_SECRET;
-        if (!secret) {
-            throw new Error('JWT_SECRET environment variable is required');
-        }
-
-        return jwt.verify(token, secret, {
+        return jwt.verify(token, this._jwtSecret, {
             algorithms: ['HS256']
         });
     }
@@ -156,8 +418,21 @@ class AuthenticationService extends BaseService {
      * @returns {Promise<string>} Hashed password
      */
     async hashPassword(password) {
-        const rounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
-        return bcrypt.hash(password, rounds);
+        return bcrypt.hash(password, this._bcryptRounds);
+    }
+
+    /**
+     * Run a password comparison that always fails, to keep response timing uniform
+     * @param {string} password - Plain text password
+     * @returns {Promise<boolean>} Always false
+     */
+    async compareWithDummyHash(password) {
+        if (!this._dummyPasswordHash) {
+            this._dummyPasswordHash = this.hashPassword(uuidv4());
+        }
+
+        await this.comparePassword(password, await this._dummyPasswordHash);
+        return false;
     }
 
     /**
@@ -172,6 +447,8 @@ class AuthenticationService extends BaseService {
 
     /**
      * Register a new user
+     * New accounts always get the default role; a `role` or any other field outside the
+     * registration schema is rejected.
      * @param {Object} userData - User registration data
      * @returns {Promise<Object>} Registration result
      */
@@ -184,20 +461,18 @@ class AuthenticationService extends BaseService {
                     email: Joi.string().email().required(),
                     password: Joi.string().min(8).required(),
                     firstName: Joi.string().min(2).max(50).required(),
-                    lastName: Joi.string().min(2).max(50).required(),
-                    role: Joi.string().valid('user', 'admin', 'moderator').default('user')
+                    lastName: Joi.string().min(2).max(50).required()
                 })
             );
 
             if (!validation.isValid) {
-                throw new Error('Invalid input data');
+                throw new ValidationError('Invalid input data', validation.errors);
             }
 
             // Hash password
             const hashedPassword = await this.hashPassword(validation.data.password);
 
             // Create user
-            const User = require('../entities/User');
             const user = new User({
                 ...validation.data,
                 password: hashedPassword
@@ -206,42 +481,236 @@ class AuthenticationService extends BaseService {
             // Save user
             const savedUser = await this._userRepository.create(user);
 
-            // Generate token
-            const token = await this.generateToken(savedUser);
+            // Send the email verification link
+            const verification = await this._oneTimeTokenService.issue(
+                savedUser.id,
+                OneTimeToken.PURPOSES.EMAIL_VERIFICATION
+            );
+            await this._notificationService.sendEmailVerification(savedUser, verification);
 
-            return {
-                user: this.sanitizeOutput(savedUser.toPublicJSON()),
-                token,
-                expiresIn: process.env.JWT_EXPIRES_IN || '24h'
-            };
+            return this.createSession(savedUser);
         }, 'register');
     }
 
     /**
-     * Refresh authentication token
-     * @param {string} token - Current JWT token
+     * Exchange a refresh token for a new access token
+     * The presented refresh token is consumed and a successor is returned
+     * @param {string} refreshToken - Opaque refresh token
      * @returns {Promise<Object>} New authentication result
      */
-    async refreshToken(token) {
+    async refreshToken(refreshToken) {
         return this.executeOperation(async () => {
-            const decoded = await this.verifyToken(token);
-            const user = await this._userRepository.findById(decoded.userId);
+            const rotated = await this._refreshTokenService.rotate(refreshToken);
+            const user = await this._userRepository.findById(rotated.userId);
 
             if (!user || !user.isActive) {
-                throw new Error('Invalid token');
+                await this._refreshTokenService.revokeFamily(rotated.familyId);
+                throw new UnauthorizedError('Invalid refresh token');
             }
 
-            // Generate new token
-            const newToken = await this.generateToken(user);
+            const token = await this.generateToken(user, { mfa: rotated.mfaVerified });
 
             return {
                 user: this.sanitizeOutput(user.toPublicJSON()),
-                token: newToken,
-                expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+                token,
+                expiresIn: this._jwtExpiresIn,
+                refreshToken: rotated.token,
+                refreshTokenExpiresAt: rotated.expiresAt
             };
         }, 'refreshToken');
     }
 
+    /**
+     * Log out the current session
+     * Denies the access token until it expires and revokes the refresh token family, if given
+     * A refresh token that belongs to another user is ignored
+     * @param {Object} tokenPayload - Decoded access token
+     * @param {string} [refreshToken] - Refresh token of the same session
+     * @returns {Promise<Object>} Logout result
+     */
+    async logout(tokenPayload, refreshToken = null) {
+        return this.executeOperation(async () => {
+            await this._tokenDenylist.add(tokenPayload.jti, new Date(tokenPayload.exp * 1000));
+
+            if (refreshToken) {
+                await this._refreshTokenService.revoke(refreshToken, tokenPayload.userId);
+            }
+
+            return null;
+        }, 'logout');
+    }
+
+    /**
+     * Log a user out of all devices
+     * Bumps the user's token version so every previously issued access token fails
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Logout result
+     */
+    async logoutAllDevices(userId) {
+        return this.executeOperation(async () => {
+            const user = await this._userRepository.findById(userId);
+            if (!user) {
+                throw new NotFoundError('User not found');
+            }
+
+            await this._userRepository.update(user.id, { tokenVersion: user.tokenVersion + 1 });
+            const revokedRefreshTokens = await this._refreshTokenService.revokeAllForUser(user.id);
+
+            this._logger.info(`User ${user.id} logged out of all devices`);
+
+            return { revokedRefreshTokens };
+        }, 'logoutAllDevices');
+    }
+
+    /**
+     * Issue a password reset token
+     * Resolves with null data for unknown or inactive accounts so callers can't enumerate emails
+     * @param {string} email - Account email
+     * @returns {Promise<Object>} Reset token result
+     */
+    async requestPasswordReset(email) {
+        return this.executeOperation(async () => {
+            const user = await this._userRepository.findByEmail(email);
+            if (!user || !user.isActive) {
+                return null;
+            }
+
+            const resetToken = await this._oneTimeTokenService.issue(
+                user.id,
+                OneTimeToken.PURPOSES.PASSWORD_RESET
+            );
+            await this._notificationService.sendPasswordReset(user, resetToken);
+
+            return { user, ...resetToken };
+        }, 'requestPasswordReset');
+    }
+
+    /**
+     * Reset a password using a password reset token
+     * Existing sessions are ended since the old password may have been compromised
+     * @param {string} token - Password reset token
+     * @param {string} newPassword - New plain text password
+     * @returns {Promise<Object>} Reset result
+     */
+    async resetPassword(token, newPassword) {
+        return this.executeOperation(async () => {
+            const userId = await this._oneTimeTokenService.consume(
+                token,
+                OneTimeToken.PURPOSES.PASSWORD_RESET
+            );
+
+            const user = await this._userRepository.findById(userId);
+            if (!user || !user.isActive) {
+                throw ValidationError.forField('token', 'Invalid or expired token');
+            }
+
+            const hashedPassword = await this.hashPassword(newPassword);
+            const updatedUser = await this._userRepository.update(user.id, {
+                password: hashedPassword,
+                tokenVersion: user.tokenVersion + 1
+            });
+
+            if (!updatedUser) {
+                throw new Error('Failed to reset password');
+            }
+
+            await this._refreshTokenService.revokeAllForUser(user.id);
+            // Proving control of the mailbox lifts any lockout
+            await this._accountLockoutService.reset(updatedUser);
+            await this._notificationService.sendPasswordChanged(updatedUser);
+
+            return null;
+        }, 'resetPassword');
+    }
+
+    /**
+     * Change the password of an authenticated user
+     * Every existing session ends; the caller receives a fresh one in its place
+     * @param {string} userId - User ID
+     * @param {string} currentPassword - Current plain text password
+     * @param {string} newPassword - New plain text password
+     * @param {Object} [claims] - Claims of the session making the change
+     * @param {boolean} [claims.mfa] - Whether that session passed two-factor verification
+     * @returns {Promise<Object>} Replacement session
+     */
+    async changePassword(userId, currentPassword, newPassword, claims = {}) {
+        return this.executeOperation(async () => {
+            const user = await this._userRepository.findById(userId);
+            if (!user) {
+                throw new NotFoundError('User not found');
+            }
+
+            const isValidPassword = await this.comparePassword(currentPassword, user.password);
+            if (!isValidPassword) {
+                throw ValidationError.forField('currentPassword', 'Current password is incorrect');
+            }
+
+            const hashedPassword = await this.hashPassword(newPassword);
+            const updatedUser = await this._userRepository.update(user.id, {
+                password: hashedPassword,
+                tokenVersion: user.tokenVersion + 1
+            });
+
+            if (!updatedUser) {
+                throw new Error('Failed to update password');
+            }
+
+            await this._refreshTokenService.revokeAllForUser(user.id);
+            await this._notificationService.sendPasswordChanged(updatedUser);
+
+            return this.createSession(updatedUser, { mfa: claims.mfa });
+        }, 'changePassword');
+    }
+
+    /**
+     * Issue an email verification token
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Verification token result
+     */
+    async createEmailVerificationToken(userId) {
+        return this.executeOperation(async () => {
+            const user = await this._userRepository.findById(userId);
+            if (!user) {
+                throw new NotFoundError('User not found');
+            }
+
+            if (user.isEmailVerified) {
+                throw new ConflictError('Email is already verified');
+            }
+
+            const verificationToken = await this._oneTimeTokenService.issue(
+                user.id,
+                OneTimeToken.PURPOSES.EMAIL_VERIFICATION
+            );
+            await this._notificationService.sendEmailVerification(user, verificationToken);
+
+            return { user, ...verificationToken };
+        }, 'createEmailVerificationToken');
+    }
+
+    /**
+     * Verify a user's email using an email verification token
+     * @param {string} token - Email verification token
+     * @returns {Promise<Object>} Verified user data
+     */
+    async verifyEmail(token) {
+        return this.executeOperation(async () => {
+            const userId = await this._oneTimeTokenService.consume(
+                token,
+                OneTimeToken.PURPOSES.EMAIL_VERIFICATION
+            );
+
+            const user = await this._userRepository.findById(userId);
+            if (!user) {
+                throw ValidationError.forField('token', 'Invalid or expired token');
+            }
+
+            const updatedUser = await this._userRepository.update(user.id, { isEmailVerified: true });
+
+            return this.sanitizeOutput(updatedUser.toPublicJSON());
+        }, 'verifyEmail');
+    }
+
     /**
      * Get authentication strategy by name
      * @param {string} strategyName - Strategy name
@@ -0,0 +1,225 @@
+const BaseService = require('../core/abstract/BaseService');
+const crypto = require('crypto');
+const { ValidationError, NotFoundError, ConflictError } = require('../core/errors');
+
+/**
+ * @class MfaService
+ * @description TOTP two-factor authentication enrollment and verification
+ * Enrollment is two-step: a pending secret is generated and only activated once the
+ * user proves their authenticator produces valid codes. Recovery codes are shown once
+ * and stored as SHA-256 hashes; each can be used a single time.
+ */
+class MfaService extends BaseService {
+    constructor(logger, userRepository, totpProvider, options = {}) {
+        super(logger, options.metrics);
+
+        if (!userRepository) {
+            throw new Error('UserRepository dependency is required');
+        }
+
+        if (!totpProvider) {
+            throw new Error('TotpProvider dependency is required');
+        }
+
+        // Dependency Injection: Inject user repository and TOTP provider
+        this._userRepository = userRepository;
+        this._totpProvider = totpProvider;
+
+        const {
+            issuer = 'OOP Express Backend',
+            recoveryCodeCount = 10
+        } = options;
+
+        this._issuer = issuer;
+        this._recoveryCodeCount = recoveryCodeCount;
+    }
+
+    /**
+     * Start enrollment by generating a pending secret
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Secret and otpauth URI for the authenticator app
+     */
+    async beginEnrollment(userId) {
+        return this.executeOperation(async () => {
+            const user = await this.findUser(userId);
+
+            if (user.mfaEnabled) {
+                throw new ConflictError('Two-factor authentication is already enabled');
+            }
+
+            const secret = this._totpProvider.generateSecret();
+            await this._userRepository.update(user.id, { mfaPendingSecret: secret });
+
+            return {
+                secret,
+                otpauthUri: this._totpProvider.buildUri({
+                    secret,
+                    accountName: user.email,
+                    issuer: this._issuer
+                })
+            };
+        }, 'beginMfaEnrollment');
+    }
+
+    /**
+     * Confirm enrollment with a code from the authenticator app
+     * @param {string} userId - User ID
+     * @param {string} code - Current TOTP code
+     * @returns {Promise<Object>} Plain recovery codes, shown only once
+     */
+    async confirmEnrollment(userId, code) {
+        return this.executeOperation(async () => {
+            const user = await this.findUser(userId);
+
+            if (user.mfaEnabled) {
+                throw new ConflictError('Two-factor authentication is already enabled');
+            }
+
+            if (!user.mfaPendingSecret) {
+                throw new ConflictError('Two-factor enrollment has not been started');
+            }
+
+            const step = this._totpProvider.verify(code, user.mfaPendingSecret);
+            if (step === null) {
+                throw ValidationError.forField('code', 'Invalid verification code');
+            }
+
+            const recoveryCodes = this.generateRecoveryCodes();
+
+            await this._userRepository.update(user.id, {
+                mfaSecret: user.mfaPendingSecret,
+                mfaPendingSecret: null,
+                mfaEnabled: true,
+                mfaLastUsedStep: step,
+                mfaRecoveryCodes: recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode))
+            });
+
+            this._logger.info(`Two-factor authentication enabled for user ${user.id}`);
+
+            return { recoveryCodes };
+        }, 'confirmMfaEnrollment');
+    }
+
+    /**
+     * Disable two-factor authentication
+     * @param {string} userId - User ID
+     * @param {string} code - TOTP or recovery code
+     * @returns {Promise<Object>} Disable result
+     */
+    async disable(userId, code) {
+        return this.executeOperation(async () => {
+            const user = await this.findUser(userId);
+
+            if (!user.mfaEnabled) {
+                throw new ConflictError('Two-factor authentication is not enabled');
+            }
+
+            await this.verifyCode(user, code);
+
+            await this._userRepository.update(user.id, {
+                mfaEnabled: false,
+                mfaSecret: null,
+                mfaRecoveryCodes: [],
+                mfaLastUsedStep: -1
+            });
+
+            this._logger.info(`Two-factor authentication disabled for user ${user.id}`);
+
+            return null;
+        }, 'disableMfa');
+    }
+
+    /**
+     * Replace all recovery codes
+     * @param {string} userId - User ID
+     * @param {string} code - Current TOTP code
+     * @returns {Promise<Object>} New plain recovery codes
+     */
+    async regenerateRecoveryCodes(userId, code) {
+        return this.executeOperation(async () => {
+            const user = await this.findUser(userId);
+
+            if (!user.mfaEnabled) {
+                throw new ConflictError('Two-factor authentication is not enabled');
+            }
+
+            await this.verifyCode(user, code);
+
+            const recoveryCodes = this.generateRecoveryCodes();
+            await this._userRepository.update(user.id, {
+                mfaRecoveryCodes: recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode))
+            });
+
+            return { recoveryCodes };
+        }, 'regenerateRecoveryCodes');
+    }
+
+    /**
+     * Verify a TOTP code or consume a recovery code
+     * @param {User} user - User with two-factor authentication enabled
+     * @param {string} code - Code entered by the user
+     * @returns {Promise<string>} Verification method used ('totp' or 'recovery')
+     */
+    async verifyCode(user, code) {
+        if (!user.mfaEnabled || !user.mfaSecret || typeof code !== 'string') {
+            throw ValidationError.forField('code', 'Invalid verification code');
+        }
+
+        const normalized = code.trim();
+
+        const step = this._totpProvider.verify(normalized, user.mfaSecret, {
+            afterStep: user.mfaLastUsedStep
+        });
+
+        if (step !== null) {
+            await this._userRepository.update(user.id, { mfaLastUsedStep: step });
+            return 'totp';
+        }
+
+        const hash = this.hashRecoveryCode(normalized);
+        const remaining = user.mfaRecoveryCodes.filter(stored => stored !== hash);
+
+        if (remaining.length < user.mfaRecoveryCodes.length) {
+            await this._userRepository.update(user.id, { mfaRecoveryCodes: remaining });
+            this._logger.warn(`Recovery code used by user ${user.id}`, { remaining: remaining.length });
+            return 'recovery';
+        }
+
+        throw ValidationError.forField('code', 'Invalid verification code');
+    }
+
+    /**
+     * Generate a fresh set of plain recovery codes
+     * @returns {string[]} Recovery codes formatted as xxxxx-xxxxx
+     */
+    generateRecoveryCodes() {
+        return Array.from({ length: this._recoveryCodeCount }, () => {
+            const hex = crypto.randomBytes(5).toString('hex');
+            return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+        });
+    }
+
+    /**
+     * Hash a recovery code for storage and lookup
+     * @param {string} code - Plain recovery code
+     * @returns {string} Hex-encoded SHA-256 hash
+     */
+    hashRecoveryCode(code) {
+        return crypto.createHash('sha256').update(code.toLowerCase()).digest('hex');
+    }
+
+    /**
+     * Load a user or fail
+     * @param {string} userId - User ID
+     * @returns {Promise<User>} The user
+     */
+    async findUser(userId) {
+        const user = await this._userRepository.findById(userId);
+        if (!user) {
+            throw new NotFoundError('User not found');
+        }
+        return user;
+    }
+}
+
+module.exports = MfaService;
@@ -0,0 +1,107 @@
+const BaseService = require('../core/abstract/BaseService');
+
+/**
+ * @class NotificationService
+ * @description Sends account emails for authentication flows
+ * Renders templates and hands them to the configured IMailer. Delivery failures are
+ * logged and reported as `false` so they never break the flow that triggered them.
+ */
+class NotificationService extends BaseService {
+    constructor(logger, mailer, templateRenderer, options = {}) {
+        super(logger, options.metrics);
+
+        if (!mailer) {
+            throw new Error('Mailer dependency is required');
+        }
+
+        if (!templateRenderer) {
+            throw new Error('MailTemplateRenderer dependency is required');
+        }
+
+        // Dependency Injection: Inject mailer and template renderer
+        this._mailer = mailer;
+        this._templateRenderer = templateRenderer;
+
+        const { baseUrl = 'http://localhost:3000' } = options;
+        this._baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    /**
+     * Send the email verification link
+     * @param {User} user - Recipient
+     * @param {Object} verification - Issued token and expiry
+     * @returns {Promise<boolean>} Delivery status
+     */
+    async sendEmailVerification(user, verification) {
+        return this.deliver(user, 'emailVerification', {
+            url: `${this._baseUrl}/api/v1/auth/verify-email/${encodeURIComponent(verification.token)}`,
+            expiresAt: verification.expiresAt
+        });
+    }
+
+    /**
+     * Send the password reset link
+     * @param {User} user - Recipient
+     * @param {Object} reset - Issued token and expiry
+     * @returns {Promise<boolean>} Delivery status
+     */
+    async sendPasswordReset(user, reset) {
+        return this.deliver(user, 'passwordReset', {
+            url: `${this._baseUrl}/reset-password?token=${encodeURIComponent(reset.token)}`,
+            expiresAt: reset.expiresAt
+        });
+    }
+
+    /**
+     * Notify a user that their password changed
+     * @param {User} user - Recipient
+     * @returns {Promise<boolean>} Delivery status
+     */
+    async sendPasswordChanged(user) {
+        return this.deliver(user, 'passwordChanged', {
+            changedAt: new Date()
+        });
+    }
+
+    /**
+     * Notify a user about a new sign-in
+     * @param {User} user - Recipient
+     * @param {Object} [context] - Request details
+     * @param {string} [context.ip] - Client IP address
+     * @param {string} [context.userAgent] - Client user agent
+     * @returns {Promise<boolean>} Delivery status
+     */
+    async sendNewLogin(user, context = {}) {
+        return this.deliver(user, 'newLogin', {
+            loginAt: new Date(),
+            ip: context.ip || 'unknown',
+            userAgent: context.userAgent || 'unknown'
+        });
+    }
+
+    /**
+     * Render and send a template to a user
+     * @param {User} user - Recipient
+     * @param {string} templateName - Template name
+     * @param {Object} data - Template data
+     * @returns {Promise<boolean>} Delivery status
+     */
+    async deliver(user, templateName, data) {
+        try {
+            const content = this._templateRenderer.render(templateName, {
+                firstName: user.firstName,
+                ...data
+            });
+
+            await this._mailer.send({ to: user.email, ...content });
+
+            this._logger.info(`Email sent: ${templateName}`, { userId: user.id });
+            return true;
+        } catch (error) {
+            this._logger.error(`Failed to send email: ${templateName}`, error, { userId: user.id });
+            return false;
+        }
+    }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,100 @@
+const BaseService = require('../core/abstract/BaseService');
+const OneTimeToken = require('../entities/OneTimeToken');
+const crypto = require('crypto');
+const { ValidationError } = require('../core/errors');
+
+/**
+ * @class OneTimeTokenService
+ * @description Issues and consumes single-use, purpose-scoped tokens
+ * Used for password reset and email verification links. Tokens are opaque,
+ * stored hashed, bound to one purpose and rejected once consumed or expired.
+ */
+class OneTimeTokenService extends BaseService {
+    constructor(logger, oneTimeTokenRepository, options = {}) {
+        super(logger, options.metrics);
+
+        if (!oneTimeTokenRepository) {
+            throw new Error('OneTimeTokenRepository dependency is required');
+        }
+
+        // Dependency Injection: Inject one-time token repository
+        this._oneTimeTokenRepository = oneTimeTokenRepository;
+
+        const {
+            passwordResetTtlMinutes = 15,
+            emailVerificationTtlHours = 24,
+            clock = Date
+        } = options;
+
+        this._clock = clock;
+
+        this._ttls = {
+            [OneTimeToken.PURPOSES.PASSWORD_RESET]: passwordResetTtlMinutes * 60 * 1000,
+            [OneTimeToken.PURPOSES.EMAIL_VERIFICATION]: emailVerificationTtlHours * 60 * 60 * 1000
+        };
+    }
+
+    /**
+     * Issue a token for a purpose, invalidating the user's earlier tokens for that purpose
+     * @param {string} userId - Owner of the token
+     * @param {string} purpose - One of OneTimeToken.PURPOSES
+     * @returns {Promise<Object>} Raw token and expiry
+     */
+    async issue(userId, purpose) {
+        const ttl = this._ttls[purpose];
+        if (!ttl) {
+            throw new Error(`Unknown token purpose: ${purpose}`);
+        }
+
+        await this._oneTimeTokenRepository.invalidateForUser(userId, purpose);
+
+        const rawToken = crypto.randomBytes(32).toString('base64url');
+        const token = new OneTimeToken({
+            tokenHash: this.hashToken(rawToken),
+            userId,
+            purpose,
+            expiresAt: new Date(this._clock.now() + ttl)
+        });
+
+        await this._oneTimeTokenRepository.create(token);
+
+        return {
+            token: rawToken,
+            expiresAt: token.expiresAt
+        };
+    }
+
+    /**
+     * Consume a token for the expected purpose
+     * @param {string} rawToken - Token presented by the client
+     * @param {string} purpose - Expected purpose
+     * @returns {Promise<string>} ID of the user the token was issued to
+     */
+    async consume(rawToken, purpose) {
+        if (!rawToken || typeof rawToken !== 'string') {
+            throw ValidationError.forField('token', 'Invalid or expired token');
+        }
+
+        const token = await this._oneTimeTokenRepository.findByHash(this.hashToken(rawToken));
+
+        if (!token || token.purpose !== purpose || token.isConsumed() || token.isExpired(new Date(this._clock.now()))) {
+            throw ValidationError.forField('token', 'Invalid or expired token');
+        }
+
+        token.consume();
+        await this._oneTimeTokenRepository.save(token);
+
+        return token.userId;
+    }
+
+    /**
+     * Hash a raw token for storage and lookup
+     * @param {string} rawToken - Raw token
+     * @returns {string} Hex-encoded SHA-256 hash
+     */
+    hashToken(rawToken) {
+        return crypto.createHash('sha256').update(rawToken).digest('hex');
+    }
+}
+
+module.exports = OneTimeTokenService;
@@ -0,0 +1,176 @@
+const BaseService = require('../core/abstract/BaseService');
+const RefreshToken = require('../entities/RefreshToken');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { UnauthorizedError } = require('../core/errors');
+
+/**
+ * @class RefreshTokenService
+ * @description Issues and rotates opaque refresh tokens
+ * Raw tokens are only ever returned to the client; the store keeps SHA-256 hashes.
+ * Every refresh consumes the presented token and issues a successor in the same family.
+ * Presenting an already-rotated token is treated as theft and revokes the whole family, and
+ * so is losing a race: of several concurrent refreshes with the same token only one can
+ * consume it, and the others revoke the family like any other reuse.
+ */
+class RefreshTokenService extends BaseService {
+    constructor(logger, refreshTokenRepository, options = {}) {
+        super(logger, options.metrics);
+
+        if (!refreshTokenRepository) {
+            throw new Error('RefreshTokenRepository dependency is required');
+        }
+
+        // Dependency Injection: Inject refresh token repository
+        this._refreshTokenRepository = refreshTokenRepository;
+
+        const {
+            ttlDays = 30,
+            clock = Date
+        } = options;
+
+        this._ttlMs = ttlDays * 24 * 60 * 60 * 1000;
+        this._clock = clock;
+    }
+
+    /**
+     * Issue a new refresh token
+     * @param {string} userId - Owner of the token
+     * @param {Object} [options] - Issue options
+     * @param {string} [options.familyId] - Existing family to extend; a new family is started if omitted
+     * @param {boolean} [options.mfaVerified] - Whether the session passed two-factor verification
+     * @returns {Promise<Object>} Raw token, family ID, MFA status and expiry
+     */
+    async issue(userId, options = {}) {
+        const { familyId = uuidv4(), mfaVerified = false } = options;
+
+        const rawToken = crypto.randomBytes(48).toString('base64url');
+        const refreshToken = new RefreshToken({
+            tokenHash: this.hashToken(rawToken),
+            userId,
+            familyId,
+            mfaVerified,
+            expiresAt: new Date(this._clock.now() + this._ttlMs)
+        });
+
+        await this._refreshTokenRepository.create(refreshToken);
+
+        return {
+            token: rawToken,
+            familyId,
+            mfaVerified,
+            expiresAt: refreshToken.expiresAt
+        };
+    }
+
+    /**
+     * Consume a refresh token and issue its successor
+     * @param {string} rawToken - Refresh token presented by the client
+     * @returns {Promise<Object>} Owner user ID and the newly issued token
+     */
+    async rotate(rawToken) {
+        const current = await this.findUsable(rawToken);
+
+        // The successor is stored before the presented token is consumed, so a losing
+        // concurrent refresh revokes it together with the rest of the family
+        const next = await this.issue(current.userId, {
+            familyId: current.familyId,
+            mfaVerified: current.mfaVerified
+        });
+
+        const consumed = await this._refreshTokenRepository.consume(current.tokenHash, this.hashToken(next.token));
+        if (!consumed) {
+            this._logger.warn('Concurrent refresh token reuse detected, revoking token family', {
+                userId: current.userId,
+                familyId: current.familyId
+            });
+            await this._refreshTokenRepository.revokeFamily(current.familyId);
+            throw new UnauthorizedError('Invalid refresh token');
+        }
+
+        return {
+            userId: current.userId,
+            ...next
+        };
+    }
+
+    /**
+     * Revoke the family of the presented token (single-device logout)
+     * Tokens owned by anyone other than the given user are left untouched
+     * @param {string} rawToken - Refresh token presented by the client
+     * @param {string} userId - User the token must belong to
+     * @returns {Promise<boolean>} Whether a matching token was found
+     */
+    async revoke(rawToken, userId) {
+        const token = await this._refreshTokenRepository.findByHash(this.hashToken(rawToken));
+        if (!token || token.userId !== userId) {
+            return false;
+        }
+
+        await this._refreshTokenRepository.revokeFamily(token.familyId);
+        return true;
+    }
+
+    /**
+     * Revoke a whole token family
+     * @param {string} familyId - Token family ID
+     * @returns {Promise<number>} Number of tokens revoked
+     */
+    async revokeFamily(familyId) {
+        return this._refreshTokenRepository.revokeFamily(familyId);
+    }
+
+    /**
+     * Revoke every refresh token issued to a user
+     * @param {string} userId - User ID
+     * @returns {Promise<number>} Number of tokens revoked
+     */
+    async revokeAllForUser(userId) {
+        return this._refreshTokenRepository.revokeAllForUser(userId);
+    }
+
+    /**
+     * Look up a token and make sure it can still be exchanged
+     * @param {string} rawToken - Refresh token presented by the client
+     * @returns {Promise<RefreshToken>} The usable token
+     */
+    async findUsable(rawToken) {
+        if (!rawToken || typeof rawToken !== 'string') {
+            throw new UnauthorizedError('Invalid refresh token');
+        }
+
+        const token = await this._refreshTokenRepository.findByHash(this.hashToken(rawToken));
+        if (!token) {
+            throw new UnauthorizedError('Invalid refresh token');
+        }
+
+        if (token.isRevoked()) {
+            // Reuse detection: a rotated token should never come back
+            if (token.replacedByHash) {
+                this._logger.warn('Refresh token reuse detected, revoking token family', {
+                    userId: token.userId,
+                    familyId: token.familyId
+                });
+            }
+            await this._refreshTokenRepository.revokeFamily(token.familyId);
+            throw new UnauthorizedError('Invalid refresh token');
+        }
+
+        if (token.isExpired(new Date(this._clock.now()))) {
+            throw new UnauthorizedError('Invalid refresh token');
+        }
+
+        return token;
+    }
+
+    /**
+     * Hash a raw refresh token for storage and lookup
+     * @param {string} rawToken - Raw refresh token
+     * @returns {string} Hex-encoded SHA-256 hash
+     */
+    hashToken(rawToken) {
+        return crypto.createHash('sha256').update(rawToken).digest('hex');
+    }
+}
+
+module.exports = RefreshTokenService;
@@ -1,36 +1,51 @@
 const BaseService = require('../core/abstract/BaseService');
 const User = require('../entities/User');
 const Joi = require('joi');
+const { ValidationError, NotFoundError, ConflictError } = require('../core/errors');
+const { PERMISSIONS } = require('../core/authorization');
 
 /**
  * @class UserService
  * @description User service for business logic operations
  * Implements Service Layer pattern and Single Responsibility Principle
  * Follows Open/Closed Principle - open for extension, closed for modification
+ * Operations on users are authorized against the policy engine for `options.actor`, the
+ * User performing them; see src/policies/userPolicy.js.
  */
 class UserService extends BaseService {
-    constructor(logger, userRepository) {
-        super(logger);
+    constructor(logger, userRepository, policyEngine, roleRegistry, options = {}) {
+        super(logger, options.metrics);
 
         if (!userRepository) {
             throw new Error('UserRepository dependency is required');
         }
 
-        // Dependency Injection: Inject user repository
+        if (!policyEngine) {
+            throw new Error('PolicyEngine dependency is required');
+        }
+
+        if (!roleRegistry) {
+            throw new Error('RoleRegistry dependency is required');
+        }
+
+        // Dependency Injection: Inject user repository, policy engine and role registry
         this._userRepository = userRepository;
+        this._policyEngine = policyEngine;
+        this._roleRegistry = roleRegistry;
     }
 
     /**
      * Get user by ID
      * @param {string} id - User ID
+     * @param {Object} options - Operation options
+     * @param {User} options.actor - User performing the operation
      * @returns {Promise<Object>} User data
      */
-    async getUserById(id) {
+    async getUserById(id, options = {}) {
         return this.executeOperation(async () => {
-            const user = await this._userRepository.findById(id);
-            if (!user) {
-                throw new Error('User not found');
-            }
+            const user = await this.findUser(id);
+            this._policyEngine.authorize(PERMISSIONS.USERS_READ, { actor: options.actor, resource: user });
+
             return this.sanitizeOutput(user.toPublicJSON());
         }, 'getUserById');
     }
@@ -44,7 +59,7 @@ class UserService extends BaseService {
         return this.executeOperation(async () => {
             const user = await this._userRepository.findByEmail(email);
             if (!user) {
-                throw new Error('User not found');
+                throw new NotFoundError('User not found');
             }
             return this.sanitizeOutput(user.toPublicJSON());
         }, 'getUserByEmail');
@@ -53,13 +68,13 @@ class UserService extends BaseService {
     /**
      * Get all users with filtering and pagination
      * @param {Object} [filters] - Optional filters
-     * @param {Object} [options] - Query options
+     * @param {Object} options - Query options
+     * @param {User} options.actor - User performing the operation; only users they may list are returned
      * @returns {Promise<Object>} Users data with pagination
      */
     async getUsers(filters = {}, options = {}) {
         return this.executeOperation(async () => {
-            const users = await this._userRepository.findAll(filters, options);
-            const total = await this._userRepository.count(filters);
+            const { users, total } = await this.findAllowed(PERMISSIONS.USERS_LIST, filters, options);
 
             return {
                 users: users.map(user => this.sanitizeOutput(user.toPublicJSON())),
@@ -76,9 +91,11 @@ class UserService extends BaseService {
     /**
      * Create a new user
      * @param {Object} userData - User data
+     * @param {Object} options - Operation options
+     * @param {User} options.actor - User performing the operation
      * @returns {Promise<Object>} Created user data
      */
-    async createUser(userData) {
+    async createUser(userData, options = {}) {
         return this.executeOperation(async () => {
             // Input validation
             const validation = this.validateInput(
@@ -88,28 +105,34 @@ class UserService extends BaseService {
                     password: Joi.string().min(8).required(),
                     firstName: Joi.string().min(2).max(50).required(),
                     lastName: Joi.string().min(2).max(50).required(),
-                    role: Joi.string().valid('user', 'admin', 'moderator').default('user')
+                    role: Joi.string().valid(...this._roleRegistry.roles).default('user')
                 })
             );
 
             if (!validation.isValid) {
-                throw new Error('Invalid input data');
+                throw new ValidationError('Invalid input data', validation.errors);
             }
 
             // Check if user already exists
             const existingUser = await this._userRepository.findByEmail(validation.data.email);
             if (existingUser) {
-                throw new Error('User with this email already exists');
+                throw new ConflictError('User with this email already exists');
             }
 
             // Create user entity
             const user = new User(validation.data);
 
             // Validate entity
-            if (!user.validate()) {
-                throw new Error('Invalid user data');
+            if (!user.validate(this._roleRegistry.roles)) {
+                throw new ValidationError('Invalid user data');
             }
 
+            this._policyEngine.authorize(PERMISSIONS.USERS_CREATE, {
+                actor: options.actor,
+                resource: user,
+                changes: validation.data
+            });
+
             // Save user
             const savedUser = await this._userRepository.create(user);
             return this.sanitizeOutput(savedUser.toPublicJSON());
@@ -120,9 +143,12 @@ class UserService extends BaseService {
      * Update user
      * @param {string} id - User ID
      * @param {Object} updates - Updates to apply
+     * @param {Object} options - Update options
+     * @param {User} options.actor - User performing the operation
+     * @param {number|number[]} [options.expectedVersion] - Reject with VERSION_CONFLICT unless the stored version matches
      * @returns {Promise<Object>} Updated user data
      */
-    async updateUser(id, updates) {
+    async updateUser(id, updates, options = {}) {
         return this.executeOperation(async () => {
             // Input validation
             const validation = this.validateInput(
@@ -131,31 +157,36 @@ class UserService extends BaseService {
                     email: Joi.string().email().optional(),
                     firstName: Joi.string().min(2).max(50).optional(),
                     lastName: Joi.string().min(2).max(50).optional(),
-                    role: Joi.string().valid('user', 'admin', 'moderator').optional(),
+                    role: Joi.string().valid(...this._roleRegistry.roles).optional(),
                     isEmailVerified: Joi.boolean().optional()
                 })
             );
 
             if (!validation.isValid) {
-                throw new Error('Invalid input data');
+                throw new ValidationError('Invalid input data', validation.errors);
             }
 
-            // Check if user exists
-            const existingUser = await this._userRepository.findById(id);
-            if (!existingUser) {
-                throw new Error('User not found');
-            }
+            // Check if user exists and the actor may apply these changes
+            const existingUser = await this.findUser(id);
+            this._policyEngine.authorize(PERMISSIONS.USERS_UPDATE, {
+                actor: options.actor,
+                resource: existingUser,
+                changes: validation.data,
+                context: validation.data.role === undefined ? {} : { adminCount: await this.countAdmins({ isActive: true }) }
+            });
 
             // Check if email is being changed and if it's already taken
             if (validation.data.email && validation.data.email !== existingUser.email) {
                 const userWithEmail = await this._userRepository.findByEmail(validation.data.email);
                 if (userWithEmail) {
-                    throw new Error('Email is already taken');
+                    throw new ConflictError('Email is already taken');
                 }
             }
 
             // Update user
-            const updatedUser = await this._userRepository.update(id, validation.data);
+            const updatedUser = await this._userRepository.update(id, validation.data, {
+                expectedVersion: options.expectedVersion
+            });
             if (!updatedUser) {
                 throw new Error('Failed to update user');
             }
@@ -167,20 +198,15 @@ class UserService extends BaseService {
     /**
      * Delete user
      * @param {string} id - User ID
+     * @param {Object} options - Operation options
+     * @param {User} options.actor - User performing the operation
      * @returns {Promise<boolean>} Success status
      */
-    async deleteUser(id) {
+    async deleteUser(id, options = {}) {
         return this.executeOperation(async () => {
-            // Check if user exists
-            const existingUser = await this._userRepository.findById(id);
-            if (!existingUser) {
-                throw new Error('User not found');
-            }
-
-            // Prevent deletion of admin users (business rule)
-            if (existingUser.isAdmin()) {
-                throw new Error('Cannot delete admin users');
-            }
+            // Check if user exists and the actor may delete it (admin users may not be deleted)
+            const existingUser = await this.findUser(id);
+            this._policyEngine.authorize(PERMISSIONS.USERS_DELETE, { actor: options.actor, resource: existingUser });
 
             // Delete user
             const success = await this._userRepository.delete(id);
@@ -195,56 +221,52 @@ class UserService extends BaseService {
     /**
      * Soft delete user
      * @param {string} id - User ID
+     * @param {Object} options - Operation options
+     * @param {User} options.actor - User performing the operation
      * @returns {Promise<Object>} Updated user data
      */
-    async softDeleteUser(id) {
+    async softDeleteUser(id, options = {}) {
         return this.executeOperation(async () => {
-            const user = await this._userRepository.findById(id);
-            if (!user) {
-                throw new Error('User not found');
-            }
-
-            // Prevent soft deletion of admin users (business rule)
-            if (user.isAdmin()) {
-                throw new Error('Cannot deactivate admin users');
-            }
+            // Admin users may not be deactivated
+            const user = await this.findUser(id);
+            this._policyEngine.authorize(PERMISSIONS.USERS_DEACTIVATE, { actor: options.actor, resource: user });
 
-            user.softDelete();
-            return this.sanitizeOutput(user.toPublicJSON());
+            const updatedUser = await this._userRepository.update(user.id, { isActive: false });
+            return this.sanitizeOutput(updatedUser.toPublicJSON());
         }, 'softDeleteUser');
     }
 
     /**
      * Restore user
      * @param {string} id - User ID
+     * @param {Object} options - Operation options
+     * @param {User} options.actor - User performing the operation
      * @returns {Promise<Object>} Updated user data
      */
-    async restoreUser(id) {
+    async restoreUser(id, options = {}) {
         return this.executeOperation(async () => {
-            const user = await this._userRepository.findById(id);
-            if (!user) {
-                throw new Error('User not found');
-            }
+            const user = await this.findUser(id);
+            this._policyEngine.authorize(PERMISSIONS.USERS_RESTORE, { actor: options.actor, resource: user });
 
-            user.restore();
-            return this.sanitizeOutput(user.toPublicJSON());
+            const updatedUser = await this._userRepository.update(user.id, { isActive: true });
+            return this.sanitizeOutput(updatedUser.toPublicJSON());
         }, 'restoreUser');
     }
 
     /**
      * Verify user email
      * @param {string} id - User ID
+     * @param {Object} options - Operation options
+     * @param {User} options.actor - User performing the operation
      * @returns {Promise<Object>} Updated user data
      */
-    async verifyUserEmail(id) {
+    async verifyUserEmail(id, options = {}) {
         return this.executeOperation(async () => {
-            const user = await this._userRepository.findById(id);
-            if (!user) {
-                throw new Error('User not found');
-            }
+            const user = await this.findUser(id);
+            this._policyEngine.authorize(PERMISSIONS.USERS_VERIFY_EMAIL, { actor: options.actor, resource: user });
 
-            user.verifyEmail();
-            return this.sanitizeOutput(user.toPublicJSON());
+            const updatedUser = await this._userRepository.update(user.id, { isEmailVerified: true });
+            return this.sanitizeOutput(updatedUser.toPublicJSON());
         }, 'verifyUserEmail');
     }
 
@@ -257,7 +279,7 @@ class UserService extends BaseService {
             const totalUsers = await this._userRepository.count();
             const activeUsers = await this._userRepository.count({ isActive: true });
             const verifiedUsers = await this._userRepository.count({ isEmailVerified: true });
-            const adminUsers = await this._userRepository.count({ role: 'admin' });
+            const adminUsers = await this.countAdmins();
 
             return {
                 total: totalUsers,
@@ -273,18 +295,18 @@ class UserService extends BaseService {
     /**
      * Search users
      * @param {string} searchTerm - Search term
-     * @param {Object} [options] - Search options
+     * @param {Object} options - Search options
+     * @param {User} options.actor - User performing the operation; only users they may search are returned
      * @returns {Promise<Object>} Search results
      */
     async searchUsers(searchTerm, options = {}) {
         return this.executeOperation(async () => {
             if (!searchTerm || searchTerm.trim().length < 2) {
-                throw new Error('Search term must be at least 2 characters long');
+                throw ValidationError.forField('q', 'Search term must be at least 2 characters long');
             }
 
             const filters = { search: searchTerm.trim() };
-            const users = await this._userRepository.findAll(filters, options);
-            const total = await this._userRepository.count(filters);
+            const { users, total } = await this.findAllowed(PERMISSIONS.USERS_SEARCH, filters, options);
 
             return {
                 users: users.map(user => this.sanitizeOutput(user.toPublicJSON())),
@@ -299,6 +321,52 @@ class UserService extends BaseService {
             };
         }, 'searchUsers');
     }
+
+    /**
+     * Find a user or fail with NotFoundError
+     * @param {string} id - User ID
+     * @returns {Promise<User>} User entity
+     */
+    async findUser(id) {
+        const user = await this._userRepository.findById(id);
+        if (!user) {
+            throw new NotFoundError('User not found');
+        }
+        return user;
+    }
+
+    /**
+     * Find the users matching filters that an action is allowed on, then paginate them
+     * Policies are evaluated per user, so filtering happens before pagination and the total
+     * only counts allowed users.
+     * @param {string} action - Action name (see PERMISSIONS)
+     * @param {Object} filters - Repository filters
+     * @param {Object} options - Query options with the actor, sort, limit and offset
+     * @returns {Promise<Object>} Page of users and the total number allowed
+     */
+    async findAllowed(action, filters, options) {
+        const { actor, sort, limit, offset = 0 } = options;
+        const users = this._policyEngine.filter(action, actor, await this._userRepository.findAll(filters, { sort }));
+
+        return {
+            users: limit ? users.slice(offset, offset + limit) : users.slice(offset),
+            total: users.length
+        };
+    }
+
+    /**
+     * Count the users whose role grants every permission
+     * @param {Object} [filters] - Further repository filters, e.g. `{ isActive: true }`
+     * @returns {Promise<number>} Number of administrators
+     */
+    async countAdmins(filters = {}) {
+        const registry = this._roleRegistry;
+        const counts = await Promise.all(registry.roles
+            .filter(role => registry.grantsAll(role))
+            .map(role => this._userRepository.count({ ...filters, role })));
+
+        return counts.reduce((sum, count) => sum + count, 0);
+    }
 }
 
 module.exports = UserService; 
\ No newline at end of file
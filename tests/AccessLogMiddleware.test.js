@@ -0,0 +1,165 @@
+const { Writable } = require('stream');
+const winston = require('winston');
+const express = require('express');
+const request = require('supertest');
+const AccessLogMiddleware = require('../src/middleware/AccessLogMiddleware');
+const WinstonLogger = require('../src/core/services/WinstonLogger');
+
+/**
+ * @description Test suite for AccessLogMiddleware
+ */
+describe('AccessLogMiddleware', () => {
+    let logger;
+
+    const buildApp = (options = {}) => {
+        const middleware = new AccessLogMiddleware(logger, options);
+        const app = express();
+        const router = express.Router();
+
+        app.use((req, res, next) => {
+            req.id = 'req-1';
+            next();
+        });
+        app.use(middleware.handle());
+
+        const authenticate = (req, res, next) => {
+            if (!req.get('Authorization')) {
+                const error = new Error('Unauthorized');
+                error.status = 401;
+                return next(error);
+            }
+            req.user = { id: 'user-42' };
+            next();
+        };
+
+        router.get('/users/:id', authenticate, (req, res) => res.json({ id: req.params.id }));
+        app.use('/api/v1', router);
+        app.get('/health', (req, res) => res.json({ status: 'OK' }));
+        app.get('/health/deep', (req, res) => res.json({ status: 'OK' }));
+        app.get('/healthz', (req, res) => res.json({ status: 'OK' }));
+        app.use((err, req, res, next) => res.status(err.status || 500).json({ error: err.message }));
+
+        return app;
+    };
+
+    const entries = () => logger.info.mock.calls.filter(([, meta]) => meta && meta.accessLog);
+
+    beforeEach(() => {
+        logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    });
+
+    it('should require a logger', () => {
+        expect(() => new AccessLogMiddleware()).toThrow('Logger dependency is required');
+    });
+
+    it('should reject unknown formats and out-of-range sample rates', () => {
+        expect(() => new AccessLogMiddleware(logger, { format: 'xml' })).toThrow('Unknown access log format: xml');
+        expect(() => new AccessLogMiddleware(logger, { sampleRate: 2 }))
+            .toThrow('Access log sample rate must be between 0 and 1');
+    });
+
+    it('should log one structured entry per request', async () => {
+        const response = await request(buildApp())
+            .get('/api/v1/users/abc?token=secret')
+            .set('Authorization', 'Bearer x');
+
+        expect(entries()).toHaveLength(1);
+        const [, entry] = entries()[0];
+        expect(entry).toMatchObject({
+            method: 'GET',
+            route: '/api/v1/users/:id',
+            path: '/api/v1/users/:id',
+            status: 200,
+            bytes: Buffer.byteLength(response.text),
+            userId: 'user-42',
+            requestId: 'req-1'
+        });
+        expect(typeof entry.durationMs).toBe('number');
+        expect(entry.durationMs).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should keep the full route template when a route middleware fails', async () => {
+        await request(buildApp()).get('/api/v1/users/abc');
+
+        const [, entry] = entries()[0];
+        expect(entry.route).toBe('/api/v1/users/:id');
+        expect(entry.status).toBe(401);
+        expect(entry.userId).toBeNull();
+    });
+
+    it('should log a null route when nothing matched', async () => {
+        await request(buildApp()).get('/nowhere');
+
+        expect(entries()[0][1]).toMatchObject({ route: null, path: '/nowhere', status: 404 });
+    });
+
+    it('should skip excluded paths and the paths below them', async () => {
+        const app = buildApp({ excludePaths: ['/health'] });
+
+        await request(app).get('/health');
+        await request(app).get('/health/deep');
+        await request(app).get('/healthz');
+
+        expect(entries().map(([, entry]) => entry.path)).toEqual(['/healthz']);
+    });
+
+    it('should sample successful requests but always log errors', async () => {
+        const app = buildApp({ sampleRate: 0.5, random: () => 0.9 });
+
+        await request(app).get('/api/v1/users/abc').set('Authorization', 'Bearer x');
+        await request(app).get('/api/v1/users/abc');
+
+        expect(entries().map(([, entry]) => entry.status)).toEqual([401]);
+    });
+
+    it('should write Apache common log lines', async () => {
+        await request(buildApp({ format: 'common' }))
+            .get('/api/v1/users/abc')
+            .set('Authorization', 'Bearer x');
+
+        const [message, meta] = entries()[0];
+        expect(message).toMatch(
+            /^\S+ - user-42 \[\d{2}\/[A-Z][a-z]{2}\/\d{4}:\d{2}:\d{2}:\d{2} \+0000\] "GET \/api\/v1\/users\/:id HTTP\/1\.1" 200 \d+$/
+        );
+        expect(meta).toEqual({ accessLog: true, requestId: 'req-1' });
+    });
+
+    it('should add quoted referer and user agent in combined format', async () => {
+        await request(buildApp({ format: 'combined' }))
+            .get('/nowhere')
+            .set('User-Agent', 'agent "quoted"');
+
+        const [message] = entries()[0];
+        expect(message).toMatch(/ - - \[.+\] "GET \/nowhere HTTP\/1\.1" 404 \d+ "-" "agent \\"quoted\\""$/);
+    });
+
+    it('should keep tokens in path parameters out of every transport', async () => {
+        const token = 'n_N9hQx3TqLw8vZr2YpKdA5sUe7FjBcMo1GiXt4WyRk';
+        const output = [];
+        const winstonLogger = new WinstonLogger({ singleton: false, level: 'info' });
+        winstonLogger.getWinstonLogger().transports.forEach((transport) => { transport.silent = true; });
+        winstonLogger.getWinstonLogger().add(new winston.transports.Stream({
+            stream: new Writable({
+                write(chunk, encoding, callback) {
+                    output.push(chunk.toString());
+                    callback();
+                }
+            }),
+            format: winston.format.json()
+        }));
+
+        for (const format of ['json', 'combined']) {
+            const app = express();
+            app.use(new AccessLogMiddleware(winstonLogger, { format }).handle());
+            app.get('/api/v1/auth/verify-email/:token', (req, res) => res.json({ verified: true }));
+
+            await request(app).get(`/api/v1/auth/verify-email/${token}`).expect(200);
+            await request(app).get(`/api/v1/auth/verify-email/${token}/unknown`).expect(404);
+        }
+
+        expect(output).toHaveLength(4);
+        output.forEach(line => expect(line).not.toContain(token));
+        expect(output.filter(line => line.includes('/api/v1/auth/verify-email/:token'))).toHaveLength(2);
+        expect(output.filter(line => line.includes('/api/v1/auth/verify-email/[REDACTED]/unknown'))).toHaveLength(2);
+    });
+});
@@ -0,0 +1,175 @@
+const AccountLockoutService = require('../src/services/AccountLockoutService');
+const AuditLogger = require('../src/core/services/AuditLogger');
+const InMemoryUserRepository = require('../src/repositories/InMemoryUserRepository');
+const WinstonLogger = require('../src/core/services/WinstonLogger');
+
+/**
+ * @description Test suite for AccountLockoutService
+ * Covers progressive delays, temporary lockout, reset and administrative unlock
+ */
+describe('AccountLockoutService', () => {
+    let accountLockoutService;
+    let auditLogger;
+    let userRepository;
+    let user;
+
+    beforeEach(async () => {
+        const logger = new WinstonLogger({ level: 'error' });
+        userRepository = new InMemoryUserRepository();
+        auditLogger = new AuditLogger(logger);
+        jest.spyOn(auditLogger, 'record');
+        accountLockoutService = new AccountLockoutService(logger, userRepository, auditLogger, {
+            maxAttempts: 5,
+            lockoutMinutes: 15,
+            delayAfterAttempts: 2,
+            baseDelayMs: 1000,
+            maxDelayMs: 4000
+        });
+        user = await userRepository.findByEmail('user@example.com');
+    });
+
+    afterEach(() => {
+        userRepository.clear();
+    });
+
+    const fail = async (times) => {
+        for (let i = 0; i < times; i++) {
+            await accountLockoutService.recordFailure(user, { ip: '203.0.113.7' });
+        }
+    };
+
+    it('should double the delay after each failure past the threshold, up to the cap', () => {
+        expect(accountLockoutService.getDelayMs(1)).toBe(0);
+        expect(accountLockoutService.getDelayMs(2)).toBe(1000);
+        expect(accountLockoutService.getDelayMs(3)).toBe(2000);
+        expect(accountLockoutService.getDelayMs(4)).toBe(4000);
+        expect(accountLockoutService.getDelayMs(9)).toBe(4000);
+    });
+
+    it('should allow immediate retries below the delay threshold', async () => {
+        // Act
+        await fail(1);
+
+        // Assert
+        expect(user.failedLoginAttempts).toBe(1);
+        expect(accountLockoutService.isBlocked(user)).toBe(false);
+    });
+
+    it('should block retries until the progressive delay has passed', async () => {
+        // Act
+        await fail(2);
+        const retryAt = accountLockoutService.getRetryAt(user);
+
+        // Assert
+        expect(accountLockoutService.isBlocked(user)).toBe(true);
+        expect(retryAt.getTime() - user.lastFailedLoginAt.getTime()).toBe(1000);
+        expect(accountLockoutService.getRetryAt(user, new Date(retryAt.getTime() + 1))).toBeNull();
+    });
+
+    it('should lock the account after the maximum number of failures', async () => {
+        // Act
+        await fail(5);
+
+        // Assert
+        expect(user.isLocked()).toBe(true);
+        expect(user.lockedUntil.getTime() - user.lastFailedLoginAt.getTime()).toBe(15 * 60 * 1000);
+        expect(accountLockoutService.getRetryAt(user)).toEqual(user.lockedUntil);
+        expect(auditLogger.record).toHaveBeenCalledWith('auth.account_locked', expect.objectContaining({
+            userId: user.id,
+            ip: '203.0.113.7'
+        }));
+    });
+
+    it('should audit every failure and blocked attempt', async () => {
+        // Act
+        await fail(2);
+        accountLockoutService.recordBlockedAttempt(user, { ip: '203.0.113.7' });
+
+        // Assert
+        expect(auditLogger.record).toHaveBeenCalledWith('auth.login_failed', expect.objectContaining({
+            userId: user.id,
+            failedLoginAttempts: 2
+        }));
+        expect(auditLogger.record).toHaveBeenCalledWith('auth.login_blocked', expect.objectContaining({
+            userId: user.id,
+            retryAt: expect.any(String)
+        }));
+        expect(user.failedLoginAttempts).toBe(2);
+    });
+
+    it('should run attempts on the same account one at a time', async () => {
+        // Arrange
+        const order = [];
+        const attempt = (name, error) => async () => {
+            order.push(`${name}:start`);
+            await new Promise(resolve => setImmediate(resolve));
+            order.push(`${name}:end`);
+            if (error) {
+                throw error;
+            }
+        };
+
+        // Act
+        const results = await Promise.allSettled([
+            accountLockoutService.runAttempt(user.id, attempt('first', new Error('Wrong password'))),
+            accountLockoutService.runAttempt(user.id, attempt('second'))
+        ]);
+
+        // Assert
+        expect(order).toEqual(['first:start', 'first:end', 'second:start', 'second:end']);
+        expect(results.map(result => result.status)).toEqual(['rejected', 'fulfilled']);
+    });
+
+    it('should clear failure tracking on reset', async () => {
+        // Arrange
+        await fail(5);
+
+        // Act
+        await accountLockoutService.reset(user);
+
+        // Assert
+        expect(user.failedLoginAttempts).toBe(0);
+        expect(user.lockedUntil).toBeNull();
+        expect(accountLockoutService.isBlocked(user)).toBe(false);
+    });
+
+    it('should unlock an account and record the administrator', async () => {
+        // Arrange
+        await fail(5);
+        const admin = await userRepository.findByEmail('admin@example.com');
+
+        // Act
+        const result = await accountLockoutService.unlock(user.id, admin);
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.data.lockedUntil).toBeNull();
+        expect(user.isLocked()).toBe(false);
+        expect(auditLogger.record).toHaveBeenCalledWith('auth.account_unlocked', {
+            userId: user.id,
+            actorId: admin.id
+        });
+    });
+
+    it('should refuse an unlock the actor is not allowed to perform', async () => {
+        // Arrange
+        await fail(5);
+
+        // Act
+        const result = await accountLockoutService.unlock(user.id, user);
+
+        // Assert
+        expect(result.success).toBe(false);
+        expect(result.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+        expect(user.isLocked()).toBe(true);
+    });
+
+    it('should fail to unlock an unknown user', async () => {
+        // Act
+        const result = await accountLockoutService.unlock('missing', user);
+
+        // Assert
+        expect(result.success).toBe(false);
+        expect(result.error.message).toBe('User not found');
+    });
+});
@@ -0,0 +1,182 @@
+const {
+    AppError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    PreconditionFailedError,
+    VersionConflictError,
+    RateLimitedError,
+    normalizeError
+} = require('../src/core/errors');
+const BaseService = require('../src/core/abstract/BaseService');
+const Joi = require('joi');
+
+/**
+ * @description Test suite for the typed error hierarchy
+ */
+describe('AppError hierarchy', () => {
+    it.each([
+        [ValidationError, 400, 'VALIDATION_ERROR'],
+        [UnauthorizedError, 401, 'UNAUTHORIZED'],
+        [ForbiddenError, 403, 'FORBIDDEN'],
+        [NotFoundError, 404, 'NOT_FOUND'],
+        [ConflictError, 409, 'CONFLICT'],
+        [PreconditionFailedError, 412, 'PRECONDITION_FAILED'],
+        [RateLimitedError, 429, 'RATE_LIMIT_EXCEEDED']
+    ])('should map %p to status %i and code %s', (ErrorClass, statusCode, code) => {
+        const error = new ErrorClass();
+
+        expect(error).toBeInstanceOf(AppError);
+        expect(error).toBeInstanceOf(Error);
+        expect(error.statusCode).toBe(statusCode);
+        expect(error.code).toBe(code);
+        expect(error.name).toBe(ErrorClass.name);
+    });
+
+    it('should allow a more specific code but never a different status', () => {
+        const error = new ForbiddenError('Two-factor authentication required', { code: 'MFA_REQUIRED', statusCode: 500 });
+
+        expect(error.code).toBe('MFA_REQUIRED');
+        expect(error.statusCode).toBe(403);
+    });
+
+    it('should carry field details on validation errors', () => {
+        const { error: joiError } = Joi.object({
+            email: Joi.string().email(),
+            profile: Joi.object({ age: Joi.number().min(18) })
+        }).validate({ email: 'nope', profile: { age: 3 } }, { abortEarly: false });
+
+        const error = new ValidationError('Invalid input data', ValidationError.detailsFromJoi(joiError));
+
+        expect(error.toJSON()).toEqual({
+            message: 'Invalid input data',
+            code: 'VALIDATION_ERROR',
+            details: [
+                { path: 'email', message: '"email" must be a valid email', type: 'string.email' },
+                { path: 'profile.age', message: '"profile.age" must be greater than or equal to 18', type: 'number.min' }
+            ]
+        });
+    });
+
+    it('should build single-field validation errors', () => {
+        expect(ValidationError.forField('code', 'Invalid verification code').details)
+            .toEqual([{ path: 'code', message: 'Invalid verification code', type: 'any.invalid' }]);
+    });
+
+    describe('toProblem', () => {
+        it('should describe the error as an RFC 7807 problem', () => {
+            expect(new NotFoundError('User not found').toProblem('/api/v1/users/1')).toEqual({
+                type: '/problems/not-found',
+                title: 'Not Found',
+                status: 404,
+                detail: 'User not found',
+                instance: '/api/v1/users/1',
+                code: 'NOT_FOUND'
+            });
+        });
+
+        it('should derive the problem type from a specific code', () => {
+            const problem = new ForbiddenError('Two-factor authentication required', { code: 'MFA_REQUIRED' }).toProblem();
+
+            expect(problem.type).toBe('/problems/mfa-required');
+            expect(problem.title).toBe('Forbidden');
+        });
+
+        it('should list validation failures under errors', () => {
+            const problem = ValidationError.forField('q', 'Too short').toProblem('/api/v1/users/search');
+
+            expect(problem.errors).toEqual([{ path: 'q', message: 'Too short', type: 'any.invalid' }]);
+            expect(problem.details).toBeUndefined();
+        });
+
+        it('should include retryAfter for rate limiting errors', () => {
+            expect(new RateLimitedError('Slow down', { retryAfter: 30 }).toProblem().retryAfter).toBe(30);
+        });
+    });
+
+    it('should include retryAfter for rate limiting errors', () => {
+        expect(new RateLimitedError('Slow down', { retryAfter: 30 }).toJSON())
+            .toEqual({ message: 'Slow down', code: 'RATE_LIMIT_EXCEEDED', retryAfter: 30 });
+    });
+
+    it('should report version conflicts as failed preconditions', () => {
+        const error = new VersionConflictError(2, 3);
+
+        expect(error).toBeInstanceOf(PreconditionFailedError);
+        expect(error.statusCode).toBe(412);
+        expect(error.code).toBe('VERSION_CONFLICT');
+        expect(error.expectedVersion).toBe(2);
+        expect(error.actualVersion).toBe(3);
+    });
+
+    it('should never expose the underlying cause', () => {
+        const cause = new Error('connection refused');
+
+        expect(JSON.stringify(new AppError('Failed', { cause }))).not.toContain('connection refused');
+    });
+
+    describe('normalizeError', () => {
+        it('should pass typed errors through unchanged', () => {
+            const error = new NotFoundError('User not found');
+
+            expect(normalizeError(error)).toBe(error);
+        });
+
+        it('should hide the message of unexpected errors', () => {
+            const cause = new Error('ECONNREFUSED 10.0.0.5:5432');
+
+            const error = normalizeError(cause);
+
+            expect(error.statusCode).toBe(500);
+            expect(error.code).toBe('INTERNAL_ERROR');
+            expect(error.message).toBe('An unexpected error occurred');
+            expect(error.cause).toBe(cause);
+        });
+
+        it('should keep the status of client errors raised by Express', () => {
+            const parseError = Object.assign(new SyntaxError('Unexpected token'), { status: 400, expose: true });
+
+            const error = normalizeError(parseError);
+
+            expect(error.statusCode).toBe(400);
+            expect(error.code).toBe('BAD_REQUEST');
+        });
+
+        it('should treat non-error values as internal errors', () => {
+            expect(normalizeError('boom').statusCode).toBe(500);
+            expect(normalizeError(undefined).statusCode).toBe(500);
+        });
+    });
+
+    describe('BaseService.executeOperation', () => {
+        class TestService extends BaseService {}
+
+        let service;
+
+        beforeEach(() => {
+            const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+            service = new TestService(logger);
+        });
+
+        it('should return typed errors as they were thrown', async () => {
+            const result = await service.executeOperation(async () => {
+                throw new ConflictError('Email is already taken');
+            }, 'test');
+
+            expect(result.success).toBe(false);
+            expect(result.error).toBeInstanceOf(ConflictError);
+            expect(result.error.statusCode).toBe(409);
+        });
+
+        it('should report unexpected errors generically', async () => {
+            const result = await service.executeOperation(async () => {
+                throw new Error('Failed to update user');
+            }, 'test');
+
+            expect(result.error.code).toBe('INTERNAL_ERROR');
+            expect(result.error.message).toBe('An unexpected error occurred');
+        });
+    });
+});
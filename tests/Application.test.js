@@ -0,0 +1,103 @@
+const http = require('http');
+const request = require('supertest');
+const { Application } = require('../src/app');
+const { loadConfig } = require('../src/core/config');
+const { TOKENS } = require('../src/core/container');
+const { createTestApp } = require('./helpers/testApp');
+
+/**
+ * Send a GET request to a local server
+ * @returns {Promise<Object>} Status, headers and body
+ */
+const get = (port, path, agent) => new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path, agent }, (res) => {
+        let body = '';
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+});
+
+/**
+ * @description Test suite for the Application lifecycle, started on an ephemeral port
+ */
+describe('Application', () => {
+    let app;
+    let port;
+    let agent;
+
+    beforeAll(async () => {
+        app = new Application(loadConfig({
+            ...process.env,
+            PORT: '0',
+            HOST: '127.0.0.1',
+            SHUTDOWN_TIMEOUT_MS: '2000'
+        }));
+        const server = await app.start();
+        port = server.address().port;
+        agent = new http.Agent({ keepAlive: true });
+    });
+
+    afterAll(async () => {
+        agent.destroy();
+        await app.stop();
+    });
+
+    it('should listen on an ephemeral port and report ready', async () => {
+        expect(port).toBeGreaterThan(0);
+
+        const response = await get(port, '/health/ready', agent);
+
+        expect(response.status).toBe(200);
+        expect(response.headers.connection).toBe('keep-alive');
+    });
+
+    it('should drain in-flight requests, fail readiness and run hooks on stop', async () => {
+        const calls = [];
+        let requestReceived;
+        const received = new Promise(resolve => { requestReceived = resolve; });
+
+        const userRepository = app.container.resolve(TOKENS.userRepository);
+        const mailer = app.container.resolve(TOKENS.mailer);
+
+        // Hold a readiness check open so the request is in flight when shutdown starts
+        userRepository.checkHealth = () => {
+            requestReceived();
+            return new Promise(resolve => setTimeout(resolve, 100));
+        };
+        const close = mailer.close.bind(mailer);
+        mailer.close = async () => {
+            calls.push(['mailer', app.server.listening]);
+            await close();
+        };
+
+        const inFlight = get(port, '/health/ready', agent);
+        await received;
+
+        const startedAt = Date.now();
+        const result = await app.stop();
+
+        expect(app.healthChecks.state).toBe('shutting_down');
+        await expect(inFlight).resolves.toMatchObject({ status: 200, headers: { connection: 'close' } });
+        expect(result).toEqual({ clean: true, timedOut: false, failedHooks: [] });
+        expect(calls).toEqual([['mailer', false]]);
+        expect(Date.now() - startedAt).toBeLessThan(1000);
+        await expect(get(port, '/health/live')).rejects.toThrow();
+    });
+
+    it('should return the same result when stopped again', async () => {
+        const first = await app.stop();
+        const second = await app.stop();
+
+        expect(second).toBe(first);
+    });
+});
+
+describe('createApp', () => {
+    it('should report ready once built, without being started', async () => {
+        const { app } = createTestApp();
+
+        const response = await request(app).get('/health/ready').expect(200);
+
+        expect(response.body.state).toBe('ready');
+    });
+});
@@ -1,6 +1,25 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const bcrypt = require('bcryptjs');
 const AuthenticationService = require('../src/services/AuthenticationService');
 const InMemoryUserRepository = require('../src/repositories/InMemoryUserRepository');
+const User = require('../src/entities/User');
+const InMemoryRefreshTokenRepository = require('../src/repositories/InMemoryRefreshTokenRepository');
+const RefreshTokenService = require('../src/services/RefreshTokenService');
+const InMemoryTokenDenylist = require('../src/repositories/InMemoryTokenDenylist');
+const InMemoryOneTimeTokenRepository = require('../src/repositories/InMemoryOneTimeTokenRepository');
+const OneTimeTokenService = require('../src/services/OneTimeTokenService');
+const NotificationService = require('../src/services/NotificationService');
+const MfaService = require('../src/services/MfaService');
+const { ValidationError, UnauthorizedError, ConflictError } = require('../src/core/errors');
+const TotpProvider = require('../src/core/services/TotpProvider');
+const AccountLockoutService = require('../src/services/AccountLockoutService');
+const AuditLogger = require('../src/core/services/AuditLogger');
+const OutboxMailer = require('../src/core/services/OutboxMailer');
+const MailTemplateRenderer = require('../src/core/services/MailTemplateRenderer');
 const WinstonLogger = require('../src/core/services/WinstonLogger');
+const { MetricsRegistry } = require('../src/core/metrics');
 
 /**
  * @description Test suite for AuthenticationService
@@ -9,18 +28,61 @@ const WinstonLogger = require('../src/core/services/WinstonLogger');
 describe('AuthenticationService', () => {
     let authenticationService;
     let userRepository;
+    let refreshTokenService;
+    let tokenDenylist;
+    let mailer;
+    let mfaService;
+    let totpProvider;
+    let accountLockoutService;
     let logger;
 
-    beforeEach(() => {
+    beforeEach(async () => {
         // Create fresh instances for each test
         logger = new WinstonLogger({ level: 'error' }); // Only log errors during tests
-        userRepository = new InMemoryUserRepository();
-        authenticationService = new AuthenticationService(logger, userRepository);
+        userRepository = new InMemoryUserRepository({ seedSampleData: false });
+
+        // The sample data has no usable passwords, so the accounts are created with known ones
+        await userRepository.create(new User({
+            email: 'admin@example.com',
+            password: await bcrypt.hash('admin123', 4),
+            firstName: 'Admin',
+            lastName: 'User',
+            role: 'admin',
+            isEmailVerified: true
+        }));
+        await userRepository.create(new User({
+            email: 'user@example.com',
+            password: await bcrypt.hash('user123', 4),
+            firstName: 'Regular',
+            lastName: 'User',
+            role: 'user',
+            isEmailVerified: true
+        }));
+        refreshTokenService = new RefreshTokenService(logger, new InMemoryRefreshTokenRepository());
+        tokenDenylist = new InMemoryTokenDenylist({ pruneIntervalMs: 0 });
+        mailer = new OutboxMailer({ outboxDir: fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-')) });
+        totpProvider = new TotpProvider();
+        mfaService = new MfaService(logger, userRepository, totpProvider);
+        accountLockoutService = new AccountLockoutService(logger, userRepository, new AuditLogger(logger), {
+            maxAttempts: 3,
+            delayAfterAttempts: 3
+        });
+        authenticationService = new AuthenticationService(logger, userRepository, {
+            refreshTokenService,
+            tokenDenylist,
+            oneTimeTokenService: new OneTimeTokenService(logger, new InMemoryOneTimeTokenRepository()),
+            notificationService: new NotificationService(logger, mailer, new MailTemplateRenderer()),
+            mfaService,
+            accountLockoutService
+        }, {
+            jwtSecret: process.env.JWT_SECRET
+        });
     });
 
-    afterEach(() => {
+    afterEach(async () => {
         // Clean up after each test
         userRepository.clear();
+        await mailer.clear();
     });
 
     describe('authenticate', () => {
@@ -36,6 +98,7 @@ describe('AuthenticationService', () => {
             expect(result.success).toBe(true);
             expect(result.data.user).toBeDefined();
             expect(result.data.token).toBeDefined();
+            expect(result.data.refreshToken).toBeDefined();
             expect(result.data.user.email).toBe(email);
         });
 
@@ -63,6 +126,7 @@ describe('AuthenticationService', () => {
             // Assert
             expect(result.success).toBe(false);
             expect(result.error.message).toBe('Invalid credentials');
+            expect(result.error).toBeInstanceOf(UnauthorizedError);
         });
 
         it('should validate input data', async () => {
@@ -76,6 +140,137 @@ describe('AuthenticationService', () => {
             // Assert
             expect(result.success).toBe(false);
             expect(result.error.message).toContain('Invalid input data');
+            expect(result.error).toBeInstanceOf(ValidationError);
+            expect(result.error.details.map(detail => detail.path)).toEqual(['email', 'password']);
+        });
+    });
+
+    describe('account lockout', () => {
+        const failLogins = async (times) => {
+            for (let i = 0; i < times; i++) {
+                await authenticationService.authenticate('admin@example.com', 'wrongpassword');
+            }
+        };
+
+        it('should lock the account after repeated failures with the same error message', async () => {
+            // Arrange
+            await failLogins(3);
+
+            // Act
+            const result = await authenticationService.authenticate('admin@example.com', 'admin123');
+
+            // Assert
+            expect(result.success).toBe(false);
+            expect(result.error.message).toBe('Invalid credentials');
+        });
+
+        it('should not count blocked attempts as failures', async () => {
+            // Arrange
+            await failLogins(5);
+            const user = await userRepository.findByEmail('admin@example.com');
+
+            // Assert
+            expect(user.failedLoginAttempts).toBe(3);
+        });
+
+        it('should reset the failure count after a successful login', async () => {
+            // Arrange
+            await failLogins(2);
+
+            // Act
+            const result = await authenticationService.authenticate('admin@example.com', 'admin123');
+            const user = await userRepository.findByEmail('admin@example.com');
+
+            // Assert
+            expect(result.success).toBe(true);
+            expect(user.failedLoginAttempts).toBe(0);
+        });
+
+        it('should allow login again after an unlock', async () => {
+            // Arrange
+            await failLogins(3);
+            const user = await userRepository.findByEmail('admin@example.com');
+
+            // Act
+            await accountLockoutService.unlock(user.id, user);
+            const result = await authenticationService.authenticate('admin@example.com', 'admin123');
+
+            // Assert
+            expect(result.success).toBe(true);
+        });
+
+        it('should lift the lockout when the password is reset', async () => {
+            // Arrange
+            await failLogins(3);
+            const { data } = await authenticationService.requestPasswordReset('admin@example.com');
+
+            // Act
+            await authenticationService.resetPassword(data.token, 'newpassword123');
+            const result = await authenticationService.authenticate('admin@example.com', 'newpassword123');
+
+            // Assert
+            expect(result.success).toBe(true);
+        });
+
+        it('should count parallel attempts before letting another one through', async () => {
+            // Act
+            const results = await Promise.all([
+                ...Array.from({ length: 5 }, () => authenticationService.authenticate('admin@example.com', 'wrongpassword')),
+                authenticationService.authenticate('admin@example.com', 'admin123')
+            ]);
+            const user = await userRepository.findByEmail('admin@example.com');
+
+            // Assert
+            expect(results.every(result => !result.success)).toBe(true);
+            expect(user.failedLoginAttempts).toBe(3);
+        });
+    });
+
+    describe('metrics', () => {
+        let metrics;
+
+        beforeEach(() => {
+            // Services record into the shared registry
+            metrics = new MetricsRegistry();
+            metrics.reset();
+        });
+
+        const loginAttempts = labels => metrics.getMetric('auth_login_attempts_total').get(labels);
+        const operations = labels => metrics.getMetric('service_operations_total').get({
+            service: 'AuthenticationService',
+            operation: 'authenticate',
+            ...labels
+        });
+
+        it('should count sign-in outcomes and lockouts', async () => {
+            // Act
+            await authenticationService.authenticate('admin@example.com', 'admin123');
+            await authenticationService.authenticate('nobody@example.com', 'wrongpassword');
+            for (let i = 0; i < 4; i++) {
+                await authenticationService.authenticate('admin@example.com', 'wrongpassword');
+            }
+
+            // Assert
+            expect(loginAttempts({ step: 'password', outcome: 'success' })).toBe(1);
+            expect(loginAttempts({ step: 'password', outcome: 'failure' })).toBe(4);
+            expect(loginAttempts({ step: 'password', outcome: 'blocked' })).toBe(1);
+            expect(metrics.getMetric('auth_account_lockouts_total').get()).toBe(1);
+        });
+
+        it('should count and time service operations by outcome', async () => {
+            // Act
+            await authenticationService.authenticate('admin@example.com', 'admin123');
+            await authenticationService.authenticate('admin@example.com', 'wrongpassword');
+            await authenticationService.authenticate('not-an-email', 'x');
+
+            // Assert
+            expect(operations({ outcome: 'success' })).toBe(1);
+            expect(operations({ outcome: 'failure' })).toBe(2);
+            expect(metrics.getMetric('service_operation_duration_seconds').get({
+                service: 'AuthenticationService',
+                operation: 'authenticate',
+                outcome: 'failure'
+            }).count).toBe(2);
         });
     });
 
@@ -86,8 +281,7 @@ describe('AuthenticationService', () => {
                 email: 'newuser@example.com',
                 password: 'password123',
                 firstName: 'John',
-                lastName: 'Doe',
-                role: 'user'
+                lastName: 'Doe'
             };
 
             // Act
@@ -108,8 +302,7 @@ describe('AuthenticationService', () => {
                 email: 'admin@example.com', // Already exists
                 password: 'password123',
                 firstName: 'John',
-                lastName: 'Doe',
-                role: 'user'
+                lastName: 'Doe'
             };
 
             // Act
@@ -118,6 +311,7 @@ describe('AuthenticationService', () => {
             // Assert
             expect(result.success).toBe(false);
             expect(result.error.message).toBe('User with this email already exists');
+            expect(result.error).toBeInstanceOf(ConflictError);
         });
 
         it('should validate registration data', async () => {
@@ -137,6 +331,26 @@ describe('AuthenticationService', () => {
             expect(result.success).toBe(false);
             expect(result.error.message).toContain('Invalid input data');
         });
+
+        it('should reject a role or account state chosen by the registrant', async () => {
+            // Arrange
+            const userData = {
+                email: 'newuser@example.com',
+                password: 'password123',
+                firstName: 'John',
+                lastName: 'Doe',
+                role: 'admin',
+                isEmailVerified: true
+            };
+
+            // Act
+            const result = await authenticationService.register(userData);
+
+            // Assert
+            expect(result.success).toBe(false);
+            expect(result.error.details.map(detail => detail.path)).toEqual(['role', 'isEmailVerified']);
+            expect(await userRepository.findByEmail('newuser@example.com')).toBeNull();
+        });
     });
 
     describe('generateToken', () => {
@@ -153,18 +367,16 @@ describe('AuthenticationService', () => {
             expect(token.split('.')).toHaveLength(3); // JWT has 3 parts
         });
 
-        it('should fail when JWT_SECRET is not set', async () => {
-            // Arrange
-            const originalSecret = process.env.JWT_SECRET;
-            delete process.env.JWT_SECRET;
-            const user = await userRepository.findByEmail('admin@example.com');
-
+        it('should require a JWT secret when constructed', () => {
             // Act & Assert
-            await expect(authenticationService.generateToken(user))
-                .rejects.toThrow('JWT_SECRET environment variable is required');
-
-            // Cleanup
-            process.env.JWT_SECRET = originalSecret;
+            expect(() => new AuthenticationService(logger, userRepository, {
+                refreshTokenService,
+                tokenDenylist,
+                oneTimeTokenService: new OneTimeTokenService(logger, new InMemoryOneTimeTokenRepository()),
+                notificationService: new NotificationService(logger, mailer, new MailTemplateRenderer()),
+                mfaService,
+                accountLockoutService
+            })).toThrow('JWT secret is required');
         });
     });
 
@@ -182,6 +394,7 @@ describe('AuthenticationService', () => {
             expect(decoded.userId).toBe(user.id);
             expect(decoded.email).toBe(user.email);
             expect(decoded.role).toBe(user.role);
+            expect(decoded.jti).toBeDefined();
         });
 
         it('should fail with invalid token', async () => {
@@ -205,7 +418,7 @@ describe('AuthenticationService', () => {
             // Assert
             expect(hashedPassword).toBeDefined();
             expect(hashedPassword).not.toBe(password);
-            expect(hashedPassword.startsWith('$2b$')).toBe(true); // bcrypt format
+            expect(hashedPassword).toMatch(/^\$2[aby]\$/); // bcrypt format
         });
     });
 
@@ -236,19 +449,334 @@ describe('AuthenticationService', () => {
         });
     });
 
+    describe('resolveAccessToken', () => {
+        it('should resolve the user of a valid token', async () => {
+            // Arrange
+            const user = await userRepository.findByEmail('admin@example.com');
+            const token = await authenticationService.generateToken(user);
+
+            // Act
+            const resolved = await authenticationService.resolveAccessToken(token);
+
+            // Assert
+            expect(resolved.user).toBe(user);
+            expect(resolved.decoded.userId).toBe(user.id);
+        });
+
+        it('should reject a token denied by logout', async () => {
+            // Arrange
+            const user = await userRepository.findByEmail('admin@example.com');
+            const token = await authenticationService.generateToken(user);
+            const { decoded } = await authenticationService.resolveAccessToken(token);
+
+            // Act
+            const result = await authenticationService.logout(decoded);
+
+            // Assert
+            expect(result.success).toBe(true);
+            await expect(authenticationService.resolveAccessToken(token))
+                .rejects.toThrow('Token has been revoked');
+        });
+
+        it('should keep other sessions valid after a single logout', async () => {
+            // Arrange
+            const user = await userRepository.findByEmail('admin@example.com');
+            const first = await authenticationService.generateToken(user);
+            const second = await authenticationService.generateToken(user);
+            const { decoded } = await authenticationService.resolveAccessToken(first);
+
+            // Act
+            await authenticationService.logout(decoded);
+
+            // Assert
+            await expect(authenticationService.resolveAccessToken(second)).resolves.toBeDefined();
+        });
+
+        it('should reject a token of a deactivated user', async () => {
+            // Arrange
+            const user = await userRepository.findByEmail('user@example.com');
+            const token = await authenticationService.generateToken(user);
+            user.softDelete();
+
+            // Act & Assert
+            await expect(authenticationService.resolveAccessToken(token))
+                .rejects.toThrow('Invalid token');
+        });
+    });
+
+    describe('logout', () => {
+        it('should revoke the refresh token family passed on logout', async () => {
+            // Arrange
+            const login = await authenticationService.authenticate('admin@example.com', 'admin123');
+            const { decoded } = await authenticationService.resolveAccessToken(login.data.token);
+
+            // Act
+            await authenticationService.logout(decoded, login.data.refreshToken);
+
+            // Assert
+            const result = await authenticationService.refreshToken(login.data.refreshToken);
+            expect(result.success).toBe(false);
+        });
+    });
+
+    describe('logoutAllDevices', () => {
+        it('should invalidate every previously issued token', async () => {
+            // Arrange
+            const user = await userRepository.findByEmail('admin@example.com');
+            const accessToken = await authenticationService.generateToken(user);
+            const { token: refreshToken } = await refreshTokenService.issue(user.id);
+
+            // Act
+            const result = await authenticationService.logoutAllDevices(user.id);
+
+            // Assert
+            expect(result.success).toBe(true);
+            expect(result.data.revokedRefreshTokens).toBe(1);
+            await expect(authenticationService.resolveAccessToken(accessToken))
+                .rejects.toThrow('Token has been revoked');
+            expect((await authenticationService.refreshToken(refreshToken)).success).toBe(false);
+        });
+
+        it('should accept tokens issued after the logout', async () => {
+            // Arrange
+            const user = await userRepository.findByEmail('admin@example.com');
+            await authenticationService.logoutAllDevices(user.id);
+
+            // Act
+            const token = await authenticationService.generateToken(user);
+
+            // Assert
+            await expect(authenticationService.resolveAccessToken(token)).resolves.toBeDefined();
+        });
+
+        it('should fail for an unknown user', async () => {
+            const result = await authenticationService.logoutAllDevices('missing');
+
+            expect(result.success).toBe(false);
+            expect(result.error.message).toBe('User not found');
+        });
+    });
+
+    describe('password reset', () => {
+        it('should reset the password with a reset token exactly once', async () => {
+            // Arrange
+            const request = await authenticationService.requestPasswordReset('user@example.com');
+
+            // Act
+            const result = await authenticationService.resetPassword(request.data.token, 'newpassword123');
+            const replay = await authenticationService.resetPassword(request.data.token, 'otherpassword123');
+
+            // Assert
+            expect(result.success).toBe(true);
+            expect(replay.success).toBe(false);
+            expect(replay.error.message).toBe('Invalid or expired token');
+            expect((await authenticationService.authenticate('user@example.com', 'newpassword123')).success).toBe(true);
+        });
+
+        it('should not accept an access token as a reset token', async () => {
+            // Arrange
+            const user = await userRepository.findByEmail('user@example.com');
+            const accessToken = await authenticationService.generateToken(user);
+
+            // Act
+            const result = await authenticationService.resetPassword(accessToken, 'newpassword123');
+
+            // Assert
+            expect(result.success).toBe(false);
+            expect(result.error.message).toBe('Invalid or expired token');
+        });
+
+        it('should not accept an email verification token as a reset token', async () => {
+            // Arrange
+            const registration = await authenticationService.register({
+                email: 'unverified@example.com',
+                password: 'password123',
+                firstName: 'Jane',
+                lastName: 'Doe'
+            });
+            const user = await userRepository.findByEmail(registration.data.user.email);
+            const verification = await authenticationService.createEmailVerificationToken(user.id);
+
+            // Act
+            const result = await authenticationService.resetPassword(verification.data.token, 'newpassword123');
+
+            // Assert
+            expect(result.success).toBe(false);
+        });
+
+        it('should end existing sessions after a reset', async () => {
+            // Arrange
+            const login = await authenticationService.authenticate('admin@example.com', 'admin123');
+            const request = await authenticationService.requestPasswordReset('admin@example.com');
+
+            // Act
+            await authenticationService.resetPassword(request.data.token, 'newpassword123');
+
+            // Assert
+            await expect(authenticationService.resolveAccessToken(login.data.token)).rejects.toThrow();
+            expect((await authenticationService.refreshToken(login.data.refreshToken)).success).toBe(false);
+        });
+
+        it('should not issue tokens for unknown emails', async () => {
+            const result = await authenticationService.requestPasswordReset('nobody@example.com');
+
+            expect(result.success).toBe(true);
+            expect(result.data).toBeNull();
+        });
+    });
+
+    describe('verifyEmail', () => {
+        it('should verify the email with a verification token exactly once', async () => {
+            // Arrange
+            const registration = await authenticationService.register({
+                email: 'verify@example.com',
+                password: 'password123',
+                firstName: 'Jane',
+                lastName: 'Doe'
+            });
+            const user = await userRepository.findByEmail(registration.data.user.email);
+            const verification = await authenticationService.createEmailVerificationToken(user.id);
+
+            // Act
+            const result = await authenticationService.verifyEmail(verification.data.token);
+            const replay = await authenticationService.verifyEmail(verification.data.token);
+
+            // Assert
+            expect(result.success).toBe(true);
+            expect(result.data.isEmailVerified).toBe(true);
+            expect(replay.success).toBe(false);
+        });
+
+        it('should not accept a password reset token', async () => {
+            // Arrange
+            const request = await authenticationService.requestPasswordReset('user@example.com');
+
+            // Act
+            const result = await authenticationService.verifyEmail(request.data.token);
+
+            // Assert
+            expect(result.success).toBe(false);
+            expect(result.error.message).toBe('Invalid or expired token');
+        });
+
+        it('should refuse to issue a token for an already verified email', async () => {
+            const user = await userRepository.findByEmail('admin@example.com');
+
+            const result = await authenticationService.createEmailVerificationToken(user.id);
+
+            expect(result.success).toBe(false);
+            expect(result.error.message).toBe('Email is already verified');
+        });
+    });
+
+    describe('notifications', () => {
+        it('should email a verification link on registration', async () => {
+            // Act
+            await authenticationService.register({
+                email: 'mailme@example.com',
+                password: 'password123',
+                firstName: 'Jane',
+                lastName: 'Doe'
+            });
+
+            // Assert
+            const [message] = await mailer.list();
+            expect(message.to).toBe('mailme@example.com');
+            expect(message.text).toContain('/api/v1/auth/verify-email/');
+        });
+
+        it('should email a working reset link and confirm the change', async () => {
+            // Arrange
+            await authenticationService.requestPasswordReset('admin@example.com');
+            const [resetMail] = await mailer.list();
+            const token = decodeURIComponent(resetMail.text.match(/reset-password\?token=(\S+)/)[1]);
+
+            // Act
+            const result = await authenticationService.resetPassword(token, 'newpassword123');
+
+            // Assert
+            expect(result.success).toBe(true);
+            const messages = await mailer.list();
+            expect(messages).toHaveLength(2);
+            expect(messages[1].subject).toContain('password was changed');
+        });
+
+        it('should not send anything for unknown emails', async () => {
+            await authenticationService.requestPasswordReset('nobody@example.com');
+
+            expect(await mailer.list()).toHaveLength(0);
+        });
+
+        it('should notify about new sign-ins', async () => {
+            // Act
+            await authenticationService.authenticate('admin@example.com', 'admin123', {
+                ip: '203.0.113.7',
+                userAgent: 'jest'
+            });
+
+            // Assert
+            const [message] = await mailer.list();
+            expect(message.subject).toContain('New sign-in');
+            expect(message.text).toContain('203.0.113.7');
+        });
+    });
+
+    describe('changePassword', () => {
+        it('should change the password when the current one matches', async () => {
+            // Arrange
+            const user = await userRepository.findByEmail('admin@example.com');
+
+            // Act
+            const result = await authenticationService.changePassword(user.id, 'admin123', 'newpassword123');
+
+            // Assert
+            expect(result.success).toBe(true);
+            expect(await authenticationService.comparePassword('newpassword123', user.password)).toBe(true);
+        });
+
+        it('should reject an incorrect current password', async () => {
+            // Arrange
+            const user = await userRepository.findByEmail('admin@example.com');
+
+            // Act
+            const result = await authenticationService.changePassword(user.id, 'wrongpassword', 'newpassword123');
+
+            // Assert
+            expect(result.success).toBe(false);
+            expect(result.error.message).toBe('Current password is incorrect');
+        });
+
+        it('should end existing sessions and issue a replacement', async () => {
+            // Arrange
+            const login = await authenticationService.authenticate('admin@example.com', 'admin123');
+            const user = await userRepository.findByEmail('admin@example.com');
+
+            // Act
+            const result = await authenticationService.changePassword(user.id, 'admin123', 'newpassword123');
+
+            // Assert
+            await expect(authenticationService.resolveAccessToken(login.data.token)).rejects.toThrow();
+            expect((await authenticationService.refreshToken(login.data.refreshToken)).success).toBe(false);
+            await expect(authenticationService.resolveAccessToken(result.data.token)).resolves.toBeDefined();
+            expect((await authenticationService.refreshToken(result.data.refreshToken)).success).toBe(true);
+        });
+    });
+
     describe('refreshToken', () => {
         it('should refresh valid token', async () => {
             // Arrange
             const user = await userRepository.findByEmail('admin@example.com');
-            const originalToken = await authenticationService.generateToken(user);
+            const { token: originalRefreshToken } = await refreshTokenService.issue(user.id);
 
             // Act
-            const result = await authenticationService.refreshToken(originalToken);
+            const result = await authenticationService.refreshToken(originalRefreshToken);
 
             // Assert
             expect(result.success).toBe(true);
             expect(result.data.token).toBeDefined();
             expect(result.data.user).toBeDefined();
+            expect(result.data.refreshToken).toBeDefined();
+            expect(result.data.refreshToken).not.toBe(originalRefreshToken);
         });
 
         it('should fail with invalid token', async () => {
@@ -260,7 +788,154 @@ describe('AuthenticationService', () => {
 
             // Assert
             expect(result.success).toBe(false);
-            expect(result.error.message).toBe('Invalid token');
+            expect(result.error.message).toBe('Invalid refresh token');
+        });
+
+        it('should not accept an access token as a refresh token', async () => {
+            // Arrange
+            const user = await userRepository.findByEmail('admin@example.com');
+            const accessToken = await authenticationService.generateToken(user);
+
+            // Act
+            const result = await authenticationService.refreshToken(accessToken);
+
+            // Assert
+            expect(result.success).toBe(false);
+            expect(result.error.message).toBe('Invalid refresh token');
+        });
+
+        it('should reject a refresh token for a deactivated user', async () => {
+            // Arrange
+            const user = await userRepository.findByEmail('user@example.com');
+            const { token } = await refreshTokenService.issue(user.id);
+            user.softDelete();
+
+            // Act
+            const result = await authenticationService.refreshToken(token);
+
+            // Assert
+            expect(result.success).toBe(false);
+            expect(result.error.message).toBe('Invalid refresh token');
+        });
+
+        it('should keep the two-factor status of the session', async () => {
+            // Arrange
+            const user = await userRepository.findByEmail('admin@example.com');
+            const { token } = await refreshTokenService.issue(user.id, { mfaVerified: true });
+
+            // Act
+            const result = await authenticationService.refreshToken(token);
+            const decoded = await authenticationService.verifyToken(result.data.token);
+
+            // Assert
+            expect(result.success).toBe(true);
+            expect(decoded.mfa).toBe(true);
+        });
+    });
+
+    describe('two-factor login', () => {
+        let admin;
+        let secret;
+
+        // Code for the next time step, so it is not a replay of the enrollment code
+        const nextCode = () => totpProvider.generate(secret, totpProvider.getStep() + 1);
+
+        beforeEach(async () => {
+            admin = await userRepository.findByEmail('admin@example.com');
+            const enrollment = await mfaService.beginEnrollment(admin.id);
+            secret = enrollment.data.secret;
+            await mfaService.confirmEnrollment(admin.id, totpProvider.generate(secret));
+        });
+
+        it('should return a challenge instead of a session', async () => {
+            // Act
+            const result = await authenticationService.authenticate('admin@example.com', 'admin123');
+
+            // Assert
+            expect(result.success).toBe(true);
+            expect(result.data.mfaRequired).toBe(true);
+            expect(result.data.mfaToken).toBeDefined();
+            expect(result.data.token).toBeUndefined();
+            expect(result.data.refreshToken).toBeUndefined();
+        });
+
+        it('should not accept the challenge as an access token', async () => {
+            // Arrange
+            const { data } = await authenticationService.authenticate('admin@example.com', 'admin123');
+
+            // Act & Assert
+            await expect(authenticationService.resolveAccessToken(data.mfaToken))
+                .rejects.toThrow('Invalid token');
+        });
+
+        it('should issue an MFA session for a valid code', async () => {
+            // Arrange
+            const { data } = await authenticationService.authenticate('admin@example.com', 'admin123');
+
+            // Act
+            const result = await authenticationService.completeMfaLogin(data.mfaToken, nextCode());
+            const decoded = await authenticationService.verifyToken(result.data.token);
+
+            // Assert
+            expect(result.success).toBe(true);
+            expect(result.data.refreshToken).toBeDefined();
+            expect(decoded.mfa).toBe(true);
+        });
+
+        it('should accept a recovery code once', async () => {
+            // Arrange
+            const { data: codes } = await mfaService.regenerateRecoveryCodes(admin.id, nextCode());
+            const first = await authenticationService.authenticate('admin@example.com', 'admin123');
+            const second = await authenticationService.authenticate('admin@example.com', 'admin123');
+
+            // Act
+            const used = await authenticationService.completeMfaLogin(first.data.mfaToken, codes.recoveryCodes[0]);
+            const reused = await authenticationService.completeMfaLogin(second.data.mfaToken, codes.recoveryCodes[0]);
+
+            // Assert
+            expect(used.success).toBe(true);
+            expect(reused.success).toBe(false);
+            expect(reused.error.message).toBe('Invalid verification code');
+        });
+
+        it('should reject an invalid code', async () => {
+            // Arrange
+            const { data } = await authenticationService.authenticate('admin@example.com', 'admin123');
+
+            // Act
+            const result = await authenticationService.completeMfaLogin(data.mfaToken, '000000');
+
+            // Assert
+            expect(result.success).toBe(false);
+            expect(result.error.message).toBe('Invalid verification code');
+        });
+
+        it('should not allow a challenge to be used twice', async () => {
+            // Arrange
+            const { data } = await authenticationService.authenticate('admin@example.com', 'admin123');
+            await authenticationService.completeMfaLogin(data.mfaToken, nextCode());
+
+            // Act
+            const result = await authenticationService.completeMfaLogin(
+                data.mfaToken,
+                totpProvider.generate(secret, totpProvider.getStep() - 1)
+            );
+
+            // Assert
+            expect(result.success).toBe(false);
+            expect(result.error.message).toBe('Invalid or expired MFA challenge');
+        });
+
+        it('should not accept an access token as a challenge', async () => {
+            // Arrange
+            const accessToken = await authenticationService.generateToken(admin);
+
+            // Act
+            const result = await authenticationService.completeMfaLogin(accessToken, nextCode());
+
+            // Assert
+            expect(result.success).toBe(false);
+            expect(result.error.message).toBe('Invalid or expired MFA challenge');
         });
     });
 });
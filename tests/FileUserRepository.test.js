@@ -0,0 +1,208 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const FileUserRepository = require('../src/repositories/FileUserRepository');
+const User = require('../src/entities/User');
+const { describeUserRepositoryContract } = require('./contracts/userRepositoryContract');
+
+let contractDirectory;
+
+describeUserRepositoryContract(
+    'FileUserRepository',
+    () => {
+        contractDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'users-'));
+        return new FileUserRepository({ filePath: path.join(contractDirectory, 'users.json'), seedSampleData: false });
+    },
+    {
+        destroyRepository: async (repository) => {
+            await repository.flush();
+            fs.rmSync(contractDirectory, { recursive: true, force: true });
+        }
+    }
+);
+
+/**
+ * @description Test suite for FileUserRepository
+ * Every test works against a fresh temp directory and reopens the store to prove durability
+ */
+describe('FileUserRepository', () => {
+    let directory;
+    let filePath;
+    let repository;
+
+    const reopen = async (options = {}) => {
+        await repository.flush();
+        repository = new FileUserRepository({ filePath, ...options });
+        return repository;
+    };
+
+    const newUser = (overrides = {}) => new User({
+        email: 'jane@example.com',
+        password: 'hashed-password',
+        firstName: 'Jane',
+        lastName: 'Smith',
+        ...overrides
+    });
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'users-'));
+        filePath = path.join(directory, 'users.json');
+        repository = new FileUserRepository({ filePath });
+    });
+
+    afterEach(async () => {
+        await repository.flush();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should start a new store empty and seed the sample users only on request', async () => {
+        expect(await repository.count()).toBe(0);
+        expect(fs.existsSync(filePath)).toBe(true);
+
+        const seeded = new FileUserRepository({ filePath: path.join(directory, 'seeded.json'), seedSampleData: true });
+        expect(await seeded.count()).toBe(2);
+    });
+
+    it('should keep created users across restarts', async () => {
+        // Arrange
+        const user = newUser();
+        await repository.create(user);
+
+        // Act
+        await reopen();
+        const found = await repository.findByEmail('JANE@example.com');
+
+        // Assert
+        expect(found).toBeInstanceOf(User);
+        expect(found.id).toBe(user.id);
+        expect(found.password).toBe('hashed-password');
+        expect(found.createdAt).toBeInstanceOf(Date);
+        expect(await repository.count()).toBe(1);
+    });
+
+    it('should keep updates, including security state, across restarts', async () => {
+        // Arrange
+        const user = await repository.create(newUser());
+        const lockedUntil = new Date(Date.now() + 60000);
+
+        // Act
+        const updated = await repository.update(user.id, {
+            email: 'jane.smith@example.com',
+            tokenVersion: 3,
+            mfaRecoveryCodes: ['hash-1'],
+            lockedUntil,
+            isActive: false
+        });
+        await reopen();
+        const found = await repository.findById(user.id);
+
+        // Assert
+        expect(found.email).toBe('jane.smith@example.com');
+        expect(await repository.findByEmail('jane@example.com')).toBeNull();
+        expect(found.tokenVersion).toBe(3);
+        expect(found.mfaRecoveryCodes).toEqual(['hash-1']);
+        expect(found.lockedUntil).toEqual(lockedUntil);
+        expect(found.isActive).toBe(false);
+        expect(found.version).toBe(updated.version);
+    });
+
+    it('should keep deletions across restarts', async () => {
+        // Arrange
+        const user = await repository.create(newUser());
+
+        // Act
+        await repository.delete(user.id);
+        await reopen();
+
+        // Assert
+        expect(await repository.exists(user.id)).toBe(false);
+        expect(await repository.findByEmail('jane@example.com')).toBeNull();
+    });
+
+    it('should enforce unique emails on create and update', async () => {
+        // Arrange
+        const user = await repository.create(newUser());
+        await repository.create(newUser({ email: 'john@example.com' }));
+
+        // Act & Assert
+        await expect(repository.create(newUser({ email: 'Jane@Example.com' })))
+            .rejects.toThrow('User with this email already exists');
+        await expect(repository.update(user.id, { email: 'john@example.com' }))
+            .rejects.toThrow('User with this email already exists');
+    });
+
+    it('should undo a change in memory when its log entry cannot be written', async () => {
+        // Arrange
+        const user = await repository.create(newUser());
+        const { version } = user;
+        const failure = Object.assign(new Error('disk full'), { code: 'ENOSPC' });
+        const appendFile = jest.spyOn(fs.promises, 'appendFile').mockRejectedValue(failure);
+
+        // Act
+        await expect(repository.create(newUser({ email: 'john@example.com' }))).rejects.toThrow('disk full');
+        await expect(repository.update(user.id, { firstName: 'Janet', email: 'janet@example.com' })).rejects.toThrow('disk full');
+        await expect(repository.delete(user.id)).rejects.toThrow('disk full');
+        appendFile.mockRestore();
+
+        // Assert
+        const found = await repository.findByEmail('jane@example.com');
+        expect(await repository.findByEmail('john@example.com')).toBeNull();
+        expect(await repository.findByEmail('janet@example.com')).toBeNull();
+        expect(found.firstName).toBe('Jane');
+        expect(found.version).toBe(version);
+        expect(await repository.count()).toBe(1);
+
+        await reopen();
+        expect((await repository.findById(user.id)).firstName).toBe('Jane');
+        expect(await repository.count()).toBe(1);
+    });
+
+    it('should compact the log into the snapshot', async () => {
+        // Arrange
+        await reopen({ compactAfter: 3 });
+        const user = await repository.create(newUser());
+
+        // Act
+        await repository.update(user.id, { firstName: 'Janet' });
+        await repository.update(user.id, { lastName: 'Jones' });
+        await reopen();
+
+        // Assert
+        expect(fs.readFileSync(`${filePath}.log`, 'utf8')).toBe('');
+        const found = await repository.findById(user.id);
+        expect(found.getFullName()).toBe('Janet Jones');
+    });
+
+    it('should ignore a torn final log entry', async () => {
+        // Arrange
+        const user = await repository.create(newUser());
+        await repository.flush();
+        fs.appendFileSync(`${filePath}.log`, '{"op":"put","record":{"id":');
+
+        // Act
+        await reopen();
+        const other = await repository.create(newUser({ email: 'other@example.com' }));
+        await reopen();
+
+        // Assert
+        expect(await repository.exists(user.id)).toBe(true);
+        expect(await repository.exists(other.id)).toBe(true);
+    });
+
+    it('should report unhealthy once its files can no longer be written', async () => {
+        await expect(repository.checkHealth()).resolves.toMatchObject({ users: 0, logEntries: 0 });
+
+        fs.rmSync(`${filePath}.log`);
+
+        await expect(repository.checkHealth()).rejects.toThrow('ENOENT');
+    });
+
+    it('should refuse to load a log with a corrupt entry in the middle', async () => {
+        // Arrange
+        await repository.flush();
+        fs.appendFileSync(`${filePath}.log`, 'not-json\n{"op":"delete","id":"x"}\n');
+
+        // Act & Assert
+        expect(() => new FileUserRepository({ filePath })).toThrow('Corrupt user log entry at line 1');
+    });
+});
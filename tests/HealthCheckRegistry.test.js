@@ -0,0 +1,87 @@
+const HealthCheckRegistry = require('../src/core/services/HealthCheckRegistry');
+
+/**
+ * @description Test suite for HealthCheckRegistry
+ */
+describe('HealthCheckRegistry', () => {
+    let logger;
+    let registry;
+
+    beforeEach(() => {
+        logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+        registry = new HealthCheckRegistry(logger, { defaultTimeoutMs: 50 });
+    });
+
+    it('should require a logger', () => {
+        expect(() => new HealthCheckRegistry()).toThrow('Logger dependency is required');
+    });
+
+    it('should reject duplicate names and non-function checks', () => {
+        registry.register('db', async () => {});
+
+        expect(() => registry.register('db', async () => {})).toThrow('Health check already registered: db');
+        expect(() => registry.register('cache', 'nope')).toThrow('Health check cache must be a function');
+    });
+
+    it('should pass when every check resolves, reporting their details', async () => {
+        registry.register('db', async () => ({ connections: 3 }));
+        registry.register('cache', () => undefined);
+
+        const report = await registry.run();
+
+        expect(report.status).toBe('pass');
+        expect(report.checks.db).toMatchObject({ status: 'pass', critical: true, details: { connections: 3 } });
+        expect(report.checks.cache).toMatchObject({ status: 'pass' });
+        expect(report.checks.cache).not.toHaveProperty('details');
+        expect(typeof report.checks.db.durationMs).toBe('number');
+    });
+
+    it('should fail when a critical check throws', async () => {
+        registry.register('db', async () => { throw new Error('connection refused'); });
+        registry.register('cache', async () => {});
+
+        const report = await registry.run();
+
+        expect(report.status).toBe('fail');
+        expect(report.checks.db).toMatchObject({ status: 'fail', error: 'connection refused' });
+        expect(logger.warn).toHaveBeenCalledWith('Health check failed: db', expect.objectContaining({ critical: true }));
+    });
+
+    it('should only warn when a non-critical check fails', async () => {
+        registry.register('db', async () => {});
+        registry.register('mailer', () => { throw new Error('smtp down'); }, { critical: false });
+
+        const report = await registry.run();
+
+        expect(report.status).toBe('warn');
+        expect(report.checks.mailer).toMatchObject({ status: 'fail', critical: false, error: 'smtp down' });
+    });
+
+    it('should fail checks that exceed their timeout', async () => {
+        registry.register('slow', () => new Promise(resolve => setTimeout(resolve, 1000).unref()), { timeoutMs: 10 });
+
+        const report = await registry.run();
+
+        expect(report.checks.slow).toMatchObject({ status: 'fail', error: 'Timed out after 10ms' });
+        expect(report.checks.slow.durationMs).toBeLessThan(500);
+    });
+
+    it('should not be ready while starting or shutting down', async () => {
+        const check = jest.fn(async () => {});
+        registry.register('db', check);
+
+        expect(registry.state).toBe('starting');
+        expect(await registry.checkReadiness()).toEqual({ status: 'fail', state: 'starting', checks: {} });
+
+        registry.markReady();
+        expect(await registry.checkReadiness()).toMatchObject({ status: 'pass', state: 'ready' });
+
+        registry.markShuttingDown();
+        expect(await registry.checkReadiness()).toMatchObject({ status: 'fail', state: 'shutting_down' });
+        expect(check).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject unknown states', () => {
+        expect(() => registry.setState('sleeping')).toThrow('Unknown application state: sleeping');
+    });
+});
@@ -0,0 +1,97 @@
+const express = require('express');
+const request = require('supertest');
+const HealthCheckRegistry = require('../src/core/services/HealthCheckRegistry');
+const HealthController = require('../src/controllers/HealthController');
+
+/**
+ * @description Test suite for HealthController
+ */
+describe('HealthController', () => {
+    let logger;
+    let registry;
+    let app;
+
+    beforeEach(() => {
+        logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+        registry = new HealthCheckRegistry(logger, { defaultTimeoutMs: 50 });
+
+        const controller = new HealthController(logger, registry, { config: { env: 'staging' } });
+        app = express();
+        app.get('/health/live', controller.live);
+        app.get('/health/ready', controller.ready);
+        app.get('/health/details', controller.details);
+    });
+
+    it('should require a health check registry', () => {
+        expect(() => new HealthController(logger)).toThrow('HealthCheckRegistry dependency is required');
+    });
+
+    it('should report liveness without running checks', async () => {
+        const check = jest.fn(async () => { throw new Error('down'); });
+        registry.register('db', check);
+
+        const response = await request(app).get('/health/live');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ success: true, status: 'pass' });
+        expect(check).not.toHaveBeenCalled();
+    });
+
+    it('should answer 503 until the application is ready', async () => {
+        const starting = await request(app).get('/health/ready');
+        registry.markReady();
+        const ready = await request(app).get('/health/ready');
+
+        expect(starting.status).toBe(503);
+        expect(starting.body).toMatchObject({ success: false, status: 'fail', state: 'starting' });
+        expect(ready.status).toBe(200);
+        expect(ready.headers['cache-control']).toBe('no-store');
+    });
+
+    it('should answer 503 during shutdown', async () => {
+        registry.markReady();
+        registry.markShuttingDown();
+
+        const response = await request(app).get('/health/ready');
+
+        expect(response.status).toBe(503);
+        expect(response.body.state).toBe('shutting_down');
+    });
+
+    it('should answer 503 when a critical check fails and 200 with warn otherwise', async () => {
+        registry.register('mailer', async () => { throw new Error('smtp down'); }, { critical: false });
+        registry.markReady();
+
+        const warn = await request(app).get('/health/ready');
+        registry.register('db', async () => { throw new Error('connection refused'); });
+        const fail = await request(app).get('/health/ready');
+
+        expect(warn.status).toBe(200);
+        expect(warn.body.status).toBe('warn');
+        expect(fail.status).toBe(503);
+    });
+
+    it('should leave check details out of probe responses', async () => {
+        registry.register('db', async () => { throw new Error('password authentication failed for user app'); });
+        registry.markReady();
+
+        const response = await request(app).get('/health/ready');
+
+        expect(response.body).not.toHaveProperty('checks');
+        expect(JSON.stringify(response.body)).not.toContain('password authentication');
+    });
+
+    it('should include every check in the detailed report', async () => {
+        registry.register('db', async () => ({ users: 2 }));
+
+        const response = await request(app).get('/health/details');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({
+            status: 'pass',
+            state: 'starting',
+            checks: { db: { status: 'pass', details: { users: 2 } } },
+            environment: 'staging'
+        });
+    });
+});
@@ -0,0 +1,67 @@
+const InMemoryTokenDenylist = require('../src/repositories/InMemoryTokenDenylist');
+
+/**
+ * @description Test suite for InMemoryTokenDenylist
+ */
+describe('InMemoryTokenDenylist', () => {
+    let denylist;
+
+    beforeEach(() => {
+        denylist = new InMemoryTokenDenylist({ pruneIntervalMs: 0 });
+    });
+
+    afterEach(() => {
+        denylist.stop();
+    });
+
+    it('should deny a token until it expires', async () => {
+        // Arrange
+        await denylist.add('jti-1', new Date(Date.now() + 60 * 1000));
+
+        // Act & Assert
+        expect(await denylist.has('jti-1')).toBe(true);
+        expect(await denylist.has('jti-2')).toBe(false);
+    });
+
+    it('should ignore tokens that have already expired', async () => {
+        // Arrange
+        await denylist.add('jti-1', new Date(Date.now() - 1000));
+
+        // Act & Assert
+        expect(await denylist.has('jti-1')).toBe(false);
+        expect(denylist.size).toBe(0);
+    });
+
+    it('should prune entries at token expiry', async () => {
+        // Arrange
+        await denylist.add('short', new Date(Date.now() + 1000));
+        await denylist.add('long', new Date(Date.now() + 60 * 1000));
+
+        // Act
+        const removed = await denylist.prune(new Date(Date.now() + 2000));
+
+        // Assert
+        expect(removed).toBe(1);
+        expect(denylist.size).toBe(1);
+        expect(await denylist.has('long')).toBe(true);
+    });
+
+    it('should prune automatically on the configured interval', async () => {
+        // Arrange
+        jest.useFakeTimers();
+        const timed = new InMemoryTokenDenylist({ pruneIntervalMs: 1000 });
+        await timed.add('jti-1', new Date(Date.now() + 500));
+
+        // Act
+        jest.advanceTimersByTime(1000);
+
+        // Assert
+        expect(timed.size).toBe(0);
+        timed.stop();
+        jest.useRealTimers();
+    });
+
+    it('should require a token ID', async () => {
+        await expect(denylist.add(undefined, new Date())).rejects.toThrow('Token ID is required');
+    });
+});
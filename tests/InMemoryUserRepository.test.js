@@ -0,0 +1,4 @@
+const InMemoryUserRepository = require('../src/repositories/InMemoryUserRepository');
+const { describeUserRepositoryContract } = require('./contracts/userRepositoryContract');
+
+describeUserRepositoryContract('InMemoryUserRepository', () => new InMemoryUserRepository({ seedSampleData: false }));
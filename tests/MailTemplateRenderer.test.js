@@ -0,0 +1,78 @@
+const MailTemplateRenderer = require('../src/core/services/MailTemplateRenderer');
+
+/**
+ * @description Test suite for MailTemplateRenderer
+ */
+describe('MailTemplateRenderer', () => {
+    let renderer;
+
+    beforeEach(() => {
+        renderer = new MailTemplateRenderer({ appName: 'Test App' });
+    });
+
+    it.each(['emailVerification', 'passwordReset', 'passwordChanged', 'newLogin'])(
+        'should render the %s template as text and HTML',
+        (name) => {
+            // Act
+            const message = renderer.render(name, {
+                firstName: 'Jane',
+                url: 'https://example.com/link',
+                expiresAt: new Date('2024-01-01T00:00:00Z'),
+                changedAt: new Date('2024-01-01T00:00:00Z'),
+                loginAt: new Date('2024-01-01T00:00:00Z'),
+                ip: '127.0.0.1',
+                userAgent: 'jest'
+            });
+
+            // Assert
+            expect(message.subject).toContain('Test App');
+            expect(message.text).toContain('Hi Jane,');
+            expect(message.html).toContain('<p>Hi Jane,</p>');
+            expect(message.html).toContain('<!DOCTYPE html>');
+        }
+    );
+
+    it('should render dates as ISO strings', () => {
+        const message = renderer.render('passwordChanged', {
+            firstName: 'Jane',
+            changedAt: new Date('2024-01-01T00:00:00Z')
+        });
+
+        expect(message.text).toContain('2024-01-01T00:00:00.000Z');
+    });
+
+    it('should escape data in the HTML body only', () => {
+        // Act
+        const message = renderer.render('newLogin', {
+            firstName: '<script>alert(1)</script>',
+            userAgent: 'Agent "X"'
+        });
+
+        // Assert
+        expect(message.html).not.toContain('<script>');
+        expect(message.html).toContain('&lt;script&gt;');
+        expect(message.html).toContain('Agent &quot;X&quot;');
+        expect(message.text).toContain('<script>alert(1)</script>');
+    });
+
+    it('should allow custom templates to override defaults', () => {
+        // Arrange
+        const custom = new MailTemplateRenderer({
+            templates: {
+                passwordChanged: {
+                    subject: () => 'Custom subject',
+                    text: () => 'Custom text',
+                    html: () => '<p>Custom</p>'
+                }
+            }
+        });
+
+        // Act & Assert
+        expect(custom.render('passwordChanged').subject).toBe('Custom subject');
+        expect(custom.getTemplateNames()).toContain('newLogin');
+    });
+
+    it('should reject unknown templates', () => {
+        expect(() => renderer.render('missing')).toThrow('Unknown mail template: missing');
+    });
+});
@@ -0,0 +1,90 @@
+const express = require('express');
+const request = require('supertest');
+const { MetricsRegistry } = require('../src/core/metrics');
+const { sendErrorResponse } = require('../src/core/errors');
+const MetricsMiddleware = require('../src/middleware/MetricsMiddleware');
+
+/**
+ * @description Test suite for MetricsMiddleware
+ */
+describe('MetricsMiddleware', () => {
+    let registry;
+
+    const buildApp = (options = {}) => {
+        const middleware = new MetricsMiddleware(registry, options);
+        const app = express();
+        const router = express.Router();
+
+        app.use(middleware.handle());
+
+        router.get('/users/:id', (req, res, next) => {
+            if (req.params.id === 'missing') {
+                const error = new Error('Not found');
+                error.status = 404;
+                return next(error);
+            }
+            res.json({ id: req.params.id });
+        });
+        app.use('/api/v1', router);
+        app.get('/metrics', middleware.serve());
+        app.use((err, req, res, next) => (
+            err.statusCode ? sendErrorResponse(req, res, err) : res.status(err.status || 500).json({})
+        ));
+
+        return app;
+    };
+
+    const requests = labels => registry.getMetric('http_requests_total').get(labels);
+
+    beforeEach(() => {
+        registry = new MetricsRegistry({ singleton: false });
+    });
+
+    it('should require a metrics registry', () => {
+        expect(() => new MetricsMiddleware()).toThrow('MetricsRegistry dependency is required');
+    });
+
+    it('should count requests by method, route template and status', async () => {
+        const app = buildApp();
+
+        await request(app).get('/api/v1/users/1');
+        await request(app).get('/api/v1/users/2');
+        await request(app).get('/api/v1/users/missing');
+        await request(app).get('/nowhere/3');
+
+        expect(requests({ method: 'GET', route: '/api/v1/users/:id', status: 200 })).toBe(2);
+        expect(requests({ method: 'GET', route: '/api/v1/users/:id', status: 404 })).toBe(1);
+        expect(requests({ method: 'GET', route: 'unmatched', status: 404 })).toBe(1);
+        expect(registry.getMetric('http_request_duration_seconds')
+            .get({ method: 'GET', route: '/api/v1/users/:id', status: 200 }).count).toBe(2);
+        expect(registry.getMetric('http_requests_in_flight').get()).toBe(0);
+    });
+
+    it('should serve the registry in the Prometheus text format', async () => {
+        const app = buildApp();
+        await request(app).get('/api/v1/users/1');
+
+        const response = await request(app).get('/metrics');
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toMatch(/^text\/plain/);
+        expect(response.headers['content-type']).toContain('version=0.0.4');
+        expect(response.text).toContain('# TYPE http_requests_total counter');
+        expect(response.text).toContain('http_requests_total{method="GET",route="/api/v1/users/:id",status="200"} 1');
+        expect(response.text).toContain(
+            'http_request_duration_seconds_bucket{method="GET",route="/api/v1/users/:id",status="200",le="+Inf"} 1'
+        );
+    });
+
+    it('should require the bearer token when one is configured', async () => {
+        const app = buildApp({ token: 'scrape-secret' });
+
+        const missing = await request(app).get('/metrics');
+        const wrong = await request(app).get('/metrics').set('Authorization', 'Bearer other');
+        const valid = await request(app).get('/metrics').set('Authorization', 'Bearer scrape-secret');
+
+        expect(missing.status).toBe(401);
+        expect(wrong.status).toBe(401);
+        expect(valid.status).toBe(200);
+    });
+});
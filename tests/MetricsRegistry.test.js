@@ -0,0 +1,122 @@
+const { MetricsRegistry, registerProcessMetrics } = require('../src/core/metrics');
+
+/**
+ * @description Test suite for MetricsRegistry and the metric types
+ */
+describe('MetricsRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new MetricsRegistry({ singleton: false });
+    });
+
+    it('should share one instance unless asked for an isolated one', () => {
+        expect(new MetricsRegistry()).toBe(new MetricsRegistry());
+        expect(registry).not.toBe(new MetricsRegistry());
+    });
+
+    it('should render counters and gauges in the text exposition format', async () => {
+        const requests = registry.counter({ name: 'jobs_total', help: 'Jobs run.', labelNames: ['queue'] });
+        const depth = registry.gauge({ name: 'queue_depth', help: 'Jobs waiting.' });
+
+        requests.inc({ queue: 'mail' });
+        requests.inc({ queue: 'mail' }, 2);
+        requests.inc({ queue: 'reports' });
+        depth.set({}, 7);
+        depth.dec();
+
+        expect(await registry.metrics()).toBe([
+            '# HELP jobs_total Jobs run.',
+            '# TYPE jobs_total counter',
+            'jobs_total{queue="mail"} 3',
+            'jobs_total{queue="reports"} 1',
+            '# HELP queue_depth Jobs waiting.',
+            '# TYPE queue_depth gauge',
+            'queue_depth 6',
+            ''
+        ].join('\n'));
+    });
+
+    it('should render cumulative histogram buckets with sum and count', async () => {
+        const duration = registry.histogram({
+            name: 'task_seconds',
+            help: 'Task duration.',
+            labelNames: ['task'],
+            buckets: [1, 0.1]
+        });
+
+        duration.observe({ task: 'a' }, 0.05);
+        duration.observe({ task: 'a' }, 0.5);
+        duration.observe({ task: 'a' }, 3);
+
+        const text = await registry.metrics();
+
+        expect(text).toContain([
+            'task_seconds_bucket{task="a",le="0.1"} 1',
+            'task_seconds_bucket{task="a",le="1"} 2',
+            'task_seconds_bucket{task="a",le="+Inf"} 3',
+            'task_seconds_sum{task="a"} 3.55',
+            'task_seconds_count{task="a"} 3'
+        ].join('\n'));
+        expect(duration.get({ task: 'a' })).toEqual({ buckets: { 0.1: 1, 1: 2 }, sum: 3.55, count: 3 });
+    });
+
+    it('should time operations with a histogram', () => {
+        const duration = registry.histogram({ name: 'op_seconds', help: 'Op.', labelNames: ['op', 'outcome'] });
+
+        const seconds = duration.startTimer({ op: 'save' })({ outcome: 'success' });
+
+        expect(seconds).toBeGreaterThanOrEqual(0);
+        expect(duration.get({ op: 'save', outcome: 'success' }).count).toBe(1);
+    });
+
+    it('should escape label values and help text', async () => {
+        registry.counter({ name: 'odd_total', help: 'Line one\nline \\ two', labelNames: ['value'] })
+            .inc({ value: 'say "hi"\\n\n' });
+
+        const text = await registry.metrics();
+
+        expect(text).toContain('# HELP odd_total Line one\\nline \\\\ two');
+        expect(text).toContain('odd_total{value="say \\"hi\\"\\\\n\\n"} 1');
+    });
+
+    it('should return the existing metric for a repeated definition', () => {
+        const first = registry.counter({ name: 'dup_total', help: 'Dup.', labelNames: ['a'] });
+
+        expect(registry.counter({ name: 'dup_total', help: 'Dup.', labelNames: ['a'] })).toBe(first);
+        expect(() => registry.gauge({ name: 'dup_total', help: 'Dup.', labelNames: ['a'] }))
+            .toThrow('already registered with a different type or labels');
+        expect(() => registry.counter({ name: 'dup_total', help: 'Dup.', labelNames: ['b'] }))
+            .toThrow('already registered with a different type or labels');
+    });
+
+    it('should reject invalid names, unknown labels and decreasing counters', () => {
+        expect(() => registry.counter({ name: 'bad-name', help: 'Bad.' })).toThrow('Invalid metric name');
+        expect(() => registry.histogram({ name: 'h', help: 'H.', labelNames: ['le'] })).toThrow('reserved label');
+
+        const counter = registry.counter({ name: 'ok_total', help: 'Ok.', labelNames: ['a'] });
+        expect(() => counter.inc({ b: 'x' })).toThrow('Unknown label "b" for metric ok_total');
+        expect(() => counter.inc({}, -1)).toThrow('can only be increased');
+    });
+
+    it('should clear values but keep definitions on reset', async () => {
+        const counter = registry.counter({ name: 'kept_total', help: 'Kept.' });
+        counter.inc();
+
+        registry.reset();
+
+        expect(counter.get()).toBe(0);
+        expect(registry.getMetric('kept_total')).toBe(counter);
+    });
+
+    it('should collect process metrics at scrape time', async () => {
+        registerProcessMetrics(registry);
+
+        const text = await registry.metrics();
+
+        expect(text).toMatch(/^process_cpu_seconds_total \d+(\.\d+)?$/m);
+        expect(text).toMatch(/^process_resident_memory_bytes \d+$/m);
+        expect(text).toMatch(/^nodejs_heap_size_used_bytes \d+$/m);
+        expect(text).toContain(`nodejs_version_info{version="${process.version}"`);
+    });
+});
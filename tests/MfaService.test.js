@@ -0,0 +1,166 @@
+const MfaService = require('../src/services/MfaService');
+const TotpProvider = require('../src/core/services/TotpProvider');
+const InMemoryUserRepository = require('../src/repositories/InMemoryUserRepository');
+const WinstonLogger = require('../src/core/services/WinstonLogger');
+
+/**
+ * @description Test suite for MfaService
+ * Covers enrollment, code verification with replay protection, and recovery codes
+ */
+describe('MfaService', () => {
+    let mfaService;
+    let totpProvider;
+    let userRepository;
+    let user;
+
+    // Code for a step relative to now; step offsets keep codes from colliding with earlier use
+    const codeAt = (secret, offset = 0) => totpProvider.generate(secret, totpProvider.getStep() + offset);
+
+    const enroll = async () => {
+        const { data } = await mfaService.beginEnrollment(user.id);
+        const confirmed = await mfaService.confirmEnrollment(user.id, codeAt(data.secret, -1));
+        return { secret: data.secret, recoveryCodes: confirmed.data.recoveryCodes };
+    };
+
+    beforeEach(async () => {
+        const logger = new WinstonLogger({ level: 'error' });
+        userRepository = new InMemoryUserRepository();
+        totpProvider = new TotpProvider();
+        mfaService = new MfaService(logger, userRepository, totpProvider, { issuer: 'Acme', recoveryCodeCount: 4 });
+        user = await userRepository.findByEmail('user@example.com');
+    });
+
+    afterEach(() => {
+        userRepository.clear();
+    });
+
+    describe('enrollment', () => {
+        it('should keep MFA disabled until enrollment is confirmed', async () => {
+            // Act
+            const result = await mfaService.beginEnrollment(user.id);
+
+            // Assert
+            expect(result.success).toBe(true);
+            expect(result.data.otpauthUri).toContain('issuer=Acme');
+            expect(user.mfaEnabled).toBe(false);
+            expect(user.mfaPendingSecret).toBe(result.data.secret);
+        });
+
+        it('should enable MFA and return recovery codes on a valid code', async () => {
+            // Act
+            const { secret, recoveryCodes } = await enroll();
+
+            // Assert
+            expect(user.mfaEnabled).toBe(true);
+            expect(user.mfaSecret).toBe(secret);
+            expect(user.mfaPendingSecret).toBeNull();
+            expect(recoveryCodes).toHaveLength(4);
+            recoveryCodes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+            expect(user.mfaRecoveryCodes).not.toContain(recoveryCodes[0]);
+        });
+
+        it('should reject confirmation with a wrong code', async () => {
+            // Arrange
+            await mfaService.beginEnrollment(user.id);
+
+            // Act
+            const result = await mfaService.confirmEnrollment(user.id, '000000');
+
+            // Assert
+            expect(result.success).toBe(false);
+            expect(result.error.message).toBe('Invalid verification code');
+            expect(user.mfaEnabled).toBe(false);
+        });
+
+        it('should reject confirmation before enrollment started', async () => {
+            // Act
+            const result = await mfaService.confirmEnrollment(user.id, '123456');
+
+            // Assert
+            expect(result.success).toBe(false);
+            expect(result.error.message).toBe('Two-factor enrollment has not been started');
+        });
+
+        it('should not restart enrollment while MFA is enabled', async () => {
+            // Arrange
+            await enroll();
+
+            // Act
+            const result = await mfaService.beginEnrollment(user.id);
+
+            // Assert
+            expect(result.success).toBe(false);
+            expect(result.error.message).toBe('Two-factor authentication is already enabled');
+        });
+    });
+
+    describe('verifyCode', () => {
+        it('should accept a TOTP code only once', async () => {
+            // Arrange
+            const { secret } = await enroll();
+            const code = codeAt(secret);
+
+            // Act & Assert
+            await expect(mfaService.verifyCode(user, code)).resolves.toBe('totp');
+            await expect(mfaService.verifyCode(user, code)).rejects.toThrow('Invalid verification code');
+        });
+
+        it('should consume recovery codes', async () => {
+            // Arrange
+            const { recoveryCodes } = await enroll();
+
+            // Act & Assert
+            await expect(mfaService.verifyCode(user, ` ${recoveryCodes[1].toUpperCase()} `)).resolves.toBe('recovery');
+            expect(user.mfaRecoveryCodes).toHaveLength(3);
+            await expect(mfaService.verifyCode(user, recoveryCodes[1])).rejects.toThrow('Invalid verification code');
+        });
+
+        it('should reject codes for users without MFA', async () => {
+            await expect(mfaService.verifyCode(user, '123456')).rejects.toThrow('Invalid verification code');
+        });
+    });
+
+    describe('disable', () => {
+        it('should clear the secret and recovery codes', async () => {
+            // Arrange
+            const { secret } = await enroll();
+
+            // Act
+            const result = await mfaService.disable(user.id, codeAt(secret));
+
+            // Assert
+            expect(result.success).toBe(true);
+            expect(user.mfaEnabled).toBe(false);
+            expect(user.mfaSecret).toBeNull();
+            expect(user.mfaRecoveryCodes).toEqual([]);
+        });
+
+        it('should require a valid code', async () => {
+            // Arrange
+            await enroll();
+
+            // Act
+            const result = await mfaService.disable(user.id, '000000');
+
+            // Assert
+            expect(result.success).toBe(false);
+            expect(user.mfaEnabled).toBe(true);
+        });
+    });
+
+    describe('regenerateRecoveryCodes', () => {
+        it('should invalidate the previous codes', async () => {
+            // Arrange
+            const { secret, recoveryCodes } = await enroll();
+
+            // Act
+            const result = await mfaService.regenerateRecoveryCodes(user.id, codeAt(secret));
+
+            // Assert
+            expect(result.success).toBe(true);
+            expect(result.data.recoveryCodes).toHaveLength(4);
+            await expect(mfaService.verifyCode(user, recoveryCodes[0])).rejects.toThrow('Invalid verification code');
+            await expect(mfaService.verifyCode(user, result.data.recoveryCodes[0])).resolves.toBe('recovery');
+        });
+    });
+});
@@ -0,0 +1,168 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const MigrationRunner = require('../src/core/services/MigrationRunner');
+const FileMigrationStore = require('../src/repositories/FileMigrationStore');
+const WinstonLogger = require('../src/core/services/WinstonLogger');
+
+/**
+ * @description Test suite for MigrationRunner
+ * Runs real migration files from a temp directory against a FileMigrationStore
+ */
+describe('MigrationRunner', () => {
+    let directory;
+    let migrationsDirectory;
+    let migrationStore;
+    let migrationRunner;
+    let calls;
+
+    const writeMigration = (file, { failUp = false } = {}) => {
+        const id = path.basename(file, '.js');
+        fs.writeFileSync(path.join(migrationsDirectory, file), `
+module.exports = {
+    async up(context) {
+        ${failUp ? "throw new Error('boom');" : ''}
+        context.calls.push('up:${id}');
+    },
+    async down(context) {
+        context.calls.push('down:${id}');
+    }
+};
+`);
+    };
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+        migrationsDirectory = path.join(directory, 'migrations');
+        fs.mkdirSync(migrationsDirectory);
+
+        calls = [];
+        migrationStore = new FileMigrationStore({ filePath: path.join(directory, 'data', 'migrations.json') });
+        migrationRunner = new MigrationRunner(new WinstonLogger({ level: 'error' }), migrationStore, {
+            directory: migrationsDirectory,
+            context: { calls }
+        });
+
+        writeMigration('002_add_index.js');
+        writeMigration('001_create_users.js');
+        writeMigration('010_backfill.js');
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should load migrations in numeric order', async () => {
+        const migrations = await migrationRunner.loadMigrations();
+
+        expect(migrations.map(migration => migration.id))
+            .toEqual(['001_create_users', '002_add_index', '010_backfill']);
+        expect(migrations[0].checksum).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('should apply pending migrations in order and record them', async () => {
+        // Act
+        const applied = await migrationRunner.up();
+
+        // Assert
+        expect(applied).toEqual(['001_create_users', '002_add_index', '010_backfill']);
+        expect(calls).toEqual(['up:001_create_users', 'up:002_add_index', 'up:010_backfill']);
+        expect((await migrationStore.listApplied()).map(record => record.id)).toEqual(applied);
+        expect(await migrationRunner.up()).toEqual([]);
+    });
+
+    it('should stop at the requested migration', async () => {
+        // Act
+        await migrationRunner.up({ to: '002_add_index' });
+
+        // Assert
+        expect((await migrationRunner.status()).map(entry => entry.state)).toEqual(['applied', 'applied', 'pending']);
+    });
+
+    it('should not change anything in a dry run', async () => {
+        // Act
+        const wouldApply = await migrationRunner.up({ dryRun: true });
+
+        // Assert
+        expect(wouldApply).toHaveLength(3);
+        expect(calls).toEqual([]);
+        expect(fs.existsSync(path.join(directory, 'data', 'migrations.json'))).toBe(false);
+    });
+
+    it('should revert the most recent migrations in reverse order', async () => {
+        // Arrange
+        await migrationRunner.up();
+        calls.length = 0;
+
+        // Act
+        const reverted = await migrationRunner.down({ steps: 2 });
+
+        // Assert
+        expect(reverted).toEqual(['010_backfill', '002_add_index']);
+        expect(calls).toEqual(['down:010_backfill', 'down:002_add_index']);
+        expect((await migrationStore.listApplied()).map(record => record.id)).toEqual(['001_create_users']);
+    });
+
+    it('should not record a migration that fails', async () => {
+        // Arrange
+        writeMigration('003_broken.js', { failUp: true });
+
+        // Act & Assert
+        await expect(migrationRunner.up()).rejects.toThrow('Migration 003_broken failed (up): boom');
+        expect((await migrationStore.listApplied()).map(record => record.id))
+            .toEqual(['001_create_users', '002_add_index']);
+    });
+
+    it('should detect migrations edited or deleted after they ran', async () => {
+        // Arrange
+        await migrationRunner.up();
+        fs.appendFileSync(path.join(migrationsDirectory, '002_add_index.js'), '// edited\n');
+        fs.unlinkSync(path.join(migrationsDirectory, '010_backfill.js'));
+
+        // Act
+        const status = await migrationRunner.status();
+
+        // Assert
+        expect(status).toEqual([
+            expect.objectContaining({ id: '001_create_users', state: 'applied' }),
+            expect.objectContaining({ id: '002_add_index', state: 'modified' }),
+            expect.objectContaining({ id: '010_backfill', state: 'missing' })
+        ]);
+        await expect(migrationRunner.up()).rejects.toThrow('002_add_index (modified), 010_backfill (missing)');
+    });
+
+    it('should ignore line ending differences in checksums', () => {
+        expect(migrationRunner.checksum('a\r\nb\r\n')).toBe(migrationRunner.checksum('a\nb\n'));
+    });
+
+    it('should report pending migrations at startup', async () => {
+        // Arrange
+        await migrationRunner.up({ to: '001_create_users' });
+
+        // Act & Assert
+        await expect(migrationRunner.assertUpToDate())
+            .rejects.toThrow('2 pending migration(s): 002_add_index, 010_backfill');
+
+        await migrationRunner.up();
+        await expect(migrationRunner.assertUpToDate()).resolves.toBeUndefined();
+    });
+
+    it('should reject duplicate migration numbers', async () => {
+        // Arrange
+        writeMigration('002_other.js');
+
+        // Act & Assert
+        await expect(migrationRunner.loadMigrations()).rejects.toThrow('Duplicate migration number');
+    });
+
+    it('should create timestamped migration files', async () => {
+        // Act
+        const filePath = await migrationRunner.create('add_profiles', new Date('2024-05-06T07:08:09Z'));
+
+        // Assert
+        expect(path.basename(filePath)).toBe('20240506070809_add_profiles.js');
+        const migration = await migrationRunner.loadMigration(path.basename(filePath));
+        expect(typeof migration.up).toBe('function');
+        await expect(migrationRunner.create('bad name')).rejects.toThrow('Migration name may only contain');
+    });
+});
@@ -0,0 +1,60 @@
+const NotificationService = require('../src/services/NotificationService');
+const MailTemplateRenderer = require('../src/core/services/MailTemplateRenderer');
+const WinstonLogger = require('../src/core/services/WinstonLogger');
+const User = require('../src/entities/User');
+
+/**
+ * @description Test suite for NotificationService
+ */
+describe('NotificationService', () => {
+    let notificationService;
+    let mailer;
+    let user;
+
+    beforeEach(() => {
+        mailer = { send: jest.fn().mockResolvedValue({ messageId: 'id' }), close: jest.fn() };
+        notificationService = new NotificationService(
+            new WinstonLogger({ level: 'error' }),
+            mailer,
+            new MailTemplateRenderer(),
+            { baseUrl: 'https://app.example.com/' }
+        );
+        user = new User({ email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe' });
+    });
+
+    it('should send the verification link to the user', async () => {
+        // Act
+        const sent = await notificationService.sendEmailVerification(user, {
+            token: 'abc',
+            expiresAt: new Date()
+        });
+
+        // Assert
+        expect(sent).toBe(true);
+        const [message] = mailer.send.mock.calls[0];
+        expect(message.to).toBe('jane@example.com');
+        expect(message.text).toContain('https://app.example.com/api/v1/auth/verify-email/abc');
+    });
+
+    it('should URL-encode the reset token', async () => {
+        await notificationService.sendPasswordReset(user, { token: 'a/b+c', expiresAt: new Date() });
+
+        const [message] = mailer.send.mock.calls[0];
+        expect(message.text).toContain('https://app.example.com/reset-password?token=a%2Fb%2Bc');
+    });
+
+    it('should report delivery failures without throwing', async () => {
+        // Arrange
+        mailer.send.mockRejectedValue(new Error('SMTP down'));
+
+        // Act & Assert
+        await expect(notificationService.sendPasswordChanged(user)).resolves.toBe(false);
+    });
+
+    it('should require a mailer and renderer', () => {
+        const logger = new WinstonLogger({ level: 'error' });
+
+        expect(() => new NotificationService(logger)).toThrow('Mailer dependency is required');
+        expect(() => new NotificationService(logger, mailer)).toThrow('MailTemplateRenderer dependency is required');
+    });
+});
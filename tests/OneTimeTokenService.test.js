@@ -0,0 +1,93 @@
+const OneTimeTokenService = require('../src/services/OneTimeTokenService');
+const InMemoryOneTimeTokenRepository = require('../src/repositories/InMemoryOneTimeTokenRepository');
+const OneTimeToken = require('../src/entities/OneTimeToken');
+const WinstonLogger = require('../src/core/services/WinstonLogger');
+
+const { PASSWORD_RESET, EMAIL_VERIFICATION } = OneTimeToken.PURPOSES;
+
+/**
+ * @description Test suite for OneTimeTokenService
+ * Covers purpose scoping, expiry and single use of one-time tokens
+ */
+describe('OneTimeTokenService', () => {
+    let oneTimeTokenService;
+    let oneTimeTokenRepository;
+    let logger;
+
+    beforeEach(() => {
+        logger = new WinstonLogger({ level: 'error' });
+        oneTimeTokenRepository = new InMemoryOneTimeTokenRepository();
+        oneTimeTokenService = new OneTimeTokenService(logger, oneTimeTokenRepository, {
+            passwordResetTtlMinutes: 15,
+            emailVerificationTtlHours: 24
+        });
+    });
+
+    afterEach(() => {
+        oneTimeTokenRepository.clear();
+    });
+
+    it('should issue a token that can be consumed once', async () => {
+        // Arrange
+        const { token } = await oneTimeTokenService.issue('user-1', PASSWORD_RESET);
+
+        // Act
+        const userId = await oneTimeTokenService.consume(token, PASSWORD_RESET);
+
+        // Assert
+        expect(userId).toBe('user-1');
+        await expect(oneTimeTokenService.consume(token, PASSWORD_RESET))
+            .rejects.toThrow('Invalid or expired token');
+    });
+
+    it('should store only the token hash', async () => {
+        const { token } = await oneTimeTokenService.issue('user-1', PASSWORD_RESET);
+
+        expect(await oneTimeTokenRepository.findByHash(token)).toBeNull();
+        expect(await oneTimeTokenRepository.findByHash(oneTimeTokenService.hashToken(token))).not.toBeNull();
+    });
+
+    it('should expire password reset tokens after the configured minutes', async () => {
+        const { expiresAt } = await oneTimeTokenService.issue('user-1', PASSWORD_RESET);
+
+        const minutes = (expiresAt.getTime() - Date.now()) / (60 * 1000);
+        expect(Math.round(minutes)).toBe(15);
+    });
+
+    it('should reject expired tokens', async () => {
+        // Arrange
+        const expiring = new OneTimeTokenService(logger, oneTimeTokenRepository, { passwordResetTtlMinutes: -1 });
+        const { token } = await expiring.issue('user-1', PASSWORD_RESET);
+
+        // Act & Assert
+        await expect(oneTimeTokenService.consume(token, PASSWORD_RESET))
+            .rejects.toThrow('Invalid or expired token');
+    });
+
+    it('should not accept a token for a different purpose', async () => {
+        // Arrange
+        const { token } = await oneTimeTokenService.issue('user-1', EMAIL_VERIFICATION);
+
+        // Act & Assert
+        await expect(oneTimeTokenService.consume(token, PASSWORD_RESET))
+            .rejects.toThrow('Invalid or expired token');
+        await expect(oneTimeTokenService.consume(token, EMAIL_VERIFICATION)).resolves.toBe('user-1');
+    });
+
+    it('should invalidate earlier tokens of the same purpose when a new one is issued', async () => {
+        // Arrange
+        const first = await oneTimeTokenService.issue('user-1', PASSWORD_RESET);
+        const verification = await oneTimeTokenService.issue('user-1', EMAIL_VERIFICATION);
+        const second = await oneTimeTokenService.issue('user-1', PASSWORD_RESET);
+
+        // Act & Assert
+        await expect(oneTimeTokenService.consume(first.token, PASSWORD_RESET)).rejects.toThrow();
+        await expect(oneTimeTokenService.consume(second.token, PASSWORD_RESET)).resolves.toBe('user-1');
+        await expect(oneTimeTokenService.consume(verification.token, EMAIL_VERIFICATION)).resolves.toBe('user-1');
+    });
+
+    it('should reject unknown purposes and malformed tokens', async () => {
+        await expect(oneTimeTokenService.issue('user-1', 'login')).rejects.toThrow('Unknown token purpose: login');
+        await expect(oneTimeTokenService.consume(undefined, PASSWORD_RESET)).rejects.toThrow('Invalid or expired token');
+    });
+});
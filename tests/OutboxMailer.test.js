@@ -0,0 +1,130 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const OutboxMailer = require('../src/core/services/OutboxMailer');
+const SmtpMailer = require('../src/core/services/SmtpMailer');
+
+/**
+ * @description Test suite for the mail drivers
+ * The outbox driver is exercised against a temp directory; the SMTP driver against a fake transport
+ */
+describe('OutboxMailer', () => {
+    let outboxDir;
+    let mailer;
+
+    beforeEach(() => {
+        outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+        mailer = new OutboxMailer({ outboxDir, from: 'sender@example.com' });
+    });
+
+    afterEach(async () => {
+        await mailer.clear();
+        await mailer.close();
+    });
+
+    it('should write each message as an .eml file', async () => {
+        // Act
+        const result = await mailer.send({
+            to: 'jane@example.com',
+            subject: 'Hello',
+            text: 'Plain body',
+            html: '<p>HTML body</p>'
+        });
+
+        // Assert
+        expect(result.messageId).toBeDefined();
+        expect(result.path.endsWith('.eml')).toBe(true);
+
+        const raw = fs.readFileSync(result.path, 'utf8');
+        expect(raw).toContain('From: sender@example.com');
+        expect(raw).toContain('multipart/alternative');
+        expect(raw).toContain('Plain body');
+        expect(raw).toContain('<p>HTML body</p>');
+    });
+
+    it('should decode quoted-printable bodies when listing', async () => {
+        // Arrange
+        const longLine = `Open https://example.com/reset?token=${'x'.repeat(100)} now`;
+        await mailer.send({ to: 'jane@example.com', subject: 'Long', text: longLine, html: `<p>${longLine}</p>` });
+
+        // Act
+        const [message] = await mailer.list();
+
+        // Assert
+        expect(message.raw).toContain('quoted-printable');
+        expect(message.text).toBe(longLine);
+        expect(message.html).toBe(`<p>${longLine}</p>`);
+    });
+
+    it('should list messages oldest first with recipient and subject', async () => {
+        // Arrange
+        await mailer.send({ to: 'first@example.com', subject: 'First', text: '1' });
+        await mailer.send({ to: 'second@example.com', subject: 'Second', text: '2' });
+
+        // Act
+        const messages = await mailer.list();
+
+        // Assert
+        expect(messages.map(message => message.to)).toEqual(['first@example.com', 'second@example.com']);
+        expect(messages.map(message => message.subject)).toEqual(['First', 'Second']);
+        expect(messages[0].text).toBe('1');
+    });
+
+    it('should return an empty list when the outbox does not exist', async () => {
+        await mailer.clear();
+
+        expect(await mailer.list()).toEqual([]);
+    });
+
+    it('should report healthy when the outbox can be written', async () => {
+        await expect(mailer.checkHealth()).resolves.toBeUndefined();
+    });
+});
+
+describe('SmtpMailer', () => {
+    it('should hand messages to the SMTP transport with the configured sender', async () => {
+        // Arrange
+        const transport = {
+            sendMail: jest.fn().mockResolvedValue({ messageId: '<id@example.com>' }),
+            close: jest.fn()
+        };
+        const createTransport = jest.fn().mockReturnValue(transport);
+        const mailer = new SmtpMailer({
+            host: 'smtp.example.com',
+            port: 465,
+            secure: true,
+            user: 'smtp-user',
+            password: 'smtp-password',
+            from: 'sender@example.com',
+            createTransport
+        });
+
+        // Act
+        const result = await mailer.send({ to: 'jane@example.com', subject: 'Hi', text: 'Body' });
+        await mailer.close();
+
+        // Assert
+        expect(createTransport).toHaveBeenCalledWith(expect.objectContaining({
+            host: 'smtp.example.com',
+            port: 465,
+            secure: true,
+            auth: { user: 'smtp-user', pass: 'smtp-password' }
+        }));
+        expect(transport.sendMail).toHaveBeenCalledWith({
+            from: 'sender@example.com',
+            to: 'jane@example.com',
+            subject: 'Hi',
+            text: 'Body'
+        });
+        expect(result.messageId).toBe('<id@example.com>');
+        expect(transport.close).toHaveBeenCalled();
+    });
+
+    it('should check health by verifying the SMTP connection', async () => {
+        const transport = { verify: jest.fn().mockRejectedValue(new Error('Invalid login')), close: jest.fn() };
+        const mailer = new SmtpMailer({ createTransport: () => transport });
+
+        await expect(mailer.checkHealth()).rejects.toThrow('Invalid login');
+        expect(transport.verify).toHaveBeenCalled();
+    });
+});
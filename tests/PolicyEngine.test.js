@@ -0,0 +1,69 @@
+const { PolicyEngine, allow, deny, all } = require('../src/core/authorization');
+const { ForbiddenError } = require('../src/core/errors');
+
+/**
+ * @description Unit tests for PolicyEngine and policy decisions
+ */
+describe('PolicyEngine', () => {
+    const actor = { id: 'actor-1' };
+    let policyEngine;
+
+    beforeEach(() => {
+        policyEngine = new PolicyEngine({
+            reports: {
+                'reports:read': ({ resource }) => (resource.public ? allow() : deny('Report is private', 'PRIVATE_REPORT'))
+            }
+        });
+    });
+
+    it('should evaluate the policy registered for an action', () => {
+        // Act & Assert
+        expect(policyEngine.evaluate('reports:read', { actor, resource: { public: true } })).toEqual({ allowed: true });
+        expect(policyEngine.evaluate('reports:read', { actor, resource: { public: false } }))
+            .toEqual({ allowed: false, reason: 'Report is private', code: 'PRIVATE_REPORT' });
+    });
+
+    it('should pass changes and context to the policy with defaults', () => {
+        // Arrange
+        const policy = jest.fn(() => allow());
+        policyEngine.register('reports', { 'reports:update': policy });
+
+        // Act
+        policyEngine.evaluate('reports:update', { actor });
+
+        // Assert
+        expect(policy).toHaveBeenCalledWith({ actor, resource: null, changes: {}, context: {} });
+        expect(policyEngine.evaluate('reports:read', { actor, resource: { public: true } }).allowed).toBe(true);
+    });
+
+    it('should deny actions without a policy or without an actor', () => {
+        // Act & Assert
+        expect(policyEngine.evaluate('reports:delete', { actor }))
+            .toEqual({ allowed: false, reason: 'No policy defined for reports:delete', code: 'FORBIDDEN' });
+        expect(policyEngine.evaluate('reports:read', { resource: { public: true } }).code).toBe('AUTHENTICATION_REQUIRED');
+    });
+
+    it('should throw a ForbiddenError carrying the denial when authorizing', () => {
+        // Act
+        const authorize = () => policyEngine.authorize('reports:read', { actor, resource: { public: false } });
+
+        // Assert
+        expect(authorize).toThrow(ForbiddenError);
+        expect(authorize).toThrow(expect.objectContaining({ message: 'Report is private', code: 'PRIVATE_REPORT' }));
+        expect(() => policyEngine.authorize('reports:read', { actor, resource: { public: true } })).not.toThrow();
+    });
+
+    it('should keep only the resources an action is allowed on', () => {
+        // Arrange
+        const reports = [{ id: 1, public: true }, { id: 2, public: false }, { id: 3, public: true }];
+
+        // Act & Assert
+        expect(policyEngine.filter('reports:read', actor, reports).map(report => report.id)).toEqual([1, 3]);
+    });
+
+    it('should keep the first denial when combining decisions', () => {
+        // Act & Assert
+        expect(all(allow(), deny('First'), deny('Second', 'SECOND'))).toEqual({ allowed: false, reason: 'First', code: 'FORBIDDEN' });
+        expect(all(allow(), allow())).toEqual({ allowed: true });
+    });
+});
@@ -0,0 +1,178 @@
+const RefreshTokenService = require('../src/services/RefreshTokenService');
+const InMemoryRefreshTokenRepository = require('../src/repositories/InMemoryRefreshTokenRepository');
+const WinstonLogger = require('../src/core/services/WinstonLogger');
+
+/**
+ * @description Test suite for RefreshTokenService
+ * Covers issuing, rotation, reuse detection and revocation of refresh tokens
+ */
+describe('RefreshTokenService', () => {
+    let refreshTokenService;
+    let refreshTokenRepository;
+    let logger;
+
+    beforeEach(() => {
+        logger = new WinstonLogger({ level: 'error' });
+        refreshTokenRepository = new InMemoryRefreshTokenRepository();
+        refreshTokenService = new RefreshTokenService(logger, refreshTokenRepository, { ttlDays: 30 });
+    });
+
+    afterEach(() => {
+        refreshTokenRepository.clear();
+    });
+
+    describe('issue', () => {
+        it('should store only the hash of the issued token', async () => {
+            // Act
+            const issued = await refreshTokenService.issue('user-1');
+
+            // Assert
+            expect(typeof issued.token).toBe('string');
+            expect(await refreshTokenRepository.findByHash(issued.token)).toBeNull();
+
+            const stored = await refreshTokenRepository.findByHash(refreshTokenService.hashToken(issued.token));
+            expect(stored.userId).toBe('user-1');
+            expect(stored.familyId).toBe(issued.familyId);
+        });
+
+        it('should set the expiry from the configured TTL', async () => {
+            // Act
+            const issued = await refreshTokenService.issue('user-1');
+
+            // Assert
+            const days = (issued.expiresAt.getTime() - Date.now()) / (24 * 60 * 60 * 1000);
+            expect(Math.round(days)).toBe(30);
+        });
+    });
+
+    describe('rotate', () => {
+        it('should consume the token and issue a successor in the same family', async () => {
+            // Arrange
+            const issued = await refreshTokenService.issue('user-1');
+
+            // Act
+            const rotated = await refreshTokenService.rotate(issued.token);
+
+            // Assert
+            expect(rotated.userId).toBe('user-1');
+            expect(rotated.familyId).toBe(issued.familyId);
+            expect(rotated.token).not.toBe(issued.token);
+            await expect(refreshTokenService.rotate(rotated.token)).resolves.toBeDefined();
+        });
+
+        it('should revoke the whole family when a rotated token is reused', async () => {
+            // Arrange
+            const issued = await refreshTokenService.issue('user-1');
+            const rotated = await refreshTokenService.rotate(issued.token);
+
+            // Act
+            await expect(refreshTokenService.rotate(issued.token)).rejects.toThrow('Invalid refresh token');
+
+            // Assert
+            await expect(refreshTokenService.rotate(rotated.token)).rejects.toThrow('Invalid refresh token');
+        });
+
+        it('should treat concurrent refreshes with the same token as reuse', async () => {
+            // Arrange
+            const issued = await refreshTokenService.issue('user-1');
+
+            // Act
+            const results = await Promise.allSettled([
+                refreshTokenService.rotate(issued.token),
+                refreshTokenService.rotate(issued.token)
+            ]);
+
+            // Assert
+            expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+            const winner = results.find(result => result.status === 'fulfilled').value;
+            expect(results.find(result => result.status === 'rejected').reason.message).toBe('Invalid refresh token');
+            await expect(refreshTokenService.rotate(winner.token)).rejects.toThrow('Invalid refresh token');
+            expect(await refreshTokenRepository.revokeFamily(issued.familyId)).toBe(0);
+        });
+
+        it('should let only the first of several consumers take a token', async () => {
+            // Arrange
+            const issued = await refreshTokenService.issue('user-1');
+            const tokenHash = refreshTokenService.hashToken(issued.token);
+
+            // Act
+            const [first, second] = await Promise.all([
+                refreshTokenRepository.consume(tokenHash, 'successor-1'),
+                refreshTokenRepository.consume(tokenHash, 'successor-2')
+            ]);
+
+            // Assert
+            expect(first.replacedByHash).toBe('successor-1');
+            expect(second).toBeNull();
+            expect(await refreshTokenRepository.consume('unknown', 'successor-3')).toBeNull();
+        });
+
+        it('should reject expired tokens', async () => {
+            // Arrange
+            const shortLived = new RefreshTokenService(logger, refreshTokenRepository, { ttlDays: -1 });
+            const issued = await shortLived.issue('user-1');
+
+            // Act & Assert
+            await expect(refreshTokenService.rotate(issued.token)).rejects.toThrow('Invalid refresh token');
+        });
+
+        it('should reject unknown tokens', async () => {
+            await expect(refreshTokenService.rotate('unknown')).rejects.toThrow('Invalid refresh token');
+            await expect(refreshTokenService.rotate(undefined)).rejects.toThrow('Invalid refresh token');
+        });
+    });
+
+    describe('revocation', () => {
+        it('should revoke the family of a presented token', async () => {
+            // Arrange
+            const issued = await refreshTokenService.issue('user-1');
+            const rotated = await refreshTokenService.rotate(issued.token);
+
+            // Act
+            const found = await refreshTokenService.revoke(rotated.token, 'user-1');
+
+            // Assert
+            expect(found).toBe(true);
+            await expect(refreshTokenService.rotate(rotated.token)).rejects.toThrow('Invalid refresh token');
+            expect(await refreshTokenService.revoke('unknown', 'user-1')).toBe(false);
+        });
+
+        it('should not revoke a token owned by another user', async () => {
+            // Arrange
+            const issued = await refreshTokenService.issue('user-1');
+
+            // Act
+            const found = await refreshTokenService.revoke(issued.token, 'user-2');
+
+            // Assert
+            expect(found).toBe(false);
+            await expect(refreshTokenService.rotate(issued.token)).resolves.toBeDefined();
+        });
+
+        it('should revoke every token of a user', async () => {
+            // Arrange
+            const first = await refreshTokenService.issue('user-1');
+            const second = await refreshTokenService.issue('user-1');
+            const other = await refreshTokenService.issue('user-2');
+
+            // Act
+            const revoked = await refreshTokenService.revokeAllForUser('user-1');
+
+            // Assert
+            expect(revoked).toBe(2);
+            await expect(refreshTokenService.rotate(first.token)).rejects.toThrow();
+            await expect(refreshTokenService.rotate(second.token)).rejects.toThrow();
+            await expect(refreshTokenService.rotate(other.token)).resolves.toBeDefined();
+        });
+
+        it('should prune expired tokens from the store', async () => {
+            // Arrange
+            const shortLived = new RefreshTokenService(logger, refreshTokenRepository, { ttlDays: -1 });
+            await shortLived.issue('user-1');
+            await refreshTokenService.issue('user-1');
+
+            // Act & Assert
+            expect(await refreshTokenRepository.deleteExpired()).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,117 @@
+const express = require('express');
+const request = require('supertest');
+const RequestContext = require('../src/core/services/RequestContext');
+const RequestContextMiddleware = require('../src/middleware/RequestContextMiddleware');
+
+/**
+ * @description Test suite for RequestContextMiddleware
+ */
+describe('RequestContextMiddleware', () => {
+    const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+    const PARENT_ID = '00f067aa0ba902b7';
+
+    let requestContext;
+    let middleware;
+    let app;
+
+    beforeEach(() => {
+        requestContext = new RequestContext();
+        middleware = new RequestContextMiddleware(requestContext);
+
+        app = express();
+        app.use(middleware.handle());
+        app.use((req, res, next) => {
+            if (req.get('X-Test-User')) {
+                req.user = { id: req.get('X-Test-User') };
+            }
+            next();
+        });
+        app.get('/context', async (req, res) => {
+            // The context must survive async hops
+            await new Promise(resolve => setTimeout(resolve, 1));
+            const { requestId, traceId, parentSpanId, userId } = requestContext.get();
+            res.json({ requestId, traceId, parentSpanId, userId, reqId: req.id });
+        });
+    });
+
+    it('should require a request context', () => {
+        expect(() => new RequestContextMiddleware()).toThrow('RequestContext dependency is required');
+    });
+
+    it('should generate a request ID and echo it', async () => {
+        const response = await request(app).get('/context');
+
+        expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+        expect(response.body.requestId).toBe(response.headers['x-request-id']);
+        expect(response.body.reqId).toBe(response.headers['x-request-id']);
+    });
+
+    it('should accept a well-formed request ID from the caller', async () => {
+        const response = await request(app).get('/context').set('X-Request-Id', 'edge-7f3a:42');
+
+        expect(response.headers['x-request-id']).toBe('edge-7f3a:42');
+        expect(response.body.requestId).toBe('edge-7f3a:42');
+    });
+
+    it('should replace malformed or oversized request IDs', async () => {
+        const injected = await request(app).get('/context').set('X-Request-Id', 'abc\tlevel=error');
+        const oversized = await request(app).get('/context').set('X-Request-Id', 'a'.repeat(129));
+
+        expect(injected.body.requestId).not.toContain('level');
+        expect(oversized.body.requestId).toHaveLength(36);
+    });
+
+    it('should give concurrent requests separate contexts', async () => {
+        const [first, second] = await Promise.all([
+            request(app).get('/context').set('X-Request-Id', 'first'),
+            request(app).get('/context').set('X-Request-Id', 'second')
+        ]);
+
+        expect(first.body.requestId).toBe('first');
+        expect(second.body.requestId).toBe('second');
+    });
+
+    it('should expose the authenticated user once known', async () => {
+        const response = await request(app).get('/context').set('X-Test-User', 'user-1');
+
+        expect(response.body.userId).toBe('user-1');
+    });
+
+    it('should record the trace from a traceparent header', async () => {
+        const response = await request(app)
+            .get('/context')
+            .set('traceparent', `00-${TRACE_ID}-${PARENT_ID}-01`);
+
+        expect(response.body.traceId).toBe(TRACE_ID);
+        expect(response.body.parentSpanId).toBe(PARENT_ID);
+    });
+
+    describe('parseTraceparent', () => {
+        it('should parse a valid header', () => {
+            expect(middleware.parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-01`)).toEqual({
+                version: '00',
+                traceId: TRACE_ID,
+                parentId: PARENT_ID,
+                sampled: true
+            });
+            expect(middleware.parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-00`).sampled).toBe(false);
+        });
+
+        it('should accept additional fields from later versions', () => {
+            expect(middleware.parseTraceparent(`01-${TRACE_ID}-${PARENT_ID}-01-future`).traceId).toBe(TRACE_ID);
+        });
+
+        it.each([
+            ['missing', undefined],
+            ['garbage', 'not-a-trace'],
+            ['uppercase hex', `00-${TRACE_ID.toUpperCase()}-${PARENT_ID}-01`],
+            ['forbidden version', `ff-${TRACE_ID}-${PARENT_ID}-01`],
+            ['extra fields in version 00', `00-${TRACE_ID}-${PARENT_ID}-01-extra`],
+            ['all-zero trace ID', `00-${'0'.repeat(32)}-${PARENT_ID}-01`],
+            ['all-zero parent ID', `00-${TRACE_ID}-${'0'.repeat(16)}-01`],
+            ['short trace ID', `00-${TRACE_ID.slice(1)}-${PARENT_ID}-01`]
+        ])('should reject a %s header', (description, header) => {
+            expect(middleware.parseTraceparent(header)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,80 @@
+const { RoleRegistry, PERMISSIONS } = require('../src/core/authorization');
+const User = require('../src/entities/User');
+
+/**
+ * @description Test suite for RoleRegistry and User role validation
+ */
+describe('RoleRegistry', () => {
+    it('should define the built-in roles', () => {
+        // Arrange
+        const registry = new RoleRegistry();
+
+        // Act & Assert
+        expect(registry.roles).toEqual(['user', 'moderator', 'admin']);
+        expect(registry.can('moderator', PERMISSIONS.USERS_READ)).toBe(true);
+        expect(registry.can('moderator', PERMISSIONS.USERS_DELETE)).toBe(false);
+        expect(registry.can('user', PERMISSIONS.USERS_READ)).toBe(false);
+        expect(registry.grantsAll('admin')).toBe(true);
+    });
+
+    it('should add custom roles and redefine built-in ones', () => {
+        // Arrange
+        const registry = new RoleRegistry({
+            support: [PERMISSIONS.USERS_READ, PERMISSIONS.USERS_UNLOCK],
+            moderator: ['users:*']
+        });
+
+        // Act & Assert
+        expect(registry.roles).toEqual(['user', 'moderator', 'admin', 'support']);
+        expect(registry.can('support', PERMISSIONS.USERS_UNLOCK)).toBe(true);
+        expect(registry.can('support', PERMISSIONS.USERS_DELETE)).toBe(false);
+        expect(registry.can('moderator', PERMISSIONS.USERS_DELETE)).toBe(true);
+        expect(registry.can('moderator', PERMISSIONS.HEALTH_DETAILS)).toBe(false);
+    });
+
+    it('should grant nothing to an unknown role', () => {
+        // Arrange
+        const registry = new RoleRegistry();
+
+        // Act & Assert
+        expect(registry.has('ghost')).toBe(false);
+        expect(registry.permissionsFor('ghost')).toEqual([]);
+        expect(registry.can('ghost', PERMISSIONS.USERS_READ)).toBe(false);
+    });
+
+    it('should compare the permissions of two roles', () => {
+        // Arrange
+        const registry = new RoleRegistry({ support: [PERMISSIONS.USERS_READ], manager: ['users:*'] });
+
+        // Act & Assert
+        expect(registry.covers('manager', 'support')).toBe(true);
+        expect(registry.covers('manager', 'moderator')).toBe(true);
+        expect(registry.covers('support', 'moderator')).toBe(false);
+        expect(registry.covers('support', 'user')).toBe(true);
+        expect(registry.covers('manager', 'admin')).toBe(false);
+        expect(registry.covers('admin', 'manager')).toBe(true);
+    });
+
+    it('should reject an unknown permission', () => {
+        // Act & Assert
+        expect(() => new RoleRegistry({ support: ['users:fly'] }))
+            .toThrow('Unknown permission for role support: users:fly');
+    });
+
+    describe('User.validate', () => {
+        it('should validate roles against the given role names', () => {
+            // Arrange
+            const user = new User({
+                email: 'jane@example.com',
+                password: 'Password123!',
+                firstName: 'Jane',
+                lastName: 'Doe',
+                role: 'support'
+            });
+
+            // Act & Assert
+            expect(user.validate(new RoleRegistry().roles)).toBe(false);
+            expect(user.validate(new RoleRegistry({ support: [] }).roles)).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,183 @@
+const http = require('http');
+const ShutdownManager = require('../src/core/services/ShutdownManager');
+
+/**
+ * Send a GET request to a local server
+ * @returns {Promise<Object>} Status, headers and body
+ */
+const get = (port, path, agent) => new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path, agent }, (res) => {
+        let body = '';
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+});
+
+/**
+ * @description Test suite for ShutdownManager
+ */
+describe('ShutdownManager', () => {
+    let logger;
+    let server;
+    let agent;
+
+    beforeEach(() => {
+        logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+        agent = new http.Agent({ keepAlive: true });
+    });
+
+    afterEach(() => {
+        agent.destroy();
+        if (server && server.listening) {
+            server.closeAllConnections();
+            server.close();
+        }
+    });
+
+    const listen = async (manager, handler) => {
+        server = http.createServer(handler);
+        manager.trackServer(server);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        return server.address().port;
+    };
+
+    it('should require a logger', () => {
+        expect(() => new ShutdownManager()).toThrow('Logger dependency is required');
+    });
+
+    it('should reject duplicate names and non-function hooks', () => {
+        const manager = new ShutdownManager(logger);
+        manager.register('mailer', async () => {});
+
+        expect(() => manager.register('mailer', async () => {})).toThrow('Shutdown hook already registered: mailer');
+        expect(() => manager.register('cache', 'nope')).toThrow('Shutdown hook cache must be a function');
+    });
+
+    it('should run hooks in registration order after the server has closed', async () => {
+        const manager = new ShutdownManager(logger);
+        const calls = [];
+        const port = await listen(manager, (req, res) => res.end('ok'));
+
+        manager.register('first', async () => {
+            calls.push(['first', server.listening]);
+        });
+        manager.register('second', () => {
+            calls.push(['second', server.listening]);
+        });
+
+        expect(manager.isShuttingDown).toBe(false);
+        const result = await manager.shutdown();
+
+        expect(manager.isShuttingDown).toBe(true);
+        expect(result).toEqual({ clean: true, timedOut: false, failedHooks: [] });
+        expect(calls).toEqual([['first', false], ['second', false]]);
+        await expect(get(port, '/')).rejects.toThrow();
+    });
+
+    it('should keep running hooks after one fails or times out', async () => {
+        const manager = new ShutdownManager(logger, { hookTimeoutMs: 20 });
+        const last = jest.fn();
+
+        manager.register('broken', async () => { throw new Error('flush failed'); });
+        manager.register('stuck', () => new Promise(() => {}));
+        manager.register('last', last);
+
+        const result = await manager.shutdown();
+
+        expect(result).toEqual({ clean: false, timedOut: false, failedHooks: ['broken', 'stuck'] });
+        expect(last).toHaveBeenCalled();
+        expect(logger.error).toHaveBeenCalledWith('Shutdown hook failed: broken', expect.objectContaining({ message: 'flush failed' }));
+        expect(logger.error).toHaveBeenCalledWith('Shutdown hook failed: stuck', expect.objectContaining({ message: 'Timed out after 20ms' }));
+    });
+
+    it('should return the shutdown in progress when called again', async () => {
+        const manager = new ShutdownManager(logger);
+        const hook = jest.fn();
+        manager.register('once', hook);
+
+        const [first, second] = await Promise.all([manager.shutdown(), manager.shutdown()]);
+
+        expect(first).toBe(second);
+        expect(hook).toHaveBeenCalledTimes(1);
+    });
+
+    it('should let in-flight requests finish and close their connection', async () => {
+        const manager = new ShutdownManager(logger, { timeoutMs: 2000 });
+        let requestReceived;
+        const received = new Promise(resolve => { requestReceived = resolve; });
+        const port = await listen(manager, (req, res) => {
+            requestReceived();
+            setTimeout(() => res.end('done'), 50);
+        });
+
+        const response = get(port, '/slow', agent);
+        await received;
+        const result = await manager.shutdown();
+
+        await expect(response).resolves.toMatchObject({ status: 200, body: 'done', headers: { connection: 'close' } });
+        expect(result.clean).toBe(true);
+    });
+
+    it('should close idle keep-alive connections without waiting for the timeout', async () => {
+        const manager = new ShutdownManager(logger, { timeoutMs: 5000 });
+        const port = await listen(manager, (req, res) => res.end('ok'));
+
+        const response = await get(port, '/', agent);
+        expect(response.headers.connection).toBe('keep-alive');
+
+        const startedAt = Date.now();
+        const result = await manager.shutdown();
+
+        expect(result.timedOut).toBe(false);
+        expect(Date.now() - startedAt).toBeLessThan(1000);
+    });
+
+    it('should close a keep-alive connection once a request whose headers were already sent finishes', async () => {
+        const manager = new ShutdownManager(logger, { timeoutMs: 5000 });
+        let headersSent;
+        const sent = new Promise(resolve => { headersSent = resolve; });
+        const port = await listen(manager, (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.write('partial');
+            headersSent();
+            setTimeout(() => res.end(' done'), 50);
+        });
+
+        const response = get(port, '/stream', agent);
+        await sent;
+        const startedAt = Date.now();
+        const result = await manager.shutdown();
+
+        await expect(response).resolves.toMatchObject({ status: 200, body: 'partial done' });
+        expect(result.timedOut).toBe(false);
+        expect(Date.now() - startedAt).toBeLessThan(1000);
+    });
+
+    it('should destroy connections still open when the timeout expires', async () => {
+        const manager = new ShutdownManager(logger, { timeoutMs: 50 });
+        const hook = jest.fn();
+        manager.register('after', hook);
+        let requestReceived;
+        const received = new Promise(resolve => { requestReceived = resolve; });
+        const port = await listen(manager, () => requestReceived());
+
+        const response = get(port, '/hang', agent);
+        await received;
+        const result = await manager.shutdown();
+
+        expect(result).toEqual({ clean: false, timedOut: true, failedHooks: [] });
+        await expect(response).rejects.toThrow();
+        expect(hook).toHaveBeenCalled();
+    });
+
+    it('should wait for the drain delay before closing the server', async () => {
+        const manager = new ShutdownManager(logger, { drainDelayMs: 80 });
+        const port = await listen(manager, (req, res) => res.end('still serving'));
+
+        const shutdown = manager.shutdown();
+        const response = await get(port, '/');
+        await shutdown;
+
+        expect(response).toMatchObject({ status: 200, body: 'still serving', headers: { connection: 'close' } });
+    });
+});
@@ -0,0 +1,79 @@
+const TotpProvider = require('../src/core/services/TotpProvider');
+
+/**
+ * @description Test suite for TotpProvider
+ * Checks code generation against the RFC 6238 test vectors and drift/replay handling
+ */
+describe('TotpProvider', () => {
+    let totpProvider;
+    let secret;
+
+    beforeEach(() => {
+        totpProvider = new TotpProvider({ digits: 8 });
+        // RFC 6238 appendix B SHA-1 seed
+        secret = totpProvider.base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+    });
+
+    it('should match the RFC 6238 test vectors', () => {
+        const vectors = [
+            [59, '94287082'],
+            [1111111109, '07081804'],
+            [1111111111, '14050471'],
+            [1234567890, '89005924'],
+            [2000000000, '69279037']
+        ];
+
+        vectors.forEach(([seconds, expected]) => {
+            expect(totpProvider.generate(secret, totpProvider.getStep(seconds * 1000))).toBe(expected);
+        });
+    });
+
+    it('should round-trip base32 secrets', () => {
+        const generated = new TotpProvider().generateSecret();
+
+        expect(generated).toMatch(/^[A-Z2-7]{32}$/);
+        expect(totpProvider.base32Encode(totpProvider.base32Decode(generated))).toBe(generated);
+        expect(totpProvider.base32Decode('gezd gnbv')).toEqual(Buffer.from('12345'));
+    });
+
+    it('should accept codes within the drift window', () => {
+        const now = 1111111111 * 1000;
+        const step = totpProvider.getStep(now);
+
+        expect(totpProvider.verify(totpProvider.generate(secret, step - 1), secret, { now })).toBe(step - 1);
+        expect(totpProvider.verify(totpProvider.generate(secret, step + 1), secret, { now })).toBe(step + 1);
+        expect(totpProvider.verify(totpProvider.generate(secret, step + 2), secret, { now })).toBeNull();
+    });
+
+    it('should reject steps at or before the last used step', () => {
+        const now = 1111111111 * 1000;
+        const step = totpProvider.getStep(now);
+        const code = totpProvider.generate(secret, step);
+
+        expect(totpProvider.verify(code, secret, { now, afterStep: step })).toBeNull();
+        expect(totpProvider.verify(code, secret, { now, afterStep: step - 1 })).toBe(step);
+    });
+
+    it('should read the current time from the injected clock', () => {
+        const clock = { now: () => 1111111109 * 1000 };
+        const clockedProvider = new TotpProvider({ digits: 8, clock });
+
+        expect(clockedProvider.generate(secret)).toBe('07081804');
+        expect(clockedProvider.verify('07081804', secret)).toBe(clockedProvider.getStep());
+    });
+
+    it('should reject malformed codes', () => {
+        expect(totpProvider.verify('1234', secret)).toBeNull();
+        expect(totpProvider.verify('abcdefgh', secret)).toBeNull();
+        expect(totpProvider.verify(undefined, secret)).toBeNull();
+    });
+
+    it('should build an otpauth URI', () => {
+        const uri = totpProvider.buildUri({ secret, accountName: 'user@example.com', issuer: 'Acme' });
+
+        expect(uri.startsWith('otpauth://totp/Acme%3Auser%40example.com?')).toBe(true);
+        expect(uri).toContain(`secret=${secret}`);
+        expect(uri).toContain('issuer=Acme');
+        expect(uri).toContain('digits=8');
+    });
+});
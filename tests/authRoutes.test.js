@@ -0,0 +1,455 @@
+const request = require('supertest');
+const TotpProvider = require('../src/core/services/TotpProvider');
+const { createTestApp } = require('./helpers/testApp');
+
+/**
+ * @description Integration tests for the /api/v1/auth routes, run against createApp
+ */
+describe('Auth routes', () => {
+    let context;
+    let app;
+    let user;
+    const totp = new TotpProvider();
+
+    beforeEach(async () => {
+        context = createTestApp();
+        app = context.app;
+        user = await context.createUser({ email: 'jane@example.com' });
+    });
+
+    const bearer = session => `Bearer ${session.token}`;
+
+    /**
+     * Enable two-factor authentication through the API
+     * @returns {Promise<Object>} Session, secret and recovery codes
+     */
+    const enrollMfa = async () => {
+        const session = await context.login(user);
+        const setup = await request(app)
+            .post('/api/v1/auth/mfa/setup')
+            .set('Authorization', bearer(session))
+            .expect(200);
+        const secret = setup.body.data.manualEntryKey;
+
+        const confirm = await request(app)
+            .post('/api/v1/auth/mfa/confirm')
+            .set('Authorization', bearer(session))
+            .send({ code: totp.generate(secret, totp.getStep(context.clock.now())) })
+            .expect(200);
+
+        // Codes are single-use per time step
+        context.clock.advance(30 * 1000);
+
+        return { session, secret, recoveryCodes: confirm.body.data.recoveryCodes };
+    };
+
+    const currentCode = secret => totp.generate(secret, totp.getStep(context.clock.now()));
+
+    describe('POST /login', () => {
+        it('should open a session for valid credentials', async () => {
+            const response = await request(app)
+                .post('/api/v1/auth/login')
+                .send({ email: 'jane@example.com', password: 'Password123!' })
+                .expect(200);
+
+            expect(response.body.data).toMatchObject({ user: { email: 'jane@example.com' } });
+            expect(response.body.data.token).toEqual(expect.any(String));
+            expect(response.body.data.refreshToken).toEqual(expect.any(String));
+            expect(response.body.data.user.password).toBeUndefined();
+        });
+
+        it('should reject a wrong password', async () => {
+            const response = await request(app)
+                .post('/api/v1/auth/login')
+                .send({ email: 'jane@example.com', password: 'wrong-password' })
+                .expect(401);
+
+            expect(response.body.error.message).toBe('Invalid credentials');
+        });
+
+        it('should reject an invalid body', async () => {
+            const response = await request(app)
+                .post('/api/v1/auth/login')
+                .send({ email: 'not-an-email' })
+                .expect(400);
+
+            expect(response.body.error.code).toBe('VALIDATION_ERROR');
+        });
+
+        it('should rate limit repeated attempts', async () => {
+            for (let attempt = 0; attempt < 5; attempt++) {
+                await request(app).post('/api/v1/auth/login').send({ email: 'jane@example.com', password: 'wrong-password' });
+            }
+
+            const response = await request(app)
+                .post('/api/v1/auth/login')
+                .send({ email: 'jane@example.com', password: 'Password123!' })
+                .expect(429);
+
+            expect(response.headers['retry-after']).toBeDefined();
+        });
+    });
+
+    describe('POST /login/mfa', () => {
+        it('should complete a two-step login with a TOTP code', async () => {
+            const { secret } = await enrollMfa();
+
+            const challenge = await context.login(user);
+            expect(challenge).toMatchObject({ mfaRequired: true, mfaToken: expect.any(String) });
+
+            const response = await request(app)
+                .post('/api/v1/auth/login/mfa')
+                .send({ mfaToken: challenge.mfaToken, code: currentCode(secret) })
+                .expect(200);
+
+            expect(response.body.data.token).toEqual(expect.any(String));
+        });
+
+        it('should reject a wrong code', async () => {
+            await enrollMfa();
+            const challenge = await context.login(user);
+
+            const response = await request(app)
+                .post('/api/v1/auth/login/mfa')
+                .send({ mfaToken: challenge.mfaToken, code: '000000' })
+                .expect(400);
+
+            expect(response.body.error.details).toEqual([expect.objectContaining({ path: 'code' })]);
+        });
+
+        it('should reject an invalid challenge', async () => {
+            await request(app)
+                .post('/api/v1/auth/login/mfa')
+                .send({ mfaToken: 'not-a-challenge', code: '123456' })
+                .expect(401);
+        });
+    });
+
+    describe('POST /register', () => {
+        it('should create the account and send a verification email', async () => {
+            const response = await request(app)
+                .post('/api/v1/auth/register')
+                .send({ email: 'new@example.com', password: 'Password123!', firstName: 'New', lastName: 'User' })
+                .expect(201);
+
+            expect(response.body.data.user).toMatchObject({ email: 'new@example.com', isEmailVerified: false });
+            expect(await context.userRepository.findByEmail('new@example.com')).not.toBeNull();
+            expect(context.mailer.messages).toEqual([expect.objectContaining({ to: 'new@example.com' })]);
+        });
+
+        it('should reject a duplicate email', async () => {
+            await request(app)
+                .post('/api/v1/auth/register')
+                .send({ email: 'jane@example.com', password: 'Password123!', firstName: 'Jane', lastName: 'Doe' })
+                .expect(409);
+        });
+
+        it('should reject privileged fields instead of dropping them', async () => {
+            const account = { email: 'new@example.com', password: 'Password123!', firstName: 'New', lastName: 'User' };
+
+            for (const field of [{ role: 'admin' }, { isEmailVerified: true, mfaEnabled: false }]) {
+                const response = await request(app)
+                    .post('/api/v1/auth/register')
+                    .send({ ...account, ...field })
+                    .expect(400);
+
+                expect(response.body.error.details.map(detail => detail.path)).toEqual(Object.keys(field));
+            }
+
+            expect(await context.userRepository.findByEmail('new@example.com')).toBeNull();
+        });
+    });
+
+    describe('POST /forgot-password', () => {
+        it('should send a reset link to an existing account', async () => {
+            const response = await request(app)
+                .post('/api/v1/auth/forgot-password')
+                .send({ email: 'jane@example.com' })
+                .expect(200);
+
+            expect(response.body.message).toBe('If the email exists, a password reset link has been sent');
+            expect(context.mailer.lastToken('jane@example.com')).toEqual(expect.any(String));
+        });
+
+        it('should answer the same for an unknown email without sending mail', async () => {
+            const response = await request(app)
+                .post('/api/v1/auth/forgot-password')
+                .send({ email: 'nobody@example.com' })
+                .expect(200);
+
+            expect(response.body.message).toBe('If the email exists, a password reset link has been sent');
+            expect(context.mailer.messages).toHaveLength(0);
+        });
+    });
+
+    describe('POST /reset-password', () => {
+        it('should set the new password with the emailed token, once', async () => {
+            await request(app).post('/api/v1/auth/forgot-password').send({ email: 'jane@example.com' }).expect(200);
+            const token = context.mailer.lastToken('jane@example.com');
+
+            await request(app)
+                .post('/api/v1/auth/reset-password')
+                .send({ token, newPassword: 'NewPassword456!' })
+                .expect(200);
+
+            await context.login(user, 'NewPassword456!');
+            await request(app)
+                .post('/api/v1/auth/reset-password')
+                .send({ token, newPassword: 'OtherPassword789!' })
+                .expect(400);
+        });
+
+        it('should reject an expired token', async () => {
+            await request(app).post('/api/v1/auth/forgot-password').send({ email: 'jane@example.com' }).expect(200);
+            const token = context.mailer.lastToken('jane@example.com');
+            context.clock.advance(16 * 60 * 1000);
+
+            await request(app)
+                .post('/api/v1/auth/reset-password')
+                .send({ token, newPassword: 'NewPassword456!' })
+                .expect(400);
+        });
+    });
+
+    describe('GET /verify-email/:token', () => {
+        it('should verify the email with the token sent on registration', async () => {
+            await request(app)
+                .post('/api/v1/auth/register')
+                .send({ email: 'new@example.com', password: 'Password123!', firstName: 'New', lastName: 'User' })
+                .expect(201);
+            const token = context.mailer.lastToken('new@example.com');
+
+            await request(app).get(`/api/v1/auth/verify-email/${encodeURIComponent(token)}`).expect(200);
+
+            const stored = await context.userRepository.findByEmail('new@example.com');
+            expect(stored.isEmailVerified).toBe(true);
+        });
+
+        it('should reject an unknown token', async () => {
+            await request(app).get('/api/v1/auth/verify-email/unknown').expect(400);
+        });
+    });
+
+    describe('POST /refresh-token', () => {
+        it('should rotate the refresh token', async () => {
+            const session = await context.login(user);
+
+            const response = await request(app)
+                .post('/api/v1/auth/refresh-token')
+                .send({ refreshToken: session.refreshToken })
+                .expect(200);
+
+            expect(response.body.data.refreshToken).not.toBe(session.refreshToken);
+        });
+
+        it('should reject a refresh token that was already rotated', async () => {
+            const session = await context.login(user);
+            await request(app).post('/api/v1/auth/refresh-token').send({ refreshToken: session.refreshToken }).expect(200);
+
+            await request(app)
+                .post('/api/v1/auth/refresh-token')
+                .send({ refreshToken: session.refreshToken })
+                .expect(401);
+        });
+
+        it('should reject an expired refresh token', async () => {
+            const session = await context.login(user);
+            context.clock.advance(31 * 24 * 60 * 60 * 1000);
+
+            await request(app)
+                .post('/api/v1/auth/refresh-token')
+                .send({ refreshToken: session.refreshToken })
+                .expect(401);
+        });
+    });
+
+    describe('GET /profile', () => {
+        it('should return the signed-in user', async () => {
+            const session = await context.login(user);
+
+            const response = await request(app)
+                .get('/api/v1/auth/profile')
+                .set('Authorization', bearer(session))
+                .expect(200);
+
+            expect(response.body.data).toMatchObject({ email: 'jane@example.com', fullName: 'Test User' });
+        });
+
+        it('should require a token', async () => {
+            const response = await request(app).get('/api/v1/auth/profile').expect(401);
+
+            expect(response.body.error.code).toBe('MISSING_TOKEN');
+        });
+    });
+
+    describe('POST /change-password', () => {
+        it('should change the password when the current one is correct', async () => {
+            const session = await context.login(user);
+
+            await request(app)
+                .post('/api/v1/auth/change-password')
+                .set('Authorization', bearer(session))
+                .send({ currentPassword: 'Password123!', newPassword: 'NewPassword456!' })
+                .expect(200);
+
+            await context.login(user, 'NewPassword456!');
+        });
+
+        it('should reject a wrong current password', async () => {
+            const session = await context.login(user);
+
+            const response = await request(app)
+                .post('/api/v1/auth/change-password')
+                .set('Authorization', bearer(session))
+                .send({ currentPassword: 'WrongPassword!', newPassword: 'NewPassword456!' })
+                .expect(400);
+
+            expect(response.body.error.details).toEqual([expect.objectContaining({ path: 'currentPassword' })]);
+        });
+
+        it('should end the old session and return a new one', async () => {
+            const session = await context.login(user);
+
+            const response = await request(app)
+                .post('/api/v1/auth/change-password')
+                .set('Authorization', bearer(session))
+                .send({ currentPassword: 'Password123!', newPassword: 'NewPassword456!' })
+                .expect(200);
+
+            await request(app).get('/api/v1/auth/profile').set('Authorization', bearer(session)).expect(401);
+            await request(app).post('/api/v1/auth/refresh-token').send({ refreshToken: session.refreshToken }).expect(401);
+            await request(app).get('/api/v1/auth/profile').set('Authorization', bearer(response.body.data)).expect(200);
+        });
+    });
+
+    describe('POST /logout', () => {
+        it('should revoke the access token and refresh token', async () => {
+            const session = await context.login(user);
+
+            await request(app)
+                .post('/api/v1/auth/logout')
+                .set('Authorization', bearer(session))
+                .send({ refreshToken: session.refreshToken })
+                .expect(200);
+
+            await request(app).get('/api/v1/auth/profile').set('Authorization', bearer(session)).expect(401);
+            await request(app).post('/api/v1/auth/refresh-token').send({ refreshToken: session.refreshToken }).expect(401);
+        });
+
+        it('should leave another user\'s refresh token alone', async () => {
+            const victim = await context.createUser({ email: 'victim@example.com' });
+            const victimSession = await context.login(victim);
+            const session = await context.login(user);
+
+            await request(app)
+                .post('/api/v1/auth/logout')
+                .set('Authorization', bearer(session))
+                .send({ refreshToken: victimSession.refreshToken })
+                .expect(200);
+
+            await request(app).post('/api/v1/auth/refresh-token').send({ refreshToken: victimSession.refreshToken }).expect(200);
+        });
+    });
+
+    describe('POST /logout-all', () => {
+        it('should revoke every session of the user', async () => {
+            const first = await context.login(user);
+            const second = await context.login(user);
+
+            const response = await request(app)
+                .post('/api/v1/auth/logout-all')
+                .set('Authorization', bearer(first))
+                .expect(200);
+
+            expect(response.body.data.revokedRefreshTokens).toBe(2);
+            await request(app).get('/api/v1/auth/profile').set('Authorization', bearer(second)).expect(401);
+        });
+    });
+
+    describe('POST /mfa/setup', () => {
+        it('should return an otpauth URI and manual entry key', async () => {
+            const session = await context.login(user);
+
+            const response = await request(app)
+                .post('/api/v1/auth/mfa/setup')
+                .set('Authorization', bearer(session))
+                .expect(200);
+
+            expect(response.body.data.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+            expect(response.body.data.manualEntryKey).toMatch(/^[A-Z2-7]+$/);
+        });
+
+        it('should require a token', async () => {
+            await request(app).post('/api/v1/auth/mfa/setup').expect(401);
+        });
+    });
+
+    describe('POST /mfa/confirm', () => {
+        it('should enable two-factor authentication and return recovery codes', async () => {
+            const { recoveryCodes } = await enrollMfa();
+
+            expect(recoveryCodes).toEqual(expect.arrayContaining([expect.stringMatching(/^[0-9a-f]{5}-[0-9a-f]{5}$/)]));
+            expect((await context.userRepository.findById(user.id)).mfaEnabled).toBe(true);
+        });
+
+        it('should reject a wrong code', async () => {
+            const session = await context.login(user);
+            await request(app).post('/api/v1/auth/mfa/setup').set('Authorization', bearer(session)).expect(200);
+
+            await request(app)
+                .post('/api/v1/auth/mfa/confirm')
+                .set('Authorization', bearer(session))
+                .send({ code: '000000' })
+                .expect(400);
+        });
+    });
+
+    describe('POST /mfa/disable', () => {
+        it('should disable two-factor authentication with a valid code', async () => {
+            const { session, secret } = await enrollMfa();
+
+            await request(app)
+                .post('/api/v1/auth/mfa/disable')
+                .set('Authorization', bearer(session))
+                .send({ code: currentCode(secret) })
+                .expect(200);
+
+            expect((await context.userRepository.findById(user.id)).mfaEnabled).toBe(false);
+        });
+
+        it('should reject a wrong code', async () => {
+            const { session } = await enrollMfa();
+
+            await request(app)
+                .post('/api/v1/auth/mfa/disable')
+                .set('Authorization', bearer(session))
+                .send({ code: '000000' })
+                .expect(400);
+        });
+    });
+
+    describe('POST /mfa/recovery-codes', () => {
+        it('should replace the recovery codes', async () => {
+            const { session, recoveryCodes } = await enrollMfa();
+
+            const response = await request(app)
+                .post('/api/v1/auth/mfa/recovery-codes')
+                .set('Authorization', bearer(session))
+                .send({ code: recoveryCodes[0] })
+                .expect(200);
+
+            expect(response.body.data.recoveryCodes).toHaveLength(recoveryCodes.length);
+            expect(response.body.data.recoveryCodes).not.toContain(recoveryCodes[1]);
+        });
+
+        it('should require a code', async () => {
+            const { session } = await enrollMfa();
+
+            await request(app)
+                .post('/api/v1/auth/mfa/recovery-codes')
+                .set('Authorization', bearer(session))
+                .send({})
+                .expect(400);
+        });
+    });
+});
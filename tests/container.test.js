@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { createContainer, TOKENS } = require('../src/container');
+const { loadConfig } = require('../src/core/config');
+const InMemoryUserRepository = require('../src/repositories/InMemoryUserRepository');
+const FileUserRepository = require('../src/repositories/FileUserRepository');
+const SmtpMailer = require('../src/core/services/SmtpMailer');
+const { createSilentLogger, MemoryMailer } = require('./helpers/testApp');
+
+/**
+ * @description Unit tests for the dependency injection container
+ */
+describe('createContainer', () => {
+    let config;
+    let container;
+
+    beforeEach(() => {
+        config = loadConfig({ ...process.env });
+        container = createContainer(config, { logger: createSilentLogger() });
+    });
+
+    it('should resolve every registered token', () => {
+        Object.values(TOKENS).forEach((token) => {
+            expect(container.resolve(token)).toBeDefined();
+        });
+    });
+
+    it('should return one instance per token', () => {
+        const authenticationService = container.resolve(TOKENS.authenticationService);
+
+        expect(container.resolve(TOKENS.authenticationService)).toBe(authenticationService);
+        expect(container.resolve(TOKENS.userController)._userService).toBe(container.resolve(TOKENS.userService));
+    });
+
+    it('should share the authentication middleware between routes', () => {
+        const authenticationMiddleware = container.resolve(TOKENS.authenticationMiddleware);
+
+        expect(container.resolve(TOKENS.userRoutes).authMiddleware).toBe(authenticationMiddleware);
+        expect(container.resolve(TOKENS.adminRoutes).authMiddleware).toBe(authenticationMiddleware);
+    });
+
+    it('should not share instances between containers', () => {
+        const other = createContainer(config, { logger: createSilentLogger() });
+
+        expect(other.resolve(TOKENS.userRepository)).not.toBe(container.resolve(TOKENS.userRepository));
+    });
+
+    it('should create a logger and a metrics registry per container', () => {
+        const first = createContainer(config);
+        const second = createContainer(config);
+        const logger = first.resolve(TOKENS.logger);
+        logger._logger.silent = true;
+        second.resolve(TOKENS.logger)._logger.silent = true;
+
+        expect(second.resolve(TOKENS.logger)).not.toBe(logger);
+        expect(second.resolve(TOKENS.logger)._requestContext).toBe(second.resolve(TOKENS.requestContext));
+        expect(second.resolve(TOKENS.metrics)).not.toBe(first.resolve(TOKENS.metrics));
+        expect(first.resolve(TOKENS.userService)._metrics).toBe(first.resolve(TOKENS.metrics));
+        expect(first.resolve(TOKENS.authenticationService)._metrics).toBe(first.resolve(TOKENS.metrics));
+        expect(second.resolve(TOKENS.userService)._metrics).toBe(second.resolve(TOKENS.metrics));
+    });
+
+    it('should inject overrides into dependants', () => {
+        const userRepository = new InMemoryUserRepository({ seedSampleData: false });
+        const mailer = new MemoryMailer();
+        container = createContainer(config, { logger: createSilentLogger(), userRepository, mailer });
+
+        expect(container.resolve(TOKENS.userRepository)).toBe(userRepository);
+        expect(container.resolve(TOKENS.userService)._userRepository).toBe(userRepository);
+        expect(container.resolve(TOKENS.notificationService)._mailer).toBe(mailer);
+    });
+
+    it('should wire the file driver with a migrations check and a flush on shutdown', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'container-'));
+        container = createContainer(loadConfig({
+            ...process.env,
+            USER_REPOSITORY: 'file',
+            USER_DB_PATH: path.join(directory, 'users.json'),
+            MAIL_DRIVER: 'smtp'
+        }), { logger: createSilentLogger() });
+
+        const userRepository = container.resolve(TOKENS.userRepository);
+
+        expect(userRepository).toBeInstanceOf(FileUserRepository);
+        expect(container.resolve(TOKENS.mailer)).toBeInstanceOf(SmtpMailer);
+        expect(Array.from(container.resolve(TOKENS.healthChecks)._checks.keys()))
+            .toEqual(['userRepository', 'mailer', 'migrations']);
+        expect(container.resolve(TOKENS.shutdownManager)._hooks.map(hook => hook.name))
+            .toEqual(['tokenDenylist', 'userRepository', 'mailer']);
+
+        await userRepository.flush();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should reject an unknown driver when it is resolved', () => {
+        container = createContainer({
+            ...config,
+            persistence: { ...config.persistence, userRepository: 'postgres' },
+            mail: { ...config.mail, driver: 'carrier-pigeon' }
+        }, { logger: createSilentLogger() });
+
+        expect(() => container.resolve(TOKENS.userRepository)).toThrow('Unknown user repository: postgres');
+        expect(() => container.resolve(TOKENS.mailer)).toThrow('Unknown mail driver: carrier-pigeon');
+    });
+
+    it('should reject an override for an unknown token', () => {
+        expect(() => createContainer(config, { userRepo: {} }))
+            .toThrow('Unknown dependency override: userRepo');
+    });
+
+    it('should expose the current request\'s context to application-wide dependencies', async () => {
+        const requestContext = container.resolve(TOKENS.requestContext);
+        const app = express();
+        app.use(container.resolve(TOKENS.requestContextMiddleware).handle());
+        app.get('/', (req, res) => {
+            res.json({ requestId: requestContext.get().requestId });
+        });
+
+        const response = await request(app).get('/').set('X-Request-Id', 'req-42').expect(200);
+
+        expect(response.body).toEqual({ requestId: 'req-42' });
+        expect(requestContext.get()).toBeUndefined();
+    });
+});
@@ -0,0 +1,370 @@
+const User = require('../../src/entities/User');
+const VersionConflictError = require('../../src/core/errors/VersionConflictError');
+
+/**
+ * @description Behavioral contract for user repositories
+ * Pins down the semantics of InMemoryUserRepository so every IRepository adapter for users
+ * can be proven equivalent. Call it from the adapter's test file:
+ *
+ *     describeUserRepositoryContract('MyUserRepository', () => new MyUserRepository(...));
+ *
+ * @param {string} name - Suite name
+ * @param {Function} createRepository - Returns (or resolves to) an empty repository
+ * @param {Object} [options] - Contract options
+ * @param {Function} [options.destroyRepository] - Cleans up a repository after each test
+ */
+function describeUserRepositoryContract(name, createRepository, options = {}) {
+    const { destroyRepository = async () => {} } = options;
+
+    describe(`${name} (IRepository contract)`, () => {
+        let repository;
+
+        const buildUser = (overrides = {}) => new User({
+            email: 'jane@example.com',
+            password: 'hashed-password',
+            firstName: 'Jane',
+            lastName: 'Smith',
+            ...overrides
+        });
+
+        // Three users with distinct values in every field used for filtering and sorting
+        const seed = async () => {
+            const alice = await repository.create(buildUser({
+                email: 'alice@example.com',
+                firstName: 'Alice',
+                lastName: 'Anders',
+                role: 'admin',
+                isEmailVerified: true
+            }));
+            const bob = await repository.create(buildUser({
+                email: 'bob@example.com',
+                firstName: 'Bob',
+                lastName: 'Baker',
+                role: 'user',
+                isEmailVerified: false
+            }));
+            const carol = await repository.create(buildUser({
+                email: 'carol@sample.org',
+                firstName: 'Carol',
+                lastName: 'Carter',
+                role: 'user',
+                isEmailVerified: true,
+                isActive: false
+            }));
+
+            return { alice, bob, carol };
+        };
+
+        const emails = users => users.map(user => user.email);
+
+        beforeEach(async () => {
+            repository = await createRepository();
+        });
+
+        afterEach(async () => {
+            await destroyRepository(repository);
+        });
+
+        describe('create', () => {
+            it('should store and return the user', async () => {
+                const user = buildUser();
+
+                const created = await repository.create(user);
+
+                expect(created).toBeInstanceOf(User);
+                expect(created.id).toBe(user.id);
+                expect((await repository.findById(user.id)).email).toBe('jane@example.com');
+            });
+
+            it('should reject objects that are not users', async () => {
+                await expect(repository.create({ email: 'jane@example.com' })).rejects.toThrow('Invalid user object');
+            });
+
+            it('should reject invalid user data', async () => {
+                await expect(repository.create(buildUser({ email: 'not-an-email' }))).rejects.toThrow('Invalid user data');
+            });
+
+            it('should reject duplicate emails regardless of case', async () => {
+                await repository.create(buildUser());
+
+                await expect(repository.create(buildUser({ email: 'JANE@Example.com' })))
+                    .rejects.toThrow('User with this email already exists');
+                expect(await repository.count()).toBe(1);
+            });
+        });
+
+        describe('findById', () => {
+            it('should return null for unknown IDs', async () => {
+                expect(await repository.findById('missing')).toBeNull();
+            });
+        });
+
+        describe('findByEmail', () => {
+            it('should match emails case-insensitively', async () => {
+                const user = await repository.create(buildUser());
+
+                expect((await repository.findByEmail('JANE@EXAMPLE.COM')).id).toBe(user.id);
+            });
+
+            it('should return null for unknown emails', async () => {
+                expect(await repository.findByEmail('nobody@example.com')).toBeNull();
+            });
+        });
+
+        describe('findAll', () => {
+            it('should return every user without filters', async () => {
+                await seed();
+
+                expect(await repository.findAll()).toHaveLength(3);
+            });
+
+            it('should filter by role', async () => {
+                await seed();
+
+                expect(emails(await repository.findAll({ role: 'user' })).sort())
+                    .toEqual(['bob@example.com', 'carol@sample.org']);
+            });
+
+            it('should apply boolean filters for both true and false', async () => {
+                await seed();
+
+                expect(emails(await repository.findAll({ isEmailVerified: false }))).toEqual(['bob@example.com']);
+                expect(emails(await repository.findAll({ isActive: false }))).toEqual(['carol@sample.org']);
+                expect(await repository.findAll({ isActive: true })).toHaveLength(2);
+            });
+
+            it('should ignore filters that are undefined', async () => {
+                await seed();
+
+                expect(await repository.findAll({ role: undefined, isActive: undefined })).toHaveLength(3);
+            });
+
+            it('should search first name, last name and email case-insensitively', async () => {
+                await seed();
+
+                expect(emails(await repository.findAll({ search: 'ALI' }))).toEqual(['alice@example.com']);
+                expect(emails(await repository.findAll({ search: 'baker' }))).toEqual(['bob@example.com']);
+                expect(emails(await repository.findAll({ search: 'SAMPLE.org' }))).toEqual(['carol@sample.org']);
+            });
+
+            it('should combine filters', async () => {
+                await seed();
+
+                expect(emails(await repository.findAll({ role: 'user', isEmailVerified: true })))
+                    .toEqual(['carol@sample.org']);
+            });
+
+            it('should sort ascending by default and descending on request', async () => {
+                await seed();
+
+                expect(emails(await repository.findAll({}, { sort: 'firstName' })))
+                    .toEqual(['alice@example.com', 'bob@example.com', 'carol@sample.org']);
+                expect(emails(await repository.findAll({}, { sort: 'firstName:asc' })))
+                    .toEqual(['alice@example.com', 'bob@example.com', 'carol@sample.org']);
+                expect(emails(await repository.findAll({}, { sort: 'lastName:desc' })))
+                    .toEqual(['carol@sample.org', 'bob@example.com', 'alice@example.com']);
+            });
+
+            it('should paginate after filtering and sorting', async () => {
+                await seed();
+
+                expect(emails(await repository.findAll({}, { sort: 'email:asc', limit: 2 })))
+                    .toEqual(['alice@example.com', 'bob@example.com']);
+                expect(emails(await repository.findAll({}, { sort: 'email:asc', offset: 1, limit: 1 })))
+                    .toEqual(['bob@example.com']);
+                expect(emails(await repository.findAll({}, { sort: 'email:asc', offset: 2 })))
+                    .toEqual(['carol@sample.org']);
+                expect(emails(await repository.findAll({ role: 'user' }, { sort: 'email:desc', limit: 1 })))
+                    .toEqual(['carol@sample.org']);
+            });
+
+            it('should return an empty page past the end', async () => {
+                await seed();
+
+                expect(await repository.findAll({}, { offset: 10, limit: 5 })).toEqual([]);
+            });
+        });
+
+        describe('update', () => {
+            it('should apply updates and return the updated user', async () => {
+                const user = await repository.create(buildUser());
+
+                const updated = await repository.update(user.id, { firstName: 'Janet', role: 'moderator' });
+
+                expect(updated.firstName).toBe('Janet');
+                expect(updated.role).toBe('moderator');
+                expect((await repository.findById(user.id)).firstName).toBe('Janet');
+            });
+
+            it('should advance updatedAt', async () => {
+                const user = await repository.create(buildUser());
+                const before = (await repository.findById(user.id)).updatedAt.getTime();
+
+                const updated = await repository.update(user.id, { lastName: 'Jones' });
+
+                expect(updated.updatedAt.getTime()).toBeGreaterThanOrEqual(before);
+            });
+
+            it('should never change the ID and should ignore unknown fields', async () => {
+                const user = await repository.create(buildUser());
+
+                const updated = await repository.update(user.id, { id: 'other', unknownField: 'x' });
+
+                expect(updated.id).toBe(user.id);
+                expect(updated.unknownField).toBeUndefined();
+                expect(await repository.findById('other')).toBeNull();
+            });
+
+            it('should move the email lookup to the new address', async () => {
+                const user = await repository.create(buildUser());
+
+                await repository.update(user.id, { email: 'janet@example.com' });
+
+                expect(await repository.findByEmail('jane@example.com')).toBeNull();
+                expect((await repository.findByEmail('JANET@example.com')).id).toBe(user.id);
+            });
+
+            it('should reject an email that belongs to another user', async () => {
+                const { bob } = await seed();
+
+                await expect(repository.update(bob.id, { email: 'ALICE@example.com' }))
+                    .rejects.toThrow('User with this email already exists');
+                expect((await repository.findById(bob.id)).email).toBe('bob@example.com');
+            });
+
+            it('should allow changing the case of the own email', async () => {
+                const user = await repository.create(buildUser());
+
+                const updated = await repository.update(user.id, { email: 'Jane@example.com' });
+
+                expect(updated.email).toBe('Jane@example.com');
+                expect((await repository.findByEmail('jane@example.com')).id).toBe(user.id);
+            });
+
+            it('should return null for unknown IDs', async () => {
+                expect(await repository.update('missing', { firstName: 'Nobody' })).toBeNull();
+            });
+
+            it('should advance the version once per update and never accept one from the updates', async () => {
+                const user = await repository.create(buildUser());
+                const before = (await repository.findById(user.id)).version;
+
+                const updated = await repository.update(user.id, { firstName: 'Janet', lastName: 'Jones', version: 1 });
+
+                expect(updated.version).toBe(before + 1);
+            });
+
+            it('should persist login and lockout bookkeeping without advancing the version', async () => {
+                const user = await repository.create(buildUser());
+                const before = (await repository.findById(user.id)).version;
+                const lockedUntil = new Date(Date.now() + 60000);
+
+                await repository.update(user.id, {
+                    lastLoginAt: new Date(),
+                    failedLoginAttempts: 3,
+                    lastFailedLoginAt: new Date(),
+                    lockedUntil,
+                    mfaLastUsedStep: 42
+                });
+
+                const stored = await repository.findById(user.id);
+                expect(stored.version).toBe(before);
+                expect(stored.failedLoginAttempts).toBe(3);
+                expect(stored.lockedUntil).toEqual(lockedUntil);
+            });
+
+            it('should apply the update when the expected version matches', async () => {
+                const user = await repository.create(buildUser());
+                const { version } = await repository.findById(user.id);
+
+                const updated = await repository.update(user.id, { firstName: 'Janet' }, { expectedVersion: version });
+
+                expect(updated.firstName).toBe('Janet');
+                expect(updated.version).toBeGreaterThan(version);
+            });
+
+            it('should accept any of several expected versions', async () => {
+                const user = await repository.create(buildUser());
+                const { version } = await repository.findById(user.id);
+
+                const updated = await repository.update(user.id, { firstName: 'Janet' }, {
+                    expectedVersion: [version + 10, version]
+                });
+
+                expect(updated.firstName).toBe('Janet');
+            });
+
+            it('should raise a version conflict and change nothing when the version is stale', async () => {
+                const user = await repository.create(buildUser());
+                const { version } = await repository.findById(user.id);
+                await repository.update(user.id, { lastName: 'Jones' });
+
+                const error = await repository.update(user.id, { firstName: 'Janet' }, { expectedVersion: version })
+                    .catch(caught => caught);
+
+                expect(error).toBeInstanceOf(VersionConflictError);
+                expect(error.code).toBe('VERSION_CONFLICT');
+                expect(error.expectedVersion).toBe(version);
+                expect(error.actualVersion).toBe((await repository.findById(user.id)).version);
+                expect((await repository.findById(user.id)).firstName).toBe('Jane');
+            });
+
+            it('should let only one of two updates based on the same version succeed', async () => {
+                const user = await repository.create(buildUser());
+                const { version } = await repository.findById(user.id);
+
+                const results = await Promise.allSettled([
+                    repository.update(user.id, { firstName: 'First' }, { expectedVersion: version }),
+                    repository.update(user.id, { firstName: 'Second' }, { expectedVersion: version })
+                ]);
+
+                expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+                expect(results.find(result => result.status === 'rejected').reason).toBeInstanceOf(VersionConflictError);
+            });
+        });
+
+        describe('delete', () => {
+            it('should remove the user and free the email', async () => {
+                const user = await repository.create(buildUser());
+
+                expect(await repository.delete(user.id)).toBe(true);
+                expect(await repository.findById(user.id)).toBeNull();
+                expect(await repository.findByEmail('jane@example.com')).toBeNull();
+                await expect(repository.create(buildUser())).resolves.toBeInstanceOf(User);
+            });
+
+            it('should return false for unknown IDs', async () => {
+                expect(await repository.delete('missing')).toBe(false);
+            });
+        });
+
+        describe('exists', () => {
+            it('should report whether a user is stored', async () => {
+                const user = await repository.create(buildUser());
+
+                expect(await repository.exists(user.id)).toBe(true);
+                expect(await repository.exists('missing')).toBe(false);
+            });
+        });
+
+        describe('checkHealth', () => {
+            it('should resolve while the store is usable', async () => {
+                await repository.create(buildUser());
+
+                await expect(repository.checkHealth()).resolves.toMatchObject({ users: 1 });
+            });
+        });
+
+        describe('count', () => {
+            it('should count all users or those matching filters', async () => {
+                await seed();
+
+                expect(await repository.count()).toBe(3);
+                expect(await repository.count({ role: 'user' })).toBe(2);
+                expect(await repository.count({ isActive: false, search: 'carol' })).toBe(1);
+            });
+        });
+    });
+}
+
+module.exports = { describeUserRepositoryContract };
@@ -0,0 +1,133 @@
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { loadConfig } = require('../../src/core/config');
+const InMemoryUserRepository = require('../../src/repositories/InMemoryUserRepository');
+const User = require('../../src/entities/User');
+
+/**
+ * Mailer that keeps sent messages in memory
+ */
+class MemoryMailer {
+    constructor() {
+        this.messages = [];
+    }
+
+    async send(message) {
+        this.messages.push(message);
+        return { messageId: `message-${this.messages.length}` };
+    }
+
+    async close() {}
+
+    async checkHealth() {}
+
+    /**
+     * Extract the token from the last link sent to an address
+     * @param {string} to - Recipient address
+     * @returns {string} Decoded token
+     */
+    lastToken(to) {
+        const message = [...this.messages].reverse().find(entry => entry.to === to);
+        const [, token] = message.text.match(/(?:verify-email\/|token=)([^\s]+)/);
+        return decodeURIComponent(token);
+    }
+}
+
+/**
+ * Logger that discards every entry, so expected 4xx responses do not flood the test output
+ * @returns {ILogger} Silent logger
+ */
+const createSilentLogger = () => {
+    const logger = {
+        info: () => {},
+        warn: () => {},
+        error: () => {},
+        debug: () => {},
+        child: () => logger
+    };
+
+    return logger;
+};
+
+/**
+ * Clock that only moves when told to
+ */
+class TestClock {
+    constructor(now = Date.now()) {
+        this._now = now;
+    }
+
+    now() {
+        return this._now;
+    }
+
+    advance(ms) {
+        this._now += ms;
+    }
+}
+
+/**
+ * Create an app backed by an empty in-memory repository, a memory mailer and a test clock
+ * @param {Object} [env] - Environment variables overriding the test defaults
+ * @param {Object} [overrides] - Further dependencies to inject, keyed by container token
+ * @returns {Object} App, injected dependencies and helpers to seed users and sign in
+ */
+const createTestApp = (env = {}, overrides = {}) => {
+    const config = loadConfig({
+        ...process.env,
+        // Cheap hashes keep registration and sign-in fast
+        BCRYPT_ROUNDS: '4',
+        RATE_LIMIT_MAX_REQUESTS: '1000',
+        ...env
+    });
+
+    const userRepository = new InMemoryUserRepository({ seedSampleData: false });
+    const mailer = new MemoryMailer();
+    const clock = new TestClock();
+    const app = createApp(config, {
+        userRepository,
+        mailer,
+        clock,
+        logger: createSilentLogger(),
+        ...overrides
+    });
+
+    /**
+     * Store a user directly, bypassing registration
+     * @param {Object} [data] - User fields; `password` is the plain password
+     * @returns {Promise<User>} Stored user
+     */
+    const createUser = async (data = {}) => {
+        const { password = 'Password123!', ...fields } = data;
+
+        return userRepository.create(new User({
+            email: `user-${Math.random().toString(36).slice(2)}@example.com`,
+            firstName: 'Test',
+            lastName: 'User',
+            role: 'user',
+            isEmailVerified: true,
+            ...fields,
+            password: await bcrypt.hash(password, 4)
+        }));
+    };
+
+    /**
+     * Sign in through the API
+     * @param {User} user - User created with createUser
+     * @param {string} [password] - Plain password
+     * @returns {Promise<Object>} Session with token and refreshToken
+     */
+    const login = async (user, password = 'Password123!') => {
+        const response = await request(app)
+            .post('/api/v1/auth/login')
+            .send({ email: user.email, password })
+            .expect(200);
+
+        return response.body.data;
+    };
+
+    return { app, userRepository, mailer, clock, createUser, login };
+};
+
+module.exports = { createTestApp, createSilentLogger, MemoryMailer, TestClock };
@@ -0,0 +1,181 @@
+const { loadConfig, ConfigError } = require('../src/core/config');
+
+/**
+ * @description Unit tests for loadConfig
+ */
+describe('loadConfig', () => {
+    const JWT_SECRET = 'a-jwt-secret-that-is-at-least-32-chars';
+
+    const productionEnv = {
+        NODE_ENV: 'production',
+        JWT_SECRET,
+        APP_BASE_URL: 'https://app.example.com',
+        CORS_ORIGIN: 'https://app.example.com'
+    };
+
+    /**
+     * Run loadConfig and return the error it throws
+     * @param {Object} env - Environment variables
+     * @returns {ConfigError} Thrown error
+     */
+    const loadError = (env) => {
+        try {
+            loadConfig(env);
+        } catch (error) {
+            return error;
+        }
+
+        throw new Error('Expected loadConfig to throw');
+    };
+
+    describe('defaults', () => {
+        it('should fill in defaults for unset variables', () => {
+            const config = loadConfig({ JWT_SECRET });
+
+            expect(config.env).toBe('development');
+            expect(config.isProduction).toBe(false);
+            expect(config.server).toEqual({ port: 3000, host: 'localhost' });
+            expect(config.auth).toMatchObject({ jwtSecret: JWT_SECRET, jwtExpiresIn: '24h', bcryptRounds: 12 });
+            expect(config.persistence.userRepository).toBe('memory');
+            expect(config.logging.accessLog.excludePaths).toEqual(['/health', '/metrics']);
+            expect(config.metrics.token).toBeNull();
+        });
+
+        it('should treat empty values as unset', () => {
+            const config = loadConfig({ JWT_SECRET, PORT: '', LOG_LEVEL: '' });
+
+            expect(config.server.port).toBe(3000);
+            expect(config.logging.level).toBe('info');
+        });
+
+        it('should fall back to the app name for the MFA issuer', () => {
+            expect(loadConfig({ JWT_SECRET, APP_NAME: 'Acme' }).mfa.issuer).toBe('Acme');
+            expect(loadConfig({ JWT_SECRET, APP_NAME: 'Acme', MFA_ISSUER: 'Acme SSO' }).mfa.issuer).toBe('Acme SSO');
+        });
+
+        it('should ignore variables outside the schema', () => {
+            expect(() => loadConfig({ JWT_SECRET, PATH: '/usr/bin', HOME: '/root' })).not.toThrow();
+        });
+    });
+
+    describe('conversion', () => {
+        it('should convert numbers, booleans and lists', () => {
+            const config = loadConfig({
+                JWT_SECRET,
+                PORT: '8080',
+                SMTP_SECURE: 'true',
+                ACCESS_LOG_SAMPLE_RATE: '0.25',
+                MFA_REQUIRED_ROLES: 'admin, moderator',
+                LOG_LEVELS: 'http=warn,auth=debug',
+                LOG_REDACT_PATHS: 'body.ssn,headers.x-api-key'
+            });
+
+            expect(config.server.port).toBe(8080);
+            expect(config.mail.smtp.secure).toBe(true);
+            expect(config.logging.accessLog.sampleRate).toBe(0.25);
+            expect(config.mfa.requiredRoles).toEqual(['admin', 'moderator']);
+            expect(config.logging.levels).toEqual({ http: 'warn', auth: 'debug' });
+            expect(config.logging.redactPaths).toEqual(['body.ssn', 'headers.x-api-key']);
+        });
+
+        it('should return a deeply frozen object', () => {
+            const config = loadConfig({ JWT_SECRET });
+
+            expect(Object.isFrozen(config)).toBe(true);
+            expect(Object.isFrozen(config.auth)).toBe(true);
+            expect(Object.isFrozen(config.mail.smtp)).toBe(true);
+            expect(Object.isFrozen(config.mfa.requiredRoles)).toBe(true);
+        });
+    });
+
+    describe('validation', () => {
+        it('should require a JWT secret of at least 32 characters', () => {
+            expect(loadError({}).problems).toEqual([expect.objectContaining({ key: 'JWT_SECRET' })]);
+            expect(loadError({ JWT_SECRET: 'short' }).problems).toEqual([expect.objectContaining({ key: 'JWT_SECRET' })]);
+        });
+
+        it('should report every problem at once', () => {
+            const error = loadError({
+                JWT_SECRET: 'short',
+                PORT: 'eighty',
+                USER_REPOSITORY: 'postgres',
+                MFA_REQUIRED_ROLES: 'admin,superuser',
+                ACCESS_LOG_EXCLUDE_PATHS: 'health'
+            });
+
+            expect(error).toBeInstanceOf(ConfigError);
+            expect(error.problems.map(problem => problem.key)).toEqual([
+                'PORT',
+                'JWT_SECRET',
+                'USER_REPOSITORY',
+                'ACCESS_LOG_EXCLUDE_PATHS',
+                'MFA_REQUIRED_ROLES'
+            ]);
+            expect(error.message).toContain('Invalid configuration (5 problems)');
+            expect(error.message).toContain('MFA_REQUIRED_ROLES contains an unknown role: superuser');
+        });
+
+        it('should accept custom roles and require them for MFA_REQUIRED_ROLES', () => {
+            const config = loadConfig({
+                JWT_SECRET,
+                ROLE_PERMISSIONS: '{"support": ["users:read", "users:unlock"], "moderator": ["users:*"]}',
+                MFA_REQUIRED_ROLES: 'support,admin'
+            });
+
+            expect(config.authorization.roles).toEqual({
+                support: ['users:read', 'users:unlock'],
+                moderator: ['users:*']
+            });
+            expect(config.mfa.requiredRoles).toEqual(['support', 'admin']);
+        });
+
+        it('should reject invalid ROLE_PERMISSIONS', () => {
+            expect(loadError({ JWT_SECRET, ROLE_PERMISSIONS: '{support' }).problems)
+                .toEqual([{ key: 'ROLE_PERMISSIONS', message: 'ROLE_PERMISSIONS must be valid JSON' }]);
+            expect(loadError({ JWT_SECRET, ROLE_PERMISSIONS: '{"support": ["users:fly"]}' }).problems)
+                .toEqual([expect.objectContaining({ key: 'ROLE_PERMISSIONS' })]);
+            expect(loadError({ JWT_SECRET, ROLE_PERMISSIONS: '{"Support Team": []}' }).problems)
+                .toEqual([expect.objectContaining({ key: 'ROLE_PERMISSIONS' })]);
+        });
+
+        it('should reject an invalid LOG_LEVELS entry', () => {
+            expect(loadError({ JWT_SECRET, LOG_LEVELS: 'http=loud' }).problems)
+                .toEqual([expect.objectContaining({ key: 'LOG_LEVELS' })]);
+        });
+
+        it('should require a metrics token of at least 16 characters', () => {
+            expect(loadError({ JWT_SECRET, METRICS_TOKEN: 'short' }).problems)
+                .toEqual([expect.objectContaining({ key: 'METRICS_TOKEN' })]);
+        });
+    });
+
+    describe('production', () => {
+        it('should accept a complete production configuration', () => {
+            const config = loadConfig(productionEnv);
+
+            expect(config.isProduction).toBe(true);
+            expect(config.app.baseUrl).toBe('https://app.example.com');
+        });
+
+        it('should require APP_BASE_URL and CORS_ORIGIN', () => {
+            const { APP_BASE_URL, CORS_ORIGIN, ...env } = productionEnv;
+
+            expect(loadError(env).problems.map(problem => problem.key)).toEqual(['APP_BASE_URL', 'CORS_ORIGIN']);
+        });
+
+        it('should reject the example JWT secret', () => {
+            const error = loadError({ ...productionEnv, JWT_SECRET: 'your-super-secret-jwt-key-change-in-production' });
+
+            expect(error.problems).toEqual([{
+                key: 'JWT_SECRET',
+                message: 'JWT_SECRET must be changed from the example value in production'
+            }]);
+        });
+
+        it('should require at least 10 bcrypt rounds', () => {
+            expect(loadError({ ...productionEnv, BCRYPT_ROUNDS: '4' }).problems)
+                .toEqual([expect.objectContaining({ key: 'BCRYPT_ROUNDS' })]);
+            expect(loadConfig({ BCRYPT_ROUNDS: '4', JWT_SECRET }).auth.bcryptRounds).toBe(4);
+        });
+    });
+});
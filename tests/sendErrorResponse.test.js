@@ -0,0 +1,115 @@
+const express = require('express');
+const request = require('supertest');
+const { NotFoundError, ValidationError, RateLimitedError, sendErrorResponse } = require('../src/core/errors');
+
+/**
+ * @description Test suite for error response negotiation
+ */
+describe('sendErrorResponse', () => {
+    let app;
+    let config;
+    let originalNodeEnv;
+
+    beforeEach(() => {
+        originalNodeEnv = process.env.NODE_ENV;
+        config = { env: 'test' };
+
+        app = express();
+        app.get('/not-found', (req, res) => sendErrorResponse(req, res, new NotFoundError('User not found')));
+        app.get('/invalid', (req, res) => sendErrorResponse(req, res, ValidationError.forField('email', 'Email is required')));
+        app.get('/limited', (req, res) => sendErrorResponse(req, res, new RateLimitedError('Slow down', { retryAfter: 60 })));
+        app.get('/crash', (req, res) => sendErrorResponse(req, res, new Error('database password is hunter2'), config));
+    });
+
+    afterEach(() => {
+        process.env.NODE_ENV = originalNodeEnv;
+    });
+
+    it('should send the success/error envelope by default', async () => {
+        const response = await request(app).get('/not-found');
+
+        expect(response.status).toBe(404);
+        expect(response.headers['content-type']).toMatch(/^application\/json/);
+        expect(response.body).toEqual({
+            success: false,
+            error: { message: 'User not found', code: 'NOT_FOUND', timestamp: expect.any(String) }
+        });
+    });
+
+    it('should send problem+json when the client asks for it', async () => {
+        const response = await request(app).get('/not-found?x=1').set('Accept', 'application/problem+json');
+
+        expect(response.status).toBe(404);
+        expect(response.headers['content-type']).toMatch(/^application\/problem\+json/);
+        expect(response.body).toEqual({
+            type: '/problems/not-found',
+            title: 'Not Found',
+            status: 404,
+            detail: 'User not found',
+            instance: '/not-found?x=1',
+            code: 'NOT_FOUND'
+        });
+    });
+
+    it('should prefer the envelope when the client ranks application/json higher', async () => {
+        const response = await request(app)
+            .get('/not-found')
+            .set('Accept', 'application/json, application/problem+json;q=0.5');
+
+        expect(response.body.success).toBe(false);
+    });
+
+    it('should report field errors in both formats', async () => {
+        const envelope = await request(app).get('/invalid');
+        const problem = await request(app).get('/invalid').set('Accept', 'application/problem+json');
+
+        const expected = [{ path: 'email', message: 'Email is required', type: 'any.invalid' }];
+        expect(envelope.status).toBe(400);
+        expect(envelope.body.error.details).toEqual(expected);
+        expect(problem.body.errors).toEqual(expected);
+    });
+
+    it('should include the request ID in both formats', async () => {
+        app.use((req, res) => {
+            req.id = 'req-42';
+            sendErrorResponse(req, res, new NotFoundError());
+        });
+
+        const envelope = await request(app).get('/other');
+        const problem = await request(app).get('/other').set('Accept', 'application/problem+json');
+
+        expect(envelope.body.error.requestId).toBe('req-42');
+        expect(problem.body.requestId).toBe('req-42');
+    });
+
+    it('should set Retry-After for rate limiting errors', async () => {
+        const response = await request(app).get('/limited').set('Accept', 'application/problem+json');
+
+        expect(response.status).toBe(429);
+        expect(response.headers['retry-after']).toBe('60');
+        expect(response.body.retryAfter).toBe(60);
+    });
+
+    it('should not leak internal error messages outside development', async () => {
+        config.env = 'production';
+        process.env.NODE_ENV = 'development';
+
+        const envelope = await request(app).get('/crash');
+        const problem = await request(app).get('/crash').set('Accept', 'application/problem+json');
+
+        expect(envelope.status).toBe(500);
+        expect(JSON.stringify(envelope.body)).not.toContain('hunter2');
+        expect(problem.body.detail).toBe('An unexpected error occurred');
+        expect(problem.body.stack).toBeUndefined();
+    });
+
+    it('should include the original message and stack when the configured environment is development', async () => {
+        config.env = 'development';
+        process.env.NODE_ENV = 'production';
+
+        const response = await request(app).get('/crash').set('Accept', 'application/problem+json');
+
+        expect(response.body.detail).toBe('database password is hunter2');
+        expect(response.body.stack).toEqual(expect.any(String));
+    });
+});
@@ -3,7 +3,7 @@ require('dotenv').config({ path: '.env.test' });
 
 // Set test environment variables if not already set
 process.env.NODE_ENV = process.env.NODE_ENV || 'test';
-process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-of-at-least-32-chars';
 process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
 
 // Global test timeout
@@ -0,0 +1,140 @@
+const { PERMISSIONS, RoleRegistry } = require('../src/core/authorization');
+const { createUserPolicy } = require('../src/policies');
+const User = require('../src/entities/User');
+
+/**
+ * @description Unit tests for the user policies, evaluated as pure functions
+ */
+describe('userPolicy', () => {
+    const admin = new User({ id: 'admin-1', role: 'admin' });
+    const otherAdmin = new User({ id: 'admin-2', role: 'admin' });
+    const moderator = new User({ id: 'moderator-1', role: 'moderator' });
+    const user = new User({ id: 'user-1', role: 'user' });
+    const otherUser = new User({ id: 'user-2', role: 'user' });
+    let registry;
+
+    /**
+     * Evaluate a user policy with defaults for the optional parts
+     * @param {string} action - Action name
+     * @param {Object} subject - Actor, resource, changes and context
+     * @returns {Object} Decision
+     */
+    const decide = (action, subject) => createUserPolicy(registry)[action]({ changes: {}, context: {}, ...subject });
+
+    beforeEach(() => {
+        registry = new RoleRegistry();
+    });
+
+    describe('users:read', () => {
+        it('should let users read themselves only', () => {
+            expect(decide(PERMISSIONS.USERS_READ, { actor: user, resource: user }).allowed).toBe(true);
+            expect(decide(PERMISSIONS.USERS_READ, { actor: user, resource: otherUser }))
+                .toEqual({ allowed: false, reason: 'Insufficient permissions', code: 'INSUFFICIENT_PERMISSIONS' });
+        });
+
+        it('should let a moderator read users but not administrators', () => {
+            expect(decide(PERMISSIONS.USERS_READ, { actor: moderator, resource: user }).allowed).toBe(true);
+            expect(decide(PERMISSIONS.USERS_READ, { actor: moderator, resource: admin }).code).toBe('ADMIN_PROTECTED');
+            expect(decide(PERMISSIONS.USERS_READ, { actor: admin, resource: otherAdmin }).allowed).toBe(true);
+        });
+
+        it('should hide administrators from a moderator searching', () => {
+            expect(decide(PERMISSIONS.USERS_SEARCH, { actor: moderator, resource: user }).allowed).toBe(true);
+            expect(decide(PERMISSIONS.USERS_SEARCH, { actor: moderator, resource: admin }).allowed).toBe(false);
+        });
+    });
+
+    describe('users:update', () => {
+        it('should let users update themselves only', () => {
+            expect(decide(PERMISSIONS.USERS_UPDATE, { actor: user, resource: user, changes: { firstName: 'Jo' } }).allowed)
+                .toBe(true);
+            expect(decide(PERMISSIONS.USERS_UPDATE, { actor: user, resource: otherUser }).code)
+                .toBe('INSUFFICIENT_PERMISSIONS');
+        });
+
+        it('should keep administrator roles to administrators', () => {
+            registry = new RoleRegistry({ moderator: ['users:*'] });
+
+            expect(decide(PERMISSIONS.USERS_UPDATE, { actor: moderator, resource: user, changes: { role: 'moderator' } }).allowed)
+                .toBe(true);
+            expect(decide(PERMISSIONS.USERS_UPDATE, { actor: moderator, resource: user, changes: { role: 'admin' } }).code)
+                .toBe('ADMIN_PROTECTED');
+            expect(decide(PERMISSIONS.USERS_UPDATE, { actor: moderator, resource: admin }).code).toBe('ADMIN_PROTECTED');
+            expect(decide(PERMISSIONS.USERS_CREATE, { actor: moderator, resource: new User({ role: 'admin' }) }).code)
+                .toBe('ADMIN_PROTECTED');
+            expect(decide(PERMISSIONS.USERS_CREATE, { actor: admin, resource: new User({ role: 'admin' }) }).allowed)
+                .toBe(true);
+        });
+
+        it('should not let the last administrator be demoted', () => {
+            const demotion = { actor: admin, resource: admin, changes: { role: 'user' } };
+
+            expect(decide(PERMISSIONS.USERS_UPDATE, { ...demotion, context: { adminCount: 1 } }))
+                .toEqual({ allowed: false, reason: 'Cannot demote the last administrator', code: 'LAST_ADMIN' });
+            expect(decide(PERMISSIONS.USERS_UPDATE, { ...demotion, context: { adminCount: 2 } }).allowed).toBe(true);
+            expect(decide(PERMISSIONS.USERS_UPDATE, { ...demotion, changes: { role: 'admin' }, context: { adminCount: 1 } }).allowed)
+                .toBe(true);
+        });
+    });
+
+    describe('writable fields', () => {
+        it('should only let users change their own profile fields', () => {
+            expect(decide(PERMISSIONS.USERS_UPDATE, { actor: user, resource: user, changes: { firstName: 'Jo', lastName: 'Do' } }).allowed)
+                .toBe(true);
+            expect(decide(PERMISSIONS.USERS_UPDATE, {
+                actor: user,
+                resource: user,
+                changes: { firstName: 'Jo', role: 'admin', isEmailVerified: true }
+            })).toEqual({
+                allowed: false,
+                reason: 'Not allowed to change: role, isEmailVerified',
+                code: 'FORBIDDEN_FIELDS',
+                details: { fields: ['role', 'isEmailVerified'] }
+            });
+        });
+
+        it('should let only administrators change their own role', () => {
+            registry = new RoleRegistry({ moderator: ['users:*'] });
+
+            expect(decide(PERMISSIONS.USERS_UPDATE, { actor: moderator, resource: moderator, changes: { isEmailVerified: true } }).allowed)
+                .toBe(true);
+            expect(decide(PERMISSIONS.USERS_UPDATE, { actor: moderator, resource: moderator, changes: { role: 'user' } }).code)
+                .toBe('FORBIDDEN_FIELDS');
+            expect(decide(PERMISSIONS.USERS_UPDATE, {
+                actor: admin,
+                resource: admin,
+                changes: { role: 'moderator' },
+                context: { adminCount: 2 }
+            }).allowed).toBe(true);
+        });
+
+        it('should restrict creations to the creation fields', () => {
+            const created = new User({ role: 'user' });
+
+            expect(decide(PERMISSIONS.USERS_CREATE, { actor: admin, resource: created, changes: { email: 'a@example.com', role: 'user' } }).allowed)
+                .toBe(true);
+            expect(decide(PERMISSIONS.USERS_CREATE, { actor: admin, resource: created, changes: { isEmailVerified: true } }).details)
+                .toEqual({ fields: ['isEmailVerified'] });
+        });
+
+        it('should not let a role assign permissions it does not have', () => {
+            registry = new RoleRegistry({ support: [PERMISSIONS.USERS_READ, PERMISSIONS.USERS_UPDATE] });
+            const support = new User({ id: 'support-1', role: 'support' });
+
+            expect(decide(PERMISSIONS.USERS_UPDATE, { actor: support, resource: user, changes: { role: 'support' } }).allowed)
+                .toBe(true);
+            expect(decide(PERMISSIONS.USERS_UPDATE, { actor: support, resource: user, changes: { role: 'moderator' } }))
+                .toEqual({ allowed: false, reason: 'Cannot assign a role with permissions you do not have', code: 'ROLE_NOT_ASSIGNABLE' });
+        });
+    });
+
+    describe('users:delete', () => {
+        it('should never allow deleting or deactivating administrators', () => {
+            expect(decide(PERMISSIONS.USERS_DELETE, { actor: admin, resource: user }).allowed).toBe(true);
+            expect(decide(PERMISSIONS.USERS_DELETE, { actor: admin, resource: otherAdmin }).reason).toBe('Cannot delete admin users');
+            expect(decide(PERMISSIONS.USERS_DEACTIVATE, { actor: admin, resource: otherAdmin }).reason)
+                .toBe('Cannot deactivate admin users');
+            expect(decide(PERMISSIONS.USERS_DELETE, { actor: moderator, resource: user }).code).toBe('INSUFFICIENT_PERMISSIONS');
+        });
+    });
+});
@@ -0,0 +1,554 @@
+const request = require('supertest');
+const { createTestApp } = require('./helpers/testApp');
+
+/**
+ * @description Integration tests for the /api/v1/users routes, run against createApp
+ */
+describe('User routes', () => {
+    let context;
+    let app;
+    let admin;
+    let moderator;
+    let user;
+    let adminAuth;
+    let userAuth;
+
+    beforeEach(async () => {
+        context = createTestApp();
+        app = context.app;
+
+        admin = await context.createUser({ email: 'admin@example.com', firstName: 'Ada', lastName: 'Admin', role: 'admin' });
+        moderator = await context.createUser({ email: 'mod@example.com', firstName: 'Max', lastName: 'Moderator', role: 'moderator' });
+        user = await context.createUser({ email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe' });
+
+        adminAuth = `Bearer ${(await context.login(admin)).token}`;
+        userAuth = `Bearer ${(await context.login(user)).token}`;
+    });
+
+    describe('GET /me', () => {
+        it('should return the current user with an ETag', async () => {
+            const response = await request(app)
+                .get('/api/v1/users/me')
+                .set('Authorization', userAuth)
+                .expect(200);
+
+            expect(response.body.data).toMatchObject({ email: 'jane@example.com' });
+            expect(response.headers.etag).toBe(`"${response.body.data.version}"`);
+        });
+
+        it('should require a token', async () => {
+            await request(app).get('/api/v1/users/me').expect(401);
+        });
+    });
+
+    describe('PUT /me', () => {
+        it('should update the current user', async () => {
+            const response = await request(app)
+                .put('/api/v1/users/me')
+                .set('Authorization', userAuth)
+                .send({ firstName: 'Janet' })
+                .expect(200);
+
+            expect(response.body.data.firstName).toBe('Janet');
+            expect((await context.userRepository.findById(user.id)).firstName).toBe('Janet');
+        });
+
+        it('should accept an ETag fetched before a failed login', async () => {
+            const { headers } = await request(app).get('/api/v1/users/me').set('Authorization', userAuth).expect(200);
+            await request(app)
+                .post('/api/v1/auth/login')
+                .send({ email: 'jane@example.com', password: 'WrongPassword123!' })
+                .expect(401);
+
+            await request(app)
+                .put('/api/v1/users/me')
+                .set('Authorization', userAuth)
+                .set('If-Match', headers.etag)
+                .send({ firstName: 'Janet' })
+                .expect(200);
+        });
+
+        it('should reject a stale If-Match', async () => {
+            await request(app)
+                .put('/api/v1/users/me')
+                .set('Authorization', userAuth)
+                .set('If-Match', '"999"')
+                .send({ firstName: 'Janet' })
+                .expect(412);
+        });
+
+        it('should reject fields a user may not change', async () => {
+            for (const field of [{ role: 'admin' }, { isEmailVerified: true }, { email: 'mallory@example.com' }, { isActive: true }]) {
+                const response = await request(app)
+                    .put('/api/v1/users/me')
+                    .set('Authorization', userAuth)
+                    .send({ firstName: 'Janet', ...field })
+                    .expect(400);
+
+                expect(response.body.error.details.map(detail => detail.path)).toEqual(Object.keys(field));
+            }
+
+            expect(await context.userRepository.findById(user.id)).toMatchObject({ firstName: 'Jane', role: 'user' });
+        });
+    });
+
+    describe('GET /', () => {
+        it('should list users for an admin', async () => {
+            const response = await request(app)
+                .get('/api/v1/users')
+                .set('Authorization', adminAuth)
+                .expect(200);
+
+            expect(response.body.data.users).toHaveLength(3);
+            expect(response.body.data.pagination.total).toBe(3);
+        });
+
+        it('should filter by role', async () => {
+            const response = await request(app)
+                .get('/api/v1/users?role=moderator')
+                .set('Authorization', adminAuth)
+                .expect(200);
+
+            expect(response.body.data.users).toEqual([expect.objectContaining({ email: 'mod@example.com' })]);
+        });
+
+        it('should forbid a regular user', async () => {
+            const response = await request(app)
+                .get('/api/v1/users')
+                .set('Authorization', userAuth)
+                .expect(403);
+
+            expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+        });
+    });
+
+    describe('GET /statistics', () => {
+        it('should count users for an admin', async () => {
+            const response = await request(app)
+                .get('/api/v1/users/statistics')
+                .set('Authorization', adminAuth)
+                .expect(200);
+
+            expect(response.body.data).toMatchObject({ total: 3, active: 3, admins: 1 });
+        });
+
+        it('should count every role that grants all permissions as an admin', async () => {
+            context = createTestApp({ ROLE_PERMISSIONS: '{"owner": ["*"]}' });
+            const owner = await context.createUser({ email: 'owner@example.com', role: 'owner' });
+            await context.createUser({ email: 'admin@example.com', role: 'admin' });
+            await context.createUser({ email: 'jane@example.com' });
+
+            const response = await request(context.app)
+                .get('/api/v1/users/statistics')
+                .set('Authorization', `Bearer ${(await context.login(owner)).token}`)
+                .expect(200);
+
+            expect(response.body.data).toMatchObject({ total: 3, admins: 2 });
+        });
+
+        it('should forbid a regular user', async () => {
+            await request(app).get('/api/v1/users/statistics').set('Authorization', userAuth).expect(403);
+        });
+    });
+
+    describe('GET /search', () => {
+        it('should find users for a moderator', async () => {
+            const moderatorAuth = `Bearer ${(await context.login(moderator)).token}`;
+
+            const response = await request(app)
+                .get('/api/v1/users/search?q=jane')
+                .set('Authorization', moderatorAuth)
+                .expect(200);
+
+            expect(response.body.data.users).toEqual([expect.objectContaining({ email: 'jane@example.com' })]);
+        });
+
+        it('should leave administrators out of a moderator\'s results', async () => {
+            const moderatorAuth = `Bearer ${(await context.login(moderator)).token}`;
+
+            const response = await request(app)
+                .get('/api/v1/users/search?q=example.com')
+                .set('Authorization', moderatorAuth)
+                .expect(200);
+
+            expect(response.body.data.users.map(found => found.email).sort()).toEqual(['jane@example.com', 'mod@example.com']);
+            expect(response.body.data.total).toBe(2);
+        });
+
+        it('should require a search term', async () => {
+            await request(app).get('/api/v1/users/search').set('Authorization', adminAuth).expect(400);
+        });
+
+        it('should forbid a regular user', async () => {
+            await request(app).get('/api/v1/users/search?q=jane').set('Authorization', userAuth).expect(403);
+        });
+    });
+
+    describe('POST /', () => {
+        it('should create a user for an admin', async () => {
+            const response = await request(app)
+                .post('/api/v1/users')
+                .set('Authorization', adminAuth)
+                .send({ email: 'new@example.com', password: 'Password123!', firstName: 'New', lastName: 'User' })
+                .expect(201);
+
+            expect(response.body.data).toMatchObject({ email: 'new@example.com', role: 'user' });
+            expect(await context.userRepository.findByEmail('new@example.com')).not.toBeNull();
+        });
+
+        it('should reject a duplicate email', async () => {
+            await request(app)
+                .post('/api/v1/users')
+                .set('Authorization', adminAuth)
+                .send({ email: 'jane@example.com', password: 'Password123!', firstName: 'Jane', lastName: 'Doe' })
+                .expect(409);
+        });
+
+        it('should forbid a regular user', async () => {
+            await request(app)
+                .post('/api/v1/users')
+                .set('Authorization', userAuth)
+                .send({ email: 'new@example.com', password: 'Password123!', firstName: 'New', lastName: 'User' })
+                .expect(403);
+        });
+    });
+
+    describe('GET /:id', () => {
+        it('should return a user with an ETag', async () => {
+            const response = await request(app)
+                .get(`/api/v1/users/${user.id}`)
+                .set('Authorization', adminAuth)
+                .expect(200);
+
+            expect(response.body.data).toMatchObject({ email: 'jane@example.com' });
+            expect(response.headers.etag).toBe(`"${user.version}"`);
+        });
+
+        it('should return 404 for an unknown user', async () => {
+            await request(app)
+                .get('/api/v1/users/00000000-0000-4000-8000-000000000000')
+                .set('Authorization', adminAuth)
+                .expect(404);
+        });
+
+        it('should reject an ID that is not a UUID', async () => {
+            await request(app).get('/api/v1/users/not-a-uuid').set('Authorization', adminAuth).expect(400);
+        });
+
+        it('should let a moderator read users but not administrators', async () => {
+            const moderatorAuth = `Bearer ${(await context.login(moderator)).token}`;
+
+            await request(app).get(`/api/v1/users/${user.id}`).set('Authorization', moderatorAuth).expect(200);
+            const response = await request(app)
+                .get(`/api/v1/users/${admin.id}`)
+                .set('Authorization', moderatorAuth)
+                .expect(403);
+
+            expect(response.body.error.code).toBe('ADMIN_PROTECTED');
+        });
+    });
+
+    describe('PUT /:id', () => {
+        it('should update a user when If-Match is current', async () => {
+            const response = await request(app)
+                .put(`/api/v1/users/${user.id}`)
+                .set('Authorization', adminAuth)
+                .set('If-Match', `"${user.version}"`)
+                .send({ role: 'moderator' })
+                .expect(200);
+
+            expect(response.body.data.role).toBe('moderator');
+            expect(response.headers.etag).toBe(`"${response.body.data.version}"`);
+        });
+
+        it('should reject a stale If-Match', async () => {
+            const response = await request(app)
+                .put(`/api/v1/users/${user.id}`)
+                .set('Authorization', adminAuth)
+                .set('If-Match', '"999"')
+                .send({ firstName: 'Janet' })
+                .expect(412);
+
+            expect(response.body.error.code).toBe('VERSION_CONFLICT');
+        });
+
+        it('should not demote the last administrator', async () => {
+            const response = await request(app)
+                .put(`/api/v1/users/${admin.id}`)
+                .set('Authorization', adminAuth)
+                .send({ role: 'user' })
+                .expect(403);
+
+            expect(response.body.error.code).toBe('LAST_ADMIN');
+            expect((await context.userRepository.findById(admin.id)).role).toBe('admin');
+
+            await context.createUser({ email: 'second-admin@example.com', role: 'admin' });
+            await request(app)
+                .put(`/api/v1/users/${admin.id}`)
+                .set('Authorization', adminAuth)
+                .send({ role: 'user' })
+                .expect(200);
+        });
+
+        it('should reject account state outside the update schema', async () => {
+            await request(app)
+                .put(`/api/v1/users/${user.id}`)
+                .set('Authorization', adminAuth)
+                .send({ isActive: false, failedLoginAttempts: 0 })
+                .expect(400);
+        });
+
+        it('should forbid a regular user updating themselves through the management route', async () => {
+            const response = await request(app)
+                .put(`/api/v1/users/${user.id}`)
+                .set('Authorization', userAuth)
+                .send({ firstName: 'Janet' })
+                .expect(403);
+
+            expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+        });
+
+        it('should forbid a regular user', async () => {
+            await request(app)
+                .put(`/api/v1/users/${admin.id}`)
+                .set('Authorization', userAuth)
+                .send({ firstName: 'Mallory' })
+                .expect(403);
+        });
+    });
+
+    describe('DELETE /:id', () => {
+        it('should delete a user', async () => {
+            await request(app)
+                .delete(`/api/v1/users/${moderator.id}`)
+                .set('Authorization', adminAuth)
+                .expect(200);
+
+            expect(await context.userRepository.findById(moderator.id)).toBeNull();
+        });
+
+        it('should return 404 for an unknown user', async () => {
+            await request(app)
+                .delete('/api/v1/users/00000000-0000-4000-8000-000000000000')
+                .set('Authorization', adminAuth)
+                .expect(404);
+        });
+    });
+
+    describe('PATCH /:id/deactivate', () => {
+        it('should deactivate a user so they can no longer sign in', async () => {
+            await request(app)
+                .patch(`/api/v1/users/${user.id}/deactivate`)
+                .set('Authorization', adminAuth)
+                .expect(200);
+
+            expect((await context.userRepository.findById(user.id)).isActive).toBe(false);
+            await request(app)
+                .post('/api/v1/auth/login')
+                .send({ email: 'jane@example.com', password: 'Password123!' })
+                .expect(401);
+        });
+
+        it('should forbid a regular user', async () => {
+            await request(app).patch(`/api/v1/users/${admin.id}/deactivate`).set('Authorization', userAuth).expect(403);
+        });
+    });
+
+    describe('PATCH /:id/restore', () => {
+        it('should reactivate a deactivated user', async () => {
+            await request(app).patch(`/api/v1/users/${user.id}/deactivate`).set('Authorization', adminAuth).expect(200);
+
+            await request(app)
+                .patch(`/api/v1/users/${user.id}/restore`)
+                .set('Authorization', adminAuth)
+                .expect(200);
+
+            expect((await context.userRepository.findById(user.id)).isActive).toBe(true);
+        });
+    });
+
+    describe('PATCH /:id/unlock', () => {
+        it('should clear a lockout', async () => {
+            await context.userRepository.update(user.id, {
+                failedLoginAttempts: 10,
+                lockedUntil: new Date(Date.now() + 15 * 60 * 1000)
+            });
+
+            await request(app)
+                .patch(`/api/v1/users/${user.id}/unlock`)
+                .set('Authorization', adminAuth)
+                .expect(200);
+
+            const unlocked = await context.userRepository.findById(user.id);
+            expect(unlocked.failedLoginAttempts).toBe(0);
+            expect(unlocked.lockedUntil).toBeNull();
+        });
+
+        it('should return 404 for an unknown user', async () => {
+            await request(app)
+                .patch('/api/v1/users/00000000-0000-4000-8000-000000000000/unlock')
+                .set('Authorization', adminAuth)
+                .expect(404);
+        });
+    });
+
+    describe('PATCH /:id/verify-email', () => {
+        it('should mark the email as verified', async () => {
+            const unverified = await context.createUser({ email: 'new@example.com', isEmailVerified: false });
+
+            const response = await request(app)
+                .patch(`/api/v1/users/${unverified.id}/verify-email`)
+                .set('Authorization', adminAuth)
+                .expect(200);
+
+            expect(response.body.data.isEmailVerified).toBe(true);
+        });
+
+        it('should forbid a regular user', async () => {
+            await request(app).patch(`/api/v1/users/${user.id}/verify-email`).set('Authorization', userAuth).expect(403);
+        });
+    });
+
+    describe('custom roles', () => {
+        let support;
+        let supportAuth;
+
+        beforeEach(async () => {
+            context = createTestApp({ ROLE_PERMISSIONS: '{"support": ["users:read", "users:unlock"]}' });
+            app = context.app;
+
+            admin = await context.createUser({ email: 'admin@example.com', role: 'admin' });
+            user = await context.createUser({ email: 'jane@example.com' });
+            support = await context.createUser({ email: 'support@example.com', role: 'support' });
+
+            adminAuth = `Bearer ${(await context.login(admin)).token}`;
+            supportAuth = `Bearer ${(await context.login(support)).token}`;
+        });
+
+        it('should allow the permissions granted to the role', async () => {
+            await request(app).get(`/api/v1/users/${user.id}`).set('Authorization', supportAuth).expect(200);
+            await request(app).patch(`/api/v1/users/${user.id}/unlock`).set('Authorization', supportAuth).expect(200);
+        });
+
+        it('should forbid permissions the role lacks', async () => {
+            const response = await request(app)
+                .delete(`/api/v1/users/${user.id}`)
+                .set('Authorization', supportAuth)
+                .expect(403);
+
+            expect(response.body.error.details).toEqual({ requiredPermissions: ['users:delete'], userRole: 'support' });
+        });
+
+        it('should keep each app\'s roles when another app with different roles is built', async () => {
+            const other = createTestApp({ ROLE_PERMISSIONS: '{"support": []}' });
+            const otherSupport = await other.createUser({ email: 'support@example.com', role: 'support' });
+            const otherUser = await other.createUser({ email: 'jane@example.com' });
+            const otherAuth = `Bearer ${(await other.login(otherSupport)).token}`;
+
+            await request(app).get(`/api/v1/users/${user.id}`).set('Authorization', supportAuth).expect(200);
+            await request(other.app).get(`/api/v1/users/${otherUser.id}`).set('Authorization', otherAuth).expect(403);
+            await request(app).get(`/api/v1/users/${user.id}`).set('Authorization', supportAuth).expect(200);
+        });
+
+        it('should require a two-factor session for roles in MFA_REQUIRED_ROLES', async () => {
+            context = createTestApp({ ROLE_PERMISSIONS: '{"support": ["users:read"]}', MFA_REQUIRED_ROLES: 'support' });
+            support = await context.createUser({ email: 'support@example.com', role: 'support' });
+            supportAuth = `Bearer ${(await context.login(support)).token}`;
+
+            const response = await request(context.app)
+                .get(`/api/v1/users/${support.id}`)
+                .set('Authorization', supportAuth)
+                .expect(403);
+
+            expect(response.body.error.code).toBe('MFA_REQUIRED');
+        });
+
+        describe('privilege escalation', () => {
+            let manager;
+            let managerAuth;
+
+            beforeEach(async () => {
+                context = createTestApp({
+                    ROLE_PERMISSIONS: '{"support": ["users:read"], "manager": ["users:read", "users:create", "users:update"]}'
+                });
+                app = context.app;
+
+                admin = await context.createUser({ email: 'admin@example.com', role: 'admin' });
+                user = await context.createUser({ email: 'jane@example.com' });
+                manager = await context.createUser({ email: 'manager@example.com', role: 'manager' });
+
+                managerAuth = `Bearer ${(await context.login(manager)).token}`;
+            });
+
+            it('should not let a role change its own role', async () => {
+                const response = await request(app)
+                    .put(`/api/v1/users/${manager.id}`)
+                    .set('Authorization', managerAuth)
+                    .send({ role: 'support' })
+                    .expect(403);
+
+                expect(response.body.error).toMatchObject({ code: 'FORBIDDEN_FIELDS', details: { fields: ['role'] } });
+                await request(app)
+                    .put(`/api/v1/users/${manager.id}`)
+                    .set('Authorization', managerAuth)
+                    .send({ firstName: 'Morgan' })
+                    .expect(200);
+            });
+
+            it('should only let a role assign roles it covers', async () => {
+                await request(app)
+                    .put(`/api/v1/users/${user.id}`)
+                    .set('Authorization', managerAuth)
+                    .send({ role: 'support' })
+                    .expect(200);
+
+                const moderator = await request(app)
+                    .put(`/api/v1/users/${user.id}`)
+                    .set('Authorization', managerAuth)
+                    .send({ role: 'moderator' })
+                    .expect(403);
+                const administrator = await request(app)
+                    .post('/api/v1/users')
+                    .set('Authorization', managerAuth)
+                    .send({ email: 'new@example.com', password: 'Password123!', firstName: 'New', lastName: 'User', role: 'admin' })
+                    .expect(403);
+
+                expect(moderator.body.error.code).toBe('ROLE_NOT_ASSIGNABLE');
+                expect(administrator.body.error.code).toBe('ADMIN_PROTECTED');
+                expect(await context.userRepository.findByEmail('new@example.com')).toBeNull();
+                expect((await context.userRepository.findById(user.id)).role).toBe('support');
+            });
+
+            it('should not let a role modify or promote administrators', async () => {
+                await request(app)
+                    .put(`/api/v1/users/${admin.id}`)
+                    .set('Authorization', managerAuth)
+                    .send({ firstName: 'Mallory' })
+                    .expect(403);
+
+                const response = await request(app)
+                    .put(`/api/v1/users/${manager.id}`)
+                    .set('Authorization', managerAuth)
+                    .send({ role: 'admin' })
+                    .expect(403);
+
+                expect(response.body.error.code).toBe('FORBIDDEN_FIELDS');
+                expect((await context.userRepository.findById(manager.id)).role).toBe('manager');
+            });
+        });
+
+        it('should accept configured roles when updating a user', async () => {
+            await request(app)
+                .put(`/api/v1/users/${user.id}`)
+                .set('Authorization', adminAuth)
+                .send({ role: 'support' })
+                .expect(200);
+
+            await request(app)
+                .put(`/api/v1/users/${user.id}`)
+                .set('Authorization', adminAuth)
+                .send({ role: 'ghost' })
+                .expect(400);
+        });
+    });
+});